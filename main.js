@@ -7,6 +7,9 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs   = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
 const log  = require('electron-log');
 const { autoUpdater } = require('electron-updater');
 
@@ -370,8 +373,16 @@ ipcMain.handle('print-receipt', async (_event, orderData = {}, printerName, stor
       user:     orderUser    = {},
       cashier:  orderCashier = {},
       buyerPin  = '',
+      documentType = 'sale',
+      creditNote   = {},
+      orderDiscount = null,
+      loyalty      = null,
+      totals       = null,
     } = orderData || {};
 
+    // Credit notes reuse the receipt layout with their own number, title and refund lines
+    const isCreditNote = documentType === 'credit-note';
+
     const userObj = (orderUser && Object.keys(orderUser).length > 0) ? orderUser : orderCashier;
 
     // ── Resolve store settings ──────────────────────────────────────────────
@@ -419,12 +430,12 @@ ipcMain.handle('print-receipt', async (_event, orderData = {}, printerName, stor
 
     // ── Timestamps & IDs ────────────────────────────────────────────────────
     const now     = new Date();
-    const orderId = orderNumber || `ORD-${String(Date.now()).slice(-8)}`;
+    const orderId = (isCreditNote && creditNote?.number) || orderNumber || `ORD-${String(Date.now()).slice(-8)}`;
     const dateStr = now.toLocaleDateString('en-GB');
     const timeStr = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
     const customerPhoneVal =
-      (paymentType === 'mpesa' || paymentType === 'both')
+      (paymentType === 'mpesa' || paymentType === 'split')
         ? (paymentData?.mpesaPhone || '').trim() || customerPhone || ''
         : customerPhone || '';
 
@@ -480,7 +491,7 @@ ipcMain.handle('print-receipt', async (_event, orderData = {}, printerName, stor
     // ── Receipt title ─────────────────────────────────────────────────────
     data.push({
       type:  'text',
-      value: 'SALES RECEIPT',
+      value: isCreditNote ? 'CREDIT NOTE' : 'SALES RECEIPT',
       style: { fontWeight: '700', textAlign: 'center', fontSize: '14px', margin: '3px 0' },
     });
 
@@ -502,10 +513,14 @@ ipcMain.handle('print-receipt', async (_event, orderData = {}, printerName, stor
     // ── Order meta (table) ────────────────────────────────────────────────
     const metaRows = [
       row(`Date: ${dateStr}`, timeStr),
-      row(`Receipt #`, orderId),
+      row(isCreditNote ? 'Credit Note #' : 'Receipt #', orderId),
       row('Cashier', cashierName),
       row('Customer', maskPhone(customerPhoneVal)),
     ];
+    if (isCreditNote) {
+      if (creditNote?.originalOrder) metaRows.push(row('Orig. Receipt', String(creditNote.originalOrder)));
+      if (creditNote?.reason) metaRows.push(row('Reason', String(creditNote.reason).slice(0, 28)));
+    }
     if (buyerPin && buyerPin.trim() && buyerPin.trim() !== 'N/A') {
       metaRows.push(row('Cust. PIN', buyerPin.trim()));
     }
@@ -546,13 +561,14 @@ ipcMain.handle('print-receipt', async (_event, orderData = {}, printerName, stor
 
     // ── Line items ────────────────────────────────────────────────────────
     let subtotal = 0;
+    let lineDiscounts = 0;
     const itemRows = [];
 
     for (const item of cart) {
       const nameRaw = String(item.name || item.productName || 'Item');
       const qty     = Number(item.quantity || item.qty || 1);
       const unit    = Number(item.salePrice || item.unitPrice || item.price || 0);
-      const line    = +(qty * unit).toFixed(2);
+      const line    = Number.isFinite(Number(item.grossTotal)) ? Number(item.grossTotal) : +(qty * unit).toFixed(2);
       subtotal     += line;
 
       const maxName    = 22;
@@ -564,11 +580,43 @@ ipcMain.handle('print-receipt', async (_event, orderData = {}, printerName, stor
         { type: 'text', value: `KES ${fmt(line)}`,        style: { ...CELL_R, fontWeight: '600' } },
       ]);
 
-      // Qty × unit row
-      itemRows.push([
-        { type: 'text', value: `  ${qty} × ${fmt(unit)}`, style: { ...CELL_L, fontSize: '10px', color: '#555' } },
-        { type: 'text', value: '',                         style: CELL_R },
-      ]);
+      // Qty × unit rows; a line past its quantity break shows the tier and the rest apart
+      const tier = item.tier && Number(item.tier.quantity) > 0 ? item.tier : null;
+      const qtyRows = tier
+        ? [
+            `  ${tier.quantity} × ${fmt(tier.unitPrice)} (${tier.threshold}+ price)`,
+            ...(Number(tier.remainder) > 0 ? [`  ${tier.remainder} × ${fmt(tier.remainderPrice)}`] : []),
+          ]
+        : [`  ${qty} × ${fmt(unit)}`];
+      for (const text of qtyRows) {
+        itemRows.push([
+          { type: 'text', value: text, style: { ...CELL_L, fontSize: '10px', color: '#555' } },
+          { type: 'text', value: '',   style: CELL_R },
+        ]);
+      }
+      // Flash sale / offer row, against the price the line would otherwise sell at
+      if (item.offer && Number(item.listPrice) > unit) {
+        itemRows.push([
+          { type: 'text', value: `  ${String(item.offer.label || 'Offer').slice(0, 12)} (was ${fmt(item.listPrice)})`, style: { ...CELL_L, fontSize: '10px', color: '#555' } },
+          { type: 'text', value: '',                                                                       style: CELL_R },
+        ]);
+      }
+      if (tier && Number(tier.saving) > 0) {
+        itemRows.push([
+          { type: 'text', value: `  Saved KES ${fmt(tier.saving)}`, style: { ...CELL_L, fontSize: '10px', color: '#555' } },
+          { type: 'text', value: '',                                   style: CELL_R },
+        ]);
+      }
+
+      // Manual line discount row
+      const lineOff = Number(item.lineDiscount || 0);
+      if (lineOff > 0) {
+        lineDiscounts += lineOff;
+        itemRows.push([
+          { type: 'text', value: `  Disc ${String(item.discountLabel || '').slice(0, 18)}`, style: { ...CELL_L, fontSize: '10px', color: '#555' } },
+          { type: 'text', value: `- ${fmt(lineOff)}`,                                     style: { ...CELL_R, fontSize: '10px' } },
+        ]);
+      }
     }
 
     data.push({
@@ -588,26 +636,50 @@ ipcMain.handle('print-receipt', async (_event, orderData = {}, printerName, stor
     // ── Totals ────────────────────────────────────────────────────────────
     data.push({ type: 'divider' });
 
-    const taxAmount  = +(subtotal * (store.taxRate || 0)).toFixed(2);
-    const afterTax   = subtotal + taxAmount;
-    const grandTotal = +(Math.max(0, afterTax - (store.discount || 0))).toFixed(2);
+    // refund amounts are worked out by the till, so store tax/discount do not apply again.
+    // Sales come with their totals priced at the till (utils/pricing); they are printed as
+    // given, total included, and the store-wide discount only applies to receipts without them.
+    const priced     = !isCreditNote && totals && typeof totals === 'object' ? totals : null;
+    if (priced) {
+      subtotal      = Number(priced.subtotal) || 0;
+      lineDiscounts = Number(priced.lineDiscounts) || 0;
+    }
+    const orderOff   = isCreditNote ? 0 : priced ? Number(priced.orderDiscount) || 0 : Number(orderDiscount?.amount || 0);
+    const netOfManual = subtotal - lineDiscounts - orderOff;
+    const taxAmount  = isCreditNote ? 0 : priced ? Number(priced.tax) || 0 : +(netOfManual * (store.taxRate || 0)).toFixed(2);
+    const afterTax   = netOfManual + taxAmount;
+    const grandTotal = isCreditNote
+      ? +subtotal.toFixed(2)
+      : priced ? +(Number(priced.total) || 0).toFixed(2) : +(Math.max(0, afterTax - (store.discount || 0))).toFixed(2);
+    // cash rounding worked out at the till; what the customer paid is the total plus this
+    const rounding   = isCreditNote ? 0 : Number(paymentData?.rounding || 0);
+    const amountPaid = +(grandTotal + rounding).toFixed(2);
 
     const totalRows = [
       row('Sub-total', `KES ${fmt(subtotal)}`),
     ];
+    if (lineDiscounts > 0) {
+      totalRows.push(row('Item discounts', `- KES ${fmt(lineDiscounts)}`));
+    }
+    if (orderOff > 0) {
+      totalRows.push(row(`Discount ${String(orderDiscount?.label || '').slice(0, 16)}`.trim(), `- KES ${fmt(orderOff)}`));
+    }
     if (store.taxRate && taxAmount > 0) {
       totalRows.push(row(`Tax (${(store.taxRate * 100).toFixed(0)}%)`, `KES ${fmt(taxAmount)}`));
     }
-    if (store.discount && store.discount > 0) {
+    if (!isCreditNote && !priced && store.discount && store.discount > 0) {
       totalRows.push(row('Discount', `- KES ${fmt(store.discount)}`));
     }
+    if (rounding !== 0) {
+      totalRows.push(row('Cash rounding', `${rounding > 0 ? '+' : '-'} KES ${fmt(Math.abs(rounding))}`));
+    }
 
     data.push({
       type:             'table',
       style:            { border: 'none', width: '100%' },
       tableHeader:      [{ type: 'text', value: '' }, { type: 'text', value: '' }],
       tableBody:        totalRows,
-      tableFooter:      [row('TOTAL', `KES ${fmt(grandTotal)}`, true)],
+      tableFooter:      [row(isCreditNote ? 'REFUND' : 'TOTAL', `KES ${fmt(amountPaid)}`, true)],
       tableHeaderStyle: HEADER_STYLE,
       tableBodyStyle:   BODY_STYLE,
       tableFooterStyle: { backgroundColor: '#fff', color: '#000' },
@@ -623,20 +695,32 @@ ipcMain.handle('print-receipt', async (_event, orderData = {}, printerName, stor
       const pmLabel =
         paymentType === 'mpesa' ? 'M-Pesa'
         : paymentType === 'cash' ? 'Cash'
-        : paymentType === 'both' ? 'Cash + M-Pesa'
+        : paymentType === 'split' ? 'Split'
+        : paymentType === 'credit' ? 'Store Credit'
+        : paymentType === 'original' ? 'Original Payment'
         : paymentType.charAt(0).toUpperCase() + paymentType.slice(1);
 
-      const payRows = [row('Payment Method', pmLabel)];
+      const payRows = [isCreditNote ? row('Refunded To', pmLabel) : row('Payment Method', pmLabel)];
+      const tenders = Array.isArray(paymentData?.tenders) ? paymentData.tenders : [];
 
-      if ((paymentType === 'mpesa' || paymentType === 'both') && paymentData?.mpesaRef) {
-        payRows.push(row('M-Pesa Ref', paymentData.mpesaRef));
-      }
+      if (tenders.length > 0) {
+        // one row per tender line, with its reference under it
+        for (const t of tenders) {
+          payRows.push(row(t.label || 'Payment', `KES ${fmt(Number(t.amount) || 0)}`));
+          if (t.reference) payRows.push(row('  Ref', String(t.reference)));
+        }
+        if (Number(paymentData.change) > 0) payRows.push(row('Change', `KES ${fmt(paymentData.change)}`));
+      } else {
+        if (paymentType === 'mpesa' && paymentData?.mpesaRef) {
+          payRows.push(row('M-Pesa Ref', paymentData.mpesaRef));
+        }
 
-      if (paymentType === 'cash' && paymentData?.cashReceived) {
-        const cashReceived = Number(paymentData.cashReceived || 0);
-        const change       = Math.max(0, cashReceived - grandTotal);
-        payRows.push(row('Cash Received', `KES ${fmt(cashReceived)}`));
-        payRows.push(row('Change',        `KES ${fmt(change)}`));
+        const cashReceived = Number(paymentData?.cashReceived ?? paymentData?.cashAmount ?? 0);
+        if (paymentType === 'cash' && cashReceived > 0) {
+          const change = Math.max(0, cashReceived - amountPaid);
+          payRows.push(row('Cash Received', `KES ${fmt(cashReceived)}`));
+          payRows.push(row('Change',        `KES ${fmt(change)}`));
+        }
       }
 
       data.push({
@@ -654,6 +738,29 @@ ipcMain.handle('print-receipt', async (_event, orderData = {}, printerName, stor
       });
     }
 
+    // ── Loyalty ───────────────────────────────────────────────────────────
+    if (!isCreditNote && loyalty) {
+      data.push({ type: 'divider' });
+      const pointsRows = [];
+      if (loyalty.name) pointsRows.push(row('Member', String(loyalty.name).slice(0, 20)));
+      pointsRows.push(row('Points earned', `+ ${loyalty.pointsEarned || 0}`));
+      pointsRows.push(row('Points balance', String(loyalty.balance || 0), true));
+
+      data.push({
+        type:             'table',
+        style:            { border: 'none', width: '100%' },
+        tableHeader:      [{ type: 'text', value: '' }, { type: 'text', value: '' }],
+        tableBody:        pointsRows,
+        tableFooter:      [],
+        tableHeaderStyle: HEADER_STYLE,
+        tableBodyStyle:   BODY_STYLE,
+        tableFooterStyle: FOOTER_STYLE,
+        tableHeaderCellStyle: { padding: '0', display: 'none' },
+        tableBodyCellStyle:   { padding: '2px 4px', fontSize: '11px', fontFamily: 'monospace', textAlign: 'center' },
+        tableFooterCellStyle: { padding: '0' },
+      });
+    }
+
     // ── Footer message ────────────────────────────────────────────────────
     data.push({ type: 'divider' });
 
@@ -700,7 +807,7 @@ ipcMain.handle('print-receipt', async (_event, orderData = {}, printerName, stor
 
     // ── Fire the print job ────────────────────────────────────────────────
     const options = buildPrintOptions(printerName, store);
-    log.info('Printing receipt →', options.printerName || 'default', '| items:', cart.length, '| total:', grandTotal);
+    log.info('Printing receipt →', options.printerName || 'default', '| items:', cart.length, '| total:', amountPaid);
 
     await PosPrinter.print(data, options);
 
@@ -716,6 +823,362 @@ ipcMain.handle('print-receipt', async (_event, orderData = {}, printerName, stor
   }
 });
 
+ipcMain.handle('print-quote', async (_event, quote = {}, printerName) => {
+  log.info('PRINT QUOTE called');
+
+  if (!PosPrinter)
+    return { success: false, message: 'Thermal printer library not available' };
+
+  try {
+    const {
+      quoteNo     = '',
+      createdAt   = Date.now(),
+      validUntil  = Date.now(),
+      customer    = null,
+      cashier     = 'Staff',
+      notes       = '',
+      lines       = [],
+      subtotal    = 0,
+      discount    = 0,
+      total       = 0,
+      storeSettings: ss = {},
+    } = quote || {};
+
+    const store = {
+      name:    String(ss.storeName    || 'ARPELLA STORE LIMITED').trim(),
+      address: String(ss.storeAddress || 'Ngong, Matasia').trim(),
+      phone:   String(ss.storePhone   || '+254 704 288 802').trim(),
+      pin:     String(ss.pin          || 'P052336649L').trim(),
+    };
+    const dateOf = (ts) => new Date(ts).toLocaleDateString('en-GB');
+
+    const twoColTable = (body, footer = []) => ({
+      type:             'table',
+      style:            { border: 'none', width: '100%' },
+      tableHeader:      [{ type: 'text', value: '' }, { type: 'text', value: '' }],
+      tableBody:        body,
+      tableFooter:      footer,
+      tableHeaderStyle: HEADER_STYLE,
+      tableBodyStyle:   BODY_STYLE,
+      tableFooterStyle: FOOTER_STYLE,
+      tableHeaderCellStyle: { padding: '0', display: 'none' },
+      tableBodyCellStyle:   { padding: '2px 4px', fontSize: '11px', fontFamily: 'monospace', textAlign: 'center' },
+      tableFooterCellStyle: { padding: '2px 4px', fontSize: '13px', fontFamily: 'monospace', fontWeight: '700', textAlign: 'center' },
+    });
+
+    const data = [
+      { type: 'text', value: store.name.toUpperCase(), style: { fontWeight: '700', textAlign: 'center', fontSize: '15px', marginBottom: '2px' } },
+      { type: 'text', value: store.address,            style: { textAlign: 'center', fontSize: '10px' } },
+      { type: 'text', value: `Tel: ${store.phone}`,    style: { textAlign: 'center', fontSize: '10px' } },
+      { type: 'text', value: `PIN: ${store.pin}`,      style: { textAlign: 'center', fontSize: '10px', marginBottom: '4px' } },
+      { type: 'divider' },
+      { type: 'text', value: 'QUOTATION',              style: { fontWeight: '700', textAlign: 'center', fontSize: '14px', margin: '3px 0' } },
+      { type: 'text', value: 'Not a tax invoice',      style: { textAlign: 'center', fontSize: '10px' } },
+      { type: 'divider' },
+    ];
+
+    const metaRows = [
+      row('Quote No', String(quoteNo)),
+      row('Date', dateOf(createdAt)),
+      row('Valid until', dateOf(validUntil)),
+    ];
+    if (customer?.name) metaRows.push(row('Customer', String(customer.name).slice(0, 22)));
+    if (customer?.phone) metaRows.push(row('Phone', maskPhone(customer.phone)));
+    data.push(twoColTable(metaRows));
+    data.push({ type: 'divider' });
+
+    // each line: name and line total, then quantity × unit price and any discount
+    const itemRows = [];
+    for (const line of Array.isArray(lines) ? lines : []) {
+      const nameRaw = String(line.name || 'Item');
+      const displayName = nameRaw.length > 22 ? nameRaw.slice(0, 21) + '…' : nameRaw;
+      const qty  = Number(line.quantity) || 0;
+      const unit = Number(line.unitPrice) || 0;
+      itemRows.push([
+        { type: 'text', value: displayName,                  style: { ...CELL_L, fontWeight: '600' } },
+        { type: 'text', value: `KES ${fmt(qty * unit)}`,     style: { ...CELL_R, fontWeight: '600' } },
+      ]);
+      itemRows.push([
+        { type: 'text', value: `  ${qty} × ${fmt(unit)}`,    style: { ...CELL_L, fontSize: '10px', color: '#555' } },
+        { type: 'text', value: '',                           style: CELL_R },
+      ]);
+      if (Number(line.lineDiscount) > 0) {
+        itemRows.push([
+          { type: 'text', value: '  Discount',               style: { ...CELL_L, fontSize: '10px', color: '#555' } },
+          { type: 'text', value: `- ${fmt(line.lineDiscount)}`, style: { ...CELL_R, fontSize: '10px' } },
+        ]);
+      }
+    }
+    data.push(twoColTable(itemRows));
+    data.push({ type: 'divider' });
+
+    const totalRows = [row('Subtotal', `KES ${fmt(subtotal)}`)];
+    if (Number(discount) > 0) totalRows.push(row('Discount', `- KES ${fmt(discount)}`));
+    data.push(twoColTable(totalRows, [row('QUOTE TOTAL', `KES ${fmt(total)}`, true)]));
+
+    data.push({ type: 'divider' });
+    if (String(notes || '').trim()) {
+      data.push({ type: 'text', value: String(notes).trim(), style: { fontSize: '10px', textAlign: 'left', margin: '2px 4px' } });
+    }
+    data.push({
+      type:  'text',
+      value: `Prices valid until ${dateOf(validUntil)} and subject to stock at the time of purchase.`,
+      style: { fontSize: '9px', textAlign: 'center', margin: '4px 0' },
+    });
+    data.push({
+      type:  'text',
+      value: `Prepared by ${String(cashier || 'Staff')}`,
+      style: { fontSize: '9px', textAlign: 'center' },
+    });
+    data.push({
+      type:  'text',
+      value: 'Powered by Arpella POS',
+      style: { fontSize: '9px', textAlign: 'center', marginBottom: '8px' },
+    });
+
+    const options = buildPrintOptions(printerName, {});
+    log.info('Printing quote →', options.printerName || 'default', '|', quoteNo, '| total:', total);
+
+    await PosPrinter.print(data, options);
+    return { success: true, message: 'Quote printed successfully' };
+  } catch (err) {
+    log.error('print-quote failed:', err);
+    return {
+      success: false,
+      message: `Print failed: ${err?.message || err?.toString() || 'Unknown error'}`,
+    };
+  }
+});
+
+ipcMain.handle('print-layaway', async (_event, layaway = {}, printerName) => {
+  log.info('PRINT LAYAWAY called');
+
+  if (!PosPrinter)
+    return { success: false, message: 'Thermal printer library not available' };
+
+  try {
+    const {
+      id          = '',
+      name        = 'Layaway',
+      customer    = null,
+      cashier     = 'Staff',
+      items       = [],
+      total       = 0,
+      payments    = [],
+      paid        = 0,
+      balance     = 0,
+      storeSettings: ss = {},
+    } = layaway || {};
+
+    const store = {
+      name:    String(ss.storeName    || 'ARPELLA STORE LIMITED').trim(),
+      address: String(ss.storeAddress || 'Ngong, Matasia').trim(),
+      phone:   String(ss.storePhone   || '+254 704 288 802').trim(),
+      pin:     String(ss.pin          || 'P052336649L').trim(),
+    };
+    const dateOf = (ts) => new Date(ts).toLocaleDateString('en-GB');
+    const now = new Date();
+
+    const twoColTable = (body, footer = []) => ({
+      type:             'table',
+      style:            { border: 'none', width: '100%' },
+      tableHeader:      [{ type: 'text', value: '' }, { type: 'text', value: '' }],
+      tableBody:        body,
+      tableFooter:      footer,
+      tableHeaderStyle: HEADER_STYLE,
+      tableBodyStyle:   BODY_STYLE,
+      tableFooterStyle: FOOTER_STYLE,
+      tableHeaderCellStyle: { padding: '0', display: 'none' },
+      tableBodyCellStyle:   { padding: '2px 4px', fontSize: '11px', fontFamily: 'monospace', textAlign: 'center' },
+      tableFooterCellStyle: { padding: '2px 4px', fontSize: '13px', fontFamily: 'monospace', fontWeight: '700', textAlign: 'center' },
+    });
+
+    const data = [
+      { type: 'text', value: store.name.toUpperCase(), style: { fontWeight: '700', textAlign: 'center', fontSize: '15px', marginBottom: '2px' } },
+      { type: 'text', value: store.address,            style: { textAlign: 'center', fontSize: '10px' } },
+      { type: 'text', value: `Tel: ${store.phone}`,    style: { textAlign: 'center', fontSize: '10px' } },
+      { type: 'text', value: `PIN: ${store.pin}`,      style: { textAlign: 'center', fontSize: '10px', marginBottom: '4px' } },
+      { type: 'divider' },
+      { type: 'text', value: 'LAYAWAY PAYMENT',        style: { fontWeight: '700', textAlign: 'center', fontSize: '14px', margin: '3px 0' } },
+      { type: 'divider' },
+    ];
+
+    const metaRows = [
+      row('Layaway', String(name).slice(0, 22)),
+      row('Ref', String(id).slice(-12)),
+    ];
+    if (customer?.name) metaRows.push(row('Customer', String(customer.name).slice(0, 22)));
+    if (customer?.phone) metaRows.push(row('Phone', maskPhone(customer.phone)));
+    data.push(twoColTable(metaRows));
+    data.push({ type: 'divider' });
+
+    // goods set aside, as quantity × name
+    const itemRows = (Array.isArray(items) ? items : []).map((it) => {
+      const nameRaw = String(it.name || 'Item');
+      return row(`${Number(it.quantity) || 0} × ${nameRaw.length > 18 ? nameRaw.slice(0, 17) + '…' : nameRaw}`, fmt(it.lineTotal));
+    });
+    data.push(twoColTable(itemRows, [row('SALE TOTAL', `KES ${fmt(total)}`, true)]));
+    data.push({ type: 'divider' });
+
+    // every payment so far, the latest last
+    const payRows = (Array.isArray(payments) ? payments : []).map((p) => row(
+      `${dateOf(p.createdAt)} ${String(p.label || p.method || '')}${p.reference ? ` ${p.reference}` : ''}`.slice(0, 26),
+      fmt(p.amount)
+    ));
+    payRows.push(row('Paid so far', `KES ${fmt(paid)}`));
+    data.push(twoColTable(payRows, [row('BALANCE', `KES ${fmt(balance)}`, true)]));
+
+    data.push({ type: 'divider' });
+    data.push({
+      type:  'text',
+      value: Number(balance) > 0
+        ? 'Goods are released once the balance is paid. Keep this slip.'
+        : 'Fully paid - collect your goods with this slip.',
+      style: { fontSize: '10px', textAlign: 'center', margin: '4px 0' },
+    });
+    data.push({
+      type:  'text',
+      value: `Printed: ${now.toLocaleString('en-KE')} by ${String(cashier || 'Staff')}`,
+      style: { fontSize: '9px', textAlign: 'center', marginTop: '4px' },
+    });
+    data.push({
+      type:  'text',
+      value: 'Powered by Arpella POS',
+      style: { fontSize: '9px', textAlign: 'center', marginBottom: '8px' },
+    });
+
+    const options = buildPrintOptions(printerName, {});
+    log.info('Printing layaway →', options.printerName || 'default', '|', id, '| paid:', paid, '| balance:', balance);
+
+    await PosPrinter.print(data, options);
+    return { success: true, message: 'Layaway slip printed successfully' };
+  } catch (err) {
+    log.error('print-layaway failed:', err);
+    return {
+      success: false,
+      message: `Print failed: ${err?.message || err?.toString() || 'Unknown error'}`,
+    };
+  }
+});
+
+// ─── Backup archive ──────────────────────────────────────────────────────────
+// Layout: 'ARPB' | format version (u8) | flags (u8) | [salt 16 | iv 12 | tag 16] | body
+// body is gzipped JSON; with a password it is AES-256-GCM encrypted with a scrypt key.
+// The renderer collects and restores the till data; this side only packs and unpacks it.
+const BACKUP_MAGIC          = Buffer.from('ARPB');
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_FLAG_ENCRYPTED = 0x01;
+const BACKUP_EXTENSION      = 'arpbak';
+
+const gzip   = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const scrypt = promisify(crypto.scrypt);
+
+async function packBackup(data, password) {
+  const body = await gzip(Buffer.from(JSON.stringify(data), 'utf8'));
+  if (!password) {
+    return Buffer.concat([BACKUP_MAGIC, Buffer.from([BACKUP_FORMAT_VERSION, 0]), body]);
+  }
+  const salt   = crypto.randomBytes(16);
+  const iv     = crypto.randomBytes(12);
+  const key    = await scrypt(String(password), salt, 32);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const enc    = Buffer.concat([cipher.update(body), cipher.final()]);
+  return Buffer.concat([
+    BACKUP_MAGIC, Buffer.from([BACKUP_FORMAT_VERSION, BACKUP_FLAG_ENCRYPTED]),
+    salt, iv, cipher.getAuthTag(), enc,
+  ]);
+}
+
+// Header only: lets the caller reject a foreign or too-new file before asking for a password
+function readBackupHeader(buf) {
+  if (buf.length < 6 || !buf.subarray(0, 4).equals(BACKUP_MAGIC)) {
+    return { ok: false, message: 'This file is not an Arpella POS backup' };
+  }
+  const version = buf[4];
+  if (version > BACKUP_FORMAT_VERSION) {
+    return { ok: false, version, message: `Backup format v${version} is newer than this app supports (v${BACKUP_FORMAT_VERSION}). Update Arpella POS first.` };
+  }
+  return { ok: true, version, encrypted: (buf[5] & BACKUP_FLAG_ENCRYPTED) !== 0 };
+}
+
+async function unpackBackup(buf, header, password) {
+  let body = buf.subarray(6);
+  if (header.encrypted) {
+    const salt = body.subarray(0, 16);
+    const iv   = body.subarray(16, 28);
+    const tag  = body.subarray(28, 44);
+    const key  = await scrypt(String(password), salt, 32);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    body = Buffer.concat([decipher.update(body.subarray(44)), decipher.final()]);
+  }
+  return JSON.parse((await gunzip(body)).toString('utf8'));
+}
+
+// ─── IPC: backup & restore ───────────────────────────────────────────────────
+ipcMain.handle('backup-export', async (_event, { data, password, defaultName } = {}) => {
+  try {
+    if (!data || typeof data !== 'object') return { success: false, message: 'Nothing to back up' };
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save till backup',
+      defaultPath: path.join(app.getPath('documents'), defaultName || `arpella-till-${stamp}.${BACKUP_EXTENSION}`),
+      filters: [{ name: 'Arpella POS backup', extensions: [BACKUP_EXTENSION] }],
+    });
+    if (canceled || !filePath) return { success: false, canceled: true };
+
+    const archive = await packBackup(data, password);
+    await fs.promises.writeFile(filePath, archive);
+    log.info('Backup written:', filePath, '|', archive.length, 'bytes | encrypted:', !!password);
+    return { success: true, filePath, bytes: archive.length, encrypted: !!password };
+  } catch (err) {
+    log.error('backup-export failed:', err);
+    return { success: false, message: err?.message || 'Backup failed' };
+  }
+});
+
+// Call without filePath to pick a file; call again with the returned filePath and a
+// password when the response has needsPassword.
+ipcMain.handle('backup-import', async (_event, { filePath, password } = {}) => {
+  try {
+    let target = filePath;
+    if (!target) {
+      const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Open till backup',
+        properties: ['openFile'],
+        filters: [{ name: 'Arpella POS backup', extensions: [BACKUP_EXTENSION] }],
+      });
+      if (canceled || !filePaths?.length) return { success: false, canceled: true };
+      target = filePaths[0];
+    }
+
+    const buf    = await fs.promises.readFile(target);
+    const header = readBackupHeader(buf);
+    if (!header.ok) return { success: false, filePath: target, message: header.message };
+    if (header.encrypted && !password) {
+      return { success: false, filePath: target, needsPassword: true, message: 'This backup is password protected' };
+    }
+
+    let data;
+    try {
+      data = await unpackBackup(buf, header, password);
+    } catch (err) {
+      log.warn('backup-import unpack failed:', err?.message);
+      return header.encrypted
+        ? { success: false, filePath: target, needsPassword: true, message: 'Wrong password, or the file is damaged' }
+        : { success: false, filePath: target, message: 'The backup file is damaged' };
+    }
+
+    log.info('Backup read:', target, '| format v' + header.version, '| encrypted:', header.encrypted);
+    return { success: true, filePath: target, formatVersion: header.version, encrypted: header.encrypted, data };
+  } catch (err) {
+    log.error('backup-import failed:', err);
+    return { success: false, message: err?.message || 'Could not read backup' };
+  }
+});
+
 // ─── App lifecycle ───────────────────────────────────────────────────────────
 app.on('second-instance', () => {
   if (mainWindow) {
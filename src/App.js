@@ -5,6 +5,7 @@ import { useSelector } from 'react-redux';
 import { ErrorBoundary } from 'react-error-boundary';
 import { toast } from 'react-toastify';
 import { selectUser } from './redux/slices/userSlice';
+import indexedDb from './services/indexedDB';
 
 // Lazy pages
 const Dashboard = lazy(() => import('./app/dashboard/index'));
@@ -185,6 +186,31 @@ function NetworkStatus() {
   return null;
 }
 
+/* =========================
+   Local Database Status UI
+========================= */
+function DatabaseStatus() {
+  useEffect(() => indexedDb.subscribeDatabaseStatus(({ status, error }) => {
+    if (status === 'blocked') {
+      toast.warn('Local database update is waiting. Close other Arpella POS windows to continue.', {
+        autoClose: false,
+        toastId: 'db-blocked-toast'
+      });
+    } else if (status === 'recovered') {
+      toast.dismiss('db-blocked-toast');
+      toast.info('Local database was rebuilt. Saved orders were kept; products will reload on the next sync.', { toastId: 'db-recovered-toast' });
+      if (ipcRenderer) ipcRenderer.send('log', `Local database recovered: ${error || 'manual rebuild'}`);
+    } else if (status === 'failed') {
+      toast.error(`Local database unavailable: ${error}`, { autoClose: false, toastId: 'db-failed-toast' });
+      if (ipcRenderer) ipcRenderer.send('log', `Local database failed: ${error}`);
+    } else if (status === 'open') {
+      toast.dismiss('db-blocked-toast');
+    }
+  }), []);
+
+  return null;
+}
+
 /* =========================
    Auth Helper
 ========================= */
@@ -225,6 +251,7 @@ function InnerRoutes({ authed }) {
     <ErrorBoundary FallbackComponent={ErrorFallback}>
       <AutoUpdateStatus />
       <NetworkStatus />
+      <DatabaseStatus />
 
       <Suspense
         fallback={
@@ -2,13 +2,15 @@ import React from 'react';
 import { extractId } from '../../redux/slices/productsSlice-helpers';
 import { useDispatch } from 'react-redux';
 import { toggleApplyDiscount, toggleApplyDiscountAll } from '../../redux/slices/productSlice';
+import { describeDiscount } from '../../services/discounts';
+import { priceLine, hasOffer } from '../../utils/pricing';
 
 const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
 
-export default function CartItems({ cart, onRemoveItem }) {
+export default function CartItems({ cart, onRemoveItem, onDiscountItem, staleStock = {} }) {
   const dispatch = useDispatch();
 
-  const applicableItems = cart?.filter(item => item.priceAfterDiscount && Number(item.priceAfterDiscount) > 0) || [];
+  const applicableItems = cart?.filter(hasOffer) || [];
   const allDiscounted = applicableItems.length > 0 && applicableItems.every(item => item.applyDiscount);
   const handleToggleAll = () => {
     if (applicableItems.length > 0) {
@@ -26,6 +28,8 @@ export default function CartItems({ cart, onRemoveItem }) {
     );
   }
 
+  const tierSavings = cart.reduce((sum, item) => sum + priceLine(item).tierSaving, 0);
+
   return (
     <div className="table-responsive">
       <table className="table table-sm table-hover align-middle">
@@ -41,14 +45,7 @@ export default function CartItems({ cart, onRemoveItem }) {
         </thead>
         <tbody>
           {cart.map(item => {
-            let itemPrice = item.priceType === 'Retail' 
-              ? (item.price || 0) 
-              : (Number(item.wholesalePrice) || item.price || 0);
-            if (item.applyDiscount && item.priceAfterDiscount && Number(item.priceAfterDiscount) > 0) {
-              itemPrice = Number(item.priceAfterDiscount);
-            }
-
-            const itemTotal = itemPrice * (item.quantity || 1);
+            const { unitPrice: itemPrice, grossTotal, lineDiscount: lineOff, lineTotal: itemTotal, tier } = priceLine(item);
             const itemId = extractId(item);
             const cartKey = `${itemId}_${item.priceType}`;
             return (
@@ -57,11 +54,41 @@ export default function CartItems({ cart, onRemoveItem }) {
                   <div style={{ display: 'flex', flexDirection: 'column' }}>
                     <div className="cart-product-name" title={item.name} style={{ fontSize: '1.01rem', fontWeight: 600 }}>{item.name}</div>
                     <div className={`small ${item.priceType === 'Retail' ? 'text-success' : 'text-info'}`}>{KSH(itemPrice)}</div>
+                    {item.offer && item.applyDiscount && (
+                      <div className="text-danger" style={{ fontSize: '0.7rem' }}>
+                        <i className="fas fa-bolt me-1" />
+                        {item.offer.label}
+                        {item.offer.endTime ? ` until ${new Date(item.offer.endTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}
+                      </div>
+                    )}
+                    {tier && (
+                      <div className="text-info" style={{ fontSize: '0.7rem' }} title={`${tier.threshold}+ units sell at ${KSH(tier.unitPrice)}`}>
+                        <i className="fas fa-layer-group me-1" />
+                        {tier.quantity} @ {KSH(tier.unitPrice)} ({tier.threshold}+){tier.remainder > 0 ? `, ${tier.remainder} @ ${KSH(tier.remainderPrice)}` : ''}
+                        {' '}· saved {KSH(tier.saving)}
+                      </div>
+                    )}
+                    {lineOff > 0 && (
+                      <div className="text-danger" style={{ fontSize: '0.7rem' }} title={item.discount.by ? `Given by ${item.discount.by}` : undefined}>
+                        <i className="fas fa-tag me-1" />-{KSH(lineOff)} ({describeDiscount(item.discount)})
+                      </div>
+                    )}
                     {item.barcode && <div className="text-muted" style={{ fontSize: '0.65rem' }}><i className="fas fa-barcode me-1" />{item.barcode}</div>}
+                    {String(itemId) in staleStock && (
+                      <div
+                        className="text-warning"
+                        style={{ fontSize: '0.65rem' }}
+                        title={staleStock[String(itemId)]
+                          ? `Stock last counted ${new Date(staleStock[String(itemId)]).toLocaleString()}`
+                          : 'Stock has not been counted on this till'}
+                      >
+                        <i className="fas fa-exclamation-triangle me-1" />Stock count not verified
+                      </div>
+                    )}
                   </div>
                 </td>
                 <td className="text-center" style={{ fontSize: '0.75rem' }}>
-                  {item.priceAfterDiscount && Number(item.priceAfterDiscount) > 0 ? (
+                  {hasOffer(item) ? (
                     <input 
                       type="checkbox" 
                       className="form-check-input" 
@@ -72,6 +99,18 @@ export default function CartItems({ cart, onRemoveItem }) {
                   ) : (
                     <span className="text-muted">-</span>
                   )}
+                  {onDiscountItem && (
+                    <button
+                      type="button"
+                      className={`btn btn-sm py-0 px-1 ms-1 ${item.discount ? 'btn-danger' : 'btn-outline-secondary'}`}
+                      style={{ fontSize: '0.7rem' }}
+                      onClick={() => onDiscountItem(cartKey, item, grossTotal)}
+                      title={item.discount ? `Change discount (${describeDiscount(item.discount)})` : 'Give a discount on this line'}
+                      aria-label={`Discount ${item.name}`}
+                    >
+                      <i className="fas fa-percent" />
+                    </button>
+                  )}
                 </td>
                 <td className="text-center" style={{ fontSize: '0.7rem' }}>
                   <span className={`badge ${item.priceType === 'Retail' ? 'bg-success' : 'bg-info'} px-2 py-1`}>{item.priceType === 'Retail' ? 'Retail' : 'Wholesale'}</span>
@@ -79,9 +118,14 @@ export default function CartItems({ cart, onRemoveItem }) {
                 <td className="text-center" style={{ fontSize: '0.75rem' }}>
                   <span className="badge bg-secondary px-2 py-1">{item.quantity || 1}</span>
                 </td>
-                <td className="text-end fw-semibold" style={{ fontSize: '0.75rem' }}>{KSH(itemTotal)}</td>
+                <td className="text-end fw-semibold" style={{ fontSize: '0.75rem' }}>
+                  {lineOff > 0 && <div className="text-muted text-decoration-line-through" style={{ fontSize: '0.65rem' }}>{KSH(grossTotal)}</div>}
+                  {KSH(itemTotal)}
+                </td>
                 <td className="text-center">
-                  <button className="remove-circle-btn" onClick={() => onRemoveItem(cartKey, item)} title={`Remove ${item.name}`} aria-label={`Remove ${item.name}`} type="button">×</button>
+                  {onRemoveItem && (
+                    <button className="remove-circle-btn" onClick={() => onRemoveItem(cartKey, item)} title={`Remove ${item.name}`} aria-label={`Remove ${item.name}`} type="button">×</button>
+                  )}
                 </td>
               </tr>
             );
@@ -102,6 +146,11 @@ export default function CartItems({ cart, onRemoveItem }) {
             Apply discount on all applicable products ({applicableItems.length} available)
           </label>
         </div>
+        {tierSavings > 0 && (
+          <span className="small text-info fw-semibold">
+            <i className="fas fa-layer-group me-1" />Quantity savings {KSH(tierSavings)}
+          </span>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,170 @@
+// src/app/components/CashDrawerDialog.jsx
+// Opening float, recounts and the end-of-shift count for the till's cash drawer.
+import React, { useEffect, useState } from 'react';
+import { Modal, Button, Form, Alert, Table } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import cashDrawer from '../../services/cashDrawer';
+
+const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
+
+const toInputs = (counts) => Object.fromEntries(cashDrawer.DENOMINATIONS.map((d) => [d, counts?.[d] ? String(counts[d]) : '']));
+
+/**
+ * @param {{ show: boolean, drawer: object|null, cashier?: string, onHide: () => void,
+ *   onChanged: (drawer: object|null) => void }} props - `drawer` is the open drawer, null
+ *   before the float is counted in; onChanged gets null once it is closed
+ */
+export default function CashDrawerDialog({ show, drawer, cashier = '', onHide, onChanged }) {
+  const [counts, setCounts] = useState(toInputs(null));
+  const [closed, setClosed] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!show) return;
+    setClosed(null);
+    setError('');
+  }, [show]);
+
+  // the drawer's tracked notes are the starting point for a recount or the closing count
+  useEffect(() => {
+    if (show) setCounts(toInputs(drawer?.counts));
+  }, [show, drawer]);
+
+  const counted = cashDrawer.countsTotal(counts);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err?.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleOpen = () => run(async () => {
+    const opened = await cashDrawer.openDrawer({ counts, by: cashier });
+    onChanged(opened);
+    toast.success(`Drawer opened with a float of ${KSH(opened.floatTotal)}`);
+    onHide();
+  });
+
+  const handleRecount = () => run(async () => {
+    onChanged(await cashDrawer.recountDrawer(counts));
+    toast.success('Drawer count saved');
+  });
+
+  const handleClose = () => run(async () => {
+    const result = await cashDrawer.closeDrawer({ counts, by: cashier });
+    setClosed(result);
+    onChanged(null);
+  });
+
+  if (closed) {
+    return (
+      <Modal show={show} onHide={onHide} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Drawer closed</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Table size="sm" className="mb-0">
+            <tbody>
+              <tr><td>Opening float</td><td className="text-end">{KSH(closed.floatTotal)}</td></tr>
+              <tr><td>Cash taken ({closed.sales} sale{closed.sales === 1 ? '' : 's'})</td><td className="text-end">{KSH(closed.cashIn)}</td></tr>
+              <tr><td>Change given</td><td className="text-end">-{KSH(closed.changeOut)}</td></tr>
+              <tr className="fw-semibold"><td>Expected in drawer</td><td className="text-end">{KSH(closed.expected)}</td></tr>
+              <tr className="fw-semibold"><td>Counted</td><td className="text-end">{KSH(closed.counted)}</td></tr>
+              <tr className={`fw-bold ${closed.variance < 0 ? 'text-danger' : 'text-success'}`}>
+                <td>{closed.variance < 0 ? 'Short' : closed.variance > 0 ? 'Over' : 'Balanced'}</td>
+                <td className="text-end">{KSH(Math.abs(closed.variance))}</td>
+              </tr>
+            </tbody>
+          </Table>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="primary" onClick={onHide}>Done</Button>
+        </Modal.Footer>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal show={show} onHide={busy ? undefined : onHide} centered>
+      <Modal.Header closeButton={!busy}>
+        <Modal.Title>
+          <i className="fas fa-cash-register me-2" />
+          {drawer ? 'Cash drawer' : 'Open the drawer'}
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {drawer ? (
+          <div className="small mb-3">
+            <div className="d-flex justify-content-between">
+              <span>Opened {new Date(drawer.openedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}{drawer.openedBy ? ` by ${drawer.openedBy}` : ''}</span>
+              <span>Float {KSH(drawer.floatTotal)}</span>
+            </div>
+            <div className="d-flex justify-content-between">
+              <span>Cash taken {KSH(drawer.cashIn)} · change given {KSH(drawer.changeOut)}</span>
+              <strong>Expected {KSH(cashDrawer.expectedCash(drawer))}</strong>
+            </div>
+          </div>
+        ) : (
+          <p className="small text-muted">
+            Count the float into the drawer. Change at checkout is then suggested from the notes and coins the drawer holds.
+          </p>
+        )}
+
+        <Table size="sm" className="align-middle mb-2">
+          <thead>
+            <tr>
+              <th>Note / coin</th>
+              <th style={{ width: 110 }}>Count</th>
+              <th className="text-end">Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {cashDrawer.DENOMINATIONS.map((d) => (
+              <tr key={d}>
+                <td>{KSH(d)}</td>
+                <td>
+                  <Form.Control
+                    size="sm"
+                    type="number"
+                    min={0}
+                    value={counts[d]}
+                    onChange={(e) => setCounts((prev) => ({ ...prev, [d]: e.target.value }))}
+                    aria-label={`Count of Ksh ${d}`}
+                  />
+                </td>
+                <td className="text-end">{KSH(d * (Number(counts[d]) || 0))}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="fw-bold">
+              <td colSpan={2}>Counted</td>
+              <td className="text-end">{KSH(counted)}</td>
+            </tr>
+          </tfoot>
+        </Table>
+        {error && <Alert variant="danger" className="mb-0 py-2">{error}</Alert>}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="outline-secondary" onClick={onHide} disabled={busy}>Cancel</Button>
+        {drawer ? (
+          <>
+            <Button variant="outline-primary" onClick={handleRecount} disabled={busy}>Save count</Button>
+            <Button variant="danger" onClick={handleClose} disabled={busy}>Close drawer</Button>
+          </>
+        ) : (
+          <Button variant="success" onClick={handleOpen} disabled={busy || counted <= 0}>
+            Open with {KSH(counted)}
+          </Button>
+        )}
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -0,0 +1,86 @@
+// src/app/components/CashRoundingPanel.jsx
+// Settings card for rounding cash totals, since coins below 1 Ksh are not in use.
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Divider,
+  Grid,
+  MenuItem,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Payments as PaymentsIcon, Save as SaveIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import cashDrawer from '../../services/cashDrawer';
+
+const EXAMPLE_TOTAL = 1232.5;
+
+export default function CashRoundingPanel() {
+  const [roundTo, setRoundTo] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    cashDrawer.getCashSettings()
+      .then((s) => setRoundTo(s.roundTo))
+      .catch(() => setRoundTo(cashDrawer.DEFAULT_CASH_SETTINGS.roundTo));
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saved = await cashDrawer.saveCashSettings({ roundTo });
+      setRoundTo(saved.roundTo);
+      toast.success('Cash rounding saved');
+    } catch (err) {
+      toast.error(err?.message || 'Failed to save cash rounding');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const example = cashDrawer.cashDue(EXAMPLE_TOTAL, roundTo || 1);
+
+  return (
+    <Grid item xs={12}>
+      <Card sx={{ borderRadius: 3, boxShadow: '0 8px 24px rgba(0,0,0,0.04)' }}>
+        <CardContent sx={{ p: 4 }}>
+          <Typography variant="h6" fontWeight="bold" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <PaymentsIcon color="primary" /> Cash Rounding
+          </Typography>
+          <Divider sx={{ my: 3 }} />
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            What is paid in cash is rounded to the nearest step. The rounding is kept on the order and printed on the receipt; card, M-Pesa and other tenders are never rounded.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+            <TextField
+              select
+              label="Round cash to the nearest"
+              size="small"
+              value={roundTo ?? ''}
+              onChange={(e) => setRoundTo(Number(e.target.value))}
+              helperText={`Ksh ${EXAMPLE_TOTAL.toLocaleString()} is paid as Ksh ${example.due.toLocaleString()}`}
+              disabled={roundTo === null}
+              sx={{ width: 240 }}
+            >
+              {cashDrawer.ROUNDING_STEPS.map((step) => (
+                <MenuItem key={step} value={step}>Ksh {step}</MenuItem>
+              ))}
+            </TextField>
+            <Button
+              variant="contained"
+              onClick={handleSave}
+              disabled={roundTo === null || saving}
+              startIcon={<SaveIcon />}
+              sx={{ borderRadius: 2 }}
+            >
+              {saving ? 'Saving…' : 'Save cash rounding'}
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+    </Grid>
+  );
+}
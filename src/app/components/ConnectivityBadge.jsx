@@ -0,0 +1,47 @@
+// src/app/components/ConnectivityBadge.jsx
+import React, { useEffect, useState } from 'react';
+import connectivity, { HEALTH } from '../../services/connectivity';
+
+const LABELS = {
+  [HEALTH.ONLINE]: { text: 'Online', color: '#198754' },
+  [HEALTH.DEGRADED]: { text: 'Server issues', color: '#fd7e14' },
+  [HEALTH.OFFLINE]: { text: 'Offline', color: '#dc3545' },
+};
+
+const KIND_TEXT = {
+  timeout: 'Requests are timing out',
+  server: 'The server is returning errors',
+  offline: 'The server cannot be reached',
+};
+
+export default function ConnectivityBadge() {
+  const [state, setState] = useState(connectivity.getState());
+
+  useEffect(() => connectivity.subscribe(setState), []);
+
+  const label = LABELS[state.status] || LABELS[HEALTH.ONLINE];
+  const detail = state.status === HEALTH.ONLINE
+    ? (state.lastSuccessAt ? `Last response ${new Date(state.lastSuccessAt).toLocaleTimeString()}` : 'Connected')
+    : `${KIND_TEXT[state.lastErrorKind] || 'Connection problem'}${state.lastError ? ` - ${state.lastError}` : ''}`;
+
+  return (
+    <span
+      title={detail}
+      aria-label={`Connection status: ${label.text}`}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: 6,
+        padding: '2px 10px',
+        borderRadius: 12,
+        border: `1px solid ${label.color}`,
+        color: label.color,
+        fontSize: 12,
+        marginRight: 8,
+      }}
+    >
+      <span style={{ width: 8, height: 8, borderRadius: '50%', background: label.color }} />
+      {label.text}
+    </span>
+  );
+}
@@ -0,0 +1,119 @@
+// src/app/components/CustomerLookup.jsx
+// Cart panel strip that attaches a customer to the sale by phone, or signs a new one up.
+import React, { useState } from 'react';
+import { Button, Form, InputGroup, Badge } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import customers from '../../services/customers';
+import { LOCAL_ONLY, localOnlyNotice } from '../../services/serverRoutes';
+
+const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
+
+/**
+ * @param {{ customer: object|null, onChange: (customer: object|null) => void }} props -
+ *   `customer` is the attached account, null for a walk-in
+ */
+export default function CustomerLookup({ customer, onChange }) {
+  const [phone, setPhone] = useState('');
+  const [name, setName] = useState('');
+  const [searching, setSearching] = useState(false);
+  // phone looked up with no account behind it, offered for sign-up
+  const [notFound, setNotFound] = useState(null);
+  const [offline, setOffline] = useState(false);
+
+  const handleLookup = async (e) => {
+    if (e) e.preventDefault();
+    setSearching(true);
+    setNotFound(null);
+    try {
+      const { customer: found, source } = await customers.lookupCustomer(phone, api);
+      setOffline(source === 'cache');
+      if (found) {
+        onChange(found);
+        setPhone('');
+      } else {
+        setNotFound(customers.normalizePhone(phone));
+        if (source === 'cache') toast.warning('Offline and this customer is not cached on the till');
+      }
+    } catch (err) {
+      toast.error(err?.message || 'Customer lookup failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    setSearching(true);
+    try {
+      const created = await customers.createCustomer({ phone: notFound, name }, api);
+      onChange(created);
+      setNotFound(null);
+      setPhone('');
+      setName('');
+      toast.success(`${created.name} signed up for loyalty points`);
+      if (created.syncStatus === LOCAL_ONLY) toast.info(localOnlyNotice(`${created.name}'s account`));
+    } catch (err) {
+      toast.error(err?.message || 'Failed to add customer');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  if (customer) {
+    return (
+      <div className="border rounded p-2 mb-3 small bg-light">
+        <div className="d-flex justify-content-between align-items-center">
+          <strong><i className="fas fa-user me-1" />{customer.name || 'Customer'}</strong>
+          <span className="d-flex align-items-center gap-2">
+            {offline && <Badge bg="secondary" title="Shown from this till's cache">Offline</Badge>}
+            {customer.syncStatus === LOCAL_ONLY && <Badge bg="secondary" title={localOnlyNotice('This customer')}>This till only</Badge>}
+            <Button size="sm" variant="outline-secondary" onClick={() => onChange(null)} title="Sell to a walk-in instead">
+              <i className="fas fa-times" />
+            </Button>
+          </span>
+        </div>
+        <div className="text-muted">{customer.phone}</div>
+        <div className="d-flex justify-content-between mt-1">
+          <span>{customer.visits} visit{customer.visits === 1 ? '' : 's'}</span>
+          <span>Spent {KSH(customer.lifetimeSpend)}</span>
+          <span className="fw-semibold text-success">{Number(customer.points).toLocaleString()} pts</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-3">
+      <Form onSubmit={handleLookup}>
+        <InputGroup size="sm">
+          <InputGroup.Text><i className="fas fa-user" /></InputGroup.Text>
+          <Form.Control
+            type="tel"
+            inputMode="numeric"
+            value={phone}
+            onChange={(e) => { setPhone(e.target.value); setNotFound(null); }}
+            placeholder="Customer phone (optional)"
+            aria-label="Customer phone"
+          />
+          <Button type="submit" variant="outline-primary" disabled={searching || !phone.trim()}>
+            {searching ? 'Finding…' : 'Find'}
+          </Button>
+        </InputGroup>
+      </Form>
+      {notFound && (
+        <InputGroup size="sm" className="mt-2">
+          <Form.Control
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={`No account for ${notFound} - customer name`}
+            aria-label="New customer name"
+          />
+          <Button variant="primary" onClick={handleCreate} disabled={searching || !name.trim()}>
+            Add customer
+          </Button>
+        </InputGroup>
+      )}
+    </div>
+  );
+}
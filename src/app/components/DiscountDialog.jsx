@@ -0,0 +1,114 @@
+// src/app/components/DiscountDialog.jsx
+// Percentage or fixed-amount discount with a reason code, for a cart line or the whole order.
+import React, { useEffect, useState } from 'react';
+import { Modal, Button, Form, Alert, ButtonGroup, ToggleButton } from 'react-bootstrap';
+import discounts, { DISCOUNT_KINDS, DISCOUNT_REASONS } from '../../services/discounts';
+
+const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
+
+/**
+ * @param {{ show: boolean, title: string, base: number, maxPercent: number, current?: object|null,
+ *   validate?: (draft: object) => string|null,
+ *   onCancel: () => void, onApply: (discount: { kind, value, reasonCode, note }|null) => void }} props -
+ *   `base` is the Ksh the discount applies to; `validate` checks the draft against the rest
+ *   of the sale; onApply(null) removes the current discount
+ */
+export default function DiscountDialog({ show, title, base = 0, maxPercent = 0, current = null, validate = null, onCancel, onApply }) {
+  const [kind, setKind] = useState(DISCOUNT_KINDS.PERCENT);
+  const [value, setValue] = useState('');
+  const [reasonCode, setReasonCode] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!show) return;
+    setKind(current?.kind || DISCOUNT_KINDS.PERCENT);
+    setValue(current ? String(current.value) : '');
+    setReasonCode(current?.reasonCode || '');
+    setNote('');
+    setError('');
+  }, [show, current]);
+
+  const draft = { kind, value, reasonCode, note };
+  const off = discounts.discountAmount(base, { kind, value });
+
+  const handleApply = (e) => {
+    if (e) e.preventDefault();
+    const problem = discounts.validateDiscount(draft, base, maxPercent) || (validate ? validate(draft) : null);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onApply(draft);
+  };
+
+  return (
+    <Modal show={show} onHide={onCancel} centered>
+      <Form onSubmit={handleApply}>
+        <Modal.Header closeButton>
+          <Modal.Title>{title}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <div className="d-flex justify-content-between mb-3">
+            <span>Applies to: <strong>{KSH(base)}</strong></span>
+            <span className="text-muted small">Your limit: {maxPercent}%</span>
+          </div>
+
+          <div className="d-flex gap-2 mb-3">
+            <ButtonGroup>
+              {[[DISCOUNT_KINDS.PERCENT, '%'], [DISCOUNT_KINDS.AMOUNT, 'Ksh']].map(([k, label]) => (
+                <ToggleButton
+                  key={k}
+                  id={`discount-kind-${k}`}
+                  type="radio"
+                  variant="outline-primary"
+                  name="discount-kind"
+                  value={k}
+                  checked={kind === k}
+                  onChange={() => setKind(k)}
+                >
+                  {label}
+                </ToggleButton>
+              ))}
+            </ButtonGroup>
+            <Form.Control
+              type="number"
+              min="0"
+              step="0.01"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              placeholder={kind === DISCOUNT_KINDS.PERCENT ? 'Percent off' : 'Amount off'}
+              autoFocus
+            />
+          </div>
+
+          <Form.Group className="mb-2">
+            <Form.Label>Reason</Form.Label>
+            <Form.Select value={reasonCode} onChange={(e) => setReasonCode(e.target.value)}>
+              <option value="">Choose a reason…</option>
+              {DISCOUNT_REASONS.map((r) => <option key={r.code} value={r.code}>{r.label}</option>)}
+            </Form.Select>
+          </Form.Group>
+          <Form.Control
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder={reasonCode === 'OTHER' ? 'Describe the reason' : 'Notes (optional)'}
+          />
+
+          <p className="fw-bold mt-3 mb-0">
+            Discount: {KSH(off)} · New amount: {KSH(Math.max(0, base - off))}
+          </p>
+          {error && <Alert variant="danger" className="mt-3 mb-0 py-2">{error}</Alert>}
+        </Modal.Body>
+        <Modal.Footer>
+          {current && (
+            <Button variant="outline-danger" className="me-auto" onClick={() => onApply(null)}>Remove discount</Button>
+          )}
+          <Button variant="outline-secondary" onClick={onCancel}>Cancel</Button>
+          <Button variant="primary" type="submit">Apply</Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+}
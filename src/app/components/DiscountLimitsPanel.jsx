@@ -0,0 +1,88 @@
+// src/app/components/DiscountLimitsPanel.jsx
+// Settings card for the deepest manual discount each staff role may give at the till.
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Divider,
+  Grid,
+  InputAdornment,
+  TextField,
+  Typography
+} from '@mui/material';
+import { LocalOffer as LocalOfferIcon, Save as SaveIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import discounts from '../../services/discounts';
+
+const ROLE_LABELS = {
+  admin: 'Admin',
+  'order manager': 'Order Manager',
+  accountant: 'Accountant',
+  default: 'Other staff',
+};
+
+export default function DiscountLimitsPanel() {
+  const [limits, setLimits] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    discounts.getDiscountLimits()
+      .then((l) => setLimits(Object.fromEntries(Object.entries(l).map(([k, v]) => [k, String(v)]))))
+      .catch(() => setLimits({ ...discounts.DEFAULT_DISCOUNT_LIMITS }));
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await discounts.saveDiscountLimits(limits);
+      toast.success('Discount limits saved');
+    } catch (err) {
+      toast.error(err?.message || 'Failed to save discount limits');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Grid item xs={12}>
+      <Card sx={{ borderRadius: 3, boxShadow: '0 8px 24px rgba(0,0,0,0.04)' }}>
+        <CardContent sx={{ p: 4 }}>
+          <Typography variant="h6" fontWeight="bold" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <LocalOfferIcon color="primary" /> Discount Limits
+          </Typography>
+          <Divider sx={{ my: 3 }} />
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            The most each role may take off a cart line or a whole order, as a percentage. Fixed-amount discounts are checked against the same limit.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+            {Object.keys(ROLE_LABELS).map((role) => (
+              <TextField
+                key={role}
+                label={ROLE_LABELS[role]}
+                type="number"
+                size="small"
+                value={limits?.[role] ?? ''}
+                onChange={(e) => setLimits((prev) => ({ ...prev, [role]: e.target.value }))}
+                InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                inputProps={{ min: 0, max: 100 }}
+                disabled={!limits}
+                sx={{ width: 160 }}
+              />
+            ))}
+            <Button
+              variant="contained"
+              onClick={handleSave}
+              disabled={!limits || saving}
+              startIcon={<SaveIcon />}
+              sx={{ borderRadius: 2 }}
+            >
+              {saving ? 'Saving…' : 'Save limits'}
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+    </Grid>
+  );
+}
@@ -0,0 +1,107 @@
+// src/app/components/EditConflictModal.jsx
+// Shown when a product or inventory save finds that someone else changed the same
+// fields since the edit started. Lets the user pick, per field, their value, the
+// server's, or (for quantities) both changes combined.
+import React, { useEffect, useMemo, useState } from 'react';
+import { Modal, Button, Table, Form, Badge } from 'react-bootstrap';
+
+const show = (value) => {
+  if (value === undefined || value === null || value === '') return <span className="text-muted">—</span>;
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+const combined = (row) => Number(row.server || 0) + (Number(row.local || 0) - Number(row.base || 0));
+
+/**
+ * @param {{ conflict: object|null, busy?: boolean, onResolve: (choices: object) => void,
+ *   onDiscard: () => void, onCancel: () => void }} props - `conflict` is `error.conflict`
+ *   from editConflicts.guardedUpdate
+ */
+export default function EditConflictModal({ conflict, busy = false, onResolve, onDiscard, onCancel }) {
+  const rows = useMemo(() => conflict?.diff || [], [conflict]);
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    const initial = {};
+    rows.filter((r) => r.conflict).forEach((r) => { initial[r.field] = r.additive ? 'combine' : 'mine'; });
+    setChoices(initial);
+  }, [rows]);
+
+  if (!conflict) return null;
+
+  const conflicting = rows.filter((r) => r.conflict);
+  const serverOnly = rows.filter((r) => !r.conflict && r.changedOnServer && !r.changedLocally);
+  const setAll = (choice) => setChoices(Object.fromEntries(conflicting.map((r) => [r.field, choice === 'combine' && !r.additive ? 'mine' : choice])));
+
+  return (
+    <Modal show onHide={() => !busy && onCancel()} size="lg" centered backdrop="static">
+      <Modal.Header closeButton={!busy}>
+        <Modal.Title>Changed by someone else</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p className="mb-3">
+          This {conflict.entity} ({conflict.id}) was updated on the server after you started editing.
+          Choose which value to keep for each field.
+        </p>
+        <Table size="sm" bordered responsive className="align-middle">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>When you opened it</th>
+              <th>Yours</th>
+              <th>Server now</th>
+              <th style={{ width: 220 }}>Keep</th>
+            </tr>
+          </thead>
+          <tbody>
+            {conflicting.map((row) => (
+              <tr key={row.field}>
+                <td><strong>{row.label}</strong></td>
+                <td>{show(row.base)}</td>
+                <td>{show(row.local)}</td>
+                <td>{show(row.server)}</td>
+                <td>
+                  <Form.Select
+                    size="sm"
+                    value={choices[row.field] || 'mine'}
+                    onChange={(e) => setChoices({ ...choices, [row.field]: e.target.value })}
+                    disabled={busy}
+                  >
+                    <option value="mine">Mine ({show(row.local)})</option>
+                    <option value="theirs">Server ({show(row.server)})</option>
+                    {row.additive && <option value="combine">Both changes ({combined(row)})</option>}
+                  </Form.Select>
+                </td>
+              </tr>
+            ))}
+            {serverOnly.map((row) => (
+              <tr key={row.field} className="text-muted">
+                <td>{row.label}</td>
+                <td>{show(row.base)}</td>
+                <td>{show(row.local)}</td>
+                <td>{show(row.server)}</td>
+                <td><Badge bg="secondary">Server value kept</Badge></td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+        <div className="d-flex gap-2">
+          <Button size="sm" variant="outline-secondary" onClick={() => setAll('mine')} disabled={busy}>All mine</Button>
+          <Button size="sm" variant="outline-secondary" onClick={() => setAll('theirs')} disabled={busy}>All server</Button>
+          {conflicting.some((r) => r.additive) && (
+            <Button size="sm" variant="outline-secondary" onClick={() => setAll('combine')} disabled={busy}>Combine quantities</Button>
+          )}
+        </div>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="outline-danger" onClick={onDiscard} disabled={busy}>Discard my changes</Button>
+        <Button variant="secondary" onClick={onCancel} disabled={busy}>Back to editing</Button>
+        <Button variant="primary" onClick={() => onResolve(choices)} disabled={busy}>
+          {busy ? 'Saving...' : 'Save merged'}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
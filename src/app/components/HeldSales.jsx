@@ -3,6 +3,11 @@ import React, { useEffect, useMemo, useState, useCallback } from 'react';
 import { Modal, Button, ListGroup, Badge } from 'react-bootstrap';
 import CartItems from './CartItems';
 import PaymentForm from './PaymentForm';
+import LayawayPanel from './LayawayPanel';
+import orderIdempotency from '../../services/orderIdempotency';
+import tenders from '../../services/tenders';
+import cashDrawer from '../../services/cashDrawer';
+import { cartTotal } from '../../utils/pricing';
 
 const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
 
@@ -13,7 +18,13 @@ export default function HeldSales({
   onHoldSale = () => {},
   onRetrieveSale = () => {},
   onDeleteSale = () => {},
-  onCheckoutSale = () => {}
+  onCheckoutSale = () => {},
+  roundTo = null,
+  drawerCounts = null,
+  // open layaways by sale id; a sale with one is paid off here instead of checked out
+  layaways = {},
+  onLayawayPayment = async () => null,
+  onCompleteLayaway = () => {}
 }) {
   // normalize heldSales: array | object map -> array
   let normalized = [];
@@ -46,9 +57,13 @@ export default function HeldSales({
     const pmap = {};
     Object.keys(map).forEach(id => {
       const sale = map[id];
+      const held = tenders.normalizePayment(
+        sale?.paymentType || sale?.payment?.method || 'cash',
+        sale?.paymentData || sale?.payment || { cashAmount: '', mpesaPhone: '', mpesaAmount: '' }
+      );
       pmap[id] = {
-        paymentType: sale?.paymentType || sale?.payment?.method || 'cash',
-        paymentData: sale?.paymentData || sale?.payment || { cashAmount: '', mpesaPhone: '', mpesaAmount: '' },
+        paymentType: held.paymentType,
+        paymentData: held.paymentData,
         currentOrderId: sale?.currentOrderId || null,
         processing: false
       };
@@ -62,16 +77,7 @@ export default function HeldSales({
     return Array.isArray(i) ? i : [];
   };
 
-  const calculateTotal = useCallback((items) => {
-    const arr = Array.isArray(items) ? items : [];
-    return arr.reduce((sum, it) => {
-      const price = it?.priceType === 'Retail'
-        ? (Number(it?.price) || 0)
-        : (Number(it?.priceAfterDiscount) || Number(it?.price) || 0);
-      const qty = Number(it?.quantity) || 1;
-      return sum + price * qty;
-    }, 0);
-  }, []);
+  const calculateTotal = useCallback((items, orderDiscount = null) => cartTotal(items, { orderDiscount }), []);
 
   // remove an item from local sale (used by CartItems remove button)
   const handleRemoveItemFromLocal = useCallback((saleId, cartKey, item) => {
@@ -109,15 +115,17 @@ export default function HeldSales({
     if (!sale) { return; }
 
     const pstate = paymentState[saleId] || {};
+    // a second click while this sale is being submitted must not post it again
+    if (pstate.processing) return;
     const paymentType = pstate.paymentType || 'cash';
     const paymentData = pstate.paymentData || { cashAmount: '', mpesaPhone: '', mpesaAmount: '' };
 
     // validation mirrors cart logic (basic)
-    const total = calculateTotal(getItemsArray(sale));
+    const total = calculateTotal(getItemsArray(sale), sale.orderDiscount);
     if (!paymentType) { window.Toast?.error?.('Please select a payment method'); return; } // optional global toast
     if (paymentType === 'cash') {
       const cashVal = Number(paymentData.cashAmount);
-      if (!paymentData.cashAmount || Number.isNaN(cashVal) || cashVal < total) {
+      if (!paymentData.cashAmount || Number.isNaN(cashVal) || cashVal < cashDrawer.cashDue(total, roundTo).due) {
         window.Toast?.error?.('Please enter a valid cash amount (>= total)');
         return;
       }
@@ -126,13 +134,17 @@ export default function HeldSales({
       window.Toast?.error?.('Please enter M-Pesa phone number');
       return;
     }
+    if (paymentType === 'split') {
+      const problem = tenders.validateTenders(paymentData.tenders, total, { roundTo });
+      if (problem) { window.Toast?.error?.(problem); return; }
+    }
 
     // mark processing
     setPaymentForSale(saleId, (s) => ({ ...s, processing: true }));
 
     try {
       // Hand off to parent: parent should restore sale to cart/store, then call existing checkout flows.
-      await onCheckoutSale(saleId, { paymentType, paymentData, sale });
+      await onCheckoutSale(saleId, { paymentType, paymentData, sale, clientOrderId: orderIdempotency.keyForHeldSale(saleId) });
 
       // optional: close modal on success (parent can also choose)
       // onHide();
@@ -143,7 +155,7 @@ export default function HeldSales({
     } finally {
       setPaymentForSale(saleId, (s) => ({ ...s, processing: false }));
     }
-  }, [localSalesMap, paymentState, onCheckoutSale, calculateTotal, setPaymentForSale]);
+  }, [localSalesMap, paymentState, onCheckoutSale, calculateTotal, setPaymentForSale, roundTo]);
 
   // Helper: format id for display
   const saleDisplayId = (sale, idx) => sale?.name || sale?.id || sale?._id || sale?.saleId || `Sale ${idx + 1}`;
@@ -171,7 +183,9 @@ export default function HeldSales({
               const id = origSale?.id ?? origSale?._id ?? origSale?.saleId ?? String(idx);
               const sale = localSalesMap[id] || origSale;
               const items = getItemsArray(sale);
-              const total = calculateTotal(items);
+              const layaway = layaways[id] || null;
+              // a layaway's total was fixed when the deposit was taken
+              const total = layaway ? layaway.total : calculateTotal(items, sale.orderDiscount);
               const ts = sale?.timestamp ? new Date(sale.timestamp) : null;
               const displayName = saleDisplayId(sale, idx);
               const pstate = paymentState[id] || { paymentType: 'cash', paymentData: { cashAmount: '', mpesaPhone: '', mpesaAmount: '' }, currentOrderId: null, processing: false };
@@ -180,7 +194,11 @@ export default function HeldSales({
                 <ListGroup.Item key={id} className="mb-2">
                   <div className="d-flex justify-content-between align-items-start mb-2">
                     <div>
-                      <h6 className="mb-1 fw-bold">{displayName}</h6>
+                      <h6 className="mb-1 fw-bold">
+                        {displayName}
+                        {layaway && <Badge bg="warning" text="dark" className="ms-2">Layaway</Badge>}
+                      </h6>
+                      {sale.customer?.name && <div className="small">{sale.customer.name}</div>}
                       <small className="text-muted">
                         <i className="fas fa-clock me-1" />
                         {ts ? ts.toLocaleString() : 'Unknown time'}
@@ -194,57 +212,70 @@ export default function HeldSales({
 
                   {/* Items list - reuses CartItems component but hooked to local removal */}
                   <div className="mb-3">
-                    <CartItems cart={items} onRemoveItem={(cartKey, item) => handleRemoveItemFromLocal(id, cartKey, item)} />
+                    <CartItems cart={items} onRemoveItem={layaway ? undefined : (cartKey, item) => handleRemoveItemFromLocal(id, cartKey, item)} />
                   </div>
 
+                  <LayawayPanel
+                    layaway={layaway}
+                    total={total}
+                    onPay={(payment) => onLayawayPayment(id, payment)}
+                    onComplete={() => onCompleteLayaway(id)}
+                  />
+
                   {/* Payment controls (mirrors PaymentForm behaviour) */}
-                  <div className="mb-3">
-                    <PaymentForm
-                      paymentType={pstate.paymentType}
-                      setPaymentType={(pt) => setPaymentForSale(id, (s) => ({ ...s, paymentType: pt }))}
-                      paymentData={pstate.paymentData}
-                      setPaymentData={(pd) => setPaymentForSale(id, (s) => ({ ...s, paymentData: pd }))}
-                      cartTotal={total}
-                      setCurrentOrderId={(oid) => setPaymentForSale(id, (s) => ({ ...s, currentOrderId: oid }))}
-                    />
-                  </div>
+                  {!layaway && (
+                    <div className="mb-3">
+                      <PaymentForm
+                        paymentType={pstate.paymentType}
+                        setPaymentType={(pt) => setPaymentForSale(id, (s) => ({ ...s, paymentType: pt }))}
+                        paymentData={pstate.paymentData}
+                        setPaymentData={(pd) => setPaymentForSale(id, (s) => ({ ...s, paymentData: pd }))}
+                        cartTotal={total}
+                        setCurrentOrderId={(oid) => setPaymentForSale(id, (s) => ({ ...s, currentOrderId: oid }))}
+                        roundTo={roundTo}
+                        drawerCounts={drawerCounts}
+                      />
+                    </div>
+                  )}
 
-                  <div className="d-flex gap-2">
-                    <Button
-                      variant="success"
-                      size="sm"
-                      className="flex-grow-1"
-                      onClick={() => handleCheckout(id)}
-                      disabled={pstate.processing || items.length === 0}
-                    >
-                      {pstate.processing ? (
-                        <>
-                          <span className="spinner-border spinner-border-sm me-2" />
-                          Processing...
-                        </>
-                      ) : (
-                        <>
-                          <i className="fas fa-check-circle me-1" /> Checkout - {KSH(total)}
-                        </>
-                      )}
-                    </Button>
+                  {!layaway && (
+                    <div className="d-flex gap-2">
+                      <Button
+                        variant="success"
+                        size="sm"
+                        className="flex-grow-1"
+                        onClick={() => handleCheckout(id)}
+                        disabled={pstate.processing || items.length === 0}
+                      >
+                        {pstate.processing ? (
+                          <>
+                            <span className="spinner-border spinner-border-sm me-2" />
+                            Processing...
+                          </>
+                        ) : (
+                          <>
+                            <i className="fas fa-check-circle me-1" /> Checkout - {KSH(total)}
+                          </>
+                        )}
+                      </Button>
 
-                    <Button
-                      variant="outline-primary"
-                      size="sm"
-                      onClick={() => { try { onRetrieveSale(id); } catch (e) {} }}
-                    >
-                      <i className="fas fa-shopping-cart me-1" /> Restore to Cart
-                    </Button>
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        onClick={() => { try { onRetrieveSale(id); } catch (e) {} }}
+                      >
+                        <i className="fas fa-shopping-cart me-1" /> Restore to Cart
+                      </Button>
 
-                    <Button
-                      variant="danger"
-                      size="sm"
-                      onClick={() => { try { onDeleteSale(id); } catch (e) {} }}
-                    >
-                      <i className="fas fa-trash me-1" /> Delete
-                    </Button>
-                  </div>
+                      <Button
+                        variant="danger"
+                        size="sm"
+                        onClick={() => { try { onDeleteSale(id); } catch (e) {} }}
+                      >
+                        <i className="fas fa-trash me-1" /> Delete
+                      </Button>
+                    </div>
+                  )}
                 </ListGroup.Item>
               );
             })}
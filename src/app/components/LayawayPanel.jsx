@@ -0,0 +1,108 @@
+// src/app/components/LayawayPanel.jsx
+// Deposits and instalments on one held sale (services/layaways), shown inside Held Sales.
+import React, { useState } from 'react';
+import { Badge, Button, Form, InputGroup, Table, ProgressBar } from 'react-bootstrap';
+import { TENDER_METHODS, labelFor } from '../../services/tenders';
+import { PAYMENT_METHODS } from '../../services/layaways';
+import { LOCAL_ONLY, localOnlyNotice } from '../../services/serverRoutes';
+
+const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
+const dateOf = (ts) => new Date(ts).toLocaleDateString('en-GB');
+
+/**
+ * @param {{ layaway: object|null, total: number, onPay: (payment: object) => Promise<object|null>,
+ *   onComplete: () => Promise<void>|void }} props - `layaway` is null until the first deposit;
+ *   `total` is what the held sale comes to; onPay resolves to the layaway, or null when refused
+ */
+export default function LayawayPanel({ layaway = null, total = 0, onPay, onComplete }) {
+  const [method, setMethod] = useState(TENDER_METHODS.CASH);
+  const [amount, setAmount] = useState('');
+  const [reference, setReference] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const balance = layaway ? layaway.balance : total;
+  const paid = layaway ? layaway.paid : 0;
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePay = () => run(async () => {
+    const result = await onPay({ method, amount, reference });
+    if (result) {
+      setAmount('');
+      setReference('');
+    }
+  });
+
+  return (
+    <div className="border rounded p-2 mb-3 small">
+      <div className="d-flex justify-content-between mb-1">
+        <span className="fw-semibold">
+          <i className="fas fa-piggy-bank me-1" />
+          {layaway ? 'Layaway' : 'Take a deposit to put this sale on layaway'}
+        </span>
+        {layaway && (
+          <span>
+            Paid <strong>{KSH(paid)}</strong> of {KSH(layaway.total)}
+          </span>
+        )}
+      </div>
+
+      {layaway && (
+        <>
+          <ProgressBar now={layaway.total > 0 ? (paid / layaway.total) * 100 : 0} variant="success" style={{ height: 6 }} className="mb-2" />
+          <Table size="sm" className="mb-2">
+            <tbody>
+              {layaway.payments.map((p) => (
+                <tr key={p.id}>
+                  <td>{dateOf(p.createdAt)}</td>
+                  <td>{p.label || labelFor(p.method)}{p.reference ? ` · ${p.reference}` : ''}</td>
+                  <td className="text-muted">{p.cashier}</td>
+                  <td className="text-end">{KSH(p.amount)}</td>
+                  <td className="text-end">
+                    {layaway.syncStatus === LOCAL_ONLY
+                      ? <Badge bg="secondary" title={localOnlyNotice('This payment')}>This till only</Badge>
+                      : p.syncStatus !== 'synced' && <i className="fas fa-cloud-upload-alt text-warning" title="Not yet sent to the server" />}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </>
+      )}
+
+      {balance > 0 ? (
+        <div className="d-flex gap-2">
+          <Form.Select size="sm" value={method} onChange={(e) => setMethod(e.target.value)} style={{ maxWidth: 120 }} aria-label="Deposit method">
+            {PAYMENT_METHODS.map((m) => (
+              <option key={m} value={m}>{labelFor(m)}</option>
+            ))}
+          </Form.Select>
+          <InputGroup size="sm" style={{ maxWidth: 200 }}>
+            <InputGroup.Text>Ksh</InputGroup.Text>
+            <Form.Control type="number" min={0} value={amount} onChange={(e) => setAmount(e.target.value)} placeholder={`up to ${Number(balance).toLocaleString()}`} aria-label="Amount paid" />
+          </InputGroup>
+          {method === TENDER_METHODS.MPESA && (
+            <Form.Control size="sm" type="text" value={reference} onChange={(e) => setReference(e.target.value.toUpperCase())} placeholder="M-Pesa code" aria-label="M-Pesa code" style={{ maxWidth: 150 }} />
+          )}
+          <Button size="sm" variant="primary" onClick={handlePay} disabled={busy || !(Number(amount) > 0)}>
+            {layaway ? 'Add instalment' : 'Take deposit'}
+          </Button>
+          {layaway && (
+            <span className="ms-auto align-self-center">Balance <strong className="text-danger">{KSH(balance)}</strong></span>
+          )}
+        </div>
+      ) : (
+        <Button size="sm" variant="success" className="w-100" onClick={() => run(async () => onComplete())} disabled={busy}>
+          <i className="fas fa-check-circle me-1" /> Fully paid - complete sale and release goods
+        </Button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+// src/app/components/LocalDatabasePanel.jsx
+// Settings card showing the on-disk IndexedDB schema, with a manual rebuild for support.
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Divider,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { Storage as StorageIcon, Refresh as RefreshIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import indexedDb from '../../services/indexedDB';
+
+const formatKeyPath = (kp) => (Array.isArray(kp) ? kp.join(', ') : String(kp ?? '(none)'));
+
+export default function LocalDatabasePanel() {
+  const [info, setInfo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [rebuilding, setRebuilding] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setInfo(await indexedDb.getSchemaInfo());
+    } catch (err) {
+      console.error('Failed to read local database schema', err);
+      setInfo({ error: err?.message || String(err) });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleRebuild = async () => {
+    if (!window.confirm('Rebuild the local database? Orders and queued sales are kept; the product catalog will download again on the next sync.')) return;
+    setRebuilding(true);
+    try {
+      await indexedDb.rebuildDatabase();
+      toast.success('Local database rebuilt');
+      await load();
+    } catch (err) {
+      toast.error(`Rebuild failed: ${err?.message || err}`);
+    } finally {
+      setRebuilding(false);
+    }
+  };
+
+  const outdated = info && !info.error && info.version !== info.expectedVersion;
+
+  return (
+    <Grid item xs={12}>
+      <Card sx={{ borderRadius: 3, boxShadow: '0 8px 24px rgba(0,0,0,0.04)' }}>
+        <CardContent sx={{ p: 4 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2 }}>
+            <Typography variant="h6" fontWeight="bold" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <StorageIcon color="primary" /> Local Database
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button size="small" variant="outlined" onClick={load} disabled={loading || rebuilding} startIcon={<RefreshIcon />}>
+                Refresh
+              </Button>
+              <Button
+                size="small"
+                variant="contained"
+                color="warning"
+                onClick={handleRebuild}
+                disabled={loading || rebuilding}
+                startIcon={rebuilding ? <CircularProgress size={16} color="inherit" /> : null}
+              >
+                Rebuild local database
+              </Button>
+            </Box>
+          </Box>
+          <Divider sx={{ my: 3 }} />
+
+          {loading && !info ? (
+            <CircularProgress size={24} />
+          ) : info?.error ? (
+            <Typography color="error">Could not open the local database: {info.error}</Typography>
+          ) : info ? (
+            <>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                <Chip label={`Schema v${info.version}`} color={outdated ? 'warning' : 'success'} size="small" />
+                <Chip label={`Expected v${info.expectedVersion}`} size="small" variant="outlined" />
+                <Chip label={`Status: ${info.status?.status || 'unknown'}`} size="small" variant="outlined" />
+              </Box>
+              {info.lastRecovery && (
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  Last rebuilt {new Date(info.lastRecovery.at).toLocaleString()} ({info.lastRecovery.reason}).
+                  {' '}Kept: {Object.entries(info.lastRecovery.salvaged || {}).map(([n, c]) => `${c} ${n}`).join(', ') || 'nothing'}.
+                </Typography>
+              )}
+
+              <Table size="small" sx={{ mb: 3 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Store</TableCell>
+                    <TableCell>Key</TableCell>
+                    <TableCell>Indexes</TableCell>
+                    <TableCell align="right">Records</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {info.stores.map((s) => (
+                    <TableRow key={s.name}>
+                      <TableCell>{s.name}</TableCell>
+                      <TableCell>{formatKeyPath(s.keyPath)}</TableCell>
+                      <TableCell>{s.indexes.length ? s.indexes.join(', ') : '-'}</TableCell>
+                      <TableCell align="right">{s.count ?? '-'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+
+              <Typography variant="subtitle2" fontWeight="bold" gutterBottom>Migrations</Typography>
+              {info.migrations.map((m) => (
+                <Typography key={m.version} variant="body2" color={m.applied ? 'text.primary' : 'text.secondary'}>
+                  {m.applied ? '✓' : '○'} v{m.version} - {m.description}
+                </Typography>
+              ))}
+            </>
+          ) : null}
+        </CardContent>
+      </Card>
+    </Grid>
+  );
+}
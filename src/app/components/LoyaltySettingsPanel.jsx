@@ -0,0 +1,79 @@
+// src/app/components/LoyaltySettingsPanel.jsx
+// Settings card for how many loyalty points a sale earns at the till.
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Divider,
+  Grid,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Loyalty as LoyaltyIcon, Save as SaveIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import customers from '../../services/customers';
+
+export default function LoyaltySettingsPanel() {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const applySettings = (s) => setSettings({ pointsPerShilling: String(s.pointsPerShilling) });
+
+  useEffect(() => {
+    customers.getLoyaltySettings().then(applySettings).catch(() => applySettings(customers.DEFAULT_LOYALTY_SETTINGS));
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      applySettings(await customers.saveLoyaltySettings(settings));
+      toast.success('Loyalty settings saved');
+    } catch (err) {
+      toast.error(err?.message || 'Failed to save loyalty settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const perHundred = customers.pointsEarned(100, { pointsPerShilling: Number(settings?.pointsPerShilling) || 0 });
+
+  return (
+    <Grid item xs={12}>
+      <Card sx={{ borderRadius: 3, boxShadow: '0 8px 24px rgba(0,0,0,0.04)' }}>
+        <CardContent sx={{ p: 4 }}>
+          <Typography variant="h6" fontWeight="bold" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <LoyaltyIcon color="primary" /> Loyalty Points
+          </Typography>
+          <Divider sx={{ my: 3 }} />
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Customers looked up at the till earn points on what they spend. Set the rate to 0 to stop earning.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+            <TextField
+              label="Points per Ksh 1 spent"
+              type="number"
+              size="small"
+              value={settings?.pointsPerShilling ?? ''}
+              onChange={(e) => setSettings((prev) => ({ ...prev, pointsPerShilling: e.target.value }))}
+              inputProps={{ min: 0, step: 0.01 }}
+              helperText={`${perHundred} point${perHundred === 1 ? '' : 's'} per Ksh 100`}
+              disabled={!settings}
+              sx={{ width: 200 }}
+            />
+            <Button
+              variant="contained"
+              onClick={handleSave}
+              disabled={!settings || saving}
+              startIcon={<SaveIcon />}
+              sx={{ borderRadius: 2 }}
+            >
+              {saving ? 'Saving…' : 'Save loyalty settings'}
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+    </Grid>
+  );
+}
@@ -1,12 +1,23 @@
 // src/app/components/MpesaTransactions.jsx
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
 import { Modal, Button, Spinner, ListGroup, Badge } from 'react-bootstrap';
 import api from '../../services/api';
+import mpesaPayments from '../../services/mpesaPayments';
 
 const KSH = (v) => `Ksh ${Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 
-export default function MpesaTransactions({ show = false, onHide = () => {}, onApply = () => {}, defaultBuyerPin = '' }) {
+const timeAgo = (ts) => {
+  if (!ts) return '';
+  const min = Math.round((Date.now() - ts) / 60000);
+  if (min < 1) return 'just now';
+  if (min < 60) return `${min} min ago`;
+  if (min < 24 * 60) return `${Math.round(min / 60)} h ago`;
+  return new Date(ts).toLocaleDateString();
+};
+
+export default function MpesaTransactions({ show = false, onHide = () => {}, onApply = () => {}, defaultBuyerPin = '', cartTotal = 0 }) {
   const [transactions, setTransactions] = useState([]);
+  const [usedIds, setUsedIds] = useState(() => new Set());
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [applying, setApplying] = useState(null);
@@ -16,10 +27,9 @@ export default function MpesaTransactions({ show = false, onHide = () => {}, onA
     setLoading(true);
     setError(null);
     try {
-      const res = await api.get('/payments');
-      const data = res?.data;
-      const list = Array.isArray(data) ? data : Array.isArray(data?.data) ? data.data : [];
+      const [list, used] = await Promise.all([mpesaPayments.fetchTransactions(api), mpesaPayments.usedTransactionIds()]);
       setTransactions(list);
+      setUsedIds(used);
     } catch (err) {
       setError(err?.response?.data?.message || err?.message || 'Failed to load transactions');
     } finally {
@@ -39,10 +49,16 @@ export default function MpesaTransactions({ show = false, onHide = () => {}, onA
     }
   }, [show, fetchTransactions, defaultBuyerPin]);
 
+  const ranked = useMemo(
+    () => mpesaPayments.rankTransactions(transactions, { total: Number(cartTotal) || 0, usedIds }),
+    [transactions, cartTotal, usedIds]
+  );
+  const hiddenCount = transactions.length - ranked.length;
+
   const handleApply = async (tx) => {
-    setApplying(tx.transactionId);
+    setApplying(tx.id);
     try {
-      await onApply(tx, buyerPin);
+      await onApply(tx.raw, buyerPin);
       onHide();
     } catch (err) {
       // error toasted by parent
@@ -96,24 +112,33 @@ export default function MpesaTransactions({ show = false, onHide = () => {}, onA
           </div>
         )}
 
-        {!loading && !error && transactions.length === 0 && (
+        {!loading && !error && cartTotal > 0 && (
+          <div className="small text-muted mb-2">
+            Best matches for the cart total of <strong>{KSH(cartTotal)}</strong> first
+            {hiddenCount > 0 && <> · {hiddenCount} already used by earlier orders hidden</>}
+          </div>
+        )}
+
+        {!loading && !error && ranked.length === 0 && (
           <div className="text-center py-5 text-muted">
             <i className="fas fa-inbox fa-3x mb-3 d-block" />
             <h6 className="text-muted">No pending M-Pesa transactions</h6>
           </div>
         )}
 
-        {!loading && !error && transactions.length > 0 && (
+        {!loading && !error && ranked.length > 0 && (
           <ListGroup>
-            {transactions.map((tx, idx) => {
-              const txId = tx.transactionId || tx.TransID || tx.transaction_id || `tx-${idx}`;
-              const name = (tx.name || tx.Name || tx.customerName || '').trim();
-              const amount = tx.transamount ?? tx.TransAmount ?? tx.amount ?? 0;
-              const status = tx.status || tx.Status || '';
-              const isApplying = applying === txId;
+            {ranked.map((tx, idx) => {
+              const txId = tx.id || `tx-${idx}`;
+              const { name, amount, status } = tx;
+              const isApplying = applying === tx.id;
 
               return (
-                <ListGroup.Item key={txId} className="d-flex justify-content-between align-items-start gap-3 py-3">
+                <ListGroup.Item
+                  key={txId}
+                  className="d-flex justify-content-between align-items-start gap-3 py-3"
+                  style={tx.exact ? { borderLeft: '4px solid #198754', background: '#f0fff4' } : undefined}
+                >
                   <div className="flex-grow-1">
                     <div className="fw-semibold">{name || 'Unknown'}</div>
                     <div className="text-muted small mt-1">
@@ -132,7 +157,21 @@ export default function MpesaTransactions({ show = false, onHide = () => {}, onA
                         </Badge>
                       )}
                     </div>
-                    <div className="fw-bold text-success mt-1">{KSH(amount)}</div>
+                    <div className="d-flex align-items-center gap-2 mt-1">
+                      <span className="fw-bold text-success">{KSH(amount)}</span>
+                      {tx.exact && <Badge bg="success">Exact match</Badge>}
+                      {tx.at && <small className="text-muted">{timeAgo(tx.at)}</small>}
+                    </div>
+                    {cartTotal > 0 && tx.collect > 0 && (
+                      <div className="small text-warning fw-semibold mt-1">
+                        <i className="fas fa-arrow-down me-1" />Underpaid - collect {KSH(tx.collect)} in cash
+                      </div>
+                    )}
+                    {cartTotal > 0 && tx.refund > 0 && (
+                      <div className="small text-info fw-semibold mt-1">
+                        <i className="fas fa-arrow-up me-1" />Overpaid - refund {KSH(tx.refund)} to the customer
+                      </div>
+                    )}
                   </div>
 
                   <Button
@@ -0,0 +1,110 @@
+// src/app/components/OutboxStatus.jsx
+import React, { useEffect, useState, useCallback } from 'react';
+import { Modal, Button, Spinner, ListGroup, Badge } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import orderOutbox from '../../services/orderOutbox';
+
+const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
+
+export default function OutboxStatus() {
+  const [state, setState] = useState(orderOutbox.getState());
+  const [show, setShow] = useState(false);
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => orderOutbox.subscribe((msg) => {
+    setState(orderOutbox.getState());
+    if (msg?.type === 'synced') toast.success(`Queued order ${msg.clientOrderId} synced`);
+    if (msg?.type === 'failed') toast.error(`Queued order ${msg.clientOrderId} rejected: ${msg.error}`);
+  }), []);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setEntries(await orderOutbox.getEntries());
+    } catch (err) {
+      console.error('[OutboxStatus] load failed', err);
+      setEntries([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (show) loadEntries();
+  }, [show, state.pending, state.failed, loadEntries]);
+
+  const handleRetry = async () => {
+    await orderOutbox.retryFailed();
+    loadEntries();
+  };
+
+  const handleDiscard = async (clientOrderId) => {
+    if (!window.confirm(`Discard queued order ${clientOrderId}? It will not be sent to the server.`)) return;
+    await orderOutbox.discard(clientOrderId);
+    loadEntries();
+  };
+
+  if (!state.pending && !state.failed) return null;
+
+  return (
+    <>
+      <button
+        className={`btn btn-sm ${state.failed ? 'btn-outline-danger' : 'btn-outline-secondary'}`}
+        onClick={() => setShow(true)}
+        title={state.lastError ? `Last sync error: ${state.lastError}` : 'Orders waiting to sync'}
+        aria-label="Queued orders"
+      >
+        {state.replaying ? <span className="spinner-border spinner-border-sm me-1" /> : <i className="fas fa-cloud-upload-alt me-1" />}
+        Queued
+        {state.pending > 0 && <span className="badge bg-secondary ms-1">{state.pending}</span>}
+        {state.failed > 0 && <span className="badge bg-danger ms-1">{state.failed} failed</span>}
+      </button>
+
+      <Modal show={show} onHide={() => setShow(false)} size="md" centered>
+        <Modal.Header closeButton>
+          <Modal.Title>
+            <i className="fas fa-cloud-upload-alt me-2" />
+            Queued Orders
+          </Modal.Title>
+        </Modal.Header>
+
+        <Modal.Body style={{ maxHeight: '65vh', overflowY: 'auto' }}>
+          {entries.length === 0 ? (
+            <div className="text-center py-4 text-muted">All orders have been synced</div>
+          ) : (
+            <ListGroup>
+              {entries.map((entry) => (
+                <ListGroup.Item key={entry.clientOrderId} className="d-flex justify-content-between align-items-start gap-3">
+                  <div className="flex-grow-1">
+                    <div className="fw-semibold">
+                      {entry.clientOrderId}
+                      <Badge bg={entry.status === 'failed' ? 'danger' : 'secondary'} className="ms-2" style={{ fontSize: '0.7rem' }}>
+                        {entry.status}
+                      </Badge>
+                    </div>
+                    <div className="text-muted small">
+                      {new Date(entry.createdAt).toLocaleString()} · {entry.payload?.orderPaymentType} · {KSH(entry.meta?.cartTotal)}
+                    </div>
+                    {entry.lastError && <div className="text-danger small mt-1">{entry.lastError}</div>}
+                  </div>
+                  {entry.status === 'failed' && (
+                    <Button variant="outline-danger" size="sm" onClick={() => handleDiscard(entry.clientOrderId)}>
+                      Discard
+                    </Button>
+                  )}
+                </ListGroup.Item>
+              ))}
+            </ListGroup>
+          )}
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="outline-primary" size="sm" onClick={handleRetry} disabled={state.replaying}>
+            {state.replaying ? <Spinner animation="border" size="sm" className="me-1" /> : <i className="fas fa-sync-alt me-1" />}
+            Sync now
+          </Button>
+          <Button variant="secondary" onClick={() => setShow(false)}>
+            Close
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </>
+  );
+}
@@ -1,16 +1,35 @@
 // src/components/pos/PaymentForm.jsx
 import React from 'react';
 import { Form } from 'react-bootstrap';
+import TenderList from './TenderList';
+import { createTenderLine, summarizeTenders, TENDER_METHODS } from '../../services/tenders';
+import cashDrawer from '../../services/cashDrawer';
 
 const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
 
-export default function PaymentForm({ paymentType, setPaymentType, paymentData, setPaymentData, cartTotal, setCurrentOrderId }) {
+// Notes and coins to hand back, from what the drawer holds when it is being tracked
+function ChangeNotes({ change, tendered, drawerCounts }) {
+  if (!(change > 0)) return null;
+  const { pieces, short } = cashDrawer.suggestChange(change, { counts: drawerCounts, tendered });
+  return (
+    <div className="small mt-1">
+      <i className="fas fa-coins me-1 text-muted" />Give {cashDrawer.describePieces(pieces) || 'nothing'}
+      {short > 0 && <span className="text-danger ms-1">- drawer is {KSH(short)} short in small notes</span>}
+    </div>
+  );
+}
+
+/**
+ * `roundTo` is the cash rounding step in Ksh; `drawerCounts` the notes in the open drawer,
+ * null when no drawer is tracked.
+ */
+export default function PaymentForm({ paymentType, setPaymentType, paymentData, setPaymentData, cartTotal, setCurrentOrderId, roundTo = null, drawerCounts = null }) {
   const cashActive = { backgroundColor: '#FF8C00', border: '2px solid #FF6600', color: '#fff' };
   const cashInactive = { backgroundColor: '#FFEBD6', border: '2px solid #FFA500', color: '#1f1f1f' };
   const mpesaActive = { backgroundColor: '#22B14C', border: '2px solid #16A335', color: '#fff' };
   const mpesaInactive = { backgroundColor: '#E6F8EA', border: '2px solid #22B14C', color: '#1f1f1f' };
-  const bothActive = { backgroundColor: '#0056B3', border: '2px solid #004494', color: '#fff' };
-  const bothInactive = { backgroundColor: '#E7F1FF', border: '2px solid #0078D4', color: '#1f1f1f' };
+  const splitActive = { backgroundColor: '#0056B3', border: '2px solid #004494', color: '#fff' };
+  const splitInactive = { backgroundColor: '#E7F1FF', border: '2px solid #0078D4', color: '#1f1f1f' };
 
   const handleMpesaInputChange = (raw) => {
     const digits = (raw || '').replace(/\D/g, '').slice(0, 9);
@@ -19,6 +38,10 @@ export default function PaymentForm({ paymentType, setPaymentType, paymentData,
 
   const mpesaValueWithoutPrefix = paymentData.mpesaPhone ? paymentData.mpesaPhone.replace(/^254/, '') : '';
 
+  const cash = cashDrawer.cashDue(cartTotal, roundTo);
+  const cashGiven = Number(paymentData.cashAmount) || 0;
+  const split = paymentType === 'split' ? summarizeTenders(paymentData.tenders, cartTotal, { roundTo }) : null;
+
   return (
     <>
       <div className="mb-3">
@@ -33,7 +56,7 @@ export default function PaymentForm({ paymentType, setPaymentType, paymentData,
             <button type="button" className="btn w-100" onClick={() => { setPaymentType('mpesa'); setPaymentData({ cashAmount: '', mpesaPhone: '', mpesaAmount: '' }); setCurrentOrderId(null); }} style={paymentType === 'mpesa' ? mpesaActive : mpesaInactive}><i className="fas fa-mobile-alt d-block mb-1" style={{ fontSize: '1.2rem' }} />M-Pesa</button>
           </div>
           <div className="col-4">
-            <button type="button" className="btn w-100" onClick={() => { setPaymentType('both'); setPaymentData({ cashAmount: '', mpesaPhone: '', mpesaAmount: '' }); setCurrentOrderId(null); }} style={paymentType === 'both' ? bothActive : bothInactive}><i className="fas fa-exchange-alt d-block mb-1" style={{ fontSize: '1.2rem' }} />Hybrid</button>
+            <button type="button" className="btn w-100" onClick={() => { setPaymentType('split'); setPaymentData({ tenders: [createTenderLine(TENDER_METHODS.CASH)], buyerPin: paymentData.buyerPin || '' }); setCurrentOrderId(null); }} style={paymentType === 'split' ? splitActive : splitInactive}><i className="fas fa-exchange-alt d-block mb-1" style={{ fontSize: '1.2rem' }} />Split</button>
           </div>
         </div>
       </div>
@@ -43,14 +66,20 @@ export default function PaymentForm({ paymentType, setPaymentType, paymentData,
           <Form.Label className="fw-semibold">Cash Amount Given</Form.Label>
           <div className="input-group input-group-lg">
             <span className="input-group-text">Ksh</span>
-            <Form.Control type="number" value={paymentData.cashAmount} onChange={(e) => setPaymentData({ ...paymentData, cashAmount: e.target.value })} placeholder="Enter amount received" min={cartTotal} style={{ fontSize: '1.1rem' }} />
+            <Form.Control type="number" value={paymentData.cashAmount} onChange={(e) => setPaymentData({ ...paymentData, cashAmount: e.target.value })} placeholder="Enter amount received" min={cash.due} style={{ fontSize: '1.1rem' }} />
           </div>
-          {paymentData.cashAmount && Number(paymentData.cashAmount) >= cartTotal && (
+          {cash.rounding !== 0 && (
+            <div className="small text-muted mt-1">
+              Cash due {KSH(cash.due)} (rounding {cash.rounding > 0 ? '+' : '-'}{KSH(Math.abs(cash.rounding))})
+            </div>
+          )}
+          {paymentData.cashAmount && cashGiven >= cash.due && (
             <div className="mt-2 p-2 bg-success bg-opacity-10 rounded border-start border-success border-3">
               <div className="d-flex justify-content-between align-items-center">
                 <span className="text-success fw-semibold"><i className="fas fa-check-circle me-1" />Change:</span>
-                <span className="text-success fw-bold fs-5">{KSH(Number(paymentData.cashAmount) - cartTotal)}</span>
+                <span className="text-success fw-bold fs-5">{KSH(cashGiven - cash.due)}</span>
               </div>
+              <ChangeNotes change={cashGiven - cash.due} tendered={cashGiven} drawerCounts={drawerCounts} />
             </div>
           )}
         </Form.Group>
@@ -75,41 +104,19 @@ export default function PaymentForm({ paymentType, setPaymentType, paymentData,
         </Form.Group>
       )}
 
-      {paymentType === 'both' && (
-        <>
-          <Form.Group className="mb-3">
-            <Form.Label className="fw-semibold">Cash Amount</Form.Label>
-            <div className="input-group input-group-lg">
-              <span className="input-group-text">Ksh</span>
-              <Form.Control type="number" value={paymentData.cashAmount} onChange={(e) => setPaymentData({ ...paymentData, cashAmount: e.target.value })} placeholder="Enter cash amount" min={0} style={{ fontSize: '1.1rem' }} />
-            </div>
-          </Form.Group>
-
-          <Form.Group className="mb-3">
-            <Form.Label className="fw-semibold">M-Pesa Amount</Form.Label>
-            <div className="input-group input-group-lg">
-              <span className="input-group-text">Ksh</span>
-              <Form.Control type="number" value={paymentData.mpesaAmount} onChange={(e) => setPaymentData({ ...paymentData, mpesaAmount: e.target.value })} placeholder="Enter M-Pesa amount" min={0} style={{ fontSize: '1.1rem' }} />
-            </div>
-          </Form.Group>
+      {paymentType === 'split' && (
+        <TenderList
+          tenders={paymentData.tenders}
+          onChange={(tenders) => setPaymentData({ ...paymentData, tenders })}
+          total={cartTotal}
+          roundTo={roundTo}
+        />
+      )}
 
-          <Form.Group className="mb-3">
-            <Form.Label className="fw-semibold">M-Pesa Phone Number</Form.Label>
-            <div className="input-group input-group-lg">
-              <span className="input-group-text">📱</span>
-              <span className="input-group-text">254</span>
-              <Form.Control
-                type="tel"
-                placeholder="7XXXXXXXX"
-                value={mpesaValueWithoutPrefix}
-                onChange={(e) => handleMpesaInputChange(e.target.value)}
-                style={{ fontSize: '1.1rem' }}
-                inputMode="numeric"
-                maxLength={9}
-              />
-            </div>
-          </Form.Group>
-        </>
+      {split && split.change > 0 && (
+        <div className="mb-3">
+          <ChangeNotes change={split.change} tendered={split.cashPaid} drawerCounts={drawerCounts} />
+        </div>
       )}
 
       {paymentType && (
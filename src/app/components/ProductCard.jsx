@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { extractId } from '../../redux/slices/productsSlice-helpers';
+import { quantityBreak } from '../../utils/pricing';
 
 const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
 
 export function ProductCard({
   product = {},
   cartItems = [],
+  offer = null,
   onQuantityChange = () => { }
 }) {
   const normalize = (p) => {
@@ -34,6 +36,27 @@ export function ProductCard({
   const retailItem = cartItems.find(i => i.priceType === 'Retail');
   const wholesaleItem = cartItems.find(i => i.priceType === 'Discounted');
 
+  // Retail lines move to the quantity-break price on their own once they reach it
+  const breakAt = quantityBreak({ ...safe, priceType: 'Retail', quantity: safe.discountQuantity });
+  const retailTier = retailItem ? quantityBreak(retailItem) : null;
+  const breakHint = breakAt && (
+    <div className="text-info" style={{ fontSize: '0.65rem' }} title="Applied automatically to retail quantities">
+      {retailTier
+        ? `${retailTier.quantity} @ ${KSH(retailTier.unitPrice)} applied`
+        : `${breakAt.threshold}+ @ ${KSH(breakAt.unitPrice)}`}
+    </div>
+  );
+
+  // a live flash sale or offer (services/offers); the cart applies it on its own
+  const onOffer = offer && offer.price < safe.price ? offer : null;
+  const offerTag = onOffer && (
+    <div className="text-danger fw-semibold" style={{ fontSize: '0.7rem' }}>
+      {onOffer.label} {KSH(onOffer.price)}
+      {onOffer.endTime ? ` until ${new Date(onOffer.endTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}
+    </div>
+  );
+  const retailPriceStyle = onOffer ? { textDecoration: 'line-through', opacity: 0.6 } : {};
+
   const [retailQty, setRetailQty] = useState(retailItem?.quantity || '');
   const [wholesaleQty, setWholesaleQty] = useState(wholesaleItem?.quantity || '');
 
@@ -175,7 +198,9 @@ export function ProductCard({
           <div className="control-col">
             <div>
               <div className="text-muted" style={{ fontSize: '0.7rem' }}>Retail</div>
-              <div className="price-top text-success" style={{ fontSize: '0.93rem' }}>{KSH(safe.price)}</div>
+              <div className="price-top text-success" style={{ fontSize: '0.93rem', ...retailPriceStyle }}>{KSH(safe.price)}</div>
+              {offerTag}
+              {breakHint}
             </div>
 
             <div className="qty-row">
@@ -241,8 +266,10 @@ export function ProductCard({
         <div className="mb-2">
           <div className="d-flex justify-content-between">
             <span className="text-success">Retail</span>
-            <span className="fw-bold">{KSH(safe.price)}</span>
+            <span className="fw-bold" style={retailPriceStyle}>{KSH(safe.price)}</span>
           </div>
+          {offerTag}
+          {breakHint}
           <div className="qty-row mt-1">
             <input
               type="number"
@@ -298,6 +325,7 @@ export function ProductCard({
 // (or if other props change, which shouldn't happen often)
 export const MemoizedProductCard = React.memo(ProductCard, (prevProps, nextProps) => {
   if (prevProps.product !== nextProps.product) return false;
+  if (prevProps.offer !== nextProps.offer) return false;
 
   // compare cartItems purely by quantity/priceType
   const prevItems = prevProps.cartItems || [];
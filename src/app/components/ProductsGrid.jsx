@@ -16,6 +16,7 @@ const ProductsGrid = ({
   searchTerm,
   isLikelyBarcode,
   cart,
+  offers = {},
   onQuantityChange,
   loadingProducts,
   isFetching
@@ -73,7 +74,7 @@ const ProductsGrid = ({
               <div key={extractId(product)} className="col-12 px-2">
                 <div style={{ position: 'relative' }}>
                   {/* pass showQuantityBadge=false to stop rendering the "(n)" cart counts on the Add buttons */}
-                  <ProductCard product={product} cartItems={cartItems} onQuantityChange={onQuantityChange} showQuantityBadge={false} />
+                  <ProductCard product={product} cartItems={cartItems} offer={offers[pid] || null} onQuantityChange={onQuantityChange} showQuantityBadge={false} />
                   {isLoading && (
                     <div className="position-absolute top-0 start-0 w-100 h-100 d-flex align-items-center justify-content-center"
                       style={{ backgroundColor: 'rgba(255,255,255,0.8)', borderRadius: 6, zIndex: 10 }}>
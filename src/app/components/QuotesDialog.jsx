@@ -0,0 +1,235 @@
+// src/app/components/QuotesDialog.jsx
+// Proforma quotes: save the cart as a numbered quote, print or export it, and turn it back
+// into a cart once prices and stock have been re-checked.
+import React, { useCallback, useEffect, useState } from 'react';
+import { Modal, Button, Form, Alert, Table, InputGroup, Badge } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import quotes, { QUOTE_STATUS, CHANGE_KINDS } from '../../services/quotes';
+import { validateCartItems } from '../../services/cartService';
+import { printQuote } from '../thermalPrinter/thermalPrinter';
+import { exportQuotePdf } from '../../utils/quotePdf';
+
+const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
+const dateOf = (ts) => new Date(ts).toLocaleDateString('en-GB');
+
+const STATUS_BADGE = {
+  [QUOTE_STATUS.OPEN]: ['success', 'Open'],
+  [QUOTE_STATUS.EXPIRED]: ['secondary', 'Expired'],
+  [QUOTE_STATUS.CONVERTED]: ['primary', 'Converted'],
+};
+
+const CHANGE_CLASS = {
+  [CHANGE_KINDS.PRICE]: 'text-warning',
+  [CHANGE_KINDS.STOCK]: 'text-danger',
+  [CHANGE_KINDS.REMOVED]: 'text-danger',
+  [CHANGE_KINDS.UNVERIFIED]: 'text-muted',
+};
+
+/**
+ * @param {{ show: boolean, cart: object[], orderDiscount?: object|null, customer?: object|null,
+ *   cashier?: string, onHide: () => void,
+ *   onConvert: (quote: object, review: object) => Promise<void>|void }} props - onConvert gets
+ *   the quote and its review (services/quotes reviewQuote) once the cashier accepts the changes
+ */
+export default function QuotesDialog({ show, cart = [], orderDiscount = null, customer = null, cashier = '', onHide, onConvert }) {
+  const [list, setList] = useState([]);
+  const [validDays, setValidDays] = useState(String(quotes.DEFAULT_VALID_DAYS));
+  const [notes, setNotes] = useState('');
+  const [review, setReview] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    setList(await quotes.getQuotes());
+  }, []);
+
+  useEffect(() => {
+    if (!show) return;
+    setReview(null);
+    setError('');
+    setNotes('');
+    load().catch((err) => setError(err?.message || 'Failed to load quotes'));
+  }, [show, load]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err?.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePrint = async (quote) => {
+    const res = await printQuote(quote);
+    if (res?.success) toast.success(`${quote.quoteNo} printed`);
+    else toast.warning(`Quote printing: ${res?.message || 'failed'}`);
+  };
+
+  const handlePdf = (quote) => {
+    try {
+      exportQuotePdf(quote);
+    } catch (err) {
+      console.error('[QuotesDialog] PDF export failed', err);
+      toast.error('Failed to export the quote as PDF');
+    }
+  };
+
+  const handleSave = () => run(async () => {
+    const saved = await quotes.createQuote({ cart, orderDiscount, customer, validDays: Number(validDays), notes, cashier });
+    toast.success(`Quote ${saved.quoteNo} saved - valid until ${dateOf(saved.validUntil)}`);
+    setNotes('');
+    await load();
+  });
+
+  const handleReview = (quote) => run(async () => {
+    const result = await quotes.prepareConversion(quote, { validate: validateCartItems });
+    setReview({ quote, ...result });
+  });
+
+  const handleConvert = () => run(async () => {
+    await onConvert(review.quote, review);
+    await quotes.markConverted(review.quote.quoteNo, { by: cashier });
+    toast.success(`${review.quote.quoteNo} loaded into the cart`);
+    onHide();
+  });
+
+  const handleDelete = (quote) => run(async () => {
+    await quotes.deleteQuote(quote.quoteNo);
+    await load();
+  });
+
+  if (review) {
+    const { quote, changes, items, quotedTotal, total } = review;
+    return (
+      <Modal show={show} onHide={busy ? undefined : onHide} centered size="lg">
+        <Modal.Header closeButton={!busy}>
+          <Modal.Title>Convert {quote.quoteNo}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {quotes.statusOf(quote) === QUOTE_STATUS.EXPIRED && (
+            <Alert variant="secondary" className="py-2">This quote expired on {dateOf(quote.validUntil)}; the cart uses today's prices.</Alert>
+          )}
+          {changes.length === 0 ? (
+            <Alert variant="success" className="py-2">Prices and stock are unchanged since the quote was made.</Alert>
+          ) : (
+            <Table size="sm" className="small">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Since the quote</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map((c) => (
+                  <tr key={`${c.key}-${c.kind}`}>
+                    <td>{c.name}</td>
+                    <td className={CHANGE_CLASS[c.kind]}>{c.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+          <div className="d-flex justify-content-between">
+            <span>Quoted total: <strong>{KSH(quotedTotal)}</strong></span>
+            <span>Cart total now: <strong className={total !== quotedTotal ? 'text-warning' : ''}>{KSH(total)}</strong></span>
+          </div>
+          {error && <Alert variant="danger" className="mt-3 mb-0 py-2">{error}</Alert>}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="outline-secondary" onClick={() => setReview(null)} disabled={busy}>Back</Button>
+          <Button variant="success" onClick={handleConvert} disabled={busy || items.length === 0}>
+            Load {items.length} line{items.length === 1 ? '' : 's'} into cart
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal show={show} onHide={busy ? undefined : onHide} centered size="lg">
+      <Modal.Header closeButton={!busy}>
+        <Modal.Title>
+          <i className="fas fa-file-alt me-2" />Quotes
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {cart.length > 0 && (
+          <div className="border rounded p-2 mb-3">
+            <div className="fw-semibold mb-2">
+              Quote this cart{customer?.name ? ` for ${customer.name}` : ''}
+            </div>
+            <div className="d-flex gap-2">
+              <InputGroup size="sm" style={{ maxWidth: 180 }}>
+                <InputGroup.Text>Valid for</InputGroup.Text>
+                <Form.Control type="number" min={1} value={validDays} onChange={(e) => setValidDays(e.target.value)} aria-label="Days the quote is valid" />
+                <InputGroup.Text>days</InputGroup.Text>
+              </InputGroup>
+              <Form.Control size="sm" type="text" value={notes} onChange={(e) => setNotes(e.target.value)} placeholder="Notes for the customer (optional)" aria-label="Quote notes" />
+              <Button size="sm" variant="success" onClick={handleSave} disabled={busy || !(Number(validDays) >= 1)}>
+                Save quote
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {list.length === 0 ? (
+          <p className="text-muted text-center my-4">No quotes yet</p>
+        ) : (
+          <div style={{ maxHeight: 360, overflowY: 'auto' }}>
+            <Table size="sm" className="small align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Quote</th>
+                  <th>Customer</th>
+                  <th>Valid until</th>
+                  <th className="text-end">Total</th>
+                  <th />
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {list.map((q) => {
+                  const [variant, label] = STATUS_BADGE[quotes.statusOf(q)] || ['light', q.status];
+                  return (
+                    <tr key={q.quoteNo}>
+                      <td>
+                        <div className="fw-semibold">{q.quoteNo}</div>
+                        <div className="text-muted">{dateOf(q.createdAt)} · {q.lines.length} line{q.lines.length === 1 ? '' : 's'}</div>
+                      </td>
+                      <td>{q.customer?.name || q.customer?.phone || '-'}</td>
+                      <td>{dateOf(q.validUntil)}</td>
+                      <td className="text-end">{KSH(q.total)}</td>
+                      <td><Badge bg={variant}>{label}</Badge></td>
+                      <td className="text-end text-nowrap">
+                        <Button size="sm" variant="outline-secondary" className="me-1" onClick={() => handlePrint(q)} disabled={busy} title="Print on the till printer" aria-label={`Print ${q.quoteNo}`}>
+                          <i className="fas fa-print" />
+                        </Button>
+                        <Button size="sm" variant="outline-secondary" className="me-1" onClick={() => handlePdf(q)} disabled={busy} title="Export as A4 PDF" aria-label={`Export ${q.quoteNo} as PDF`}>
+                          <i className="fas fa-file-pdf" />
+                        </Button>
+                        <Button size="sm" variant="outline-primary" className="me-1" onClick={() => handleReview(q)} disabled={busy || q.status === QUOTE_STATUS.CONVERTED} title="Check prices and stock, then load into the cart">
+                          To cart
+                        </Button>
+                        <Button size="sm" variant="outline-danger" onClick={() => handleDelete(q)} disabled={busy} title="Delete quote" aria-label={`Delete ${q.quoteNo}`}>
+                          <i className="fas fa-trash" />
+                        </Button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </div>
+        )}
+        {error && <Alert variant="danger" className="mt-3 mb-0 py-2">{error}</Alert>}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="outline-secondary" onClick={onHide} disabled={busy}>Close</Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -3,7 +3,29 @@ import React from 'react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faUndoAlt } from '@fortawesome/free-solid-svg-icons';
 
-export default function SearchTools({ loading, onRefresh, onClear, defaultPriceType, setDefaultPriceType }) {
+function describeSync(sync) {
+  if (!sync || !sync.lastSyncAt) return 'Catalog not synced yet';
+  const when = new Date(sync.lastSyncAt).toLocaleString();
+  if (sync.outcome === 'failed') return `Last sync failed ${when}: ${sync.error || 'unknown error'}`;
+  return `Synced ${when} (${sync.mode}, ${sync.changed || 0} updated, ${sync.deleted || 0} removed)`;
+}
+
+export default function SearchTools({
+  loading,
+  onRefresh,
+  onClear,
+  defaultPriceType,
+  setDefaultPriceType,
+  catalogSync,
+  syncProgress,
+  onPauseSync,
+  onResumeSync,
+  onStopSync,
+}) {
+  const syncing = !!syncProgress?.isActive;
+  const syncText = syncing
+    ? `${syncProgress.isPaused ? 'Sync paused' : 'Syncing'}: page ${syncProgress.currentPage || 1}, ${syncProgress.totalFetched || 0} records`
+    : describeSync(catalogSync);
   return (
     <div className="mb-3">
       <div className="d-flex align-items-center justify-content-between">
@@ -15,7 +37,7 @@ export default function SearchTools({ loading, onRefresh, onClear, defaultPriceT
               className="btn btn-sm btn-outline-secondary"
               onClick={onRefresh}
               disabled={loading}
-              title="Refresh product index"
+              title={`Sync product index - ${syncText}`}
               aria-label="Refresh products"
               style={{ minWidth: 0, padding: '6px 8px' }}
             >
@@ -31,6 +53,29 @@ export default function SearchTools({ loading, onRefresh, onClear, defaultPriceT
             >
               <i className="fas fa-times me-1" /> Clear
             </button>
+
+            {syncing && (
+              <>
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  onClick={syncProgress.isPaused ? onResumeSync : onPauseSync}
+                  title={syncProgress.isPaused ? 'Resume catalog sync' : 'Pause catalog sync'}
+                  aria-label={syncProgress.isPaused ? 'Resume sync' : 'Pause sync'}
+                  style={{ padding: '6px 8px' }}
+                >
+                  <i className={`fas ${syncProgress.isPaused ? 'fa-play' : 'fa-pause'}`} />
+                </button>
+                <button
+                  className="btn btn-sm btn-outline-danger"
+                  onClick={onStopSync}
+                  title="Stop catalog sync (nothing is written)"
+                  aria-label="Stop sync"
+                  style={{ padding: '6px 8px' }}
+                >
+                  <i className="fas fa-stop" />
+                </button>
+              </>
+            )}
           </div>
         </div>
 
@@ -42,6 +87,9 @@ export default function SearchTools({ loading, onRefresh, onClear, defaultPriceT
           </select>
         </div>
       </div>
+      <div className={`small mt-1 ${catalogSync?.outcome === 'failed' ? 'text-danger' : 'text-muted'}`} style={{ fontSize: '0.75rem' }}>
+        {syncText}
+      </div>
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,139 @@
+// src/app/components/TenderList.jsx
+// Editable list of split-tender lines with a running paid / balance / change summary.
+import React from 'react';
+import { Form, Button } from 'react-bootstrap';
+import {
+  TENDER_METHODS,
+  TENDER_LABELS,
+  createTenderLine,
+  summarizeTenders,
+  roundCash,
+} from '../../services/tenders';
+
+const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
+
+const REFERENCE_LABELS = {
+  [TENDER_METHODS.MPESA]: 'M-Pesa code',
+};
+
+const ADD_BUTTONS = [
+  { method: TENDER_METHODS.CASH, icon: 'fa-money-bill-wave' },
+  { method: TENDER_METHODS.MPESA, icon: 'fa-mobile-alt' },
+];
+
+/**
+ * @param {{ tenders: object[], onChange: (tenders: object[]) => void, total: number,
+ *   roundTo?: number|null }} props - `roundTo` is the cash rounding step
+ */
+export default function TenderList({ tenders = [], onChange, total = 0, roundTo = null }) {
+  const lines = Array.isArray(tenders) ? tenders : [];
+  const summary = summarizeTenders(lines, total, { roundTo });
+  const offered = (method) => ADD_BUTTONS.some((b) => b.method === method);
+
+  const update = (id, patch) => onChange(lines.map((l) => (l.id === id ? { ...l, ...patch } : l)));
+  const remove = (id) => onChange(lines.filter((l) => l.id !== id));
+  const add = (method) => {
+    // a new cash line starts at the balance as it will be rounded
+    const balance = method === TENDER_METHODS.CASH ? roundCash(summary.balance, roundTo) : summary.balance;
+    onChange([...lines, createTenderLine(method, balance > 0 ? { amount: String(balance) } : {})]);
+  };
+  const fillBalance = (line) => update(line.id, { amount: String((Number(line.amount) || 0) + summary.balance) });
+
+  const phoneDigits = (phone) => (phone ? String(phone).replace(/^254/, '') : '');
+  const setPhone = (id, raw) => {
+    const digits = (raw || '').replace(/\D/g, '').slice(0, 9);
+    update(id, { phone: digits ? `254${digits}` : '' });
+  };
+
+  return (
+    <div className="mb-3">
+      {lines.map((line, idx) => (
+        <div key={line.id} className="border rounded p-2 mb-2">
+          <div className="d-flex gap-2 align-items-center mb-2">
+            <span className="text-muted small" style={{ minWidth: 18 }}>{idx + 1}.</span>
+            <Form.Select
+              size="sm"
+              value={line.method}
+              onChange={(e) => update(line.id, { method: e.target.value, reference: '', phone: '' })}
+              style={{ maxWidth: 150 }}
+              aria-label={`Payment method for line ${idx + 1}`}
+            >
+              {Object.values(TENDER_METHODS).filter((m) => offered(m) || m === line.method).map((m) => (
+                <option key={m} value={m}>{TENDER_LABELS[m]}</option>
+              ))}
+            </Form.Select>
+            <div className="input-group input-group-sm">
+              <span className="input-group-text">Ksh</span>
+              <Form.Control
+                type="number"
+                min={0}
+                value={line.amount}
+                onChange={(e) => update(line.id, { amount: e.target.value })}
+                placeholder="Amount"
+                aria-label={`Amount for line ${idx + 1}`}
+              />
+            </div>
+            {summary.balance > 0 && (
+              <Button size="sm" variant="outline-secondary" onClick={() => fillBalance(line)} title="Add the remaining balance to this line">
+                <i className="fas fa-fill-drip" />
+              </Button>
+            )}
+            <Button size="sm" variant="outline-danger" onClick={() => remove(line.id)} title="Remove line" aria-label={`Remove line ${idx + 1}`}>
+              <i className="fas fa-times" />
+            </Button>
+          </div>
+
+          {line.method !== TENDER_METHODS.CASH && (
+            <div className="d-flex gap-2">
+              <Form.Control
+                size="sm"
+                type="text"
+                value={line.reference}
+                onChange={(e) => update(line.id, { reference: e.target.value.toUpperCase() })}
+                placeholder={REFERENCE_LABELS[line.method]}
+                aria-label={`${REFERENCE_LABELS[line.method]} for line ${idx + 1}`}
+              />
+              {line.method === TENDER_METHODS.MPESA && (
+                <div className="input-group input-group-sm">
+                  <span className="input-group-text">254</span>
+                  <Form.Control
+                    type="tel"
+                    inputMode="numeric"
+                    maxLength={9}
+                    value={phoneDigits(line.phone)}
+                    onChange={(e) => setPhone(line.id, e.target.value)}
+                    placeholder="7XXXXXXXX (prompt)"
+                    aria-label={`M-Pesa phone for line ${idx + 1}`}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <div className="d-flex flex-wrap gap-2 mb-2">
+        {ADD_BUTTONS.map(({ method, icon }) => (
+          <Button key={method} size="sm" variant="outline-primary" onClick={() => add(method)}>
+            <i className={`fas ${icon} me-1`} />+ {TENDER_LABELS[method]}
+          </Button>
+        ))}
+      </div>
+
+      <div className="p-2 bg-light rounded small">
+        <div className="d-flex justify-content-between"><span>Total</span><strong>{KSH(total)}</strong></div>
+        {summary.rounding !== 0 && (
+          <div className="d-flex justify-content-between text-muted">
+            <span>Cash rounding</span><span>{summary.rounding > 0 ? '+' : '-'}{KSH(Math.abs(summary.rounding))}</span>
+          </div>
+        )}
+        <div className="d-flex justify-content-between"><span>Paid</span><strong>{KSH(summary.paid)}</strong></div>
+        {summary.balance > 0 ? (
+          <div className="d-flex justify-content-between text-danger"><span>Balance due</span><strong>{KSH(summary.balance)}</strong></div>
+        ) : (
+          <div className="d-flex justify-content-between text-success"><span>Change</span><strong>{KSH(summary.change)}</strong></div>
+        )}
+      </div>
+    </div>
+  );
+}
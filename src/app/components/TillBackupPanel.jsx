@@ -0,0 +1,193 @@
+// src/app/components/TillBackupPanel.jsx
+// Settings card to export the till's local data to a backup file and restore it,
+// e.g. when moving a till to new hardware.
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Divider,
+  Grid,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Backup as BackupIcon, Restore as RestoreIcon, SaveAlt as SaveAltIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import tillBackup from '../../services/tillBackup';
+
+const summarize = (counts = {}) =>
+  ['orders', 'outbox', 'products']
+    .filter((n) => counts[n] !== undefined)
+    .map((n) => `${counts[n]} ${n}`)
+    .join(', ');
+
+export default function TillBackupPanel() {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  const [restoring, setRestoring] = useState(false);
+  const [pending, setPending] = useState(null); // { filePath, message } while a password is needed
+  const [restorePassword, setRestorePassword] = useState('');
+
+  const available = tillBackup.isBackupAvailable();
+
+  const handleExport = async () => {
+    if (password && password !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+    setExporting(true);
+    try {
+      const res = await tillBackup.exportBackup({ password });
+      if (res.canceled) return;
+      if (!res.success) throw new Error(res.message || 'Backup failed');
+      toast.success(`Backup saved (${summarize(res.counts)})${res.encrypted ? ', encrypted' : ''}`);
+      setPassword('');
+      setConfirmPassword('');
+    } catch (err) {
+      toast.error(err?.message || 'Backup failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const applyBackup = async (res) => {
+    const counts = res.data?.counts || {};
+    const taken = res.data?.createdAt ? new Date(res.data.createdAt).toLocaleString() : 'an unknown date';
+    const ok = window.confirm(
+      `Restore the backup from ${taken} (${summarize(counts)})?\n\n` +
+      'Products, stock counts and settings on this till are replaced. Orders and queued sales are merged, so nothing unsynced is lost. The app reloads afterwards.'
+    );
+    if (!ok) return;
+
+    await tillBackup.restoreTillData(res.data);
+    toast.success('Backup restored. Reloading…');
+    setTimeout(() => window.location.reload(), 1500);
+  };
+
+  const handleRestore = async (filePath = null) => {
+    setRestoring(true);
+    try {
+      const res = await tillBackup.readBackup({ filePath, password: filePath ? restorePassword : null });
+      if (res.canceled) return;
+      if (res.needsPassword) {
+        setPending({ filePath: res.filePath, message: res.message });
+        return;
+      }
+      if (!res.success) throw new Error(res.message || 'Could not read backup');
+      setPending(null);
+      setRestorePassword('');
+      await applyBackup(res);
+    } catch (err) {
+      toast.error(err?.message || 'Restore failed');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <Grid item xs={12}>
+      <Card sx={{ borderRadius: 3, boxShadow: '0 8px 24px rgba(0,0,0,0.04)' }}>
+        <CardContent sx={{ p: 4 }}>
+          <Typography variant="h6" fontWeight="bold" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <BackupIcon color="primary" /> Backup &amp; Restore
+          </Typography>
+          <Divider sx={{ my: 3 }} />
+
+          {!available ? (
+            <Alert severity="info">Backups are available in the Arpella POS desktop app.</Alert>
+          ) : (
+            <Grid container spacing={4}>
+              <Grid item xs={12} md={6}>
+                <Typography variant="subtitle1" fontWeight="bold" gutterBottom>Export</Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  Saves products, orders, queued sales, held sales, daily capital and printer settings to a compressed file.
+                </Typography>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                  <TextField
+                    label="Password (optional)"
+                    type="password"
+                    size="small"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="new-password"
+                  />
+                  {password && (
+                    <TextField
+                      label="Confirm password"
+                      type="password"
+                      size="small"
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      autoComplete="new-password"
+                    />
+                  )}
+                  <Button
+                    variant="contained"
+                    onClick={handleExport}
+                    disabled={exporting || restoring}
+                    startIcon={exporting ? <CircularProgress size={18} color="inherit" /> : <SaveAltIcon />}
+                    sx={{ borderRadius: 2, alignSelf: 'flex-start' }}
+                  >
+                    {exporting ? 'Saving…' : 'Export backup'}
+                  </Button>
+                </Box>
+              </Grid>
+
+              <Grid item xs={12} md={6}>
+                <Typography variant="subtitle1" fontWeight="bold" gutterBottom>Restore</Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  Loads a backup made on this or another till. Backups from a newer app version are refused.
+                </Typography>
+                {pending ? (
+                  <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                    <Alert severity="warning">{pending.message}</Alert>
+                    <TextField
+                      label="Backup password"
+                      type="password"
+                      size="small"
+                      value={restorePassword}
+                      onChange={(e) => setRestorePassword(e.target.value)}
+                      onKeyDown={(e) => { if (e.key === 'Enter') handleRestore(pending.filePath); }}
+                      autoFocus
+                    />
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                      <Button
+                        variant="contained"
+                        color="warning"
+                        onClick={() => handleRestore(pending.filePath)}
+                        disabled={restoring || !restorePassword}
+                        startIcon={restoring ? <CircularProgress size={18} color="inherit" /> : <RestoreIcon />}
+                        sx={{ borderRadius: 2 }}
+                      >
+                        Unlock &amp; restore
+                      </Button>
+                      <Button variant="outlined" onClick={() => { setPending(null); setRestorePassword(''); }} sx={{ borderRadius: 2 }}>
+                        Cancel
+                      </Button>
+                    </Box>
+                  </Box>
+                ) : (
+                  <Button
+                    variant="outlined"
+                    color="warning"
+                    onClick={() => handleRestore()}
+                    disabled={exporting || restoring}
+                    startIcon={restoring ? <CircularProgress size={18} color="inherit" /> : <RestoreIcon />}
+                    sx={{ borderRadius: 2 }}
+                  >
+                    Restore from backup…
+                  </Button>
+                )}
+              </Grid>
+            </Grid>
+          )}
+        </CardContent>
+      </Card>
+    </Grid>
+  );
+}
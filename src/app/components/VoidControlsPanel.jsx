@@ -0,0 +1,188 @@
+// src/app/components/VoidControlsPanel.jsx
+// Settings card for the amounts above which a void needs a supervisor PIN, and the
+// supervisors whose PINs can approve one.
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Divider,
+  Grid,
+  IconButton,
+  InputAdornment,
+  List,
+  ListItem,
+  ListItemText,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Block as BlockIcon, DeleteOutline as DeleteIcon, PersonAdd as PersonAddIcon, Save as SaveIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import voids from '../../services/voids';
+
+export default function VoidControlsPanel() {
+  const [policy, setPolicy] = useState(null);
+  const [lineThreshold, setLineThreshold] = useState('');
+  const [postThreshold, setPostThreshold] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const [name, setName] = useState('');
+  const [pin, setPin] = useState('');
+  const [adding, setAdding] = useState(false);
+
+  const applyPolicy = (p) => {
+    setPolicy(p);
+    setLineThreshold(String(p.lineThreshold));
+    setPostThreshold(String(p.postThreshold));
+  };
+
+  useEffect(() => {
+    voids.getVoidPolicy().then(applyPolicy).catch(() => applyPolicy(voids.DEFAULT_VOID_POLICY));
+  }, []);
+
+  const handleSaveThresholds = async () => {
+    setSaving(true);
+    try {
+      applyPolicy(await voids.saveVoidThresholds({ lineThreshold, postThreshold }));
+      toast.success('Void thresholds saved');
+    } catch (err) {
+      toast.error(err?.message || 'Failed to save thresholds');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddSupervisor = async () => {
+    setAdding(true);
+    try {
+      const added = await voids.addSupervisor(name, pin);
+      setPolicy(await voids.getVoidPolicy());
+      setName('');
+      setPin('');
+      toast.success(`${added.name} can now approve voids`);
+    } catch (err) {
+      toast.error(err?.message || 'Failed to add supervisor');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleRemoveSupervisor = async (s) => {
+    if (!window.confirm(`Remove ${s.name}? Their PIN will no longer approve voids.`)) return;
+    try {
+      setPolicy(await voids.removeSupervisor(s.id));
+    } catch (err) {
+      toast.error(err?.message || 'Failed to remove supervisor');
+    }
+  };
+
+  const supervisors = policy?.supervisors || [];
+
+  return (
+    <Grid item xs={12}>
+      <Card sx={{ borderRadius: 3, boxShadow: '0 8px 24px rgba(0,0,0,0.04)' }}>
+        <CardContent sx={{ p: 4 }}>
+          <Typography variant="h6" fontWeight="bold" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <BlockIcon color="error" /> Voids &amp; Supervisor PINs
+          </Typography>
+          <Divider sx={{ my: 3 }} />
+
+          <Grid container spacing={4}>
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle1" fontWeight="bold" gutterBottom>Approval thresholds</Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Voids worth more than these amounts need a supervisor PIN. Every void needs a reason. Set 0 to require a PIN for all of them.
+              </Typography>
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                <TextField
+                  label="Cart line voids above"
+                  type="number"
+                  size="small"
+                  value={lineThreshold}
+                  onChange={(e) => setLineThreshold(e.target.value)}
+                  InputProps={{ startAdornment: <InputAdornment position="start">Ksh</InputAdornment> }}
+                  inputProps={{ min: 0 }}
+                  disabled={!policy}
+                />
+                <TextField
+                  label="Completed sale voids above"
+                  type="number"
+                  size="small"
+                  value={postThreshold}
+                  onChange={(e) => setPostThreshold(e.target.value)}
+                  InputProps={{ startAdornment: <InputAdornment position="start">Ksh</InputAdornment> }}
+                  inputProps={{ min: 0 }}
+                  disabled={!policy}
+                />
+                <Button
+                  variant="contained"
+                  onClick={handleSaveThresholds}
+                  disabled={!policy || saving}
+                  startIcon={<SaveIcon />}
+                  sx={{ borderRadius: 2, alignSelf: 'flex-start' }}
+                >
+                  {saving ? 'Saving…' : 'Save thresholds'}
+                </Button>
+              </Box>
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle1" fontWeight="bold" gutterBottom>Supervisors</Typography>
+              {policy && supervisors.length === 0 && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  No supervisors yet - voids above the thresholds cannot be approved until one is added.
+                </Alert>
+              )}
+              <List dense disablePadding sx={{ mb: 2 }}>
+                {supervisors.map((s) => (
+                  <ListItem
+                    key={s.id}
+                    divider
+                    secondaryAction={(
+                      <Tooltip title="Remove supervisor">
+                        <IconButton edge="end" size="small" onClick={() => handleRemoveSupervisor(s)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  >
+                    <ListItemText primary={s.name} secondary={s.createdAt ? `Added ${new Date(s.createdAt).toLocaleDateString()}` : null} />
+                  </ListItem>
+                ))}
+              </List>
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+                <TextField
+                  label="Name"
+                  size="small"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                />
+                <TextField
+                  label="PIN (4-8 digits)"
+                  type="password"
+                  size="small"
+                  value={pin}
+                  onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                  inputProps={{ inputMode: 'numeric', maxLength: 8 }}
+                  autoComplete="new-password"
+                />
+                <Button
+                  variant="outlined"
+                  onClick={handleAddSupervisor}
+                  disabled={adding || !name.trim() || pin.length < 4}
+                  startIcon={<PersonAddIcon />}
+                  sx={{ borderRadius: 2 }}
+                >
+                  Add
+                </Button>
+              </Box>
+            </Grid>
+          </Grid>
+        </CardContent>
+      </Card>
+    </Grid>
+  );
+}
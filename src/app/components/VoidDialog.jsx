@@ -0,0 +1,110 @@
+// src/app/components/VoidDialog.jsx
+// Reason and (above the till's threshold) supervisor PIN prompt for line voids and post-voids.
+import React, { useEffect, useState } from 'react';
+import { Modal, Button, Form, Alert } from 'react-bootstrap';
+import voids, { VOID_TYPES } from '../../services/voids';
+
+const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
+
+const REASONS = {
+  [VOID_TYPES.LINE]: ['Scanned in error', 'Customer changed mind', 'Wrong price', 'Damaged item', 'Other'],
+  [VOID_TYPES.POST]: ['Wrong items rung up', 'Payment failed or reversed', 'Customer cancelled', 'Duplicate sale', 'Other'],
+};
+
+/**
+ * @param {{ show: boolean, type: string, title: string, description?: string, amount: number,
+ *   onCancel: () => void, onConfirm: ({ reason: string, pin: string }) => Promise<void> }} props -
+ *   onConfirm rejects with the error to show (a wrong PIN, a missing reason) to keep the dialog open
+ */
+export default function VoidDialog({ show, type = VOID_TYPES.LINE, title, description = '', amount = 0, onCancel, onConfirm }) {
+  const [choice, setChoice] = useState('');
+  const [note, setNote] = useState('');
+  const [pin, setPin] = useState('');
+  const [pinRequired, setPinRequired] = useState(false);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!show) return;
+    setChoice(REASONS[type][0]);
+    setNote('');
+    setPin('');
+    setError('');
+    let cancelled = false;
+    voids.getVoidPolicy()
+      .then((policy) => { if (!cancelled) setPinRequired(voids.needsApproval(type, amount, policy)); })
+      .catch(() => { if (!cancelled) setPinRequired(true); });
+    return () => { cancelled = true; };
+  }, [show, type, amount]);
+
+  const reason = choice === 'Other' ? note.trim() : [choice, note.trim()].filter(Boolean).join(' - ');
+
+  const handleConfirm = async (e) => {
+    if (e) e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await onConfirm({ reason, pin });
+    } catch (err) {
+      if (err?.needsPin) setPinRequired(true);
+      setError(err?.message || 'Void failed');
+      setPin('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={busy ? undefined : onCancel} centered>
+      <Form onSubmit={handleConfirm}>
+        <Modal.Header closeButton={!busy}>
+          <Modal.Title>{title}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {description && <p className="mb-2">{description}</p>}
+          <p className="fw-bold mb-3">Amount: {KSH(amount)}</p>
+
+          <Form.Group className="mb-2">
+            <Form.Label>Reason</Form.Label>
+            <Form.Select value={choice} onChange={(e) => setChoice(e.target.value)} disabled={busy}>
+              {REASONS[type].map((r) => <option key={r} value={r}>{r}</option>)}
+            </Form.Select>
+          </Form.Group>
+          <Form.Control
+            className="mb-3"
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder={choice === 'Other' ? 'Describe the reason' : 'Notes (optional)'}
+            disabled={busy}
+          />
+
+          {pinRequired && (
+            <Form.Group>
+              <Form.Label>Supervisor PIN</Form.Label>
+              <Form.Control
+                type="password"
+                inputMode="numeric"
+                autoComplete="off"
+                maxLength={8}
+                value={pin}
+                onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                placeholder="Supervisor enters PIN"
+                disabled={busy}
+                autoFocus
+              />
+            </Form.Group>
+          )}
+
+          {error && <Alert variant="danger" className="mt-3 mb-0 py-2">{error}</Alert>}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="outline-secondary" onClick={onCancel} disabled={busy}>Cancel</Button>
+          <Button variant="danger" type="submit" disabled={busy}>
+            {busy ? 'Voiding...' : 'Void'}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+}
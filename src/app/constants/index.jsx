@@ -85,6 +85,8 @@ export const ORDER_STATUS = {
   PROCESSING: 'processing',
   COMPLETED: 'completed',
   CANCELLED: 'cancelled',
+  VOIDED: 'voided',
+  PARTIALLY_REFUNDED: 'partially_refunded',
   REFUNDED: 'refunded'
 };
 
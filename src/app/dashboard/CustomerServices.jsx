@@ -1,29 +1,64 @@
-import React, { useState, useMemo } from 'react';
-import { toast } from 'react-toastify';
+import React, { useState, useMemo, useEffect, useCallback } from 'react';
 import { useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
 import api from '../../services/api';
+import indexedDb from '../../services/indexedDB';
+import returns, { REFUND_TO } from '../../services/returns';
+import { LOCAL_ONLY, localOnlyNotice } from '../../services/serverRoutes';
+import { tendersFromOrder } from '../../services/tenders';
+import { selectUser } from '../../redux/slices/userSlice';
+import { mapCartToReceiptItems } from '../../utils/orderUtils';
+import { listPrice } from '../../utils/pricing';
 import { printOrderReceipt } from '../thermalPrinter/thermalPrinter';
-import { selectAllProducts } from '../../redux/slices/productSlice';
+
+const RECEIPT_STORE_SETTINGS = {
+  storeName: 'ARPELLA STORE LIMITED',
+  storeAddress: 'Ngong, Matasia',
+  storePhone: '+254 7xx xxx xxx',
+  pin: 'P052336649L',
+  receiptFooter: 'Thank you for your business!'
+};
+
+const RETURN_REASONS = ['Damaged or faulty', 'Expired', 'Wrong item', 'Customer changed mind', 'Other'];
+
+const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
 
 export default function CustomerServices() {
+  const user = useSelector(selectUser);
   const [orderId, setOrderId] = useState('');
   const [orderData, setOrderData] = useState(null);
   const [loading, setLoading] = useState(false);
 
-  const products = useSelector(selectAllProducts);
+  const [productsMap, setProductsMap] = useState({});
 
-  const productsMap = useMemo(() => {
-    const map = {};
-    if (products && Array.isArray(products)) {
-      products.forEach(p => {
-        if (p.id) map[p.id] = p;
-        if (p._id) map[p._id] = p;
-        if (p.productId) map[p.productId] = p;
-        if (p.inventoryId) map[p.inventoryId] = p;
-      });
-    }
-    return map;
-  }, [products]);
+  const [priorReturns, setPriorReturns] = useState([]);
+  const [showReturn, setShowReturn] = useState(false);
+  const [selections, setSelections] = useState({});
+  const [reasonChoice, setReasonChoice] = useState('');
+  const [reasonNote, setReasonNote] = useState('');
+  const [refundTo, setRefundTo] = useState(REFUND_TO.ORIGINAL);
+  const [processing, setProcessing] = useState(false);
+
+  // Returns and stock adjustments made while offline
+  useEffect(() => {
+    returns.retryPendingReturns(api).catch(() => {});
+  }, []);
+
+  // Look up only the products on this order from the local catalog
+  useEffect(() => {
+    let cancelled = false;
+    const items = orderData ? (orderData.orderitems || orderData.items || []) : [];
+    (async () => {
+      const map = {};
+      for (const item of items) {
+        if (item.productId === undefined || item.productId === null || map[item.productId]) continue;
+        const product = await indexedDb.getProductById(item.productId).catch(() => null);
+        if (product) map[item.productId] = product;
+      }
+      if (!cancelled) setProductsMap(map);
+    })();
+    return () => { cancelled = true; };
+  }, [orderData]);
 
   // Resolve order items with product details
   const resolvedItems = useMemo(() => {
@@ -31,16 +66,11 @@ export default function CustomerServices() {
     const items = orderData.orderitems || orderData.items || [];
     return items.map(item => {
       const product = productsMap[item.productId] || {};
-      
-      let price = 0;
-      if (item.priceType === 'Retail') {
-        price = Number(product.price) || 0;
-      } else {
-        price = Number(product.wholesalePrice) || Number(product.price) || 0;
-      }
-      
+      const price = listPrice({ ...product, priceType: item.priceType });
+
       return {
         ...item,
+        inventoryId: item.inventoryId ?? product.inventoryId ?? null,
         name: item.productName || item.name || product.name || 'Unknown Item',
         salePrice: Number(item.salePrice || item.price || price),
         price: Number(item.salePrice || item.price || price)
@@ -48,11 +78,51 @@ export default function CustomerServices() {
     });
   }, [orderData, productsMap]);
 
+  // Orders taken on this till keep their cart; server orders only have order items
+  const orderItems = useMemo(() => {
+    if (!orderData) return [];
+    // the order discount is spread over the lines so refunds match what was paid
+    return Array.isArray(orderData.cart) ? mapCartToReceiptItems(orderData.cart, orderData.orderDiscount) : resolvedItems;
+  }, [orderData, resolvedItems]);
+
+  const returnLines = useMemo(
+    () => returns.returnableLines(returns.orderLines(orderItems), priorReturns),
+    [orderItems, priorReturns]
+  );
+
+  const loadPriorReturns = useCallback(async (order) => {
+    // includes returns other tills sent to the server, when it can be reached
+    const { returns: list } = order
+      ? await returns.loadReturnsForOrder(returns.orderIdOf(order), api).catch(() => ({ returns: [] }))
+      : { returns: [] };
+    setPriorReturns(list);
+  }, []);
+
+  useEffect(() => {
+    loadPriorReturns(orderData);
+    setShowReturn(false);
+  }, [orderData, loadPriorReturns]);
+
+  const reason = reasonChoice === 'Other' || !reasonChoice
+    ? reasonNote.trim()
+    : [reasonChoice, reasonNote.trim()].filter(Boolean).join(' - ');
+
+  const returnDraft = useMemo(() => {
+    if (!orderData || !showReturn) return null;
+    return returns.buildReturn({ order: orderData, lines: returnLines, selections, reason, refundTo, priorReturns });
+  }, [orderData, showReturn, returnLines, selections, reason, refundTo, priorReturns]);
+
   const handleSearch = async (e) => {
     if (e.key === 'Enter') {
       if (!orderId.trim()) return;
       setLoading(true);
       try {
+        const local = await indexedDb.getOrderById(orderId.trim()).catch(() => null);
+        if (local) {
+          setOrderData(local);
+          toast.success('Order found!');
+          return;
+        }
         const response = await api.get(`https://api.arpellastore.com/order/${orderId.trim()}`);
         if (response.data) {
           setOrderData(response.data);
@@ -87,13 +157,7 @@ export default function CustomerServices() {
         orderNumber: orderData.orderid || orderData.orderId || orderData.id,
         customerPhone: orderData.phoneNumber || 'Walk-in',
         buyerPin: orderData.buyerPin || '',
-        storeSettings: {
-          storeName: 'ARPELLA STORE LIMITED',
-          storeAddress: 'Ngong, Matasia',
-          storePhone: '+254 7xx xxx xxx',
-          pin: 'P052336649L',
-          receiptFooter: 'Thank you for your business!'
-        }
+        storeSettings: RECEIPT_STORE_SETTINGS
       };
       
       const res = await printOrderReceipt(receiptData);
@@ -108,9 +172,85 @@ export default function CustomerServices() {
     }
   };
 
+  const printCreditNote = async (record) => {
+    try {
+      const res = await printOrderReceipt({
+        cart: record.lines.map((l) => ({ name: l.name, quantity: l.quantity, salePrice: l.unitPrice, priceType: l.priceType, lineTotal: l.lineTotal })),
+        cartTotal: record.total,
+        paymentType: record.refundTo,
+        paymentData: { tenders: record.refunds },
+        user: user || { fullName: record.cashier || 'Staff' },
+        orderNumber: record.creditNoteNo,
+        customerPhone: orderData?.phoneNumber || orderData?.customerPhone || 'Walk-in',
+        documentType: 'credit-note',
+        creditNote: { number: record.creditNoteNo, originalOrder: record.orderId, reason: record.reason },
+        storeSettings: RECEIPT_STORE_SETTINGS
+      });
+      if (!res?.success) toast.warning(`Credit note printing failed: ${res?.message}`);
+    } catch (err) {
+      toast.error('Error printing credit note.');
+      console.error(err);
+    }
+  };
+
   const handleProcessReturn = () => {
-    // Stub for processing returns
-    toast.info('Return process initiated. (Feature coming soon)');
+    if (!returnLines.some((l) => l.returnable > 0)) {
+      toast.info('Everything on this order has already been returned.');
+      return;
+    }
+    setSelections({});
+    setReasonChoice('');
+    setReasonNote('');
+    setRefundTo(REFUND_TO.ORIGINAL);
+    setShowReturn(true);
+  };
+
+  const setReturnQty = (line, value) => {
+    const qty = Math.max(0, Math.min(line.returnable, parseInt(value, 10) || 0));
+    setSelections((prev) => ({ ...prev, [line.key]: qty }));
+  };
+
+  const handleConfirmReturn = async () => {
+    const problem = returns.validateReturn(returnLines, selections, reason);
+    if (problem) {
+      toast.error(problem);
+      return;
+    }
+    setProcessing(true);
+    try {
+      const record = await returns.processReturn({
+        order: orderData,
+        items: orderItems,
+        selections,
+        reason,
+        refundTo,
+        cashier: user?.firstName || user?.userName || user?.email || '',
+        client: api
+      });
+      toast.success(`Return recorded as ${record.creditNoteNo}. Refund ${KSH(record.total)}.`);
+      if (record.localOnly) {
+        toast.info(`${localOnlyNotice(`Return ${record.creditNoteNo}`)} Returns taken on other tills are not counted.`);
+      } else if (!record.serverChecked) {
+        toast.warning('Could not check returns made on other tills - the server will confirm this one when it is sent.');
+      }
+      if (record.syncStatus === 'pending') {
+        toast.warning(record.localOnly
+          ? 'The returned stock could not be sent to the server - it will be retried automatically.'
+          : 'The return could not be sent to the server - it will be retried automatically.');
+      }
+      setShowReturn(false);
+      await loadPriorReturns(orderData);
+      await printCreditNote(record);
+    } catch (err) {
+      if (err?.isValidationError) {
+        toast.error(err.message);
+      } else {
+        toast.error('Failed to record the return.');
+        console.error(err);
+      }
+    } finally {
+      setProcessing(false);
+    }
   };
 
   return (
@@ -142,11 +282,11 @@ export default function CustomerServices() {
             <div className="row mb-4">
               <div className="col-md-6">
                 <p><strong>Date:</strong> {new Date(orderData.createdAt || orderData.date).toLocaleString()}</p>
-                <p><strong>Customer Phone:</strong> {orderData.phoneNumber}</p>
-                <p><strong>Payment Type:</strong> {orderData.orderPaymentType}</p>
+                <p><strong>Customer Phone:</strong> {orderData.phoneNumber || orderData.customerPhone}</p>
+                <p><strong>Payment Type:</strong> {orderData.orderPaymentType || orderData.paymentType}</p>
               </div>
               <div className="col-md-6">
-                <p><strong>Total:</strong> Ksh {Number(orderData.total || 0).toLocaleString()}</p>
+                <p><strong>Total:</strong> Ksh {Number(orderData.total ?? orderData.cartTotal ?? 0).toLocaleString()}</p>
                 <p><strong>Status:</strong> {orderData.status || 'Completed'}</p>
               </div>
             </div>
@@ -163,7 +303,7 @@ export default function CustomerServices() {
                   </tr>
                 </thead>
                 <tbody>
-                  {resolvedItems.map((item, idx) => (
+                  {orderItems.map((item, idx) => (
                     <tr key={idx}>
                       <td>{item.name}</td>
                       <td>{item.quantity}</td>
@@ -183,10 +323,165 @@ export default function CustomerServices() {
               <button className="btn btn-primary" onClick={handleReprintReceipt}>
                 <i className="fas fa-print me-2"></i> Reprint Receipt
               </button>
-              <button className="btn btn-warning" onClick={handleProcessReturn}>
+              <button className="btn btn-warning" onClick={handleProcessReturn} disabled={showReturn}>
                 <i className="fas fa-undo me-2"></i> Process Return
               </button>
             </div>
+
+            {priorReturns.length > 0 && (
+              <div className="mt-4">
+                <h6 className="fw-bold">Credit Notes</h6>
+                <table className="table table-sm">
+                  <thead className="table-light">
+                    <tr>
+                      <th>Number</th>
+                      <th>Date</th>
+                      <th>Reason</th>
+                      <th>Refunded To</th>
+                      <th className="text-end">Amount</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {priorReturns.map((r) => (
+                      <tr key={r.creditNoteNo}>
+                        <td>
+                          {r.creditNoteNo}
+                          {r.syncStatus === 'pending' && <span className="badge bg-warning text-dark ms-2">Stock not synced</span>}
+                          {r.syncStatus === LOCAL_ONLY && <span className="badge bg-secondary ms-2" title={localOnlyNotice('This return')}>This till only</span>}
+                        </td>
+                        <td>{new Date(r.createdAt).toLocaleString()}</td>
+                        <td>{r.reason}</td>
+                        <td>{r.refunds.map((f) => `${f.label} ${KSH(f.amount)}`).join(', ')}</td>
+                        <td className="text-end">{KSH(r.total)}</td>
+                        <td className="text-end">
+                          <button className="btn btn-sm btn-outline-secondary" onClick={() => printCreditNote(r)} title="Reprint credit note">
+                            <i className="fas fa-print"></i>
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {orderData && showReturn && (
+        <div className="card shadow-sm mt-4 border-warning">
+          <div className="card-header bg-white">
+            <h5 className="mb-0">Return Items</h5>
+          </div>
+          <div className="card-body">
+            <div className="table-responsive">
+              <table className="table table-bordered align-middle">
+                <thead className="table-light">
+                  <tr>
+                    <th>Item</th>
+                    <th>Sold</th>
+                    <th>Returned</th>
+                    <th>Price</th>
+                    <th style={{ width: 140 }}>Return Qty</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {returnLines.map((line) => (
+                    <tr key={line.key} className={line.returnable === 0 ? 'text-muted' : ''}>
+                      <td>{line.name} <small className="text-muted">({line.priceType})</small></td>
+                      <td>{line.quantity}</td>
+                      <td>{line.returned}</td>
+                      <td>{KSH(line.unitPrice)}</td>
+                      <td>
+                        <input
+                          type="number"
+                          className="form-control form-control-sm"
+                          min={0}
+                          max={line.returnable}
+                          value={selections[line.key] || ''}
+                          onChange={(e) => setReturnQty(line, e.target.value)}
+                          disabled={line.returnable === 0 || processing}
+                          placeholder="0"
+                          aria-label={`Quantity of ${line.name} to return`}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="row g-3">
+              <div className="col-md-6">
+                <label className="form-label fw-bold">Reason</label>
+                <select className="form-select mb-2" value={reasonChoice} onChange={(e) => setReasonChoice(e.target.value)} disabled={processing}>
+                  <option value="">Select a reason...</option>
+                  {RETURN_REASONS.map((r) => <option key={r} value={r}>{r}</option>)}
+                </select>
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder={reasonChoice === 'Other' || !reasonChoice ? 'Describe the reason' : 'Notes (optional)'}
+                  value={reasonNote}
+                  onChange={(e) => setReasonNote(e.target.value)}
+                  disabled={processing}
+                />
+              </div>
+              <div className="col-md-6">
+                <label className="form-label fw-bold">Refund To</label>
+                <div className="form-check">
+                  <input
+                    className="form-check-input"
+                    type="radio"
+                    id="refund-original"
+                    checked={refundTo === REFUND_TO.ORIGINAL}
+                    onChange={() => setRefundTo(REFUND_TO.ORIGINAL)}
+                    disabled={processing}
+                  />
+                  <label className="form-check-label" htmlFor="refund-original">
+                    Original payment ({tendersFromOrder(orderData).map((t) => t.label).join(' + ') || 'Cash'})
+                  </label>
+                </div>
+                <div className="form-check">
+                  <input
+                    className="form-check-input"
+                    type="radio"
+                    id="refund-credit"
+                    checked={refundTo === REFUND_TO.STORE_CREDIT}
+                    onChange={() => setRefundTo(REFUND_TO.STORE_CREDIT)}
+                    disabled={processing}
+                  />
+                  <label className="form-check-label" htmlFor="refund-credit">
+                    Store credit (credit note number is the voucher; not yet redeemable at the till)
+                  </label>
+                </div>
+
+                {returnDraft && returnDraft.total > 0 && (
+                  <div className="p-2 bg-light rounded small mt-2">
+                    {returnDraft.refunds.map((f, i) => (
+                      <div key={i} className="d-flex justify-content-between">
+                        <span>{f.label}{f.reference ? ` (${f.reference})` : ''}</span>
+                        <span>{KSH(f.amount)}</span>
+                      </div>
+                    ))}
+                    <div className="d-flex justify-content-between fw-bold border-top mt-1 pt-1">
+                      <span>Refund total</span>
+                      <span>{KSH(returnDraft.total)}</span>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="d-flex gap-3 mt-4">
+              <button className="btn btn-warning" onClick={handleConfirmReturn} disabled={processing}>
+                <i className="fas fa-check me-2"></i> {processing ? 'Recording...' : 'Confirm Return'}
+              </button>
+              <button className="btn btn-outline-secondary" onClick={() => setShowReturn(false)} disabled={processing}>
+                Cancel
+              </button>
+            </div>
           </div>
         </div>
       )}
@@ -10,8 +10,21 @@ import {
   updateCartItemQuantity,
   removeItemFromCart,
   clearCart,
+  setLineDiscount,
+  setCartDiscount,
+  setCartCustomer,
+  applyOffers,
+  setCheckoutKey,
   selectCart,
+  selectCheckoutKey,
+  selectCartDiscount,
+  selectCartCustomer,
   selectProductsLoading,
+  selectCatalogSync,
+  selectIncrementalFetch,
+  pauseCatalogSync,
+  resumeCatalogSync,
+  stopCatalogSync,
 } from '../../redux/slices/productSlice';
 import { extractId } from '../../redux/slices/productsSlice-helpers';
 
@@ -22,8 +35,19 @@ import {
 } from '../../services/cartService';
 import api from '../../services/api';
 import { selectUser } from '../../redux/slices/userSlice';
-import { printOrderReceipt } from '../thermalPrinter/thermalPrinter';
+import { printOrderReceipt, printLayawayReceipt } from '../thermalPrinter/thermalPrinter';
 import heldSalesService from '../../services/heldSalesService';
+import orderOutbox from '../../services/orderOutbox';
+import orderIdempotency, { IDEMPOTENCY_HEADER } from '../../services/orderIdempotency';
+import stockLedger from '../../services/stockLedger';
+import tenders, { TENDER_METHODS } from '../../services/tenders';
+import mpesaPayments from '../../services/mpesaPayments';
+import voids from '../../services/voids';
+import discounts, { discountTotals } from '../../services/discounts';
+import customers from '../../services/customers';
+import cashDrawer from '../../services/cashDrawer';
+import layaways, { LAYAWAY_STATUS } from '../../services/layaways';
+import offers from '../../services/offers';
 
 import SearchHeader from '../components/SearchHeader';
 import SearchTools from '../components/SearchTools';
@@ -32,11 +56,24 @@ import CartItems from '../components/CartItems';
 import PaymentForm from '../components/PaymentForm';
 import HeldSales from '../components/HeldSales';
 import MpesaTransactions from '../components/MpesaTransactions';
+import OutboxStatus from '../components/OutboxStatus';
+import VoidDialog from '../components/VoidDialog';
+import DiscountDialog from '../components/DiscountDialog';
+import CustomerLookup from '../components/CustomerLookup';
+import CashDrawerDialog from '../components/CashDrawerDialog';
+import QuotesDialog from '../components/QuotesDialog';
 import { mapCartToReceiptItems } from '../../utils/orderUtils';
 
 const CTA = { background: '#FF7F50', color: '#fff' };
+const OFFER_REFRESH_MS = 5 * 60 * 1000;
 const KSH = (amt) => `Ksh ${Number(amt || 0).toLocaleString()}`;
 
+// orderPaymentType values the API accepts for single-method checkouts
+const ORDER_PAYMENT_TYPES = {
+  cash: 'Cash',
+  mpesa: 'Mpesa',
+};
+
 function useDebouncedCallback(fn, wait) {
   const timer = useRef(null);
   return useCallback(
@@ -73,12 +110,42 @@ export default function POS() {
   const [showHeldSales, setShowHeldSales] = useState(false);
   const [heldSales, setHeldSales] = useState([]);
   const [showMpesaTx, setShowMpesaTx] = useState(false);
+  // automatic confirmation of the pending STK order: { status: 'waiting'|'matched'|'timeout', deadline, transactionId }
+  const [autoConfirm, setAutoConfirm] = useState(null);
+  const [manualMpesaCode, setManualMpesaCode] = useState('');
+  // payments of the right amount whose phone cannot be read, for the cashier to pick from
+  const [mpesaCandidates, setMpesaCandidates] = useState([]);
 
   const [scannedProduct, setScannedProduct] = useState(null);
+  // productId -> countedAt for cart items validated against an unverified local stock count
+  const [staleStock, setStaleStock] = useState({});
+  // cart lines waiting for a void reason / supervisor PIN: { title, description, items, amount, apply }
+  const [voidRequest, setVoidRequest] = useState(null);
+  // manual discount being keyed in: { key (cart line, null for the order), title, base, current }
+  const [discountRequest, setDiscountRequest] = useState(null);
+  const [discountLimits, setDiscountLimits] = useState(discounts.DEFAULT_DISCOUNT_LIMITS);
+  const [loyaltySettings, setLoyaltySettings] = useState(customers.DEFAULT_LOYALTY_SETTINGS);
+  const [cashSettings, setCashSettings] = useState(cashDrawer.DEFAULT_CASH_SETTINGS);
+  // the open cash drawer (services/cashDrawer), null until a float is counted in
+  const [drawer, setDrawer] = useState(null);
+  const [showDrawer, setShowDrawer] = useState(false);
+  const [showQuotes, setShowQuotes] = useState(false);
+  // open layaways (services/layaways) by held sale id
+  const [openLayaways, setOpenLayaways] = useState({});
+  // flash sales and offers (services/offers) as last fetched, and the minute they are checked against
+  const [offerList, setOfferList] = useState([]);
+  const [offerClock, setOfferClock] = useState(() => Date.now());
 
   const dispatch = useDispatch();
   const rawCart = useSelector(selectCart);
+  const cartDiscount = useSelector(selectCartDiscount);
+  const cartCustomer = useSelector(selectCartCustomer);
+  const checkoutKey = useSelector(selectCheckoutKey);
+  const checkoutKeyRef = useRef(checkoutKey);
+  checkoutKeyRef.current = checkoutKey;
   const loading = useSelector(selectProductsLoading);
+  const catalogSync = useSelector(selectCatalogSync);
+  const syncProgress = useSelector(selectIncrementalFetch);
   const user = useSelector(selectUser);
 
   const cart = useMemo(() => {
@@ -99,29 +166,22 @@ export default function POS() {
     return cart.reduce((sum, item) => sum + (Number(item?.quantity) || 0), 0);
   }, [cart]);
 
-  const calculateCartTotal = useCallback(() => {
-    return cart.reduce((total, item) => {
-      let price;
-      if (item?.priceType === 'Retail') {
-        price = Number(item.price) || 0;
-      } else {
-        // Wholesale strictly uses wholesalePrice, falls back to retail price
-        price = Number(item.wholesalePrice) || Number(item.price) || 0;
-      }
-      if (item?.applyDiscount && item?.priceAfterDiscount && Number(item.priceAfterDiscount) > 0) {
-        price = Number(item.priceAfterDiscount);
-      }
-      const qty = Number(item?.quantity) || 1;
-      return total + price * qty;
-    }, 0);
-  }, [cart]);
+  // subtotal, manual line / order discounts and what is left to pay
+  const cartTotals = useMemo(() => discountTotals(mapCartToReceiptItems(cart, cartDiscount)), [cart, cartDiscount]);
+
+  const calculateCartTotal = useCallback(() => cartTotals.total, [cartTotals]);
 
   const currentCartTotal = useMemo(() => calculateCartTotal(), [calculateCartTotal]);
 
+  const roundTo = cashSettings.roundTo;
+
   const searchInputRef = useRef(null);
   const scannerRef = useRef({ buffer: '', firstTime: 0, lastTime: 0, timer: null });
   const barcodeResultsRef = useRef(null);
   const scannedProductTimerRef = useRef(null);
+  const completePendingRef = useRef(null);
+  const checkoutRef = useRef(null);
+  const settledPendingRef = useRef(null);
   const SCANNED_PRODUCT_TTL_MS = 15000;
 
   useEffect(() => {
@@ -214,15 +274,28 @@ export default function POS() {
   }, [clearScannedProductTimer]);
 
   const handleOrderCompletion = useCallback(
-    async (orderData, cartSnapshot = null, paymentTypeSnapshot = null, paymentDataSnapshot = null) => {
+    async (orderData, cartSnapshot = null, paymentTypeSnapshot = null, paymentDataSnapshot = null, discountSnapshot = null, customerSnapshot = null) => {
       toast.success('Order completed');
+      // the sale has settled: submitting its checkout again maps back to this order from now on
+      if (orderData?.clientOrderId && !orderData.queued) {
+        const settledId = orderData.orderid || orderData.orderId || orderData.id || orderData.order_id || orderData.clientOrderId;
+        orderIdempotency.markCompleted(orderData.clientOrderId, {
+          orderId: settledId,
+          data: { orderId: settledId, clientOrderId: orderData.clientOrderId, buyerPin: orderData.buyerPin },
+        });
+      }
 
       const itemsToReceipt = cartSnapshot || cart;
       const usedPaymentType = paymentTypeSnapshot || paymentType;
       const usedPaymentData = paymentDataSnapshot || paymentData;
 
-      const receiptItems = mapCartToReceiptItems(Array.isArray(itemsToReceipt) ? itemsToReceipt : []);
-      const cartTotalFromLines = receiptItems.reduce((s, it) => s + (it.lineTotal || 0), 0);
+      const usedDiscount = cartSnapshot ? discountSnapshot : cartDiscount;
+      const usedCustomer = cartSnapshot ? customerSnapshot : cartCustomer;
+
+      const receiptItems = mapCartToReceiptItems(Array.isArray(itemsToReceipt) ? itemsToReceipt : [], usedDiscount);
+      const saleTotals = discountTotals(receiptItems);
+      const discountSummary = discounts.discountSummary(receiptItems, usedDiscount);
+      const cartTotalFromLines = saleTotals.total;
       const actualUser = Array.isArray(user) ? user[0] : user;
 
       const getCashierName = () => {
@@ -258,18 +331,30 @@ export default function POS() {
       };
 
       const calculatePaymentDetails = () => {
-        const paymentInfo = { cashAmount: 0, mpesaAmount: 0, change: 0 };
+        const paymentInfo = { cashAmount: 0, mpesaAmount: 0, change: 0, rounding: 0 };
 
         if (usedPaymentType === 'cash') {
+          const { due, rounding } = cashDrawer.cashDue(cartTotalFromLines, roundTo);
           paymentInfo.cashAmount = Number(usedPaymentData.cashAmount) || 0;
-          paymentInfo.change = Math.max(0, paymentInfo.cashAmount - cartTotalFromLines);
+          paymentInfo.change = Math.max(0, paymentInfo.cashAmount - due);
+          paymentInfo.rounding = rounding;
         } else if (usedPaymentType === 'mpesa') {
           paymentInfo.mpesaAmount = Number(usedPaymentData.mpesaAmount) || cartTotalFromLines;
-        } else if (usedPaymentType === 'both') {
-          paymentInfo.cashAmount = Number(usedPaymentData.cashAmount) || 0;
-          paymentInfo.mpesaAmount = Number(usedPaymentData.mpesaAmount) || 0;
-          const totalPaid = paymentInfo.cashAmount + paymentInfo.mpesaAmount;
-          paymentInfo.change = Math.max(0, totalPaid - cartTotalFromLines);
+          paymentInfo.mpesaRef = usedPaymentData.mpesaCode || '';
+          // an overpaid C2B payment is settled by handing the excess back in cash, rounded like any cash
+          const excess = Math.max(0, paymentInfo.mpesaAmount - cartTotalFromLines);
+          paymentInfo.change = tenders.roundCash(excess, roundTo);
+          paymentInfo.rounding = Math.round((excess - paymentInfo.change) * 100) / 100;
+        } else if (usedPaymentType === 'split') {
+          const lines = usedPaymentData.tenders || [];
+          // a layaway's instalments were taken to the shilling, so its checkout is not rounded
+          const cashStep = usedPaymentData?.layawayId ? null : roundTo;
+          const summary = tenders.summarizeTenders(lines, cartTotalFromLines, { roundTo: cashStep });
+          paymentInfo.cashAmount = summary.cashPaid;
+          paymentInfo.mpesaAmount = summary.byMethod[TENDER_METHODS.MPESA] || 0;
+          paymentInfo.change = summary.change;
+          paymentInfo.rounding = summary.rounding;
+          paymentInfo.tenders = tenders.toOrderTenders(lines, cartTotalFromLines, { roundTo: cashStep });
         }
 
         return paymentInfo;
@@ -277,6 +362,53 @@ export default function POS() {
 
       const paymentDetails = calculatePaymentDetails();
 
+      // a finished layaway is closed; its cash went into the drawer as each instalment was taken
+      const layawayId = usedPaymentData?.layawayId || null;
+      if (layawayId) {
+        try {
+          await layaways.completeLayaway(layawayId, {
+            orderId: orderData?.clientOrderId || orderData?.orderNumber || orderData?.orderId || orderData?.id,
+          });
+        } catch (err) {
+          console.warn('[POS] failed to close the layaway', err);
+        }
+      }
+
+      // cash in and change out go through the drawer, which picks the notes to hand back
+      let changeNotes = null;
+      if (!layawayId && (paymentDetails.cashAmount > 0 || paymentDetails.change > 0)) {
+        try {
+          const recorded = await cashDrawer.recordCashSale({ tendered: paymentDetails.cashAmount, change: paymentDetails.change });
+          if (recorded.drawer) setDrawer(recorded.drawer);
+          changeNotes = recorded;
+        } catch (err) {
+          console.warn('[POS] failed to update the cash drawer', err);
+        }
+      }
+
+      // points earned on the sale; the balance after it goes on the receipt
+      let loyalty = null;
+      if (usedCustomer) {
+        try {
+          const recorded = await customers.recordSale({
+            phone: usedCustomer.phone,
+            orderId: orderData?.clientOrderId || orderData?.orderNumber || orderData?.orderId || orderData?.id,
+            spend: cartTotalFromLines,
+            settings: loyaltySettings,
+            client: api,
+          });
+          loyalty = {
+            phone: usedCustomer.phone,
+            name: usedCustomer.name,
+            pointsEarned: recorded.pointsEarned,
+            balance: recorded.customer.points,
+          };
+        } catch (err) {
+          console.warn('[POS] failed to record loyalty points', err);
+          toast.warning(`Loyalty points not recorded: ${err?.message || 'unknown error'}`);
+        }
+      }
+
       const normalizedUser = {
         id: actualUser?.id || actualUser?._id || actualUser?.userId || null,
         fullName: cashierName,
@@ -293,10 +425,14 @@ export default function POS() {
         email: actualUser?.email || '',
       };
 
-      const rawCustomerPhone =
-        usedPaymentType === 'mpesa' || usedPaymentType === 'both'
+      const splitPhone = (usedPaymentData.tenders || []).find((t) => t.method === TENDER_METHODS.MPESA && t.phone)?.phone;
+      const rawCustomerPhone = usedCustomer
+        ? usedCustomer.phone
+        : usedPaymentType === 'mpesa'
           ? (usedPaymentData.mpesaPhone || '').trim() || ''
-          : (user && (user.phone || user.phoneNumber)) || '';
+          : usedPaymentType === 'split' && splitPhone
+            ? splitPhone
+            : (user && (user.phone || user.phoneNumber)) || '';
 
       const maskedCustomerPhone = rawCustomerPhone ? maskPhoneForReceipt(rawCustomerPhone) : 'Walk-in';
 
@@ -321,6 +457,8 @@ export default function POS() {
           `ORD-${Date.now().toString().slice(-6)}`,
         customerPhone: maskedCustomerPhone,
         buyerPin: orderData?.buyerPin || usedPaymentData?.buyerPin || paymentData?.buyerPin || '',
+        orderDiscount: discountSummary.order,
+        loyalty,
         storeSettings,
       };
 
@@ -332,14 +470,23 @@ export default function POS() {
           orderData?.order_id ||
           receiptData.orderId;
 
-        const totalPaid = (paymentDetails.cashAmount || 0) + (paymentDetails.mpesaAmount || 0);
-        const status = totalPaid >= cartTotalFromLines ? 'paid' : 'pending';
+        const totalPaid = paymentDetails.tenders
+          ? paymentDetails.tenders.reduce((s, t) => s + t.applied, 0) + paymentDetails.change
+          : (paymentDetails.cashAmount || 0) + (paymentDetails.mpesaAmount || 0);
+        const status = totalPaid >= cartTotalFromLines + paymentDetails.rounding - 0.005 ? 'paid' : 'pending';
 
         const localOrder = {
           orderId,
           orderData: orderData || {},
           cart: cartSnapshot || cart,
           cartTotal: cartTotalFromLines,
+          subtotal: saleTotals.subtotal,
+          cashRounding: paymentDetails.rounding,
+          orderDiscount: usedDiscount || null,
+          discounts: discountSummary,
+          customer: usedCustomer ? { phone: usedCustomer.phone, name: usedCustomer.name } : null,
+          loyalty,
+          cashier: cashierName,
           paymentType: usedPaymentType,
           paymentData: {
             cashAmount: String(paymentDetails.cashAmount || 0),
@@ -347,9 +494,13 @@ export default function POS() {
             mpesaPhone: usedPaymentData.mpesaPhone || '',
             mpesaCode: usedPaymentData.mpesaCode || '',
             change: paymentDetails.change || 0,
+            rounding: paymentDetails.rounding || 0,
             buyerPin: usedPaymentData.buyerPin || '',
+            ...(paymentDetails.tenders ? { tenders: paymentDetails.tenders } : {}),
           },
           buyerPin: orderData?.buyerPin || usedPaymentData.buyerPin || '',
+          clientOrderId: orderData?.clientOrderId || null,
+          syncStatus: orderData?.queued ? 'queued' : 'synced',
           status,
           createdAt: Date.now(),
         };
@@ -361,6 +512,16 @@ export default function POS() {
         console.warn('[POS] failed to write order to indexedDb', err);
       }
 
+      try {
+        await stockLedger.recordSale({
+          ref: orderData?.clientOrderId || receiptData.orderId,
+          items: Array.isArray(itemsToReceipt) ? itemsToReceipt : [],
+          synced: !orderData?.queued,
+        });
+      } catch (err) {
+        console.warn('[POS] failed to update stock ledger', err);
+      }
+
       if (!cartSnapshot) {
         dispatch(clearCart());
         setPaymentType('');
@@ -372,7 +533,11 @@ export default function POS() {
       }
 
       if (paymentDetails.change > 0) {
-        toast.info(`Change: ${KSH(paymentDetails.change)}`, { autoClose: 5000, position: 'top-center' });
+        const notes = changeNotes?.pieces?.length ? ` - give ${cashDrawer.describePieces(changeNotes.pieces)}` : '';
+        toast.info(`Change: ${KSH(paymentDetails.change)}${notes}`, { autoClose: 8000, position: 'top-center' });
+        if (changeNotes?.short > 0) {
+          toast.warning(`Drawer is ${KSH(changeNotes.short)} short of small notes for this change`, { autoClose: 8000 });
+        }
       }
 
       try {
@@ -401,7 +566,7 @@ export default function POS() {
         clearSearchAndProducts();
       }
     },
-    [cart, paymentType, paymentData, user, maskPhoneForReceipt, dispatch, clearSearchAndProducts]
+    [cart, cartDiscount, cartCustomer, loyaltySettings, roundTo, paymentType, paymentData, user, maskPhoneForReceipt, dispatch, clearSearchAndProducts]
   );
 
   const productsMap = useMemo(() => {
@@ -498,20 +663,66 @@ export default function POS() {
             );
           }
 
-          return {
-            productId: pid,
-            quantity: Number(ci.quantity) || 1,
-            priceType: ci.priceType === 'Discounted' || ci.priceType === 'Wholesale' ? 'Discounted' : 'Retail',
-            applyDiscount: !!ci.applyDiscount,
-          };
+          // a line past its quantity break goes as the tier portion and the remainder,
+          // each with the price the till charged; the part sold at an offer price names the offer
+          return offers.orderItemsFor(ci).map((portion) => ({ productId: pid, ...portion }));
         })
       );
 
-      return items.filter((it) => it.productId !== null && !Number.isNaN(it.productId));
+      return items.flat().filter((it) => it.productId !== null && !Number.isNaN(it.productId));
     },
     [resolveNumericProductId]
   );
 
+  // Manual discounts travel with the order as given: line discounts, the order discount and their total
+  const buildDiscountPayload = useCallback(
+    () => discounts.discountSummary(mapCartToReceiptItems(cart, cartDiscount), cartDiscount),
+    [cart, cartDiscount]
+  );
+
+  // The cart's checkout key, created on its first submit and kept until the cart is cleared
+  const checkoutKeyForCart = useCallback(() => {
+    if (checkoutKeyRef.current) return checkoutKeyRef.current;
+    const key = orderIdempotency.createKey();
+    checkoutKeyRef.current = key;
+    dispatch(setCheckoutKey(key));
+    return key;
+  }, [dispatch]);
+
+  // Posts an order with a stable clientOrderId, which doubles as its idempotency key.
+  // When the API is unreachable and the sale needs no server-side confirmation (cash, or
+  // an M-Pesa code already received), the payload is queued in the outbox and a local
+  // order record is returned instead. A repeat of a submission that is in flight, or of a
+  // sale that has settled, resolves with `duplicate: true` and must not complete the sale
+  // again. A sale only settles in handleOrderCompletion, so an M-Pesa order still waiting
+  // for its payment can be submitted again.
+  const submitOrder = useCallback(async (payload, { allowQueue = false, cartTotal = 0 } = {}) => {
+    const clientOrderId = payload.clientOrderId || checkoutKeyForCart();
+    const body = { ...payload, clientOrderId };
+
+    const previous = orderIdempotency.getCompleted(clientOrderId);
+    if (previous) {
+      toast.info(`This sale was already submitted as order ${previous.orderId}`);
+      return { data: { ...previous.data, clientOrderId }, queued: previous.queued, duplicate: true };
+    }
+
+    return orderIdempotency.runOnce(clientOrderId, async () => {
+      try {
+        const res = await api.post('/order', body, {
+          headers: { 'Content-Type': 'application/json', [IDEMPOTENCY_HEADER]: clientOrderId },
+        });
+        return { data: { clientOrderId, ...(res?.data || {}) }, queued: false };
+      } catch (err) {
+        if (!allowQueue || !orderOutbox.isNetworkError(err)) throw err;
+        await orderOutbox.enqueue({ clientOrderId, payload: body, meta: { cartTotal } });
+        const data = { orderId: clientOrderId, clientOrderId, buyerPin: body.buyerPin, queued: true };
+        orderIdempotency.markCompleted(clientOrderId, { orderId: clientOrderId, queued: true, data });
+        toast.warning(`Offline - order ${clientOrderId} queued and will sync automatically`);
+        return { data, queued: true };
+      }
+    });
+  }, [checkoutKeyForCart]);
+
   const createOrder = useCallback(
     async (overrides = {}) => {
       const pt = overrides.paymentType ?? paymentType;
@@ -526,20 +737,14 @@ export default function POS() {
 
       const currentCartTotalLocal = calculateCartTotal();
 
-      if (pt === 'both') {
-        const cashVal = Number(pd.cashAmount) || 0;
-        const mpesaVal = Number(pd.mpesaAmount) || 0;
+      const stkLine = pt === 'split' ? tenders.promptLine(pd.tenders) : null;
+      // a layaway's instalments were taken to the shilling, so its checkout is not rounded
+      const cashStep = pd?.layawayId ? null : roundTo;
 
-        if (!pd.mpesaPhone || pd.mpesaPhone.trim().length === 0) {
-          toast.error('Please enter M-Pesa phone number');
-          return;
-        }
-        if (mpesaVal <= 0) {
-          toast.error('Please enter a valid M-Pesa amount');
-          return;
-        }
-        if (cashVal + mpesaVal < currentCartTotalLocal) {
-          toast.error('Total payment amount must be >= cart total');
+      if (pt === 'split') {
+        const problem = tenders.validateTenders(pd.tenders, currentCartTotalLocal, { roundTo: cashStep });
+        if (problem) {
+          toast.error(problem);
           return;
         }
       }
@@ -558,8 +763,8 @@ export default function POS() {
         }
 
         const payload = {
-          userId: (user && (user.phone || user.userName)) || (pd.mpesaPhone || 'N/A'),
-          phoneNumber: pt === 'mpesa' || pt === 'both' ? (pd.mpesaPhone || '').trim() : (user && user.phone) || 'N/A',
+          userId: (user && (user.phone || user.userName)) || (pd.mpesaPhone || stkLine?.phone || 'N/A'),
+          phoneNumber: pt === 'mpesa' ? (pd.mpesaPhone || '').trim() : stkLine ? stkLine.phone : (user && user.phone) || 'N/A',
           orderPaymentType: pt === 'cash' ? 'Cash' : pt === 'mpesa' ? 'Mpesa' : 'Hybrid',
           latitude: coords?.lat ?? 0,
           longitude: coords?.lng ?? 0,
@@ -567,54 +772,82 @@ export default function POS() {
           orderSource: 'POS',
           applyDiscount: cart.some(item => !!item.applyDiscount),
           orderitems: resolvedOrderItems,
+          discounts: buildDiscountPayload(),
+          customerPhone: cartCustomer?.phone || null,
         };
 
         const tx = pd?.mpesaCode || pd?.transactionId || overrides.transactionId;
-        if ((pt === 'mpesa' || pt === 'both') && tx) {
+        if (pt === 'mpesa' && tx) {
           payload.transactionId = String(tx);
         }
 
-        if (pt === 'both') {
-          payload.total = Number(pd.cashAmount) || 0;
+        if (pt === 'split') {
+          // `total` stays the cash kept, as the API expects for Hybrid
+          payload.tenders = tenders.toOrderTenders(pd.tenders, currentCartTotalLocal, { roundTo: cashStep });
+          payload.total = payload.tenders.filter((t) => t.method === TENDER_METHODS.CASH).reduce((s, t) => s + t.applied, 0);
+          const { rounding } = tenders.summarizeTenders(pd.tenders, currentCartTotalLocal, { roundTo: cashStep });
+          if (rounding) payload.cashRounding = rounding;
+          const firstCode = payload.tenders.find((t) => t.method === TENDER_METHODS.MPESA && t.reference);
+          if (firstCode) payload.transactionId = firstCode.reference;
         }
 
+        if (overrides.clientOrderId) payload.clientOrderId = overrides.clientOrderId;
+
         const cartSnapshot = JSON.parse(JSON.stringify(cart));
+        const discountSnapshot = cartDiscount;
+        const customerSnapshot = cartCustomer;
         const paymentTypeSnapshot = pt;
         const paymentDataSnapshot = JSON.parse(JSON.stringify(pd));
 
         console.log('[POS][createOrder] payload', payload);
 
-        const res = await api.post('/order', payload, { headers: { 'Content-Type': 'application/json' } });
+        // a split with no phone prompt is fully paid once created, so it can be queued offline
+        const settled = pt === 'cash' || (pt === 'split' && !stkLine);
+        const res = await submitOrder(payload, { allowQueue: settled || !!payload.transactionId, cartTotal: currentCartTotalLocal });
         console.log('[POS][createOrder] response', res?.data);
 
+        if (res.duplicate) {
+          setProcessingOrder(false);
+          return;
+        }
+
+        if (res.queued) {
+          await handleOrderCompletion(res.data, cartSnapshot, paymentTypeSnapshot, paymentDataSnapshot, discountSnapshot, customerSnapshot);
+          return;
+        }
+
         const orderId = res?.data?.orderid || res?.data?.orderId || res?.data?.id || res?.data?.order_id;
 
         if (orderId) {
           setCurrentOrderId(orderId);
           toast.success(`Order created. ID: ${orderId}`);
-          if (pt === 'cash') {
+          if (settled) {
             await handleOrderCompletion(res.data);
           } else {
             setPendingOrderData({
               orderData: res.data,
               cartSnapshot,
+              discountSnapshot,
+              customerSnapshot,
               paymentTypeSnapshot,
               paymentDataSnapshot,
             });
-            toast.info(pt === 'both' ? 'Hybrid order created. Confirm M-Pesa payment.' : 'M-Pesa order created. Confirm payment.');
+            toast.info(pt === 'split' ? 'Split order created. Confirm M-Pesa payment.' : 'M-Pesa order created. Confirm payment.');
           }
         } else {
           toast.success('Order created.');
-          if (pt === 'cash') {
+          if (settled) {
             await handleOrderCompletion(res.data);
           } else {
             setPendingOrderData({
               orderData: res.data,
               cartSnapshot,
+              discountSnapshot,
+              customerSnapshot,
               paymentTypeSnapshot,
               paymentDataSnapshot,
             });
-            toast.info(pt === 'both' ? 'Hybrid order created. Confirm M-Pesa payment.' : 'M-Pesa order created. Confirm payment.');
+            toast.info(pt === 'split' ? 'Split order created. Confirm M-Pesa payment.' : 'M-Pesa order created. Confirm payment.');
           }
         }
       } catch (err) {
@@ -624,7 +857,7 @@ export default function POS() {
         setProcessingOrder(false);
       }
     },
-    [paymentType, paymentData, coords, cart, user, calculateCartTotal, handleOrderCompletion, buildOrderItemsResolved]
+    [paymentType, paymentData, coords, cart, cartDiscount, cartCustomer, roundTo, user, calculateCartTotal, handleOrderCompletion, buildOrderItemsResolved, buildDiscountPayload, submitOrder]
   );
 
   const handleC2BTransaction = useCallback(
@@ -661,12 +894,44 @@ export default function POS() {
           orderSource: 'POS',
           applyDiscount: cart.some(item => !!item.applyDiscount),
           orderitems: resolvedOrderItems,
+          discounts: buildDiscountPayload(),
+          customerPhone: cartCustomer?.phone || null,
         };
 
         const cartSnapshot = JSON.parse(JSON.stringify(cart));
+        const discountSnapshot = cartDiscount;
+        const customerSnapshot = cartCustomer;
+        const cartTotalNow = calculateCartTotal();
+
+        // a payment that does not match the total is settled in cash: the shortfall is
+        // collected as a second tender line, an overpayment is handed back as change
+        const txAmount = mpesaPayments.normalizeTransaction(tx).amount;
+        const settled = txAmount > 0 ? mpesaPayments.settleDifference(txAmount, cartTotalNow) : { collect: 0, refund: 0 };
+        const collect = tenders.roundCash(settled.collect, roundTo);
+        const refund = tenders.roundCash(settled.refund, roundTo);
+        let receiptPaymentType = 'mpesa';
+        let receiptPaymentData = { buyerPin: chosenBuyerPin, mpesaCode: txId, ...(txAmount > 0 ? { mpesaAmount: String(txAmount) } : {}) };
+        if (collect > 0) {
+          const lines = [
+            tenders.createTenderLine(TENDER_METHODS.MPESA, { amount: String(txAmount), reference: txId }),
+            tenders.createTenderLine(TENDER_METHODS.CASH, { amount: String(collect) }),
+          ];
+          payload.tenders = tenders.toOrderTenders(lines, cartTotalNow, { roundTo });
+          payload.total = collect;
+          if (collect !== settled.collect) payload.cashRounding = Math.round((collect - settled.collect) * 100) / 100;
+          receiptPaymentType = 'split';
+          receiptPaymentData = { buyerPin: chosenBuyerPin, tenders: lines };
+          toast.info(`Collect ${KSH(collect)} in cash to complete this sale`, { autoClose: 8000 });
+        } else if (refund > 0) {
+          toast.info(`Customer overpaid - refund ${KSH(refund)} in cash`, { autoClose: 8000 });
+        }
 
-        const res = await api.post('/order', payload, { headers: { 'Content-Type': 'application/json' } });
-        await handleOrderCompletion(res.data, cartSnapshot, 'mpesa', { buyerPin: chosenBuyerPin });
+        const res = await submitOrder(payload, { allowQueue: !!txId, cartTotal: cartTotalNow });
+        if (res.duplicate) {
+          setProcessingOrder(false);
+          return;
+        }
+        await handleOrderCompletion(res.data, cartSnapshot, receiptPaymentType, receiptPaymentData, discountSnapshot, customerSnapshot);
       } catch (err) {
         const msg = err?.response?.data?.message || err?.message || 'C2B order failed';
         console.error('[POS][handleC2BTransaction] error', err);
@@ -675,7 +940,7 @@ export default function POS() {
         throw err;
       }
     },
-    [cart, user, coords, buildOrderItemsResolved, handleOrderCompletion, paymentData]
+    [cart, cartDiscount, cartCustomer, roundTo, user, coords, buildOrderItemsResolved, buildDiscountPayload, handleOrderCompletion, paymentData, submitOrder, calculateCartTotal]
   );
 
   const completeCheckout = useCallback(
@@ -690,12 +955,18 @@ export default function POS() {
         return;
       }
 
+      if (!ORDER_PAYMENT_TYPES[pt]) {
+        toast.error(`${tenders.labelFor(pt)} payments cannot be recorded on the server yet - take the payment in cash or M-Pesa`);
+        return;
+      }
+
       const currentCartTotalLocal = calculateCartTotal();
 
+      const cash = cashDrawer.cashDue(currentCartTotalLocal, roundTo);
       if (pt === 'cash') {
         const cashVal = Number(pd.cashAmount);
-        if (!pd.cashAmount || Number.isNaN(cashVal) || cashVal < currentCartTotalLocal) {
-          toast.error('Please enter a valid cash amount (>= total)');
+        if (!pd.cashAmount || Number.isNaN(cashVal) || cashVal < cash.due) {
+          toast.error(`Please enter a valid cash amount (at least ${KSH(cash.due)})`);
           return;
         }
       }
@@ -721,13 +992,15 @@ export default function POS() {
         const payload = {
           userId: (user && (user.phone || user.userName)) || (pd.mpesaPhone || 'N/A'),
           phoneNumber: pt === 'mpesa' ? (pd.mpesaPhone || '').trim() : (user && user.phone) || 'N/A',
-          orderPaymentType: pt === 'cash' ? 'Cash' : 'Mpesa',
+          orderPaymentType: ORDER_PAYMENT_TYPES[pt],
           latitude: coords?.lat ?? 0,
           longitude: coords?.lng ?? 0,
           buyerPin: pd.buyerPin || 'N/A',
           orderSource: 'POS',
           applyDiscount: cart.some(item => !!item.applyDiscount),
           orderitems: resolvedOrderItems,
+          discounts: buildDiscountPayload(),
+          customerPhone: cartCustomer?.phone || null,
         };
 
         const tx = pd?.mpesaCode || pd?.transactionId || overrides.transactionId;
@@ -735,15 +1008,34 @@ export default function POS() {
           payload.transactionId = String(tx);
         }
 
+        if (pt === 'cash' && cash.rounding) payload.cashRounding = cash.rounding;
+
+        if (overrides.clientOrderId) payload.clientOrderId = overrides.clientOrderId;
+
         const cartSnapshot = JSON.parse(JSON.stringify(cart));
+        const discountSnapshot = cartDiscount;
+        const customerSnapshot = cartCustomer;
         const paymentTypeSnapshot = pt;
         const paymentDataSnapshot = JSON.parse(JSON.stringify(pd));
 
         console.log('[POS][completeCheckout] payload', payload);
 
-        const res = await api.post('/order', payload, { headers: { 'Content-Type': 'application/json' } });
+        const res = await submitOrder(payload, {
+          allowQueue: pt === 'cash' || !!payload.transactionId,
+          cartTotal: currentCartTotalLocal,
+        });
         console.log('[POS][completeCheckout] response', res?.data);
 
+        if (res.duplicate) {
+          setProcessingOrder(false);
+          return;
+        }
+
+        if (res.queued) {
+          await handleOrderCompletion(res.data, cartSnapshot, paymentTypeSnapshot, paymentDataSnapshot, discountSnapshot, customerSnapshot);
+          return;
+        }
+
         const orderId = res?.data?.orderid || res?.data?.orderId || res?.data?.id || res?.data?.order_id;
 
         if (pt === 'mpesa') {
@@ -757,6 +1049,8 @@ export default function POS() {
           setPendingOrderData({
             orderData: res.data,
             cartSnapshot,
+            discountSnapshot,
+            customerSnapshot,
             paymentTypeSnapshot,
             paymentDataSnapshot,
           });
@@ -772,9 +1066,17 @@ export default function POS() {
         setProcessingOrder(false);
       }
     },
-    [paymentType, paymentData, coords, cart, user, calculateCartTotal, handleOrderCompletion, buildOrderItemsResolved]
+    [paymentType, paymentData, coords, cart, cartDiscount, cartCustomer, roundTo, user, calculateCartTotal, handleOrderCompletion, buildOrderItemsResolved, buildDiscountPayload, submitOrder]
   );
 
+  // a held sale is checked out once its items are in the cart, by the callbacks of that render
+  checkoutRef.current = { createOrder, completeCheckout };
+
+  const loadLayaways = useCallback(async () => {
+    const open = await layaways.getLayaways(LAYAWAY_STATUS.OPEN);
+    setOpenLayaways(Object.fromEntries(open.map((l) => [l.id, l])));
+  }, []);
+
   const handleCheckoutSale = useCallback(
     async (saleId, opts = {}) => {
       const sale = opts.sale || heldSalesService.retrieveHeldSale(saleId);
@@ -815,10 +1117,19 @@ export default function POS() {
         });
       }
 
+      dispatch(setCartDiscount(sale.orderDiscount || null));
+
+      // sales held before split tenders may still carry the old cash + M-Pesa hybrid
+      const heldPayment = tenders.normalizePayment(
+        opts.paymentType ?? sale.paymentType ?? 'cash',
+        opts.paymentData ?? sale.paymentData ?? { cashAmount: '', mpesaPhone: '', mpesaAmount: '' }
+      );
       const overrides = {
-        paymentType: opts.paymentType ?? sale.paymentType ?? 'cash',
-        paymentData: opts.paymentData ?? sale.paymentData ?? { cashAmount: '', mpesaPhone: '', mpesaAmount: '' },
+        ...heldPayment,
+        // one key per held sale: checking it out twice maps back to the first order
+        clientOrderId: opts.clientOrderId || orderIdempotency.keyForHeldSale(saleId),
       };
+      const layawayId = overrides.paymentData?.layawayId || null;
 
       setPaymentData(overrides.paymentData);
       setPaymentType(overrides.paymentType);
@@ -827,26 +1138,203 @@ export default function POS() {
       await new Promise((res) => setTimeout(res, 0));
 
       try {
-        if (overrides.paymentType === 'both') {
-          await createOrder(overrides);
+        if (overrides.paymentType === 'split') {
+          await checkoutRef.current.createOrder(overrides);
         } else {
-          await completeCheckout(overrides);
+          await checkoutRef.current.completeCheckout(overrides);
+        }
+
+        // a layaway stays held, its stock reserved, until checkout has actually closed it;
+        // its items come back off the cart so they cannot be sold again as a new sale
+        if (layawayId) {
+          const layaway = await layaways.getLayaway(layawayId);
+          if (layaway?.status !== LAYAWAY_STATUS.COMPLETED) {
+            dispatch(clearCart());
+            dispatch(setCartDiscount(null));
+            return;
+          }
         }
 
         try {
           heldSalesService.deleteHeldSale(saleId);
         } catch (e) {}
+        stockLedger.releaseHeldSale(saleId).catch((e) => console.warn('[POS] failed to release held stock', e));
 
         setHeldSales(heldSalesService.getAllHeldSales());
         setShowHeldSales(false);
+        if (layawayId) loadLayaways().catch(() => {});
       } catch (err) {
         console.error('[POS][handleCheckoutSale] error', err);
         toast.error(err?.message || 'Checkout failed');
       }
     },
-    [dispatch, createOrder, completeCheckout]
+    [dispatch, loadLayaways]
   );
 
+  // Takes a deposit or instalment on a held sale; cash goes into the drawer there and then.
+  const handleLayawayPayment = useCallback(
+    async (saleId, payment) => {
+      const sale = heldSalesService.retrieveHeldSale(saleId);
+      if (!sale) {
+        toast.error('Sale not found');
+        return null;
+      }
+      try {
+        const layaway = await layaways.takePayment({
+          sale,
+          payment,
+          customer: sale.customer || null,
+          cashier: user?.firstName || user?.userName || user?.email || '',
+          client: api,
+        });
+        if (payment.method === TENDER_METHODS.CASH) {
+          const recorded = await cashDrawer.recordCashSale({ tendered: Number(payment.amount), change: 0 }).catch((err) => {
+            console.warn('[POS] failed to update the cash drawer', err);
+            return null;
+          });
+          if (recorded?.drawer) setDrawer(recorded.drawer);
+        }
+        await loadLayaways();
+        toast.success(layaway.balance > 0 ? `Ksh ${layaway.balance.toLocaleString()} left to pay on ${layaway.name}` : `${layaway.name} is fully paid`);
+
+        const res = await printLayawayReceipt(layaway, mapCartToReceiptItems(sale.items || [], sale.orderDiscount || null));
+        if (!res?.success) toast.warning(`Layaway slip: ${res?.message || 'not printed'}`);
+        return layaway;
+      } catch (err) {
+        console.error('[POS] layaway payment failed', err);
+        toast.error(err?.message || 'Payment not recorded');
+        return null;
+      }
+    },
+    [user, loadLayaways]
+  );
+
+  // A fully paid layaway is checked out as a split of the cash and M-Pesa it was paid with.
+  // The tenders are checked against the held sale before its items replace the cart.
+  const handleCompleteLayaway = useCallback(
+    async (saleId) => {
+      const sale = heldSalesService.retrieveHeldSale(saleId);
+      if (!sale) {
+        toast.error('Sale not found');
+        return;
+      }
+      let lines;
+      try {
+        lines = layaways.checkoutTenders(await layaways.getLayaway(saleId));
+      } catch (err) {
+        toast.error(err?.message || 'Layaway not found');
+        return;
+      }
+      const problem = tenders.validateTenders(lines, layaways.saleTotal(sale));
+      if (problem) {
+        toast.error(`Layaway cannot be finished: ${problem}`);
+        return;
+      }
+      await handleCheckoutSale(saleId, {
+        sale,
+        paymentType: 'split',
+        paymentData: { tenders: lines, layawayId: saleId },
+      });
+    },
+    [handleCheckoutSale]
+  );
+
+  // Finishes a pending M-Pesa order once, whichever of the auto-confirm loop, the Confirm
+  // button or a manually entered code gets there first.
+  const completePendingOrder = useCallback(
+    async (pending, transactionId = null) => {
+      if (!pending || settledPendingRef.current === pending) return;
+      settledPendingRef.current = pending;
+      const paymentDataLinked = transactionId
+        ? mpesaPayments.linkTransaction(pending.paymentTypeSnapshot, pending.paymentDataSnapshot, transactionId)
+        : pending.paymentDataSnapshot;
+      const orderDataLinked = transactionId ? { ...pending.orderData, transactionId } : pending.orderData;
+      setManualMpesaCode('');
+      await handleOrderCompletion(orderDataLinked, pending.cartSnapshot, pending.paymentTypeSnapshot, paymentDataLinked, pending.discountSnapshot, pending.customerSnapshot);
+    },
+    [handleOrderCompletion]
+  );
+  completePendingRef.current = completePendingOrder;
+
+  // Gives up on a pending M-Pesa order the customer did not pay: the server order is
+  // cancelled and the cart gets a new checkout key, so submitting it again is a new order
+  // with a new payment prompt.
+  const abandonPendingOrder = useCallback(async () => {
+    const pendingId = currentOrderId
+      || pendingOrderData?.orderData?.orderid
+      || pendingOrderData?.orderData?.orderId
+      || pendingOrderData?.orderData?.id
+      || null;
+    settledPendingRef.current = pendingOrderData;
+    checkoutKeyRef.current = null;
+    dispatch(setCheckoutKey(null));
+    setPendingOrderData(null);
+    setCurrentOrderId(null);
+    setProcessingOrder(false);
+    if (!pendingId) return;
+    try {
+      await api.cancelOrder(pendingId);
+      toast.info(`Order ${pendingId} cancelled`);
+    } catch (err) {
+      console.error('[POS] failed to cancel the pending order', err);
+      toast.warning(`Order ${pendingId} could not be cancelled on the server - cancel it from the orders page`, { autoClose: false });
+    }
+  }, [currentOrderId, pendingOrderData, dispatch]);
+
+  useEffect(() => {
+    setMpesaCandidates([]);
+    if (!pendingOrderData) {
+      setAutoConfirm(null);
+      return undefined;
+    }
+    const { cartSnapshot, paymentTypeSnapshot, paymentDataSnapshot, discountSnapshot } = pendingOrderData;
+    const total = discountTotals(mapCartToReceiptItems(cartSnapshot || [], discountSnapshot)).total;
+    const expected = mpesaPayments.expectedPayment(paymentTypeSnapshot, paymentDataSnapshot, total);
+    if (!expected) return undefined;
+
+    const startedAt = Date.now();
+    setAutoConfirm({ status: 'waiting', deadline: startedAt + mpesaPayments.CONFIRM_TIMEOUT_MS });
+    return mpesaPayments.watchForPayment({
+      expected: { ...expected, since: startedAt },
+      load: () => mpesaPayments.fetchTransactions(api),
+      getUsedIds: () => mpesaPayments.usedTransactionIds(),
+      onMatch: (tx) => {
+        setAutoConfirm({ status: 'matched', transactionId: tx.id });
+        toast.success(`M-Pesa payment ${tx.id} received`);
+        completePendingRef.current(pendingOrderData, tx.id).catch((e) => console.error('[POS] auto-confirm completion failed', e));
+      },
+      onCandidates: setMpesaCandidates,
+      onTimeout: () => {
+        setAutoConfirm({ status: 'timeout' });
+        toast.warning('No matching M-Pesa payment found - confirm manually or enter the code');
+      },
+      onError: (e) => console.warn('[POS] M-Pesa payment poll failed', e),
+    });
+  }, [pendingOrderData]);
+
+  const applyManualMpesaCode = useCallback(async () => {
+    const code = manualMpesaCode.trim().toUpperCase();
+    if (!/^[A-Z0-9]{8,12}$/.test(code)) {
+      toast.error('Enter the 10-character M-Pesa code from the customer SMS');
+      return;
+    }
+    const used = await mpesaPayments.usedTransactionIds();
+    if (used.has(code)) {
+      toast.error(`M-Pesa code ${code} is already linked to another order`);
+      return;
+    }
+    await completePendingOrder(pendingOrderData, code);
+  }, [manualMpesaCode, pendingOrderData, completePendingOrder]);
+
+  const applyPaymentCandidate = useCallback(async (tx) => {
+    const used = await mpesaPayments.usedTransactionIds();
+    if (used.has(tx.id)) {
+      toast.error(`M-Pesa code ${tx.id} is already linked to another order`);
+      return;
+    }
+    await completePendingOrder(pendingOrderData, tx.id);
+  }, [pendingOrderData, completePendingOrder]);
+
   const checkPaymentStatus = useCallback(async () => {
     if (!currentOrderId) {
       toast.error('No order ID to check');
@@ -861,7 +1349,7 @@ export default function POS() {
       try {
         const response = await api.get(`/payments/${currentOrderId}`);
         const remoteData = response?.data || {};
-        if (paymentType === 'mpesa' || paymentType === 'both') {
+        if (paymentType === 'mpesa' || paymentType === 'split') {
           const statusVal = remoteData?.status || remoteData?.paymentStatus || remoteData?.state || null;
           if (statusVal && String(statusVal).toLowerCase() === 'completed') paid = true;
         } else {
@@ -880,7 +1368,7 @@ export default function POS() {
         try {
           const orderResp = await api.get(`/order/${currentOrderId}`);
           const od = orderResp?.data || {};
-          if (paymentType === 'mpesa' || paymentType === 'both') {
+          if (paymentType === 'mpesa' || paymentType === 'split') {
             const statusVal = od?.status || od?.paymentStatus || (od.payment && od.payment.status) || null;
             if (statusVal && String(statusVal).toLowerCase() === 'completed') paid = true;
           } else {
@@ -906,12 +1394,7 @@ export default function POS() {
         toast.success('Payment confirmed');
 
         if (pendingOrderData) {
-          await handleOrderCompletion(
-            pendingOrderData.orderData,
-            pendingOrderData.cartSnapshot,
-            pendingOrderData.paymentTypeSnapshot,
-            pendingOrderData.paymentDataSnapshot
-          );
+          await completePendingOrder(pendingOrderData);
         } else {
           await handleOrderCompletion({ orderNumber: currentOrderId });
         }
@@ -924,7 +1407,7 @@ export default function POS() {
     } finally {
       setCheckingPayment(false);
     }
-  }, [currentOrderId, paymentType, pendingOrderData, handleOrderCompletion]);
+  }, [currentOrderId, paymentType, pendingOrderData, handleOrderCompletion, completePendingOrder]);
 
   useEffect(() => {
     try {
@@ -944,6 +1427,8 @@ export default function POS() {
         const all = await indexedDb.getAllProducts();
         setProducts(all);
         console.log('[POS] products synced', all?.length || 0);
+        // build the search index now rather than on the cashier's first keystroke
+        indexedDb.getSearchIndex().catch((e) => console.warn('[POS] search index build failed', e));
       })
       .catch((err) => {
         console.error('[POS] failed to sync products', err);
@@ -1132,18 +1617,19 @@ export default function POS() {
   useEffect(() => {
     const handleCheckoutEnter = (e) => {
       if (e.key !== 'Enter') return;
-      if (!paymentType || cart.length === 0 || processingOrder) return;
+      // Enter in the void / discount dialogs confirms the dialog, not the sale
+      if (!paymentType || cart.length === 0 || processingOrder || voidRequest || discountRequest) return;
       try {
         e.preventDefault();
         e.stopPropagation();
       } catch (err) {}
-      if (paymentType === 'both') createOrder();
+      if (paymentType === 'split') createOrder();
       else completeCheckout();
     };
 
     window.addEventListener('keydown', handleCheckoutEnter);
     return () => window.removeEventListener('keydown', handleCheckoutEnter);
-  }, [paymentType, cart.length, processingOrder, createOrder, completeCheckout]);
+  }, [paymentType, cart.length, processingOrder, voidRequest, discountRequest, createOrder, completeCheckout]);
 
   const performSearch = useCallback(
     async (term) => {
@@ -1162,7 +1648,6 @@ export default function POS() {
       }
 
       setHasSearched(true);
-      const searchTermLower = term.toLowerCase().trim();
       const originalTerm = term.trim();
 
       try {
@@ -1177,7 +1662,7 @@ export default function POS() {
         }
 
         if (!foundByBarcode || !isLikelyBarcode(originalTerm)) {
-          const nameResults = await indexedDb.searchByName(searchTermLower, 100);
+          const nameResults = await indexedDb.searchProducts(originalTerm, { limit: 100 });
           nameResults.forEach((product) => {
             const pid = product.id || product._id;
             if (!allResults.find((p) => (p.id || p._id) === pid)) allResults.push(product);
@@ -1221,6 +1706,130 @@ export default function POS() {
     setSearchTerm(val);
   }, []);
 
+  // Removing lines from the cart is a line void: it needs a reason, and a supervisor PIN above the threshold
+  const requestLineVoid = useCallback((lines, { title, apply }) => {
+    const items = mapCartToReceiptItems(lines);
+    if (!items.length) return;
+    setVoidRequest({
+      title,
+      description: items.map((it) => `${it.quantity} × ${it.name}`).join(', '),
+      items,
+      amount: items.reduce((s, it) => s + (it.lineTotal || 0), 0),
+      apply,
+    });
+  }, []);
+
+  const confirmLineVoid = useCallback(async ({ reason, pin }) => {
+    if (!voidRequest) return;
+    const record = await voids.voidLines({
+      items: voidRequest.items,
+      reason,
+      pin,
+      cashier: user?.firstName || user?.userName || user?.email || '',
+    });
+    setVoidRequest(null);
+    voidRequest.apply();
+    toast.success(record.approvedBy ? `Voided - approved by ${record.approvedBy.name}` : 'Voided');
+  }, [voidRequest, user]);
+
+  const cancelLineVoid = useCallback(() => {
+    setVoidRequest(null);
+    requestAnimationFrame(() => {
+      try {
+        if (searchInputRef.current) searchInputRef.current.focus({ preventScroll: true });
+      } catch (e) {}
+    });
+  }, []);
+
+  useEffect(() => {
+    discounts.getDiscountLimits().then(setDiscountLimits).catch(() => {});
+    customers.getLoyaltySettings().then(setLoyaltySettings).catch(() => {});
+    customers.retryPendingCustomers(api).catch(() => {});
+    layaways.retryPendingLayaways(api).catch(() => {}).then(loadLayaways).catch(() => {});
+    cashDrawer.getCashSettings().then(setCashSettings).catch(() => {});
+    cashDrawer.getDrawer().then(setDrawer).catch(() => {});
+  }, [loadLayaways]);
+
+  // Offers come from the cache at once and from the server every few minutes. The clock
+  // ticks each minute, so lines pick up or drop an offer within a minute of its window
+  // opening or closing.
+  useEffect(() => {
+    let cancelled = false;
+    const show = ({ offers: list }) => { if (!cancelled) setOfferList(list); };
+    const refresh = () => offers.refreshOffers(api).then(show).catch(() => {});
+    offers.getCachedOffers().then(show).catch(() => {}).then(refresh);
+    const refreshTimer = setInterval(refresh, OFFER_REFRESH_MS);
+    const clockTimer = setInterval(() => setOfferClock(Date.now()), 60000);
+    return () => {
+      cancelled = true;
+      clearInterval(refreshTimer);
+      clearInterval(clockTimer);
+    };
+  }, []);
+
+  const liveOffers = useMemo(() => offers.liveOffersByProduct(offerList, offerClock), [offerList, offerClock]);
+
+  useEffect(() => {
+    if (offers.applyOffersToCart(cart, liveOffers) !== cart) dispatch(applyOffers(liveOffers));
+  }, [cart, liveOffers, dispatch]);
+
+  const maxDiscountPercent = useMemo(
+    () => discounts.maxPercentFor(discounts.roleOf(user), discountLimits),
+    [user, discountLimits]
+  );
+
+  const openLineDiscount = useCallback((cartKey, item, grossTotal) => {
+    setDiscountRequest({ key: cartKey, item, title: `Discount - ${item.name}`, base: grossTotal, current: item.discount || null });
+  }, []);
+
+  // the order discount applies to what is left after any line discounts
+  const openOrderDiscount = useCallback(() => {
+    setDiscountRequest({
+      key: null,
+      title: 'Discount on the whole order',
+      base: cartTotals.subtotal - cartTotals.lineDiscounts,
+      current: cartDiscount,
+    });
+  }, [cartTotals, cartDiscount]);
+
+  // every manual discount on the sale together must stay within the cashier's limit
+  const validateCombinedDiscount = useCallback((draft) => {
+    if (!discountRequest) return null;
+    const lines = discountRequest.key
+      ? cart.map((ci) => (ci === discountRequest.item ? { ...ci, discount: draft } : ci))
+      : cart;
+    return discounts.validateCombinedDiscounts(lines, discountRequest.key ? cartDiscount : draft, maxDiscountPercent);
+  }, [discountRequest, cart, cartDiscount, maxDiscountPercent]);
+
+  const applyDiscount = useCallback((draft) => {
+    if (!discountRequest) return;
+    const discount = draft
+      ? discounts.createDiscount(draft, { by: user?.firstName || user?.userName || user?.email || '', role: discounts.roleOf(user) })
+      : null;
+    if (discountRequest.key) dispatch(setLineDiscount({ key: discountRequest.key, discount }));
+    else dispatch(setCartDiscount(discount));
+    setDiscountRequest(null);
+    toast.success(discount ? `Discount applied: ${discounts.describeDiscount(discount)}` : 'Discount removed');
+  }, [discountRequest, user, dispatch]);
+
+  // Loads a reviewed quote (services/quotes prepareConversion) into an empty cart
+  const handleConvertQuote = useCallback(async (quote, review) => {
+    // clearing lines already rung up goes through a void, so the cart must be empty
+    if (cart.length > 0) throw new Error('Finish, hold or clear the current sale before converting a quote');
+
+    review.items.forEach((item) => {
+      dispatch(addItemToCart({ product: item, quantity: Number(item.quantity) || 1 }));
+    });
+    dispatch(setCartDiscount(quote.orderDiscount || null));
+
+    if (quote.customer?.phone) {
+      const { customer: found } = await customers.lookupCustomer(quote.customer.phone, api).catch(() => ({}));
+      if (found) dispatch(setCartCustomer(found));
+    }
+    setCurrentOrderId(null);
+    clearSearchAndProducts();
+  }, [cart, dispatch, clearSearchAndProducts]);
+
   const handleClearCart = useCallback(() => {
     if (cartItemCount === 0) {
       toast.info('Cart is already empty');
@@ -1232,24 +1841,47 @@ export default function POS() {
       return;
     }
 
-    console.log('[POS] clearing cart');
-    dispatch(clearCart());
-    toast.success('Cart cleared');
-    setCurrentOrderId(null);
-    setPendingOrderData(null);
-    setPaymentType('');
-    setPaymentData({ cashAmount: '', mpesaPhone: '', mpesaAmount: '', mpesaCode: '' });
-    requestAnimationFrame(() => {
-      try {
-        if (searchInputRef.current) {
-          searchInputRef.current.value = '';
-          searchInputRef.current.focus({ preventScroll: true });
-        } else {
-          focusSearchInput();
-        }
-      } catch (e) {}
+    requestLineVoid(cart, {
+      title: 'Void all lines',
+      apply: () => {
+        console.log('[POS] clearing cart');
+        if (pendingOrderData || currentOrderId) abandonPendingOrder();
+        dispatch(clearCart());
+        setCurrentOrderId(null);
+        setPendingOrderData(null);
+        setPaymentType('');
+        setPaymentData({ cashAmount: '', mpesaPhone: '', mpesaAmount: '', mpesaCode: '' });
+        clearSearchAndProducts();
+        requestAnimationFrame(() => {
+          try {
+            if (searchInputRef.current) {
+              searchInputRef.current.value = '';
+              searchInputRef.current.focus({ preventScroll: true });
+            } else {
+              focusSearchInput();
+            }
+          } catch (e) {}
+        });
+      },
+    });
+  }, [cart, cartItemCount, pendingOrderData, currentOrderId, abandonPendingOrder, dispatch, focusSearchInput, clearSearchAndProducts, requestLineVoid]);
+
+  // Remember which cart items were checked against an unverified local count
+  const markStockFreshness = useCallback((productId, validation) => {
+    if (!validation || validation.status === 'error') return;
+    setStaleStock((prev) => {
+      const key = String(productId);
+      if (validation.stale) return { ...prev, [key]: validation.countedAt || null };
+      if (!(key in prev)) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
     });
-  }, [cartItemCount, dispatch, focusSearchInput]);
+  }, []);
+
+  useEffect(() => {
+    if (cart.length === 0) setStaleStock({});
+  }, [cart.length]);
 
   const handleQuantityChange = useCallback(
     async (productId, priceType, newQuantity, productData = null) => {
@@ -1274,19 +1906,40 @@ export default function POS() {
             const cartItemId = `${productId}_${priceType}`;
             console.log('[POS][qtyChange] remove item', { cartItemId, productId, priceType });
 
-            dispatch(removeItemFromCart(cartItemId));
-
-            toast.success('Removed from cart');
-            requestAnimationFrame(() => {
-              try {
-                if (searchInputRef.current) searchInputRef.current.focus({ preventScroll: true });
-              } catch (e) {}
+            requestLineVoid([existingCartItem], {
+              title: 'Void line',
+              apply: () => {
+                dispatch(removeItemFromCart(cartItemId));
+                requestAnimationFrame(() => {
+                  try {
+                    if (searchInputRef.current) searchInputRef.current.focus({ preventScroll: true });
+                  } catch (e) {}
+                });
+              },
             });
           }
           return;
         }
 
         const currentCartQty = existingCartItem ? Number(existingCartItem.quantity) || 0 : 0;
+
+        // Taking units off a line voids those units, the same as removing the line
+        if (existingCartItem && newQuantity < currentCartQty) {
+          const cartKey = `${productId}_${priceType}`;
+          requestLineVoid([{ ...existingCartItem, quantity: currentCartQty - newQuantity }], {
+            title: 'Void units',
+            apply: () => {
+              dispatch(updateCartItemQuantity({ productId: cartKey, quantity: newQuantity }));
+              requestAnimationFrame(() => {
+                try {
+                  if (searchInputRef.current) searchInputRef.current.focus({ preventScroll: true });
+                } catch (e) {}
+              });
+            },
+          });
+          return;
+        }
+
         const inventoryId = getInventoryId(product);
 
         console.log('[POS][qtyChange] resolved data', {
@@ -1318,6 +1971,7 @@ export default function POS() {
             });
 
             console.log('[POS][qtyChange] validateAndAddToCart result', validation);
+            markStockFreshness(productId, validation);
 
             if (validation.status === 'conflict' || validation.status === 'error') {
               toast.error(validation.message);
@@ -1325,6 +1979,7 @@ export default function POS() {
               return;
             }
             if (validation.status === 'warning') toast.warning(validation.message);
+            else if (validation.stale) toast.warning(validation.message, { toastId: `stale-stock-${productId}` });
           } catch (validationError) {
             console.warn('[POS][qtyChange] validateAndAddToCart failed, continuing', validationError);
           }
@@ -1338,6 +1993,7 @@ export default function POS() {
             });
 
             console.log('[POS][qtyChange] validateCartQuantityChange result', validation);
+            markStockFreshness(productId, validation);
 
             if (validation.status === 'conflict' || validation.status === 'error') {
               toast.error(validation.message);
@@ -1419,6 +2075,8 @@ export default function POS() {
       focusSearchInput,
       clearSearchAndProducts,
       clearScannedProductTimer,
+      markStockFreshness,
+      requestLineVoid,
     ]
   );
 
@@ -1429,29 +2087,41 @@ export default function POS() {
           return;
         }
         console.log('[POS][removeItem] call', { cartKey, item });
-        try {
-          dispatch(removeItemFromCart(cartKey));
-          toast.success('Item removed from cart');
-        } catch (err) {
-          console.error('[POS][removeItem] error', err);
-          toast.error('Failed to remove item');
-        } finally {
-          requestAnimationFrame(() => {
+        requestLineVoid([item], {
+          title: 'Void line',
+          apply: () => {
             try {
-              if (searchInputRef.current) searchInputRef.current.focus({ preventScroll: true });
-            } catch (e) {}
-          });
-        }
+              dispatch(removeItemFromCart(cartKey));
+            } catch (err) {
+              console.error('[POS][removeItem] error', err);
+              toast.error('Failed to remove item');
+            } finally {
+              requestAnimationFrame(() => {
+                try {
+                  if (searchInputRef.current) searchInputRef.current.focus({ preventScroll: true });
+                } catch (e) {}
+              });
+            }
+          },
+        });
       },
-      [dispatch]
+      [dispatch, requestLineVoid]
     );
 
   const refresh = useCallback(async () => {
     try {
-      await dispatch(fetchAndIndexAllProducts({ pageSize: 200, force: true })).unwrap();
+      const result = await dispatch(fetchAndIndexAllProducts({ pageSize: 200, force: false })).unwrap();
+      if (result?.stopped) {
+        toast.info('Product sync stopped');
+        return;
+      }
       const all = await indexedDb.getAllProducts();
       setProducts(all);
-      toast.success('Products refreshed successfully');
+      toast.success(
+        result?.changed || result?.deleted
+          ? `Products synced: ${result.changed} updated, ${result.deleted} removed`
+          : 'Products are up to date'
+      );
       console.log('[POS] refresh complete', all?.length || 0);
     } catch (err) {
       console.error('[POS] refresh failed', err);
@@ -1484,6 +2154,11 @@ export default function POS() {
             loading={loading}
             onRefresh={refresh}
             onClear={clearSearchAndProducts}
+            catalogSync={catalogSync}
+            syncProgress={syncProgress}
+            onPauseSync={() => dispatch(pauseCatalogSync())}
+            onResumeSync={() => dispatch(resumeCatalogSync())}
+            onStopSync={() => dispatch(stopCatalogSync())}
             defaultPriceType={defaultPriceType}
             setDefaultPriceType={setDefaultPriceType}
           />
@@ -1516,6 +2191,7 @@ export default function POS() {
                 searchTerm={searchTerm}
                 isLikelyBarcode={isLikelyBarcode}
                 cart={cart}
+                offers={liveOffers}
                 onQuantityChange={handleQuantityChange}
                 loadingProducts={loadingProducts}
                 isFetching={loading}
@@ -1563,6 +2239,18 @@ export default function POS() {
               </h5>
 
               <div className="d-flex gap-2">
+                <OutboxStatus />
+
+                <button
+                  className={`btn btn-sm ${drawer ? 'btn-outline-secondary' : 'btn-outline-danger'}`}
+                  onClick={() => setShowDrawer(true)}
+                  title={drawer ? 'Recount or close the cash drawer' : 'Count in the float to start the shift'}
+                  aria-label="Cash drawer"
+                >
+                  <i className="fas fa-cash-register me-1" />
+                  {drawer ? 'Drawer' : 'Open Drawer'}
+                </button>
+
                 <button
                   className="btn btn-outline-success btn-sm"
                   onClick={() => setShowMpesaTx(true)}
@@ -1573,6 +2261,16 @@ export default function POS() {
                   M-Pesa Txns
                 </button>
 
+                <button
+                  className="btn btn-outline-primary btn-sm"
+                  onClick={() => setShowQuotes(true)}
+                  title={cartItemCount > 0 ? 'Save this cart as a quote, or open saved quotes' : 'Saved quotes'}
+                  aria-label="Quotes"
+                >
+                  <i className="fas fa-file-alt me-1" />
+                  Quotes
+                </button>
+
                 <button
                   className="btn btn-outline-warning btn-sm"
                   onClick={() => setShowHeldSales(true)}
@@ -1604,7 +2302,8 @@ export default function POS() {
 
                           console.log('[POS] holding sale', { saleName, cart, paymentData });
 
-                          heldSalesService.holdSale(saleName, cart, paymentData);
+                          const held = heldSalesService.holdSale(saleName, cart, paymentData, cartDiscount, cartCustomer);
+                          stockLedger.reserveHeldSale(held.id, cart).catch((e) => console.warn('[POS] failed to reserve held stock', e));
                           const updatedSales = heldSalesService.getAllHeldSales();
                           setHeldSales(Array.isArray(updatedSales) ? updatedSales : []);
                           dispatch(clearCart());
@@ -1628,15 +2327,7 @@ export default function POS() {
 
                     <button
                       className="btn btn-outline-danger btn-sm"
-                      onClick={() => {
-                        dispatch(clearCart());
-                        toast.success('Cart cleared');
-                        setCurrentOrderId(null);
-                        setPendingOrderData(null);
-                        setPaymentType('');
-                        setPaymentData({ cashAmount: '', mpesaPhone: '', mpesaAmount: '', mpesaCode: '' });
-                        clearSearchAndProducts();
-                      }}
+                      onClick={handleClearCart}
                       title="Clear all items"
                       aria-label="Clear cart"
                     >
@@ -1647,17 +2338,52 @@ export default function POS() {
               </div>
             </div>
 
+            <CustomerLookup
+              customer={cartCustomer}
+              onChange={(c) => dispatch(setCartCustomer(c))}
+            />
+
             <div className="cart-items flex-grow-1" style={{ overflowY: 'auto', marginBottom: 20 }}>
-              <CartItems cart={cart} onRemoveItem={handleRemoveItem} />
+              <CartItems cart={cart} onRemoveItem={handleRemoveItem} onDiscountItem={openLineDiscount} staleStock={staleStock} />
             </div>
 
             {cart.length > 0 && (
               <div className="cart-checkout border-top pt-3">
+                {cartTotals.discountTotal > 0 && (
+                  <div className="small mb-2">
+                    <div className="d-flex justify-content-between">
+                      <span>Subtotal</span>
+                      <span>{KSH(cartTotals.subtotal)}</span>
+                    </div>
+                    {cartTotals.lineDiscounts > 0 && (
+                      <div className="d-flex justify-content-between text-danger">
+                        <span>Line discounts</span>
+                        <span>-{KSH(cartTotals.lineDiscounts)}</span>
+                      </div>
+                    )}
+                    {cartTotals.orderDiscount > 0 && (
+                      <div className="d-flex justify-content-between text-danger">
+                        <span>Order discount ({discounts.describeDiscount(cartDiscount)})</span>
+                        <span>-{KSH(cartTotals.orderDiscount)}</span>
+                      </div>
+                    )}
+                  </div>
+                )}
                 <div className="d-flex justify-content-between align-items-center mb-3">
                   <span className="fw-bold fs-4">
                     <i className="fas fa-shopping-bag me-1" />Total:
                   </span>
-                  <span className="fw-bold fs-3 text-success">{KSH(currentCartTotal)}</span>
+                  <span className="d-flex align-items-center gap-2">
+                    <button
+                      type="button"
+                      className={`btn btn-sm ${cartDiscount ? 'btn-danger' : 'btn-outline-secondary'}`}
+                      onClick={openOrderDiscount}
+                      title={cartDiscount ? 'Change the order discount' : 'Give a discount on the whole order'}
+                    >
+                      <i className="fas fa-percent me-1" />{cartDiscount ? 'Edit discount' : 'Discount'}
+                    </button>
+                    <span className="fw-bold fs-3 text-success">{KSH(currentCartTotal)}</span>
+                  </span>
                 </div>
 
                 <PaymentForm
@@ -1667,18 +2393,30 @@ export default function POS() {
                   setPaymentData={setPaymentData}
                   cartTotal={currentCartTotal}
                   setCurrentOrderId={setCurrentOrderId}
+                  roundTo={roundTo}
+                  drawerCounts={drawer?.counts || null}
                 />
 
-                {currentOrderId && (paymentType === 'mpesa' || paymentType === 'both') && (
+                {(currentOrderId || pendingOrderData) && (paymentType === 'mpesa' || paymentType === 'split') && (
                   <div className="alert alert-warning py-2 mb-3">
                     <div className="d-flex justify-content-between align-items-center">
                       <div>
                         <i className="fas fa-clock me-2" />
                         <small>
-                          Order ID: <strong>{currentOrderId}</strong>
+                          Order ID: <strong>{currentOrderId || 'pending'}</strong>
                         </small>
                       </div>
                       <div>
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          className="me-2"
+                          onClick={abandonPendingOrder}
+                          disabled={checkingPayment}
+                          title="Cancel this order so the sale can be sent again"
+                        >
+                          Cancel
+                        </Button>
                         <Button
                           variant="outline-success"
                           size="sm"
@@ -1699,7 +2437,65 @@ export default function POS() {
                         </Button>
                       </div>
                     </div>
-                    <div className="text-center mt-2 small text-muted">Confirm payment to finalize order</div>
+                    {autoConfirm?.status === 'waiting' && (
+                      <div className="text-center mt-2 small text-muted">
+                        <span className="spinner-border spinner-border-sm me-2" />
+                        Waiting for the customer's M-Pesa payment - the order completes automatically
+                      </div>
+                    )}
+                    {autoConfirm?.status === 'matched' && (
+                      <div className="text-center mt-2 small text-success">
+                        <i className="fas fa-check-circle me-1" />
+                        Payment {autoConfirm.transactionId} received - completing order
+                      </div>
+                    )}
+                    {mpesaCandidates.length > 0 && autoConfirm?.status !== 'matched' && (
+                      <div className="mt-2">
+                        <div className="small text-muted mb-1">
+                          Payments for this amount from a number that cannot be checked - match the code to the customer's SMS before using one:
+                        </div>
+                        {mpesaCandidates.map((tx) => (
+                          <div key={tx.id} className="d-flex justify-content-between align-items-center small border rounded px-2 py-1 mb-1">
+                            <span>
+                              <strong>{tx.id}</strong>{tx.name ? ` - ${tx.name}` : ''} - {KSH(tx.amount)}
+                              {tx.at ? ` at ${new Date(tx.at).toLocaleTimeString()}` : ''}
+                            </span>
+                            <Button size="sm" variant="outline-success" onClick={() => applyPaymentCandidate(tx)}>
+                              Use
+                            </Button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {autoConfirm?.status === 'timeout' && (
+                      <div className="mt-2">
+                        <div className="small text-danger mb-2">
+                          <i className="fas fa-exclamation-triangle me-1" />
+                          No matching payment arrived. Check the customer's SMS and enter the code, or confirm manually.
+                        </div>
+                        <div className="input-group input-group-sm">
+                          <input
+                            type="text"
+                            className="form-control"
+                            placeholder="M-Pesa code e.g. QJK3ABCD12"
+                            value={manualMpesaCode}
+                            onChange={(e) => setManualMpesaCode(e.target.value.toUpperCase())}
+                            onKeyDown={(e) => {
+                              e.stopPropagation();
+                              if (e.key === 'Enter') applyManualMpesaCode();
+                            }}
+                            maxLength={12}
+                          />
+                          <Button variant="success" onClick={applyManualMpesaCode} disabled={!manualMpesaCode.trim()}>
+                            Apply code
+                          </Button>
+                          <Button variant="outline-secondary" onClick={() => setPendingOrderData((p) => (p ? { ...p } : p))}>
+                            Keep waiting
+                          </Button>
+                        </div>
+                      </div>
+                    )}
+                    {!autoConfirm && <div className="text-center mt-2 small text-muted">Confirm payment to finalize order</div>}
                   </div>
                 )}
 
@@ -1711,7 +2507,7 @@ export default function POS() {
                     fontSize: '1.1rem',
                     fontWeight: 600,
                   }}
-                  onClick={paymentType === 'both' ? () => createOrder() : () => completeCheckout()}
+                  onClick={paymentType === 'split' ? () => createOrder() : () => completeCheckout()}
                   disabled={!paymentType || processingOrder}
                   size="lg"
                 >
@@ -1723,7 +2519,7 @@ export default function POS() {
                   ) : (
                     <>
                       <i className="fas fa-check me-2" />
-                      {paymentType === 'both' ? 'Create Order' : 'Complete Order'} - {KSH(currentCartTotal)}
+                      {paymentType === 'split' ? 'Create Order' : 'Complete Order'} - {KSH(currentCartTotal)}
                     </>
                   )}
                 </Button>
@@ -1733,11 +2529,54 @@ export default function POS() {
         </div>
       </div>
 
+      <CashDrawerDialog
+        show={showDrawer}
+        drawer={drawer}
+        cashier={user?.firstName || user?.userName || user?.email || ''}
+        onHide={() => setShowDrawer(false)}
+        onChanged={setDrawer}
+      />
+
+      <QuotesDialog
+        show={showQuotes}
+        cart={cart}
+        orderDiscount={cartDiscount}
+        customer={cartCustomer}
+        cashier={user?.firstName || user?.userName || user?.email || ''}
+        onHide={() => setShowQuotes(false)}
+        onConvert={handleConvertQuote}
+      />
+
+      <DiscountDialog
+        show={!!discountRequest}
+        title={discountRequest?.title || ''}
+        base={discountRequest?.base || 0}
+        maxPercent={maxDiscountPercent}
+        current={discountRequest?.current || null}
+        validate={validateCombinedDiscount}
+        onCancel={() => setDiscountRequest(null)}
+        onApply={applyDiscount}
+      />
+
+      <VoidDialog
+        show={!!voidRequest}
+        type="line"
+        title={voidRequest?.title || 'Void line'}
+        description={voidRequest?.description}
+        amount={voidRequest?.amount || 0}
+        onCancel={cancelLineVoid}
+        onConfirm={confirmLineVoid}
+      />
+
       <HeldSales
         show={showHeldSales}
         onHide={() => setShowHeldSales(false)}
         heldSales={safeHeldSales}
         onRetrieveSale={(saleId) => {
+          if (openLayaways[saleId]) {
+            toast.error('A layaway is finished from Held Sales once it is paid off');
+            return;
+          }
           try {
             const sale = heldSalesService.retrieveHeldSale(saleId);
             console.log('[POS][HeldSales] retrieve sale', saleId, sale);
@@ -1777,8 +2616,10 @@ export default function POS() {
               });
             }
 
+            dispatch(setCartDiscount(sale.orderDiscount || null));
             if (sale.paymentData) setPaymentData(sale.paymentData);
             heldSalesService.deleteHeldSale(saleId);
+            stockLedger.releaseHeldSale(saleId).catch((e) => console.warn('[POS] failed to release held stock', e));
             setHeldSales(heldSalesService.getAllHeldSales());
             toast.success(`${sale.name} retrieved`);
             setShowHeldSales(false);
@@ -1789,9 +2630,14 @@ export default function POS() {
           }
         }}
         onDeleteSale={(saleId) => {
+          if (openLayaways[saleId]) {
+            toast.error('Deposits have been paid on this sale - it cannot be deleted');
+            return;
+          }
           try {
             const sale = heldSalesService.retrieveHeldSale(saleId);
             heldSalesService.deleteHeldSale(saleId);
+            stockLedger.releaseHeldSale(saleId).catch((e) => console.warn('[POS] failed to release held stock', e));
             setHeldSales(heldSalesService.getAllHeldSales());
             toast.success(`${sale?.name || 'Sale'} deleted`);
           } catch (error) {
@@ -1800,6 +2646,11 @@ export default function POS() {
           }
         }}
         onCheckoutSale={(saleId, opts) => handleCheckoutSale(saleId, opts)}
+        layaways={openLayaways}
+        onLayawayPayment={handleLayawayPayment}
+        onCompleteLayaway={handleCompleteLayaway}
+        roundTo={roundTo}
+        drawerCounts={drawer?.counts || null}
       />
 
       <MpesaTransactions
@@ -1807,6 +2658,7 @@ export default function POS() {
         onHide={() => setShowMpesaTx(false)}
         onApply={handleC2BTransaction}
         defaultBuyerPin={paymentData.buyerPin}
+        cartTotal={currentCartTotal}
       />
 
       <style>{`
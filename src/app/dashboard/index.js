@@ -19,6 +19,7 @@ import logo from '../../assets/logo.jpeg';
 import { useSelector, useDispatch } from 'react-redux';
 import { selectUser, logout } from '../../redux/slices/userSlice';
 import apiService from '../../services/api';
+import ConnectivityBadge from '../components/ConnectivityBadge';
 
 const COLORS = {
   tea: '#EAE2D4',
@@ -157,6 +158,7 @@ export default function DashboardLayout() {
           <div className="d-flex justify-content-between align-items-center">
             <strong>Arpella</strong>
           <div className="d-flex align-items-center gap-2">
+              <ConnectivityBadge />
               <MdPerson />
               <span>{[actualUser?.firstName, actualUser?.lastName].filter(Boolean).join(' ') || actualUser?.userName || actualUser?.name || 'User'}</span>
               <button
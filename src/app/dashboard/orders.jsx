@@ -1,5 +1,5 @@
 // src/app/dashboard/SalesDashboard.jsx
-import React, { useEffect, useMemo, useState, useRef } from 'react';
+import React, { useCallback, useEffect, useMemo, useState, useRef } from 'react';
 import { toast } from 'react-toastify';
 import {
   TrendingUp,
@@ -11,11 +11,22 @@ import {
   Eye,
   X,
   AlertCircle,
-  Trash2
+  Ban
 } from 'lucide-react';
-import { useDispatch } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import { rtkApi } from '../../services/rtkApi';
+import api from '../../services/api';
 import indexedDb from '../../services/indexedDB'; // same helper used in POS
+import orderOutbox from '../../services/orderOutbox';
+import voids, { VOID_TYPES } from '../../services/voids';
+import layaways, { LAYAWAY_STATUS } from '../../services/layaways';
+import offers from '../../services/offers';
+import { tendersFromOrder, TENDER_METHODS } from '../../services/tenders';
+import { ORDER_STATUS } from '../constants';
+import { selectUser } from '../../redux/slices/userSlice';
+import { mapCartToReceiptItems } from '../../utils/orderUtils';
+import { isRetail, listPrice, offerPrice, soldUnitPrice } from '../../utils/pricing';
+import VoidDialog from '../components/VoidDialog';
 
 /* ================= Helpers ================= */
 const toLocalYMD = (ts) => {
@@ -89,12 +100,16 @@ const normalizeOrder = (o) => {
     items,
     cartTotal,
     paymentType: String(o.paymentType ?? o.payment ?? 'cash').toLowerCase(),
+    tenders: tendersFromOrder({ ...o, cartTotal }),
+    status: String(o.status ?? '').toLowerCase(),
+    voided: String(o.status ?? '').toLowerCase() === ORDER_STATUS.VOIDED,
   };
 };
 
 /* ================= Component ================= */
 export default function SalesDashboard() {
   const dispatch = useDispatch();
+  const user = useSelector(selectUser);
   const today = toLocalYMD(Date.now());
 
   const [date, setDate] = useState(today);
@@ -105,8 +120,10 @@ export default function SalesDashboard() {
   const [rowsLimit, setRowsLimit] = useState('all');
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showModal, setShowModal] = useState(false);
-  const [showDeleteModal, setShowDeleteModal] = useState(false);
-  const [orderToDelete, setOrderToDelete] = useState(null);
+  const [orderToVoid, setOrderToVoid] = useState(null);
+  const [lineVoids, setLineVoids] = useState([]);
+  // layaways still being paid off; their deposits are owed back to customers until the goods go out
+  const [openLayaways, setOpenLayaways] = useState([]);
   const [loading, setLoading] = useState(true);
 
   const rowsOptions = ['all', 20, 50, 100, 200];
@@ -271,6 +288,7 @@ export default function SalesDashboard() {
 
     // initial fetch
     fetchAndMerge();
+    voids.retryPendingVoids(api).catch(() => {});
 
     // set up auto-refresh interval that refetches remote inventories and rebuilds cost map
     refreshTimerRef.current = setInterval(async () => {
@@ -337,6 +355,26 @@ export default function SalesDashboard() {
     setCapitalInput(saved ? String(saved) : '');
   }, [date]);
 
+  // cart lines voided at the till that day; post-voids are read off the orders themselves
+  useEffect(() => {
+    let cancelled = false;
+    const from = new Date(`${date}T00:00:00`).getTime();
+    voids.getVoids({ from, to: from + 24 * 60 * 60 * 1000 - 1 })
+      .then((list) => { if (!cancelled) setLineVoids(list.filter(v => v.type === VOID_TYPES.LINE)); })
+      .catch(() => { if (!cancelled) setLineVoids([]); });
+    return () => { cancelled = true; };
+  }, [date, orders]);
+
+  const loadLayaways = useCallback(() => layaways.getLayaways(LAYAWAY_STATUS.OPEN)
+    .then(setOpenLayaways)
+    .catch(() => setOpenLayaways([])), []);
+
+  useEffect(() => {
+    loadLayaways();
+  }, [orders, loadLayaways]);
+
+  const layawayLiability = useMemo(() => layaways.liability(openLayaways), [openLayaways]);
+
   /* ================= PROFIT CALC ================= */
   const getUnitCost = (item) => {
     // 1. Try direct ID lookup with multiple field names
@@ -369,70 +407,78 @@ export default function SalesDashboard() {
     return num(item.stockPrice ?? item.unitCost ?? item.cost ?? item.purchasePrice ?? 0);
   };
 
+  // manual discounts given at the till come straight off the order's profit
   const calculateOrderProfit = (order) =>
     (order.items || []).reduce((sum, it) => {
-      const pType = String(it.priceType || 'Retail').toLowerCase();
-      const isWholesale = pType.includes('wholesale') || pType.includes('discount');
-      const discountApplied = it.applyDiscount === 1 || it.applyDiscount === true;
-
-      let sell = 0;
-      if (num(it.sellingPrice) > 0) {
-        sell = num(it.sellingPrice);
-      } else if (discountApplied && num(it.priceAfterDiscount) > 0) {
-        sell = num(it.priceAfterDiscount);
-      } else if (isWholesale) {
-        sell = num(it.wholesalePrice) || num(it.price);
-      } else {
-        sell = num(it.price);
-      }
-
+      const sell = soldUnitPrice(it);
       const cost = getUnitCost(it);
       const qty = num(it.quantity ?? it.qty ?? 1);
       return sum + (sell - cost) * qty;
-    }, 0);
+    }, 0) - num(order.raw?.discounts?.total);
 
   const dayOrders = useMemo(() => orders.filter(o => o.date === date), [orders, date]);
+  const daySales = useMemo(() => dayOrders.filter(o => !o.voided), [dayOrders]);
 
   const displayedOrders = useMemo(() => {
     if (rowsLimit === 'all') return dayOrders;
     return dayOrders.slice(0, Number(rowsLimit));
   }, [dayOrders, rowsLimit]);
 
+  // manual discounts of the day's sales, per cashier who gave them
+  const discountsByCashier = useMemo(() => {
+    const map = new Map();
+    const add = (d, key) => {
+      const cashier = d.by || 'Unknown';
+      const cur = map.get(cashier) || { cashier, count: 0, lines: 0, orders: 0, total: 0 };
+      cur.count += 1;
+      cur[key] += num(d.amount);
+      cur.total += num(d.amount);
+      map.set(cashier, cur);
+    };
+    daySales.forEach(o => {
+      const given = o.raw.discounts;
+      if (!given) return;
+      (given.lines || []).forEach(d => add({ ...d, by: d.by || o.raw.cashier }, 'lines'));
+      if (given.order) add({ ...given.order, by: given.order.by || o.raw.cashier }, 'orders');
+    });
+    return [...map.values()].sort((a, b) => b.total - a.total);
+  }, [daySales]);
+
+  // flash sales and offers the day's sales went out under
+  const offerSales = useMemo(() => offers.summarizeOfferSales(daySales.flatMap(o => o.items || [])), [daySales]);
+
   const totals = useMemo(() => {
     const acc = {
       revenue: 0,
       cogs: 0,
       cash: 0,
       mpesa: 0,
+      rounding: 0,
       capital: startingCapital,
       retailRevenue: 0,
-      wholesaleRevenue: 0
+      wholesaleRevenue: 0,
+      postVoids: 0,
+      postVoidAmount: 0,
+      lineVoids: lineVoids.length,
+      lineVoidAmount: lineVoids.reduce((s, v) => s + num(v.amount), 0)
     };
 
     dayOrders.forEach(o => {
+      // voided sales stay listed but add nothing to the day's takings
+      if (o.voided) {
+        acc.postVoids += 1;
+        acc.postVoidAmount += num(o.cartTotal);
+        return;
+      }
+
       // Revenue & Type Split
       let orderRetail = 0;
       let orderWholesale = 0;
 
       (o.items || []).forEach(it => {
-        const pType = String(it.priceType || '').toLowerCase();
-        const isWholesale = pType.includes('wholesale') || pType.includes('discount');
-        const discountApplied = it.applyDiscount === 1 || it.applyDiscount === true;
-
-        let itSell = 0;
-        if (num(it.sellingPrice) > 0) {
-          itSell = num(it.sellingPrice);
-        } else if (discountApplied && num(it.priceAfterDiscount) > 0) {
-          itSell = num(it.priceAfterDiscount);
-        } else if (isWholesale) {
-          itSell = num(it.wholesalePrice) || num(it.price);
-        } else {
-          itSell = num(it.price);
-        }
-        
-        const lineTotal = itSell * (num(it.quantity) || 1);
-        
-        if (pType === 'retail') {
+        const lineTotal = soldUnitPrice(it) * (num(it.quantity) || 1);
+
+        if (isRetail(it.priceType)) {
           orderRetail += lineTotal;
         } else {
           // Assume non-retail (Discounted/Wholesale) is wholesale
@@ -446,15 +492,13 @@ export default function SalesDashboard() {
       acc.retailRevenue += orderRetail;
       acc.wholesaleRevenue += orderWholesale;
       acc.revenue += num(o.cartTotal);
+      acc.rounding += num(o.raw.cashRounding);
 
-      // Payment Split
-      const pt = String(o.paymentType || 'cash').toLowerCase();
-      if (pt.includes('mpesa')) acc.mpesa += num(o.cartTotal);
-      else if (pt.includes('hybrid')) {
-        const pd = o.raw?.paymentData ?? o.raw?.orderData?.paymentData ?? {};
-        acc.cash += num(pd.cashAmount ?? pd.cash ?? 0);
-        acc.mpesa += num(pd.mpesaAmount ?? pd.mpesa ?? 0);
-      } else acc.cash += num(o.cartTotal);
+      // Payment Split - what each tender line actually paid, change already taken off cash
+      (o.tenders || []).forEach(t => {
+        if (t.method === TENDER_METHODS.MPESA) acc.mpesa += num(t.applied);
+        else acc.cash += num(t.applied);
+      });
     });
 
     const profit = acc.revenue - acc.cogs;
@@ -466,7 +510,7 @@ export default function SalesDashboard() {
       margin,
       netAfterCapital: profit - startingCapital
     };
-  }, [dayOrders, inventoryCostMap, startingCapital]);
+  }, [dayOrders, lineVoids, inventoryCostMap, startingCapital]);
 
   const saveCapital = () => {
     const n = num(capitalInput);
@@ -506,24 +550,27 @@ export default function SalesDashboard() {
     setShowModal(false);
   };
 
-  const handleDeleteOrder = (orderId) => {
-    setOrderToDelete(orderId);
-    setShowDeleteModal(true);
-  };
-
-  const confirmDelete = async () => {
-    if (!orderToDelete) return;
-    try {
-      await indexedDb.deleteOrder(orderToDelete);
-      setOrders(prev => prev.filter(o => o.id !== orderToDelete));
-      toast.success('Transaction deleted');
-    } catch (err) {
-      console.error('Delete failed:', err);
-      toast.error('Failed to delete');
-    } finally {
-      setShowDeleteModal(false);
-      setOrderToDelete(null);
-    }
+  // errors propagate so VoidDialog can show them (wrong PIN etc.) and stay open
+  const confirmVoid = async ({ reason, pin }) => {
+    const order = orderToVoid;
+    if (!order) return;
+    const record = await voids.postVoidOrder({
+      order: order.raw,
+      items: mapCartToReceiptItems(order.raw.cart || order.items, order.raw.orderDiscount),
+      reason,
+      pin,
+      cashier: user?.firstName || user?.userName || user?.email || '',
+      client: api,
+      outbox: orderOutbox,
+    });
+    const updated = await indexedDb.getOrderById(order.raw.orderId).catch(() => null);
+    // keep the product names already looked up for the row
+    setOrders(prev => prev.map(o => (o.id === order.id ? { ...normalizeOrder(updated || { ...order.raw, status: ORDER_STATUS.VOIDED }), items: o.items } : o)));
+    setSelectedOrder(prev => (prev && prev.id === order.id ? null : prev));
+    setShowModal(false);
+    setOrderToVoid(null);
+    if (record.syncStatus === 'pending') toast.warn('Sale voided here - the server will be updated when it is reachable');
+    else toast.success('Sale voided');
   };
 
   /* ================= RENDER ================= */
@@ -641,6 +688,17 @@ export default function SalesDashboard() {
             <div className="metric-value">{formatKsh(totals.wholesaleRevenue)}</div>
             <div className="metric-note">Total wholesale revenue</div>
           </article>
+
+          <article className="metric-card">
+            <div className="metric-head">
+              <div className="metric-icon bg-red"><Ban /></div>
+              <span className="metric-label">Voids</span>
+            </div>
+            <div className="metric-value">{formatKsh(totals.postVoidAmount + totals.lineVoidAmount)}</div>
+            <div className="metric-note">
+              {totals.postVoids} voided sale{totals.postVoids === 1 ? '' : 's'} ({formatKsh(totals.postVoidAmount)}) · {totals.lineVoids} line void{totals.lineVoids === 1 ? '' : 's'} ({formatKsh(totals.lineVoidAmount)})
+            </div>
+          </article>
         </section>
 
         {/* Payment breakdown */}
@@ -648,6 +706,9 @@ export default function SalesDashboard() {
           <div className="payment-card cash">
             <div className="payment-title">Cash Payments</div>
             <div className="payment-amount">{formatKsh(totals.cash)}</div>
+            {Math.abs(totals.rounding) >= 0.005 && (
+              <div className="payment-note">Incl. {formatKsh(totals.rounding)} cash rounding</div>
+            )}
           </div>
           <div className="payment-card mpesa">
             <div className="payment-title">M-Pesa Payments</div>
@@ -655,12 +716,140 @@ export default function SalesDashboard() {
           </div>
         </section>
 
+        {discountsByCashier.length > 0 && (
+          <section className="transactions discounts-given" aria-label="Discounts given">
+            <div className="transactions-header">
+              <div>
+                <h2 className="transactions-title">Discounts Given</h2>
+                <p className="transactions-sub">
+                  {formatKsh(discountsByCashier.reduce((s, r) => s + r.total, 0))} in manual discounts on {date}
+                </p>
+              </div>
+            </div>
+            <div className="table-wrap">
+              <table className="transactions-table">
+                <thead>
+                  <tr>
+                    <th>Cashier</th>
+                    <th className="text-center">Discounts</th>
+                    <th className="text-right">On items</th>
+                    <th className="text-right">On orders</th>
+                    <th className="text-right">Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {discountsByCashier.map(r => (
+                    <tr key={r.cashier}>
+                      <td className="bold">{r.cashier}</td>
+                      <td className="text-center">{r.count}</td>
+                      <td className="text-right">{formatKsh(r.lines)}</td>
+                      <td className="text-right">{formatKsh(r.orders)}</td>
+                      <td className="text-right bold">{formatKsh(r.total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+
+        {offerSales.length > 0 && (
+          <section className="transactions offers-used" aria-label="Offers used">
+            <div className="transactions-header">
+              <div>
+                <h2 className="transactions-title">Offers Used</h2>
+                <p className="transactions-sub">
+                  {formatKsh(offerSales.reduce((s, r) => s + r.sales, 0))} sold at offer prices on {date},
+                  {' '}{formatKsh(offerSales.reduce((s, r) => s + r.saving, 0))} saved by customers
+                </p>
+              </div>
+            </div>
+            <div className="table-wrap">
+              <table className="transactions-table">
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Offer</th>
+                    <th className="text-right">Offer price</th>
+                    <th className="text-center">Units</th>
+                    <th className="text-right">Sales</th>
+                    <th className="text-right">Saved</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {offerSales.map(r => (
+                    <tr key={r.id}>
+                      <td className="bold">{r.name || '-'}</td>
+                      <td>{r.label}</td>
+                      <td className="text-right">{formatKsh(r.price)}</td>
+                      <td className="text-center">{r.units}</td>
+                      <td className="text-right">{formatKsh(r.sales)}</td>
+                      <td className="text-right">{formatKsh(r.saving)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+
+        {openLayaways.length > 0 && (
+          <section className="transactions layaways-open" aria-label="Outstanding layaways">
+            <div className="transactions-header">
+              <div>
+                <h2 className="transactions-title">Outstanding Layaways</h2>
+                <p className="transactions-sub">
+                  {formatKsh(layawayLiability.deposits)} in deposits held for customers (a liability until the goods are collected),
+                  {' '}{formatKsh(layawayLiability.outstanding)} still to be paid on {layawayLiability.count} layaway{layawayLiability.count === 1 ? '' : 's'}
+                </p>
+              </div>
+            </div>
+            <div className="table-wrap">
+              <table className="transactions-table">
+                <thead>
+                  <tr>
+                    <th>Layaway</th>
+                    <th>Customer</th>
+                    <th>Opened</th>
+                    <th className="text-right">Payments</th>
+                    <th className="text-right">Total</th>
+                    <th className="text-right">Deposits held</th>
+                    <th className="text-right">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {openLayaways.map(l => (
+                    <tr key={l.id}>
+                      <td className="bold">{l.name}</td>
+                      <td>
+                        {l.customer?.name || '-'}
+                        {l.customer?.phone && <div className="mono small-muted">{l.customer.phone}</div>}
+                      </td>
+                      <td>
+                        {new Date(l.createdAt).toLocaleDateString('en-GB')}
+                        <div className="small-muted">{Math.floor((Date.now() - l.createdAt) / 86400000)} days ago</div>
+                      </td>
+                      <td className="text-right">{l.payments.length}</td>
+                      <td className="text-right">{formatKsh(l.total)}</td>
+                      <td className="text-right bold">{formatKsh(l.paid)}</td>
+                      <td className="text-right">{formatKsh(l.balance)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+
         {/* Transactions table */}
         <section className="transactions">
           <div className="transactions-header">
             <div>
               <h2 className="transactions-title">Transactions</h2>
-              <p className="transactions-sub">Showing {displayedOrders.length} of {dayOrders.length} transactions</p>
+              <p className="transactions-sub">
+                Showing {displayedOrders.length} of {dayOrders.length} transactions
+                {dayOrders.length > daySales.length && ` (${dayOrders.length - daySales.length} voided)`}
+              </p>
             </div>
 
             <div className="transactions-controls">
@@ -714,9 +903,12 @@ export default function SalesDashboard() {
                       const paymentType = String(o.paymentType).toLowerCase();
 
                       return (
-                        <tr key={o.id} onClick={() => openOrderModal(o)} className="table-row">
+                        <tr key={o.id} onClick={() => openOrderModal(o)} className={`table-row${o.voided ? ' voided-row' : ''}`}>
                           <td className="mono">{o.time}</td>
-                          <td className="mono id-cell">{String(o.id).slice(0, 12)}</td>
+                          <td className="mono id-cell">
+                            {String(o.id).slice(0, 12)}
+                            {o.voided && <span className="badge void small" title={o.raw.voidReason || ''}>Void</span>}
+                          </td>
                           <td>
                             {(() => {
                               const types = (o.items || []).map(i => String(i.priceType || 'Retail').toLowerCase());
@@ -729,16 +921,16 @@ export default function SalesDashboard() {
                             })()}
                           </td>
                           <td>
-                            {paymentType.includes('mpesa') ? (
+                            {(o.tenders || []).length > 1 ? (
+                              <span className="badge hybrid" title={o.tenders.map(t => t.label).join(' + ')}>Split ({o.tenders.length})</span>
+                            ) : paymentType.includes('mpesa') ? (
                               <span className="badge mpesa">M-Pesa</span>
-                            ) : paymentType.includes('hybrid') ? (
-                              <span className="badge hybrid">Hybrid</span>
                             ) : (
                               <span className="badge cash">Cash</span>
                             )}
                           </td>
-                          <td className="text-right bold">{formatKsh(o.cartTotal)}</td>
-                          <td className="text-right bold profit">{formatKsh(orderProfit)}</td>
+                          <td className={`text-right bold${o.voided ? ' struck' : ''}`}>{formatKsh(o.cartTotal)}</td>
+                          <td className={`text-right bold${o.voided ? ' struck' : ' profit'}`}>{formatKsh(o.voided ? 0 : orderProfit)}</td>
                           <td className="text-center actions-cell">
                             <button
                               onClick={(e) => {
@@ -754,13 +946,14 @@ export default function SalesDashboard() {
                             <button
                               onClick={(e) => {
                                 e.stopPropagation();
-                                handleDeleteOrder(o.id);
+                                setOrderToVoid(o);
                               }}
-                              className="icon-btn delete-btn"
-                              title="Delete transaction"
-                              aria-label={`Delete order ${o.id}`}
+                              className="icon-btn void-btn"
+                              title={o.voided ? 'Already voided' : 'Void sale'}
+                              aria-label={`Void order ${o.id}`}
+                              disabled={o.voided || !o.raw.orderId}
                             >
-                              <Trash2 size={18} />
+                              <Ban size={18} />
                             </button>
                           </td>
                         </tr>
@@ -789,6 +982,18 @@ export default function SalesDashboard() {
             </div>
 
             <div className="modal-body">
+              {selectedOrder.voided && (
+                <div className="void-banner" role="note">
+                  <Ban size={18} />
+                  <div>
+                    <strong>Voided{selectedOrder.raw.voidedAt ? ` at ${formatTime(selectedOrder.raw.voidedAt)}` : ''}</strong>
+                    {selectedOrder.raw.voidReason && <> - {selectedOrder.raw.voidReason}</>}
+                    <div className="meta">
+                      {[selectedOrder.raw.voidedBy && `By ${selectedOrder.raw.voidedBy}`, selectedOrder.raw.voidApprovedBy && `approved by ${selectedOrder.raw.voidApprovedBy}`].filter(Boolean).join(', ') || 'Not counted in the day\'s totals'}
+                    </div>
+                  </div>
+                </div>
+              )}
               <div className="modal-table-wrap">
                 <table className="details-table">
                   <thead>
@@ -803,20 +1008,8 @@ export default function SalesDashboard() {
                   </thead>
                   <tbody>
                     {selectedOrder.items.map((it, idx) => {
-                      const pType = String(it.priceType || 'Retail').toLowerCase();
-                      const isWholesale = pType.includes('wholesale') || pType.includes('discount');
-                      const discountApplied = it.applyDiscount === 1 || it.applyDiscount === true;
-
-                      let sell = 0;
-                      if (num(it.sellingPrice) > 0) {
-                        sell = num(it.sellingPrice);
-                      } else if (discountApplied && num(it.priceAfterDiscount) > 0) {
-                        sell = num(it.priceAfterDiscount);
-                      } else if (isWholesale) {
-                        sell = num(it.wholesalePrice) || num(it.price);
-                      } else {
-                        sell = num(it.price ?? it.unitPrice ?? it.salePrice);
-                      }
+                      const discountApplied = offerPrice(it) !== null;
+                      const sell = soldUnitPrice(it);
 
                       const qty = num(it.quantity ?? it.qty ?? 1);
                       const cost = getUnitCost(it);
@@ -826,18 +1019,18 @@ export default function SalesDashboard() {
                           <td className="item-name">
                             {it.name ?? it.title ?? inventoryCostMap.idToNameMap?.get(String(it.productId || it.id)) ?? `Product ${it.productId || ''}`}
                             {discountApplied && (
-                              <span style={{ marginLeft: 6, fontSize: '0.68rem', background: '#f59e0b', color: '#fff', borderRadius: 4, padding: '1px 6px', fontWeight: 600 }}>Disc</span>
+                              <span style={{ marginLeft: 6, fontSize: '0.68rem', background: '#f59e0b', color: '#fff', borderRadius: 4, padding: '1px 6px', fontWeight: 600 }}>{it.offer?.label || 'Disc'}</span>
                             )}
                           </td>
                           <td>
-                            <span className={`badge small ${String(it.priceType || 'Retail').toLowerCase() === 'retail' ? 'dark-brown' : 'orange'}`}>
+                            <span className={`badge small ${isRetail(it.priceType) ? 'dark-brown' : 'orange'}`}>
                               {it.priceType || 'Retail'}
                             </span>
                           </td>
                           <td className="text-right">
                             {formatKsh(sell)}
-                            {discountApplied && num(it.priceAfterDiscount) > 0 && (
-                              <span style={{ marginLeft: 4, fontSize: '0.68rem', color: '#9ca3af', textDecoration: 'line-through' }}>{formatKsh(num(it.wholesalePrice) || num(it.price))}</span>
+                            {discountApplied && (
+                              <span style={{ marginLeft: 4, fontSize: '0.68rem', color: '#9ca3af', textDecoration: 'line-through' }}>{formatKsh(listPrice(it))}</span>
                             )}
                           </td>
                           <td className="text-center">{qty}</td>
@@ -869,41 +1062,54 @@ export default function SalesDashboard() {
                   <div className="summary-label">Items Count</div>
                   <div className="summary-value">{selectedOrder.items.length}</div>
                 </div>
+                {num(selectedOrder.raw.discounts?.total) > 0 && (
+                  <div className="summary-card">
+                    <div className="summary-label">Discounts</div>
+                    <div className="summary-value">{formatKsh(selectedOrder.raw.discounts.total)}</div>
+                    <div className="meta">
+                      {[...(selectedOrder.raw.discounts.lines || []).map(d => `${d.name}: ${d.reason}`), selectedOrder.raw.discounts.order && `Order: ${selectedOrder.raw.discounts.order.reason}`].filter(Boolean).join(' · ')}
+                    </div>
+                  </div>
+                )}
               </div>
-            </div>
-          </div>
-        </div>
-      )}
 
-      {/* Delete Confirmation Modal */}
-      {showDeleteModal && (
-        <div className="modal-backdrop" onClick={() => setShowDeleteModal(false)}>
-          <div className="modal-panel delete-modal" onClick={e => e.stopPropagation()}>
-            <div className="modal-header delete-header">
-              <div className="d-flex align-items-center gap-3">
-                <div className="alert-icon-wrap">
-                  <AlertCircle size={24} color="#dc2626" />
-                </div>
-                <div>
-                  <h3 className="m-0">Delete Transaction</h3>
-                  <p className="meta m-0">This action cannot be undone</p>
-                </div>
-              </div>
-              <button className="icon-btn close" onClick={() => setShowDeleteModal(false)}>
-                <X />
-              </button>
-            </div>
-            <div className="modal-body text-center py-4">
-              <p className="fs-5 mb-4">Are you sure you want to permanently delete transaction <br /><strong>#{orderToDelete}</strong>?</p>
-              <div className="d-flex justify-content-center gap-3 mt-4">
-                <button className="btn outline" onClick={() => setShowDeleteModal(false)}>Cancel</button>
-                <button className="btn danger" onClick={confirmDelete}>Delete Permanently</button>
-              </div>
+              {(selectedOrder.tenders || []).length > 0 && (
+                <table className="tenders-table">
+                  <thead>
+                    <tr>
+                      <th>Tender</th>
+                      <th>Reference</th>
+                      <th className="text-right">Tendered</th>
+                      <th className="text-right">Applied</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedOrder.tenders.map((t, idx) => (
+                      <tr key={idx}>
+                        <td>{t.label}</td>
+                        <td className="mono">{t.reference || t.phone || '—'}</td>
+                        <td className="text-right">{formatKsh(t.amount)}</td>
+                        <td className="text-right">{formatKsh(t.applied)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
             </div>
           </div>
         </div>
       )}
 
+      <VoidDialog
+        show={!!orderToVoid}
+        type={VOID_TYPES.POST}
+        title="Void sale"
+        description={orderToVoid ? `Order #${orderToVoid.id} stays in the day's records as a void and its stock is put back.` : ''}
+        amount={orderToVoid?.cartTotal || 0}
+        onCancel={() => setOrderToVoid(null)}
+        onConfirm={confirmVoid}
+      />
+
       {/* Styles */}
       <style>{`
         :root{
@@ -968,9 +1174,14 @@ export default function SalesDashboard() {
         .payment-card.cash { background: linear-gradient(90deg,#10b981,#059669); }
         .payment-card.mpesa { background: linear-gradient(90deg,#2563eb,#7c3aed); }
         .payment-title { font-weight:700; font-size:0.85rem; opacity:0.95; }
+        .payment-note { font-size:0.75rem; opacity:0.9; }
         .payment-amount { font-size:1.6rem; font-weight:800; }
 
         /* Transactions */
+        .discounts-given { margin-bottom:20px; }
+        .offers-used { margin-bottom:20px; }
+        .layaways-open { margin-bottom:20px; }
+        .small-muted { font-size:0.75rem; color:var(--muted); font-weight:400; }
         .transactions { margin-top:10px; border-radius:12px; overflow:hidden; box-shadow:var(--shadow); background:var(--card-bg); border:1px solid #eef2ff; }
         .transactions-header { display:flex; justify-content:space-between; align-items:center; padding:18px; border-bottom:1px solid #f1f5f9; gap:12px; }
         .transactions-title { margin:0; font-size:1.1rem; }
@@ -1004,8 +1215,13 @@ export default function SalesDashboard() {
         .icon-btn:hover { background:#f1f5f9; transform:translateY(-1px); }
         .view-btn { color:#64748b; }
         .view-btn:hover { color:#2563eb; background:#eff6ff; }
-        .delete-btn { color:#94a3b8; }
-        .delete-btn:hover { color:#dc2626; background:#fef2f2; }
+        .void-btn { color:#94a3b8; }
+        .void-btn:hover:not(:disabled) { color:#dc2626; background:#fef2f2; }
+        .void-btn:disabled { opacity:0.4; cursor:not-allowed; }
+        .voided-row td { color:#94a3b8; }
+        .struck { text-decoration:line-through; }
+        .badge.void { background:#fef2f2; color:#b91c1c; margin-left:6px; }
+        .void-banner { display:flex; gap:10px; align-items:flex-start; background:#fef2f2; color:#991b1b; border:1px solid #fecaca; border-radius:10px; padding:12px 14px; margin-bottom:14px; }
         .actions-cell { display:flex; gap:8px; justify-content:center; }
 
         /* Empty states */
@@ -1031,6 +1247,9 @@ export default function SalesDashboard() {
         .order-summary { display:grid; grid-template-columns:repeat(1,1fr); gap:12px; margin-top:10px; }
         @media(min-width:720px){ .order-summary { grid-template-columns:repeat(3,1fr); } }
         .summary-card { background:#fbfdff; padding:14px; border-radius:10px; border:1px solid #f1f5f9; }
+        .tenders-table { width:100%; border-collapse:collapse; margin-top:12px; font-size:0.9rem; }
+        .tenders-table th { color:var(--muted); font-size:0.75rem; text-transform:uppercase; padding:8px 12px; border-bottom:1px solid #eef2ff; }
+        .tenders-table td { padding:8px 12px; border-bottom:1px solid #f8fafc; }
         .summary-label { font-size:0.75rem; color:var(--muted); margin-bottom:6px; font-weight:700; text-transform:uppercase; }
         .summary-value { font-size:1.1rem; font-weight:800; color:#0f172a; }
 
@@ -1040,14 +1259,6 @@ export default function SalesDashboard() {
         .profit-positive { color:#059669; }
         .profit-negative { color:#dc2626; }
         .profit-total { color:#059669; font-weight:900; }
-
-        .delete-modal { max-width: 480px; }
-        .delete-header { background: #fff; border-bottom: 1px solid #f1f5f9; }
-        .alert-icon-wrap { background: #fef2f2; padding: 10px; border-radius: 12px; display: flex; align-items: center; justify-content: center; }
-        .btn.outline { background: transparent; border: 1px solid #e2e8f0; color: #64748b; }
-        .btn.outline:hover { background: #f8fafc; border-color: #cbd5e1; }
-        .btn.danger { background: #dc2626; color: white; }
-        .btn.danger:hover { background: #b91c1c; }
       `}</style>
     </div>
   );
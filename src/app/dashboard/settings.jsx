@@ -30,6 +30,12 @@ import 'react-toastify/dist/ReactToastify.css';
 import { baseUrl } from '../constants'; // Note: adjusted path to constants
 import { useSelector } from 'react-redux';
 import { selectUser } from '../../redux/slices/userSlice';
+import LocalDatabasePanel from '../components/LocalDatabasePanel';
+import TillBackupPanel from '../components/TillBackupPanel';
+import VoidControlsPanel from '../components/VoidControlsPanel';
+import DiscountLimitsPanel from '../components/DiscountLimitsPanel';
+import LoyaltySettingsPanel from '../components/LoyaltySettingsPanel';
+import CashRoundingPanel from '../components/CashRoundingPanel';
 
 const Settings = () => {
   const user = useSelector(selectUser);
@@ -485,6 +491,14 @@ const Settings = () => {
             </CardContent>
           </Card>
         </Grid>
+
+        {/* Local IndexedDB schema & recovery */}
+        <LocalDatabasePanel />
+        <TillBackupPanel />
+        <VoidControlsPanel />
+        <DiscountLimitsPanel />
+        <LoyaltySettingsPanel />
+        <CashRoundingPanel />
       </Grid>
     </Box>
   );
@@ -1,5 +1,5 @@
 // StockManagement.jsx
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import {
   Navbar,
   Nav,
@@ -26,11 +26,29 @@ import {
 } from "../../redux/slices/productSlice";
 import { rtkApi } from "../../services/rtkApi";
 import indexedDb from "../../services/indexedDB";
+import { createSearchIndex } from "../../services/searchIndex";
+import {
+  INVENTORY_FIELDS,
+  PRODUCT_FIELDS,
+  guardedUpdate,
+  applyDelta,
+  isEditConflict,
+  mergeRecords,
+  pickFields,
+} from "../../services/editConflicts";
+import EditConflictModal from "../components/EditConflictModal";
 import apiService from "../../services/api";
 
 
 const SEARCH_DEBOUNCE_MS = 300;
 
+// Inventory rows carry the product name on the raw record
+const INVENTORY_SEARCH_FIELDS = [
+  { name: "name", type: "text", weight: 4, get: (i) => i.raw?.name || i.productName },
+  { name: "id", type: "code", weight: 6, get: (i) => [i.productId, i.inventoryId] },
+  { name: "barcode", type: "code", weight: 10, get: (i) => [].concat(i.raw?.barcodes ?? [], i.raw?.barcode ?? []) },
+];
+
 
 const StockManagement = () => {
   // const dispatch = useDispatch();
@@ -62,6 +80,7 @@ const StockManagement = () => {
       list: () => dispatch(rtkApi.endpoints.getPagedInventories.initiate({ pageNumber: 1, pageSize: 1000 })).unwrap(),
       paged: (page, size) => dispatch(rtkApi.endpoints.getPagedInventories.initiate({ pageNumber: page, pageSize: size })).unwrap(),
       create: (data) => dispatch(rtkApi.endpoints.createInventory.initiate(data)).unwrap(),
+      get: (id) => dispatch(rtkApi.endpoints.getInventoryById.initiate(id, { subscribe: false, forceRefetch: true })).unwrap(),
       update: (id, data) => dispatch(rtkApi.endpoints.updateInventory.initiate({ id, ...data })).unwrap(),
       remove: (id) => dispatch(rtkApi.endpoints.deleteInventory.initiate(id)).unwrap(),
       uploadExcel: (formData) => dispatch(rtkApi.endpoints.uploadInventoryExcel.initiate(formData)).unwrap(),
@@ -69,7 +88,7 @@ const StockManagement = () => {
     products: {
       list: () => dispatch(rtkApi.endpoints.getPagedProducts.initiate({ pageNumber: 1, pageSize: 1000 })).unwrap(),
       paged: (page, size) => dispatch(rtkApi.endpoints.getPagedProducts.initiate({ pageNumber: page, pageSize: size })).unwrap(),
-      get: (id) => dispatch(rtkApi.endpoints.getProductById.initiate(id)).unwrap(),
+      get: (id) => dispatch(rtkApi.endpoints.getProductById.initiate(id, { subscribe: false, forceRefetch: true })).unwrap(),
       create: (data) => dispatch(rtkApi.endpoints.createProduct.initiate(data)).unwrap(),
       update: (id, data) => dispatch(rtkApi.endpoints.updateProduct.initiate({ id, ...data })).unwrap(),
       remove: (id) => dispatch(rtkApi.endpoints.deleteProduct.initiate(id)).unwrap(),
@@ -400,6 +419,11 @@ const StockManagement = () => {
 
   const [editStockData, setEditStockData] = useState(null);
 
+  // Records as they were when an edit was opened; saves are checked against the server copy
+  const editBaseRef = useRef({ product: null, inventory: null });
+  const [editConflicts, setEditConflicts] = useState([]);
+  const [resolvingConflict, setResolvingConflict] = useState(false);
+
   // Small helpers
   const [categoryName, setCategoryName] = useState("");
   const [subCategoryData, setSubCategoryData] = useState({ subcategoryName: "", categoryId: null });
@@ -462,6 +486,13 @@ const StockManagement = () => {
   const [allInventories, setAllInventories] = useState([]);
   const [allProducts, setAllProducts] = useState([]);
 
+  // Rebuilt only when the cached lists change, not per keystroke
+  const productSearchIndex = useMemo(() => createSearchIndex(allProducts), [allProducts]);
+  const inventorySearchIndex = useMemo(
+    () => createSearchIndex(allInventories, { fields: INVENTORY_SEARCH_FIELDS }),
+    [allInventories]
+  );
+
   useEffect(() => {
     // Immediately populate from IDB cache, then sync from network in background
     loadDataFromIDB();
@@ -544,14 +575,7 @@ const StockManagement = () => {
     const term = debouncedSearchTerm.trim().toLowerCase();
 
     // Filter Inventories
-    let filteredInvs = allInventories;
-    if (term) {
-      filteredInvs = allInventories.filter(i => {
-        const pName = i.raw?.name || i.productName || "";
-        const pId = i.productId || i.inventoryId || "";
-        return String(pName).toLowerCase().includes(term) || String(pId).toLowerCase().includes(term);
-      });
-    }
+    const filteredInvs = term ? inventorySearchIndex.search(term, { limit: Infinity }) : allInventories;
 
     // Calculate bounds keeping current page
     let startInv = (currentInventoryPage - 1) * pageSize;
@@ -564,15 +588,7 @@ const StockManagement = () => {
     setHasMoreInventories(filteredInvs.length > startInv + pageSize);
 
     // Filter Products
-    let filteredProds = allProducts;
-    if (term) {
-      filteredProds = allProducts.filter(p => {
-        const name = p.name || "";
-        const id = p.id || p.inventoryId || "";
-        const barcodeStr = p.barcode ? String(p.barcode) : (Array.isArray(p.barcodes) ? p.barcodes.join(" ") : String(p.barcodes || ""));
-        return String(name).toLowerCase().includes(term) || String(id).toLowerCase().includes(term) || String(barcodeStr).toLowerCase().includes(term);
-      });
-    }
+    const filteredProds = term ? productSearchIndex.search(term, { limit: Infinity }) : allProducts;
 
     let startProd = (currentProductPage - 1) * pageSize;
     if (startProd >= filteredProds.length && filteredProds.length > 0) {
@@ -583,19 +599,12 @@ const StockManagement = () => {
     setProducts(prodSlice);
     setHasMoreProducts(filteredProds.length > startProd + pageSize);
 
-  }, [debouncedSearchTerm, allInventories, allProducts]);
+  }, [debouncedSearchTerm, allInventories, allProducts, inventorySearchIndex, productSearchIndex]);
 
   // Fetch stocks (Local Pagination)
   const fetchStocks = (page = 1) => {
     const term = debouncedSearchTerm.trim().toLowerCase();
-    let source = allInventories;
-    if (term) {
-      source = allInventories.filter(i => {
-        const pName = i.raw?.name || i.productName || "";
-        const pId = i.productId || i.inventoryId || "";
-        return String(pName).toLowerCase().includes(term) || String(pId).toLowerCase().includes(term);
-      });
-    }
+    const source = term ? inventorySearchIndex.search(term, { limit: Infinity }) : allInventories;
     const start = (page - 1) * pageSize;
     const end = start + pageSize;
     setInventories(source.slice(start, end));
@@ -626,15 +635,7 @@ const StockManagement = () => {
   // Fetch products (Local Pagination)
   const fetchProducts = (page = 1) => {
     const term = debouncedSearchTerm.trim().toLowerCase();
-    let source = allProducts;
-    if (term) {
-      source = allProducts.filter(p => {
-        const name = p.name || "";
-        const id = p.id || p.inventoryId || "";
-        const barcodeStr = p.barcode ? String(p.barcode) : (Array.isArray(p.barcodes) ? p.barcodes.join(" ") : String(p.barcodes || ""));
-        return String(name).toLowerCase().includes(term) || String(id).toLowerCase().includes(term) || String(barcodeStr).toLowerCase().includes(term);
-      });
-    }
+    const source = term ? productSearchIndex.search(term, { limit: Infinity }) : allProducts;
     const start = (page - 1) * pageSize;
     const end = start + pageSize;
     setProducts(source.slice(start, end));
@@ -732,20 +733,13 @@ const StockManagement = () => {
       if (!q) {
         setRestockSearchResults([]);
       } else {
-        setRestockSearchResults(
-          allProducts
-            .filter((prod) => {
-              const name = (prod.name || "").toString().toLowerCase();
-              return name.includes(q);
-            })
-            .slice(0, 50)
-        );
+        setRestockSearchResults(productSearchIndex.search(q, { limit: 50 }));
       }
     }, 100);
     return () => {
       if (restockSearchTimeout.current) clearTimeout(restockSearchTimeout.current);
     };
-  }, [restockSearch, allProducts]);
+  }, [restockSearch, productSearchIndex]);
 
   useEffect(() => {
     if (offerSearchTimeout.current) clearTimeout(offerSearchTimeout.current);
@@ -754,20 +748,13 @@ const StockManagement = () => {
       if (!q) {
         setOfferSearchResults([]);
       } else {
-        setOfferSearchResults(
-          allProducts
-            .filter((prod) => {
-              const name = (prod.name || "").toString().toLowerCase();
-              return name.includes(q) || String(prod.id).includes(q);
-            })
-            .slice(0, 50)
-        );
+        setOfferSearchResults(productSearchIndex.search(q, { limit: 50 }));
       }
     }, 100);
     return () => {
       if (offerSearchTimeout.current) clearTimeout(offerSearchTimeout.current);
     };
-  }, [offerSearch, allProducts]);
+  }, [offerSearch, productSearchIndex]);
 
   useEffect(() => {
     if (otherOfferSearchTimeout.current) clearTimeout(otherOfferSearchTimeout.current);
@@ -776,20 +763,13 @@ const StockManagement = () => {
       if (!q) {
         setOtherOfferSearchResults([]);
       } else {
-        setOtherOfferSearchResults(
-          allProducts
-            .filter((prod) => {
-              const name = (prod.name || "").toString().toLowerCase();
-              return name.includes(q) || String(prod.id).includes(q);
-            })
-            .slice(0, 50)
-        );
+        setOtherOfferSearchResults(productSearchIndex.search(q, { limit: 50 }));
       }
     }, 100);
     return () => {
       if (otherOfferSearchTimeout.current) clearTimeout(otherOfferSearchTimeout.current);
     };
-  }, [otherOfferSearch, allProducts]);
+  }, [otherOfferSearch, productSearchIndex]);
 
   const pickRestockProduct = (entryIndex, productId) => {
     updateRestockEntry(entryIndex, "productId", productId);
@@ -980,6 +960,7 @@ const StockManagement = () => {
       const resp = await (API.products?.get ? API.products.get(product.id) : Promise.resolve(product));
       const p = Array.isArray(resp) ? resp[0] : resp;
       const source = p || product;
+      editBaseRef.current.product = source;
       setEditProductData({
         Id: source.id,
         inventoryId: source.inventoryId ?? product.inventoryId,
@@ -1035,6 +1016,87 @@ const StockManagement = () => {
     if (!isLoading) setShowEditModal(false);
   };
 
+  // Version-checked writes, mirrored into IndexedDB once the server accepts them
+  const saveProduct = async (id, payload, base) => {
+    const { payload: saved } = await guardedUpdate({
+      entity: "product",
+      id,
+      base,
+      local: payload,
+      fields: PRODUCT_FIELDS,
+      fetchServer: () => API.products.get(id),
+      write: (body, expectedVersion) => API.products.update(id, { ...body, expectedVersion }),
+    });
+    await indexedDb.putProducts([{ ...saved, id }]);
+    // later saves from the same form start from what was just written
+    editBaseRef.current.product = { ...(base || {}), ...saved };
+  };
+
+  const saveInventory = async (id, payload, base) => {
+    const { payload: saved } = await guardedUpdate({
+      entity: "inventory",
+      id,
+      base,
+      local: payload,
+      fields: INVENTORY_FIELDS,
+      fetchServer: () => API.inventories.get(id),
+      write: (body, expectedVersion) => API.inventories.update(id, { ...body, expectedVersion }),
+    });
+    await indexedDb.putInventories([{ ...saved, inventoryId: id }]);
+    editBaseRef.current.inventory = { ...(base || {}), ...saved };
+  };
+
+  // A conflicting save is queued for the conflict dialog instead of failing; resolves false then
+  const saveOrQueueConflict = async (save, id, payload, base, onSaved) => {
+    try {
+      await save(id, payload, base);
+    } catch (error) {
+      if (!error?.conflict) throw error;
+      setEditConflicts((queue) => [...queue, { error, save, onSaved }]);
+      return false;
+    }
+    if (onSaved) await onSaved();
+    return true;
+  };
+
+  const activeConflict = editConflicts[0] || null;
+  const closeActiveConflict = () => setEditConflicts((queue) => queue.slice(1));
+
+  const handleResolveConflict = async (choices) => {
+    const { error, save, onSaved } = activeConflict;
+    const { id, base, local, server, fields } = error.conflict;
+    setResolvingConflict(true);
+    try {
+      const merged = mergeRecords({ base, local, server, fields, choices });
+      closeActiveConflict();
+      // the server copy becomes the new base, so a further concurrent change conflicts again
+      const saved = await saveOrQueueConflict(save, id, merged, server, onSaved);
+      if (saved) showToastMessage("Merged changes saved", "success");
+    } catch (err) {
+      showToastMessage("Failed to save merged changes: " + (err?.data?.message || err?.message || "error"), "danger");
+    } finally {
+      setResolvingConflict(false);
+      await loadDataFromIDB();
+    }
+  };
+
+  const handleDiscardConflict = async () => {
+    const { entity, id, base, server, fields } = activeConflict.error.conflict;
+    closeActiveConflict();
+    try {
+      const fresh = { ...(base || {}), ...pickFields(server, fields) };
+      if (entity === "inventory") await indexedDb.putInventories([{ ...fresh, inventoryId: id }]);
+      else await indexedDb.putProducts([{ ...fresh, id }]);
+      await loadDataFromIDB();
+    } catch (err) {
+      console.error("Failed to refresh local copy after discarding changes", err);
+    }
+    setShowEditModal(false);
+    setShowEditStockModal(false);
+    setShowAddCompleteProductModal(false);
+    showToastMessage("Your changes were discarded; the server values are shown", "info");
+  };
+
   const handleEditProduct = async () => {
     try {
       setIsLoading(true);
@@ -1054,11 +1116,11 @@ const StockManagement = () => {
         discountQuantity: editProductData.discountQuantity,
         priceAfterDiscount: editProductData.priceAfterDiscount,
       };
-      await API.products.update(editProductData.Id, payload);
-      await indexedDb.putProducts([{ ...payload, id: editProductData.Id }]);
-      await loadDataFromIDB();
-      showToastMessage("Product updated successfully", "success");
-      setShowEditModal(false);
+      await saveOrQueueConflict(saveProduct, editProductData.Id, payload, editBaseRef.current.product, async () => {
+        await loadDataFromIDB();
+        showToastMessage("Product updated successfully", "success");
+        setShowEditModal(false);
+      });
     } catch (error) {
       console.error(error);
       showToastMessage("Failed to update product: " + (error?.message || "error"), "danger");
@@ -1152,6 +1214,9 @@ const StockManagement = () => {
       toast.error("Supplier and invoice are required.");
       return;
     }
+    const productNameOf = (id) => allProducts.find(p => String(p.id) === String(id))?.name || id;
+    const failed = [];
+    const conflicted = [];
     try {
       setIsLoading(true);
       for (const entry of restockEntries) {
@@ -1166,32 +1231,47 @@ const StockManagement = () => {
         };
         await API.restockLog.create(payload);
 
-        // Update the buying price of the unit item on backend and indexedDB
+        // Update quantity and buying price on backend and indexedDB. The inventory
+        // endpoint takes an absolute stockQuantity, so the restock is added to the count
+        // fetched just before the write and sent with its version; if someone else
+        // changed the count in between, the write is retried on the fresh count. When
+        // the count cannot be read with a version the item is not written at all.
         const matchedInv = allInventories.find(i => String(i.productId || i.inventoryId) === String(entry.productId));
-        const newQty = (matchedInv ? Number(matchedInv.stockQuantity || 0) : 0) + Number(entry.restockQuantity || 0);
+        const delta = Number(entry.restockQuantity || 0);
+        const countOf = (inv) => Number(inv.stockQuantity) || 0;
 
         const invUpdatePayload = {
           productId: entry.productId,
-          stockQuantity: newQty,
           stockPrice: Number(entry.purchasePrice),
-          stockThreshold: matchedInv?.stockThreshold ?? 0,
           invoiceNumber: restockMeta.invoiceNumber,
           supplierId: restockMeta.supplierId,
         };
 
-        // 1. Update backend inventory price
+        // 1. Update backend inventory. When it fails the local copy is left alone, so
+        //    the till never shows stock the server did not take.
+        let serverInv = null;
         try {
-          if (typeof API.inventories?.update === "function") {
-            await API.inventories.update(entry.productId, invUpdatePayload);
-          }
+          serverInv = await applyDelta({
+            fetchServer: () => API.inventories.get(entry.productId),
+            write: (expectedVersion, fresh) => API.inventories.update(entry.productId, {
+              ...invUpdatePayload,
+              stockQuantity: countOf(fresh) + delta,
+              stockThreshold: fresh.stockThreshold ?? matchedInv?.stockThreshold ?? 0,
+              expectedVersion,
+            }),
+          });
         } catch (err) {
-          console.error("Backend inventory price update failed:", err);
+          console.error("Backend inventory update failed:", err);
+          (isEditConflict(err) ? conflicted : failed).push(productNameOf(entry.productId));
+          continue;
         }
 
-        // 2. Update local IndexedDB
+        // 2. Update local IndexedDB from the count the restock was added to
         try {
           await indexedDb.putInventories([{
             ...invUpdatePayload,
+            stockQuantity: countOf(serverInv) + delta,
+            stockThreshold: serverInv.stockThreshold ?? matchedInv?.stockThreshold ?? 0,
             inventoryId: entry.productId,
             updatedAt: Date.now()
           }]);
@@ -1200,7 +1280,15 @@ const StockManagement = () => {
         }
       }
 
-      toast.success("All restock entries added and prices updated.");
+      if (conflicted.length) {
+        toast.error(`Restock logged, but the server stock count could not be checked for: ${conflicted.join(", ")}, so it was not changed. Update these items from the inventory list.`);
+      }
+      if (failed.length) {
+        toast.error(`Restock logged, but stock was not updated on the server for: ${failed.join(", ")}. Update these items from the inventory list.`);
+      }
+      if (!conflicted.length && !failed.length) {
+        toast.success("All restock entries added and prices updated.");
+      }
       setShowRestockModal(false);
       resetRestockForm();
       
@@ -1219,6 +1307,7 @@ const StockManagement = () => {
   const handleEditStock = (stock) => {
     setLastInventoryPage(currentInventoryPage);
     setEditStockData(stock);
+    editBaseRef.current.inventory = stock;
     setShowEditStockModal(true);
   };
 
@@ -1306,6 +1395,7 @@ const StockManagement = () => {
 
     // Set the product ID for the update API
     setEditProductData({ ...editProductData, Id: product.id });
+    editBaseRef.current = { product, inventory: inv || null };
 
     // Find related Tax (if available in a list, otherwise default or partial)
     // Note: We might not have a full taxList loaded. If we do, find by productId.
@@ -1422,15 +1512,13 @@ const StockManagement = () => {
         // Perform independent updates
         const updates = [];
         // Use Product ID for product update
-        updates.push(API.products.update(productId, productPayload).then(() => {
+        updates.push(saveOrQueueConflict(saveProduct, productId, productPayload, editBaseRef.current.product, () => {
           showToastMessage("Product details updated successfully", "success");
         }));
 
         // Use Inventory ID (SKU) for inventory update
-        updates.push(API.inventories.update(f.inventoryId, inventoryPayload).then(() => {
+        updates.push(saveOrQueueConflict(saveInventory, f.inventoryId, inventoryPayload, editBaseRef.current.inventory, () => {
           showToastMessage("Inventory/Stock updated successfully", "success");
-          // Sync to IDB
-          indexedDb.putInventories([{ ...inventoryPayload, inventoryId: f.inventoryId }]);
         }));
 
         if (taxPayload) {
@@ -1445,13 +1533,13 @@ const StockManagement = () => {
           }));
         }
 
-        await Promise.all(updates);
-
-        // Sync product to IDB
-        await indexedDb.putProducts([{ ...productPayload, id: productId }]);
+        const results = await Promise.all(updates);
 
         await loadDataFromIDB();
 
+        // keep the form open while a conflicting change waits in the conflict dialog
+        if (results.includes(false)) return;
+
         showToastMessage("Complete product updated successfully", "success");
 
         setShowAddCompleteProductModal(false);
@@ -1587,11 +1675,10 @@ const StockManagement = () => {
         barcodes: f.barcodes,
         showOnline: !!f.showOnline
       };
-      await API.products.update(productId, productPayload);
-      // Sync IDB
-      await indexedDb.putProducts([{ ...productPayload, id: productId }]);
-      showToastMessage("Product details updated successfully", "success");
-      await loadDataFromIDB();
+      await saveOrQueueConflict(saveProduct, productId, productPayload, editBaseRef.current.product, async () => {
+        showToastMessage("Product details updated successfully", "success");
+        await loadDataFromIDB();
+      });
     } catch (error) {
       showToastMessage("Failed to update product: " + (error?.message || "error"), "danger");
     } finally {
@@ -1611,11 +1698,10 @@ const StockManagement = () => {
         invoiceNumber: f.invoiceNumber || "",
         supplierId: f.supplierId || null,
       };
-      await API.inventories.update(f.inventoryId, inventoryPayload);
-      // Sync IDB
-      await indexedDb.putInventories([{ ...inventoryPayload, inventoryId: f.inventoryId }]);
-      showToastMessage("Inventory updated successfully", "success");
-      await loadDataFromIDB();
+      await saveOrQueueConflict(saveInventory, f.inventoryId, inventoryPayload, editBaseRef.current.inventory, async () => {
+        showToastMessage("Inventory updated successfully", "success");
+        await loadDataFromIDB();
+      });
     } catch (error) {
       showToastMessage("Failed to update inventory: " + (error?.message || "error"), "danger");
     } finally {
@@ -3241,16 +3327,11 @@ const StockManagement = () => {
                 };
                 // Use productId (SKU) as the URL parameter for the inventory endpoint
                 const id = editStockData.productId ?? editStockData.id ?? editStockData.inventoryId;
-                if (typeof API.inventories?.update === "function") {
-                  await API.inventories.update(id, payload);
-                  // Sync IDB
-                  await indexedDb.putInventories([{ ...payload, inventoryId: id }]);
+                await saveOrQueueConflict(saveInventory, id, payload, editBaseRef.current.inventory, async () => {
                   await loadDataFromIDB();
                   showToastMessage("Stock updated successfully", "success");
                   setShowEditStockModal(false);
-                } else {
-                  showToastMessage("Inventory update API not available", "danger");
-                }
+                });
               } catch (err) {
                 console.error(err);
                 showToastMessage("Failed to update stock: " + (err?.message || "error"), "danger");
@@ -3845,6 +3926,15 @@ const StockManagement = () => {
           </Modal.Footer>
         </Form>
       </Modal>
+
+      {/* ============ EDIT CONFLICT ============ */}
+      <EditConflictModal
+        conflict={activeConflict?.error.conflict || null}
+        busy={resolvingConflict}
+        onResolve={handleResolveConflict}
+        onDiscard={handleDiscardConflict}
+        onCancel={closeActiveConflict}
+      />
     </>
   );
 };
@@ -1,4 +1,7 @@
 // src/screens/thermalPrinter/thermalPrinter.js
+import { describeDiscount } from '../../services/discounts';
+import { totalsOf } from '../../utils/pricing';
+
 const isElectron = !!(typeof window !== 'undefined' && window.require && window.require('electron'));
 const ipcRenderer = isElectron ? window.require('electron').ipcRenderer : null;
 
@@ -172,6 +175,10 @@ export const printOrderReceipt = async (receiptData, printerName = null, storeSe
       orderNumber = '',
       customerPhone = '',
       buyerPin = '',
+      documentType = 'sale',
+      creditNote = null,
+      orderDiscount = null,
+      loyalty = null,
       storeSettings: incomingStoreSettings = {}
     } = receiptData || {};
 
@@ -188,6 +195,20 @@ export const printOrderReceipt = async (receiptData, printerName = null, storeSe
         price: salePrice,
         priceType: String(item.priceType || 'Retail'),
         barcode: String(item.barcode || ''),
+        lineDiscount: Number(item.lineDiscount) || 0,
+        discountLabel: item.discount ? describeDiscount(item.discount) : '',
+        grossTotal: Number(item.grossTotal ?? (salePrice * qty)) || 0,
+        listPrice: Number(item.listPrice) || 0,
+        offer: item.offer ? { label: String(item.offer.label || 'Offer') } : null,
+        tier: item.tier ? {
+          threshold: Number(item.tier.threshold) || 0,
+          quantity: Number(item.tier.quantity) || 0,
+          unitPrice: Number(item.tier.unitPrice) || 0,
+          remainder: Number(item.tier.remainder) || 0,
+          remainderPrice: Number(item.tier.remainderPrice) || 0,
+          saving: Number(item.tier.saving) || 0
+        } : null,
+        orderDiscountShare: Number(item.orderDiscountShare) || 0,
         lineTotal: Number(item.lineTotal ?? (salePrice * qty)) || (salePrice * qty)
       };
     });
@@ -215,7 +236,8 @@ export const printOrderReceipt = async (receiptData, printerName = null, storeSe
       storeAddress: String((storeSettings && storeSettings.storeAddress) || incomingStoreSettings.storeAddress || storeSettings?.storeAddress || 'Ngong, Matasia'),
       storePhone: String((storeSettings && storeSettings.storePhone) || incomingStoreSettings.storePhone || storeSettings?.storePhone || '+254 7xx xxx xxx'),
       pin: String((storeSettings && storeSettings.pin) || incomingStoreSettings.pin || storeSettings?.pin || 'P052336649L'),
-      receiptFooter: String((storeSettings && storeSettings.receiptFooter) || incomingStoreSettings.receiptFooter || storeSettings?.receiptFooter || 'Thank you for your business!')
+      receiptFooter: String((storeSettings && storeSettings.receiptFooter) || incomingStoreSettings.receiptFooter || storeSettings?.receiptFooter || 'Thank you for your business!'),
+      taxRate: Number(storeSettings?.taxRate ?? incomingStoreSettings.taxRate) || 0
     };
 
     const printPayload = {
@@ -225,12 +247,41 @@ export const printOrderReceipt = async (receiptData, printerName = null, storeSe
       paymentData: {
         cashAmount: Number(paymentData?.cashAmount) || 0,
         mpesaAmount: Number(paymentData?.mpesaAmount) || 0,
-        change: Number(paymentData?.change) || 0
+        change: Number(paymentData?.change) || 0,
+        rounding: Number(paymentData?.rounding) || 0,
+        mpesaRef: String(paymentData?.mpesaRef || paymentData?.mpesaCode || ''),
+        tenders: Array.isArray(paymentData?.tenders)
+          ? paymentData.tenders.map((t) => ({
+            label: String(t.label || t.method || ''),
+            reference: t.reference ? String(t.reference) : '',
+            amount: Number(t.amount) || 0
+          }))
+          : []
       },
       user: normalizedUser,
       orderNumber: String(orderNumber || 'N/A'),
       customerPhone: String(customerPhone || 'Walk-in').trim(),
       buyerPin: String(buyerPin || '').trim(),
+      documentType: documentType === 'credit-note' ? 'credit-note' : 'sale',
+      creditNote: creditNote
+        ? {
+          number: String(creditNote.number || ''),
+          originalOrder: String(creditNote.originalOrder || ''),
+          reason: String(creditNote.reason || '')
+        }
+        : {},
+      orderDiscount: orderDiscount && Number(orderDiscount.amount) > 0
+        ? { amount: Number(orderDiscount.amount), label: describeDiscount(orderDiscount) }
+        : null,
+      loyalty: loyalty
+        ? {
+          name: String(loyalty.name || ''),
+          pointsEarned: Number(loyalty.pointsEarned) || 0,
+          balance: Number(loyalty.balance) || 0
+        }
+        : null,
+      // priced here so the printed totals match the till's; refunds carry their own amounts
+      totals: documentType === 'credit-note' ? null : totalsOf(normalizedCart, { taxRate: finalStoreSettings.taxRate }),
       storeSettings: finalStoreSettings
     };
 
@@ -257,6 +308,111 @@ export const printOrderReceipt = async (receiptData, printerName = null, storeSe
   }
 };
 
+/**
+ * Print a proforma quote (services/quotes)
+ */
+export const printQuote = async (quote = null, printerName = null, storeSettings = {}) => {
+  if (!isElectron || !ipcRenderer) {
+    console.warn('Not running in Electron environment - skipping thermal print');
+    return { success: false, message: 'Not in Electron environment' };
+  }
+
+  if (!quote || !Array.isArray(quote.lines) || quote.lines.length === 0) {
+    return { success: false, message: 'No quote to print' };
+  }
+
+  try {
+    const printPayload = {
+      quoteNo: String(quote.quoteNo || ''),
+      createdAt: Number(quote.createdAt) || Date.now(),
+      validUntil: Number(quote.validUntil) || Date.now(),
+      customer: quote.customer
+        ? { name: String(quote.customer.name || ''), phone: String(quote.customer.phone || '') }
+        : null,
+      cashier: String(quote.cashier || 'Staff'),
+      notes: String(quote.notes || ''),
+      lines: quote.lines.map((l) => ({
+        name: String(l.name || 'Item'),
+        quantity: Number(l.quantity) || 0,
+        unitPrice: Number(l.unitPrice) || 0,
+        lineDiscount: Number(l.lineDiscount) || 0,
+        lineTotal: Number(l.lineTotal) || 0
+      })),
+      subtotal: Number(quote.subtotal) || 0,
+      discount: Number(quote.discount) || 0,
+      total: Number(quote.total) || 0,
+      storeSettings: {
+        storeName: String(storeSettings?.storeName || 'ARPELLA STORE LIMITED'),
+        storeAddress: String(storeSettings?.storeAddress || 'Ngong, Matasia'),
+        storePhone: String(storeSettings?.storePhone || '+254 7xx xxx xxx'),
+        pin: String(storeSettings?.pin || 'P052336649L')
+      }
+    };
+
+    const result = await ipcRenderer.invoke('print-quote', printPayload, printerName);
+    if (result?.success) return { success: true, message: result?.message || 'Printed' };
+    console.error('printQuote: failure', result);
+    return { success: false, message: result?.message || 'Print failed' };
+  } catch (error) {
+    console.error('Error in printQuote:', error);
+    return { success: false, message: error?.message || 'Failed to print quote' };
+  }
+};
+
+/**
+ * Print a layaway payment slip (services/layaways) with the goods set aside and every payment so far
+ */
+export const printLayawayReceipt = async (layaway = null, items = [], printerName = null, storeSettings = {}) => {
+  if (!isElectron || !ipcRenderer) {
+    console.warn('Not running in Electron environment - skipping thermal print');
+    return { success: false, message: 'Not in Electron environment' };
+  }
+
+  if (!layaway) {
+    return { success: false, message: 'No layaway to print' };
+  }
+
+  try {
+    const printPayload = {
+      id: String(layaway.id || ''),
+      name: String(layaway.name || 'Layaway'),
+      customer: layaway.customer
+        ? { name: String(layaway.customer.name || ''), phone: String(layaway.customer.phone || '') }
+        : null,
+      cashier: String(layaway.payments?.[layaway.payments.length - 1]?.cashier || 'Staff'),
+      items: (Array.isArray(items) ? items : []).map((it) => ({
+        name: String(it.name || it.productName || 'Item'),
+        quantity: Number(it.quantity) || 0,
+        lineTotal: Number(it.lineTotal) || 0
+      })),
+      total: Number(layaway.total) || 0,
+      payments: (Array.isArray(layaway.payments) ? layaway.payments : []).map((p) => ({
+        createdAt: Number(p.createdAt) || 0,
+        method: String(p.method || ''),
+        label: String(p.label || ''),
+        amount: Number(p.amount) || 0,
+        reference: p.reference ? String(p.reference) : null
+      })),
+      paid: Number(layaway.paid) || 0,
+      balance: Number(layaway.balance) || 0,
+      storeSettings: {
+        storeName: String(storeSettings?.storeName || 'ARPELLA STORE LIMITED'),
+        storeAddress: String(storeSettings?.storeAddress || 'Ngong, Matasia'),
+        storePhone: String(storeSettings?.storePhone || '+254 7xx xxx xxx'),
+        pin: String(storeSettings?.pin || 'P052336649L')
+      }
+    };
+
+    const result = await ipcRenderer.invoke('print-layaway', printPayload, printerName);
+    if (result?.success) return { success: true, message: result?.message || 'Printed' };
+    console.error('printLayawayReceipt: failure', result);
+    return { success: false, message: result?.message || 'Print failed' };
+  } catch (error) {
+    console.error('Error in printLayawayReceipt:', error);
+    return { success: false, message: error?.message || 'Failed to print layaway slip' };
+  }
+};
+
 export const getAvailablePrinters = async () => {
   return await getThermalPrinters();
 };
@@ -1,66 +1,28 @@
 // src/redux/slices/productSlice.js
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import { rtkApi } from '../../services/rtkApi';
-import indexedDb from '../../services/indexedDB';
-import { 
-  addItemToCart as addItemToCartHelper,
-  extractId
-} from './productsSlice-helpers';
-
-const getKey = (p) => extractId(p);
-
-function mergeProductsById(existing = [], incoming = []) {
-  const map = {};
-  existing.forEach(p => {
-    const k = getKey(p);
-    if (k) map[k] = { ...p, id: k };
-  });
-
-  incoming.forEach(p => {
-    const k = getKey(p);
-    if (!k) return;
-    const prev = map[k] || { id: k, inventoryHistory: [] };
-    const merged = {
-      ...prev,
-      ...p,
-      id: k,
-      name: (p.name || prev.name || p.productName || '') ,
-      name_lower: (p.name || prev.name || p.productName || '').toLowerCase(),
-      stockPrice: p.stockPrice !== undefined ? Number(p.stockPrice) : prev.stockPrice ?? null,
-      stockQuantity: p.stockQuantity !== undefined ? Number(p.stockQuantity) : prev.stockQuantity ?? null,
-      stockThreshold: p.stockThreshold !== undefined ? Number(p.stockThreshold) : prev.stockThreshold ?? null,
-      inventoryHistory: Array.isArray(prev.inventoryHistory) ? prev.inventoryHistory.slice() : []
-    };
-
-    // Append inventory snapshot if inventory fields present on incoming
-    if (p.stockPrice !== undefined || p.stockQuantity !== undefined || p.stockThreshold !== undefined) {
-      const snapshot = {
-        inventoryId: p.inventoryId || null,
-        productId: k,
-        stockPrice: merged.stockPrice,
-        stockQuantity: merged.stockQuantity,
-        stockThreshold: merged.stockThreshold,
-        createdAt: p.createdAt || new Date().toISOString(),
-        updatedAt: p.updatedAt || new Date().toISOString(),
-        raw: p
-      };
-      const last = merged.inventoryHistory[0];
-      const isDup = last && last.inventoryId === snapshot.inventoryId && last.updatedAt === snapshot.updatedAt;
-      if (!isDup) {
-        merged.inventoryHistory.unshift(snapshot);
-        if (merged.inventoryHistory.length > 50) merged.inventoryHistory.length = 50;
-      }
-    }
-
-    map[k] = merged;
-  });
-
-  return Object.values(map);
-}
+import { baseUrl } from '../../app/constants';
+import {
+  runCatalogSync,
+  pauseCatalogSync as pauseCatalogSyncWorker,
+  resumeCatalogSync as resumeCatalogSyncWorker,
+  stopCatalogSync as stopCatalogSyncWorker,
+  provideCatalogSyncToken
+} from '../../services/catalogSyncClient';
+import { classifyError, endsSession } from '../../services/apiErrors';
+import connectivity from '../../services/connectivity';
+import { addItemToCart as addItemToCartHelper } from './productsSlice-helpers';
+import { cartTotal, hasOffer } from '../../utils/pricing';
+import { applyOffersToCart } from '../../services/offers';
 
 const initialState = {
   products: [],
   cart: [],
+  // manual discount on the whole order (services/discounts), null when none
+  cartDiscount: null,
+  // customer the sale is for (services/customers), null for a walk-in
+  cartCustomer: null,
+  // idempotency key of this cart's checkout (services/orderIdempotency), set on first submit
+  checkoutKey: null,
   loading: false,
   error: null,
   searchResults: [],
@@ -92,6 +54,15 @@ const initialState = {
     isPaused: false,
     autoFetch: false,
     error: null
+  },
+  catalogSync: {
+    watermark: null,
+    lastSyncAt: null,
+    outcome: null,
+    mode: null,
+    changed: 0,
+    deleted: 0,
+    error: null
   }
 };
 
@@ -99,83 +70,82 @@ const initialState = {
    Thunks
 ------------------------- */
 
-export const fetchSinglePage = createAsyncThunk(
-  'products/fetchSinglePage',
-  async ({ pageNumber, pageSize = 200 }, { dispatch, rejectWithValue }) => {
-    try {
-      dispatch(_setPagePending({ pageNumber }));
-      const res = await dispatch(
-        rtkApi.endpoints.getPagedProducts.initiate({ pageNumber, pageSize })
-      ).unwrap();
-      const data = res?.data ?? res;
-      const items = Array.isArray(data) ? data : (data.items || []);
-
-      // write raw page items into products store
-      await indexedDb.putProducts(items);
-
-      // build inventories from page items and persist
-      const inventories = items
-        .map(it => {
-          const productId = it.productId || it.inventoryId || it.id;
-          if (!productId) return null;
-          const hasInventory = it.inventoryId || (it.stockPrice !== undefined) || (it.stockQuantity !== undefined);
-          if (!hasInventory) return null;
-          return {
-            inventoryId: it.inventoryId || null,
-            productId,
-            stockPrice: it.stockPrice !== undefined ? Number(it.stockPrice) : undefined,
-            stockQuantity: it.stockQuantity !== undefined ? Number(it.stockQuantity) : undefined,
-            stockThreshold: it.stockThreshold !== undefined ? Number(it.stockThreshold) : undefined,
-            createdAt: it.createdAt || null,
-            updatedAt: it.updatedAt || null,
-            raw: it
-          };
-        })
-        .filter(Boolean);
-
-      if (inventories.length) {
-        await indexedDb.putInventories(inventories);
-      }
-
-      dispatch(_setPageFulfilled({ pageNumber, items }));
-      return {
-        pageNumber,
-        items,
-        itemCount: items.length,
-        hasMore: items.length === pageSize
-      };
-    } catch (err) {
-      const message = err?.data || err?.message || String(err);
-      dispatch(_setPageRejected({ pageNumber, error: message }));
-      return rejectWithValue({ pageNumber, error: message });
-    }
-  }
-);
+const selectAuthToken = (state) => {
+  const userObj = state?.user?.user;
+  return userObj?.token || (Array.isArray(userObj) && userObj[0]?.token) || null;
+};
 
+/**
+ * Catalog sync, run in a Web Worker (see workers/catalogSync.worker.js) so fetching,
+ * normalisation and IndexedDB writes never block scanning or typing. Without `force`
+ * only records changed since the stored `updatedAt` watermark are requested; `force`
+ * (or a missing watermark) rebuilds the catalog. Progress lands in `incrementalFetch`
+ * and the outcome in `catalogSync`.
+ */
 export const fetchAndIndexAllProducts = createAsyncThunk(
   'products/fetchAndIndexAllProducts',
   async ({ pageSize = 200, startPage = 1, force = false } = {}, { dispatch, getState, rejectWithValue }) => {
+    dispatch(updateIncrementalFetchProgress({
+      isActive: true,
+      isPaused: false,
+      currentPage: startPage,
+      totalFetched: 0,
+      startTime: Date.now(),
+      hasMore: true,
+      error: null
+    }));
+
     try {
-      if (force) {
-        await indexedDb.clearAll();
-        dispatch(resetIncrementalFetch());
-      }
+      const result = await runCatalogSync(
+        { baseUrl, token: selectAuthToken(getState()), pageSize, startPage, force },
+        (msg) => {
+          if (msg.type === 'progress') {
+            dispatch(updateIncrementalFetchProgress({
+              currentPage: msg.currentPage,
+              totalFetched: msg.totalFetched,
+              lastFetchTime: Date.now()
+            }));
+          } else if (msg.type === 'paused') {
+            dispatch(pauseIncrementalFetch());
+          } else if (msg.type === 'resumed') {
+            dispatch(resumeIncrementalFetch());
+          } else if (msg.type === 'token-needed') {
+            provideCatalogSyncToken(selectAuthToken(getState()));
+          }
+        }
+      );
 
-      let page = startPage;
-      while (true) {
-        const result = await dispatch(fetchSinglePage({ pageNumber: page, pageSize })).unwrap();
-        if (!result || (result.itemCount === 0)) break;
-        if (!result.hasMore) break;
-        page += 1;
+      if (result.stopped) {
+        dispatch(stopIncrementalFetch());
+        return { stopped: true };
       }
 
-      return { success: true };
+      connectivity.reportSuccess();
+      dispatch(_setCatalogSync(result.record));
+      dispatch(completeIncrementalFetch());
+      return result.record;
     } catch (err) {
-      return rejectWithValue(err?.message || String(err));
+      const record = err?.record || { outcome: 'failed', error: err?.message || String(err) };
+      // a failed fetch in the worker has no response: classified as offline, like axios
+      const classification = classifyError(err?.status ? { status: err.status } : { message: record.error });
+      if (endsSession(classification)) {
+        dispatch({ type: 'user/logout' });
+      } else {
+        connectivity.reportFailure(classification);
+      }
+      dispatch(_setCatalogSync(record));
+      dispatch(setIncrementalFetchError(record.error));
+      return rejectWithValue(record.error);
     }
   }
 );
 
+export const pauseCatalogSync = () => () => pauseCatalogSyncWorker();
+
+export const resumeCatalogSync = () => () => resumeCatalogSyncWorker();
+
+export const stopCatalogSync = () => () => stopCatalogSyncWorker();
+
 /* -------------------------
    Slice
 ------------------------- */
@@ -207,10 +177,6 @@ const productsSlice = createSlice({
         error: null
       };
 
-      if (items && items.length > 0) {
-        state.products = mergeProductsById(state.products, items);
-      }
-
       const stillLoading = Object.values(state.pageStatus).some(p => p.loading);
       state.loading = stillLoading;
       if (!stillLoading) state.error = null;
@@ -231,6 +197,10 @@ const productsSlice = createSlice({
       if (!stillLoading) state.error = error;
     },
 
+    _setCatalogSync: (state, action) => {
+      state.catalogSync = { ...state.catalogSync, ...action.payload };
+    },
+
     // incremental fetch controls (kept minimal for compatibility)
     setIncrementalFetchConfig: (state, action) => {
       state.incrementalFetch = {
@@ -336,18 +306,53 @@ const productsSlice = createSlice({
       });
     },
 
+    // Manual discount on one line; payload { key: 'productId_priceType', discount } (null removes it)
+    setLineDiscount: (state, action) => {
+      const { key, discount = null } = action.payload || {};
+      const { extractId } = require('./productsSlice-helpers');
+      const parts = String(key || '').split('_');
+      const targetPriceType = parts.length > 1 ? parts.pop() : null;
+      const targetId = parts.join('_');
+      state.cart = state.cart.map(item => {
+        if (extractId(item) === targetId && (!targetPriceType || item.priceType === targetPriceType)) {
+          return { ...item, discount };
+        }
+        return item;
+      });
+    },
+
+    setCartDiscount: (state, action) => {
+      state.cartDiscount = action.payload || null;
+    },
+
+    setCartCustomer: (state, action) => {
+      state.cartCustomer = action.payload || null;
+    },
+
     toggleApplyDiscountAll: (state, action) => {
       const { apply } = action.payload; // boolean
       state.cart = state.cart.map(item => {
-        if (item.priceAfterDiscount && Number(item.priceAfterDiscount) > 0) {
+        if (hasOffer(item)) {
           return { ...item, applyDiscount: apply };
         }
         return item;
       });
     },
 
+    // Live flash sales and offers (services/offers) by product id; lines pick them up or drop them
+    applyOffers: (state, action) => {
+      state.cart = applyOffersToCart(state.cart, action.payload || {});
+    },
+
+    setCheckoutKey: (state, action) => {
+      state.checkoutKey = action.payload || null;
+    },
+
     clearCart: (state) => {
+      state.checkoutKey = null;
       state.cart = [];
+      state.cartDiscount = null;
+      state.cartCustomer = null;
     },
 
     // Filters and simple helpers
@@ -384,16 +389,6 @@ const productsSlice = createSlice({
 
   extraReducers: (builder) => {
     builder
-      .addCase(fetchSinglePage.pending, (state) => {
-        // page pending handled by _setPagePending
-      })
-      .addCase(fetchSinglePage.fulfilled, (state) => {
-        // handled by _setPageFulfilled
-      })
-      .addCase(fetchSinglePage.rejected, (state) => {
-        // handled by _setPageRejected
-      })
-
       .addCase(fetchAndIndexAllProducts.pending, (state) => {
         state.loading = true;
         state.error = null;
@@ -417,6 +412,7 @@ export const {
   _setPagePending,
   _setPageFulfilled,
   _setPageRejected,
+  _setCatalogSync,
   setIncrementalFetchConfig,
   updateIncrementalFetchProgress,
   pauseIncrementalFetch,
@@ -431,6 +427,11 @@ export const {
   updateCartItemQuantity,
   toggleApplyDiscount,
   toggleApplyDiscountAll,
+  setLineDiscount,
+  setCartDiscount,
+  setCartCustomer,
+  applyOffers,
+  setCheckoutKey,
   clearCart,
   setFilter,
   clearFilters,
@@ -450,25 +451,22 @@ export const selectSearchResults = (state) => state.products.searchResults;
 export const selectSearchLoading = (state) => state.products.searchLoading;
 export const selectSearchError = (state) => state.products.searchError;
 export const selectCart = (state) => state.products.cart;
+export const selectCartDiscount = (state) => state.products.cartDiscount || null;
+export const selectCartCustomer = (state) => state.products.cartCustomer || null;
+export const selectCheckoutKey = (state) => state.products.checkoutKey || null;
 export const selectCartItemCount = (state) => {
   const items = Array.isArray(state.products.cart) ? state.products.cart : [];
   return items.reduce((count, item) => count + (item.quantity || 1), 0);
 };
 export const selectCartTotal = (state) => {
   const items = Array.isArray(state.products.cart) ? state.products.cart : [];
-  return items.reduce((total, item) => {
-    let price = item.priceType === 'Retail'
-      ? (Number(item.price) || 0)
-      : (Number(item.wholesalePrice) || Number(item.price) || 0);
-    if (item.applyDiscount && item.priceAfterDiscount && Number(item.priceAfterDiscount) > 0) {
-      price = Number(item.priceAfterDiscount);
-    }
-    return total + (price * (item.quantity || 1));
-  }, 0);
+  return cartTotal(items, { orderDiscount: state.products.cartDiscount });
 };
 
 export const selectFilters = (state) => state.products.filters;
 export const selectPagination = (state) => state.products.pagination;
 export const selectPageStatus = (state) => state.products.pageStatus;
+export const selectCatalogSync = (state) => state.products.catalogSync || initialState.catalogSync;
+export const selectIncrementalFetch = (state) => state.products.incrementalFetch || initialState.incrementalFetch;
 
 export default productsSlice.reducer;
@@ -1,4 +1,6 @@
 // src/redux/slices/productsSlice-helpers.js
+import { cartTotal } from '../../utils/pricing';
+
 // Base URL - adjust this to match your API endpoint
 export const baseUrl = "https://api2.arpellastore.com";
 
@@ -423,19 +425,7 @@ export const updateCartItemQuantity = (cartItemsInput, identifier, newQuantity)
  * @param {Array} cartItems - Cart items
  * @returns {number} - Total cart value
  */
-export const calculateCartTotal = (cartItems = []) => {
-  return cartItems.reduce((total, item) => {
-    let price;
-    if (item.priceType === 'Retail') {
-      price = item.price || 0;
-    } else {
-      // Wholesale: strictly wholesalePrice, fallback to price
-      price = Number(item.wholesalePrice) || Number(item.price) || 0;
-    }
-    const quantity = item.quantity || 1;
-    return total + (price * quantity);
-  }, 0);
-};
+export const calculateCartTotal = (cartItems = []) => cartTotal(cartItems);
 
 /**
  * Calculate cart item count
@@ -0,0 +1,71 @@
+import { classifyError, endsSession, shouldRetry, isConnectivityError, ERROR_KINDS, MAX_RETRIES } from '../apiErrors';
+
+const axiosError = (status, extra = {}) =>
+  Object.assign(new Error('Request failed'), { response: { status, data: {} }, ...extra });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('classifyError', () => {
+  it('tells auth, server, timeout, offline and client failures apart', () => {
+    expect(classifyError(axiosError(401))).toEqual(expect.objectContaining({ kind: ERROR_KINDS.AUTH, retryable: false }));
+    expect(classifyError(Object.assign(new Error('Session expired'), { isAuthError: true })).kind).toBe(ERROR_KINDS.AUTH);
+    expect(classifyError(axiosError(503))).toEqual(expect.objectContaining({ kind: ERROR_KINDS.SERVER, status: 503, retryable: true }));
+    expect(classifyError(axiosError(501)).retryable).toBe(false);
+    expect(classifyError(Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' })).kind).toBe(ERROR_KINDS.TIMEOUT);
+    expect(classifyError(axiosError(504)).kind).toBe(ERROR_KINDS.TIMEOUT);
+    expect(classifyError(new Error('Network Error'))).toEqual(expect.objectContaining({ kind: ERROR_KINDS.OFFLINE, retryable: true }));
+    expect(classifyError(axiosError(422))).toEqual(expect.objectContaining({ kind: ERROR_KINDS.CLIENT, retryable: false }));
+  });
+
+  it('reads RTK Query errors the same way', () => {
+    expect(classifyError({ status: 401, data: {} }).kind).toBe(ERROR_KINDS.AUTH);
+    expect(classifyError({ status: 'FETCH_ERROR', error: 'TypeError: Failed to fetch' }).kind).toBe(ERROR_KINDS.OFFLINE);
+    expect(classifyError({ status: 'TIMEOUT_ERROR', error: 'AbortError' }).kind).toBe(ERROR_KINDS.TIMEOUT);
+    expect(classifyError({ status: 'PARSING_ERROR', originalStatus: 500, data: '<html>' }).kind).toBe(ERROR_KINDS.SERVER);
+  });
+
+  it('does not retry a dropped connection while the browser is offline', () => {
+    jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    expect(classifyError(new Error('Network Error'))).toEqual(expect.objectContaining({ message: 'No internet connection', retryable: false }));
+    expect(isConnectivityError(new Error('Network Error'))).toBe(true);
+    expect(isConnectivityError(axiosError(500))).toBe(false);
+  });
+});
+
+describe('shouldRetry', () => {
+  const transient = classifyError(axiosError(503));
+
+  it('retries transient failures of reads and of writes marked idempotent only', () => {
+    expect(shouldRetry({ method: 'get' }, transient)).toBe(true);
+    expect(shouldRetry({ method: 'HEAD' }, transient)).toBe(true);
+    expect(shouldRetry({ method: 'post' }, transient)).toBe(false);
+    expect(shouldRetry({ method: 'put' }, transient)).toBe(false);
+    expect(shouldRetry({ method: 'post', idempotent: true }, transient)).toBe(true);
+  });
+
+  it('never retries failures that would fail again', () => {
+    expect(shouldRetry({ method: 'get' }, classifyError(axiosError(401)))).toBe(false);
+    expect(shouldRetry({ method: 'get' }, classifyError(axiosError(404)))).toBe(false);
+    expect(shouldRetry(null, transient)).toBe(false);
+  });
+
+  it('stops after the retry budget, which a request can lower', () => {
+    expect(shouldRetry({ method: 'get', __retryCount: MAX_RETRIES - 1 }, transient)).toBe(true);
+    expect(shouldRetry({ method: 'get', __retryCount: MAX_RETRIES }, transient)).toBe(false);
+    expect(shouldRetry({ method: 'get', retry: 0 }, transient)).toBe(false);
+  });
+});
+
+describe('endsSession', () => {
+  it('signs the cashier out on an auth failure only', () => {
+    expect(endsSession(classifyError(axiosError(401)))).toBe(true);
+    expect(endsSession(classifyError(Object.assign(new Error('Session expired'), { isAuthError: true })))).toBe(true);
+
+    expect(endsSession(classifyError(axiosError(403)))).toBe(false);
+    expect(endsSession(classifyError(axiosError(500)))).toBe(false);
+    expect(endsSession(classifyError(axiosError(504)))).toBe(false);
+    expect(endsSession(classifyError(new Error('Network Error')))).toBe(false);
+  });
+});
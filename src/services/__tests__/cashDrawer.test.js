@@ -0,0 +1,62 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+
+let indexedDb;
+let cashDrawer;
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  jest.resetModules();
+  indexedDb = require('../indexedDB').default;
+  cashDrawer = require('../cashDrawer').default;
+});
+
+afterEach(async () => {
+  await indexedDb.closeDB();
+});
+
+describe('cash rounding', () => {
+  it('rounds what a cash sale asks for to the nearest step', async () => {
+    expect(cashDrawer.cashDue(1232.4, 1)).toEqual({ due: 1232, rounding: -0.4 });
+    expect(cashDrawer.cashDue(1232.5, 5)).toEqual({ due: 1235, rounding: 2.5 });
+    expect(cashDrawer.cashDue(1234, 10)).toEqual({ due: 1230, rounding: -4 });
+
+    await expect(cashDrawer.saveCashSettings({ roundTo: 2 })).rejects.toThrow(/nearest 1, 5, 10/);
+    await cashDrawer.saveCashSettings({ roundTo: 5 });
+    await expect(cashDrawer.getCashSettings()).resolves.toEqual({ roundTo: 5 });
+  });
+});
+
+describe('change suggestions', () => {
+  it('uses the fewest notes when the drawer is not tracked', () => {
+    expect(cashDrawer.suggestChange(785)).toEqual({
+      pieces: [{ value: 500, count: 1 }, { value: 200, count: 1 }, { value: 50, count: 1 }, { value: 20, count: 1 }, { value: 10, count: 1 }, { value: 5, count: 1 }],
+      short: 0,
+    });
+  });
+
+  it('works around notes the drawer has run out of', () => {
+    const counts = { ...cashDrawer.emptyCounts(), 50: 1, 20: 3, 1: 2 };
+    expect(cashDrawer.suggestChange(60, { counts })).toEqual({ pieces: [{ value: 20, count: 3 }], short: 0 });
+    // the 100 just taken in can go straight back out
+    expect(cashDrawer.suggestChange(150, { counts, tendered: 1100 }).pieces).toEqual([{ value: 100, count: 1 }, { value: 50, count: 1 }]);
+    expect(cashDrawer.suggestChange(45, { counts })).toEqual({ pieces: [{ value: 20, count: 2 }, { value: 1, count: 2 }], short: 3 });
+  });
+});
+
+describe('drawer for the shift', () => {
+  it('tracks the float through cash sales and reports the variance at close', async () => {
+    await expect(cashDrawer.recountDrawer({})).rejects.toThrow(/Open the drawer/);
+    const drawer = await cashDrawer.openDrawer({ counts: { 100: 5, 50: 4, 20: 10, 10: 10 }, by: 'Wanjiru' });
+    expect(drawer.floatTotal).toBe(1000);
+
+    const { pieces, drawer: after } = await cashDrawer.recordCashSale({ tendered: 1000, change: 270 });
+    expect(pieces).toEqual([{ value: 100, count: 2 }, { value: 50, count: 1 }, { value: 20, count: 1 }]);
+    expect(after.counts).toEqual(expect.objectContaining({ 1000: 1, 100: 3, 50: 3, 20: 9 }));
+    expect(cashDrawer.expectedCash(after)).toBe(1730);
+
+    const closed = await cashDrawer.closeDrawer({ counts: { ...after.counts, 10: 8 } });
+    expect(closed).toEqual(expect.objectContaining({ expected: 1730, counted: 1710, variance: -20 }));
+    await expect(cashDrawer.getDrawer()).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+
+let indexedDb;
+let catalogSync;
+
+const PAGE_SIZE = 2;
+const product = (id) => ({ id, name: `Product ${id}`, price: 100, updatedAt: '2026-10-19T08:00:00Z' });
+const pages = [[product(1), product(2)], [product(3), product(4)], [product(5)]];
+
+const ok = (data) => ({ ok: true, status: 200, json: async () => data });
+const pageOf = (url) => Number(new URL(url).searchParams.get('pageNumber'));
+
+// a session whose fetch serves `pages`; `onPost` may answer a message the way the page would
+function setup({ fetchImpl, onPost } = {}) {
+  const posted = [];
+  const fetchMock = jest.fn(fetchImpl || (async (url) => ok(pages[pageOf(url) - 1] || [])));
+  const session = catalogSync.createCatalogSync({
+    post: (msg) => {
+      posted.push(msg);
+      if (onPost) onPost(msg, session);
+    },
+    fetchImpl: fetchMock,
+  });
+  return { session, posted, fetchMock };
+}
+
+const start = (session, extra = {}) =>
+  session.handleMessage({ type: 'start', baseUrl: 'https://api.test', token: 'old', pageSize: PAGE_SIZE, force: true, ...extra });
+
+// let queued promise and IndexedDB callbacks run until `done()` holds
+async function until(done) {
+  for (let i = 0; i < 50 && !done(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+}
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  jest.resetModules();
+  indexedDb = require('../indexedDB').default;
+  catalogSync = require('../catalogSync').default;
+});
+
+afterEach(async () => {
+  await indexedDb.closeDB();
+});
+
+describe('catalogSync', () => {
+  it('pages until a short page and stores the catalog and its watermark', async () => {
+    const { session, posted, fetchMock } = setup();
+
+    await start(session);
+
+    expect(fetchMock.mock.calls.map(([url]) => pageOf(url))).toEqual([1, 2, 3]);
+    expect(posted.filter((m) => m.type === 'progress').map((m) => m.totalFetched)).toEqual([2, 4, 5]);
+    expect(posted[posted.length - 1]).toEqual(expect.objectContaining({ type: 'done' }));
+    expect((await indexedDb.getAllProducts()).map((p) => p.id).sort()).toEqual([1, 2, 3, 4, 5]);
+    expect(await indexedDb.getMeta(catalogSync.CATALOG_SYNC_KEY)).toEqual(expect.objectContaining({ outcome: 'success', mode: 'full', changed: 5 }));
+  });
+
+  it('waits between pages while paused and carries on when resumed', async () => {
+    const { session, posted, fetchMock } = setup({
+      onPost: (msg, s) => { if (msg.type === 'progress' && msg.currentPage === 1) s.handleMessage({ type: 'pause' }); },
+    });
+
+    const run = start(session);
+    await until(() => posted.some((m) => m.type === 'paused'));
+    // give a paused sync every chance to fetch the next page
+    await until(() => false);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(posted.map((m) => m.type)).toEqual(['progress', 'paused']);
+
+    await session.handleMessage({ type: 'resume' });
+    await run;
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(posted.map((m) => m.type)).toEqual(['progress', 'paused', 'resumed', 'progress', 'progress', 'done']);
+  });
+
+  it('stops between pages without writing a partial catalog', async () => {
+    const { session, posted, fetchMock } = setup({
+      onPost: (msg, s) => { if (msg.type === 'progress' && msg.currentPage === 1) s.handleMessage({ type: 'stop' }); },
+    });
+
+    await start(session);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(posted.map((m) => m.type)).toEqual(['progress', 'stopped']);
+    expect(await indexedDb.getAllProducts()).toEqual([]);
+    expect(await indexedDb.getMeta(catalogSync.CATALOG_SYNC_KEY)).toBeNull();
+  });
+
+  it('stops a paused sync', async () => {
+    const { session, posted, fetchMock } = setup({
+      onPost: (msg, s) => { if (msg.type === 'progress' && msg.currentPage === 1) s.handleMessage({ type: 'pause' }); },
+    });
+
+    const run = start(session);
+    await until(() => posted.some((m) => m.type === 'paused'));
+    await session.handleMessage({ type: 'stop' });
+    await run;
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(posted.map((m) => m.type)).toEqual(['progress', 'paused', 'stopped']);
+  });
+
+  it('asks the page for its current token after a 401 and fetches the page again with it', async () => {
+    const { session, posted, fetchMock } = setup({
+      fetchImpl: async (url, { headers }) => (headers.Authorization === 'Bearer old'
+        ? { ok: false, status: 401 }
+        : ok(pages[pageOf(url) - 1] || [])),
+      onPost: (msg, s) => { if (msg.type === 'token-needed') s.handleMessage({ type: 'token', token: 'new' }); },
+    });
+
+    await start(session);
+
+    expect(posted.map((m) => m.type)).toEqual(['token-needed', 'progress', 'progress', 'progress', 'done']);
+    expect(fetchMock.mock.calls.map(([, { headers }]) => headers.Authorization))
+      .toEqual(['Bearer old', 'Bearer new', 'Bearer new', 'Bearer new']);
+  });
+
+  it('fails with the 401 when the page has no newer token', async () => {
+    const { session, posted } = setup({
+      fetchImpl: async () => ({ ok: false, status: 401 }),
+      onPost: (msg, s) => { if (msg.type === 'token-needed') s.handleMessage({ type: 'token', token: 'old' }); },
+    });
+
+    await start(session);
+
+    expect(posted[posted.length - 1]).toEqual(expect.objectContaining({ type: 'error', status: 401 }));
+    expect(await indexedDb.getMeta(catalogSync.CATALOG_SYNC_KEY)).toEqual(expect.objectContaining({ outcome: 'failed', error: 'HTTP 401' }));
+  });
+});
@@ -0,0 +1,118 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+
+// the customer and loyalty routes wait for backend confirmation; most tests run as if they had it
+let mockConfirmed = true;
+jest.mock('../serverRoutes', () => ({
+  ...jest.requireActual('../serverRoutes'),
+  isConfirmed: () => mockConfirmed,
+}));
+
+let indexedDb;
+let customers;
+
+const offline = () => Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' });
+const notFound = () => Object.assign(new Error('Not found'), { response: { status: 404 } });
+
+const serverClient = (record) => ({
+  getCustomer: jest.fn(async () => ({ data: record })),
+  createCustomer: jest.fn(async () => ({ data: {} })),
+  postLoyaltyActivity: jest.fn(async () => ({ data: {} })),
+});
+
+const offlineClient = () => ({
+  getCustomer: jest.fn(async () => { throw offline(); }),
+  createCustomer: jest.fn(async () => { throw offline(); }),
+  postLoyaltyActivity: jest.fn(async () => { throw offline(); }),
+});
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  mockConfirmed = true;
+  jest.resetModules();
+  indexedDb = require('../indexedDB').default;
+  customers = require('../customers').default;
+});
+
+afterEach(async () => {
+  await indexedDb.closeDB();
+});
+
+describe('points arithmetic', () => {
+  it('earns whole points per shilling', () => {
+    const settings = { pointsPerShilling: 0.01 };
+    expect(customers.normalizePhone('0712 345 678')).toBe('254712345678');
+    expect(customers.normalizePhone('+254 112 345 678')).toBe('254112345678');
+    expect(customers.normalizePhone('12345')).toBe('');
+    expect(customers.pointsEarned(1299, settings)).toBe(12);
+  });
+});
+
+describe('lookup and loyalty activity', () => {
+  const amina = { phone: '254712345678', name: 'Amina W', visits: 4, lifetimeSpend: 5200, points: 52 };
+
+  it('caches the server record so the customer is found offline', async () => {
+    const online = await customers.lookupCustomer('0712345678', serverClient(amina));
+    expect(online.source).toBe('server');
+    expect(online.customer).toEqual(expect.objectContaining({ name: 'Amina W', visits: 4, points: 52, syncStatus: 'synced' }));
+
+    const cached = await customers.lookupCustomer('712345678', offlineClient());
+    expect(cached.source).toBe('cache');
+    expect(cached.customer).toEqual(expect.objectContaining({ name: 'Amina W', lifetimeSpend: 5200 }));
+  });
+
+  it('records a sale offline and sends it once the server is back', async () => {
+    await customers.lookupCustomer('0712345678', serverClient(amina));
+
+    const { customer, pointsEarned } = await customers.recordSale({
+      phone: '0712345678', orderId: 'ORD-9', spend: 1500, client: offlineClient(),
+    });
+    expect(pointsEarned).toBe(15);
+    expect(customer).toEqual(expect.objectContaining({ visits: 5, lifetimeSpend: 6700, points: 67, syncStatus: 'pending' }));
+
+    // the server has not seen the sale yet, so a fresh lookup keeps it on top of the server copy
+    const refreshed = await customers.lookupCustomer('0712345678', serverClient(amina));
+    expect(refreshed.customer.points).toBe(67);
+
+    const client = serverClient(amina);
+    await expect(customers.retryPendingCustomers(client)).resolves.toEqual({ pending: 1, synced: 1 });
+    expect(client.postLoyaltyActivity).toHaveBeenCalledWith(
+      '254712345678',
+      expect.objectContaining({ orderId: 'ORD-9', spend: 1500, pointsEarned: 15 }),
+      'ORD-9:loyalty'
+    );
+    expect((await customers.getCachedCustomer('254712345678')).pending).toEqual([]);
+  });
+
+  it('signs up a new customer locally when the server cannot be reached', async () => {
+    const client = offlineClient();
+    await expect(customers.lookupCustomer('0722000111', { getCustomer: jest.fn(async () => { throw notFound(); }) }))
+      .resolves.toEqual({ customer: null, source: 'server' });
+
+    const created = await customers.createCustomer({ phone: '0722000111', name: 'Otieno' }, client);
+    expect(created.syncStatus).toBe('local');
+    await expect(customers.recordSale({ phone: '0722000112', orderId: 'ORD-10', spend: 300 }))
+      .rejects.toThrow(/Look the customer up/);
+  });
+});
+
+describe('while the customer and loyalty routes are not confirmed', () => {
+  beforeEach(() => {
+    mockConfirmed = false;
+  });
+
+  it('signs customers up and earns points on this till only, without calling the server', async () => {
+    const client = serverClient({ phone: '254722000111', name: 'Server copy', visits: 9, lifetimeSpend: 9000, points: 90 });
+    await expect(customers.lookupCustomer('0722000111', client)).resolves.toEqual({ customer: null, source: 'local' });
+
+    await customers.createCustomer({ phone: '0722000111', name: 'Otieno' }, client);
+    const { customer } = await customers.recordSale({ phone: '0722000111', orderId: 'ORD-11', spend: 800, client });
+
+    expect(customer).toEqual(expect.objectContaining({ name: 'Otieno', visits: 1, points: 8, syncStatus: 'local' }));
+    expect((await customers.lookupCustomer('0722000111', client)).customer).toEqual(expect.objectContaining({ points: 8 }));
+    await expect(customers.retryPendingCustomers(client)).resolves.toEqual({ pending: 0, synced: 0 });
+    expect(client.getCustomer).not.toHaveBeenCalled();
+    expect(client.createCustomer).not.toHaveBeenCalled();
+    expect(client.postLoyaltyActivity).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,161 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+import { DB_NAME, STORES, MIGRATIONS, LATEST_VERSION, validateMigrations, migrateRows } from '../dbMigrations';
+
+// indexedDB.js keeps the connection and the one-shot recovery flag at module level,
+// so each test loads a fresh copy against a fresh fake IndexedDB.
+let indexedDb;
+
+// Create a database as an older release of the app would have left it
+function createFixture(version, build) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, version);
+    req.onupgradeneeded = () => build(req.result, req.transaction);
+    req.onsuccess = () => { req.result.close(); resolve(); };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+const storeInfo = (info, name) => info.stores.find((s) => s.name === name);
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  jest.resetModules();
+  indexedDb = require('../indexedDB').default;
+});
+
+afterEach(async () => {
+  await indexedDb.closeDB();
+});
+
+describe('migration registry', () => {
+  it('is ordered and ends at the latest version', () => {
+    expect(validateMigrations()).toBe(true);
+    expect(LATEST_VERSION).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+  });
+
+  it('rejects duplicate or decreasing versions', () => {
+    const noop = () => {};
+    expect(() => validateMigrations([{ version: 2, upgrade: noop }, { version: 2, upgrade: noop }])).toThrow(/increasing/);
+    expect(() => validateMigrations([{ version: 3, upgrade: noop }, { version: 1, upgrade: noop }])).toThrow(/increasing/);
+    expect(() => validateMigrations([{ version: 1 }])).toThrow(/upgrade function/);
+    expect(() => validateMigrations([{ version: 1, upgrade: noop, rows: { orders: 'x' } }])).toThrow(/row transform/);
+  });
+
+  it('migrates backup rows only through the versions they missed', () => {
+    const rows = [{ orderId: 'ORD-1', createdAt: '2026-10-18T08:00:00Z' }];
+
+    expect(migrateRows(STORES.ORDERS, rows, 7)).toEqual([
+      { orderId: 'ORD-1', createdAt: Date.parse('2026-10-18T08:00:00Z'), syncStatus: 'synced' },
+    ]);
+    expect(migrateRows(STORES.ORDERS, rows, 8)).toBe(rows);
+    expect(migrateRows(STORES.PRODUCTS, rows, 0)).toBe(rows);
+  });
+});
+
+describe('fresh install', () => {
+  it('runs every migration and creates all stores and indexes', async () => {
+    const info = await indexedDb.getSchemaInfo();
+
+    expect(info.version).toBe(LATEST_VERSION);
+    expect(info.migrations.every((m) => m.applied)).toBe(true);
+    expect(info.stores.map((s) => s.name).sort()).toEqual(Object.values(STORES).sort());
+
+    expect(storeInfo(info, STORES.PRODUCTS).indexes).toEqual(expect.arrayContaining(['name_lower', 'inventoryId']));
+    expect(storeInfo(info, STORES.BARCODES).indexes).toEqual(['productId']);
+    expect(storeInfo(info, STORES.ORDERS).indexes).toEqual(expect.arrayContaining(['createdAt', 'status']));
+    expect(storeInfo(info, STORES.OUTBOX).keyPath).toBe('clientOrderId');
+    expect(storeInfo(info, STORES.META).keyPath).toBe('key');
+  });
+
+  it.each(MIGRATIONS.map((m) => m.version))('upgrades cleanly from v%i', async (from) => {
+    const target = MIGRATIONS.filter((m) => m.version <= from);
+    await createFixture(from, (db, tx) => {
+      target.forEach((m) => m.upgrade({ db, tx, oldVersion: 0 }));
+    });
+
+    const info = await indexedDb.getSchemaInfo();
+    expect(info.version).toBe(LATEST_VERSION);
+    expect(info.stores).toHaveLength(Object.values(STORES).length);
+  });
+});
+
+describe('legacy upgrade', () => {
+  it('brings a v5 database with orders up to date and backfills order fields', async () => {
+    await createFixture(5, (db) => {
+      const products = db.createObjectStore('products', { keyPath: 'id' });
+      products.createIndex('name_lower', 'name_lower');
+      products.createIndex('inventoryId', 'inventoryId');
+      db.createObjectStore('barcodes', { keyPath: 'code' });
+      const orders = db.createObjectStore('orders', { keyPath: 'orderId' });
+      orders.createIndex('createdAt', 'createdAt');
+      orders.createIndex('status', 'status');
+      db.createObjectStore('inventories', { keyPath: 'inventoryId' }).createIndex('productId', 'productId');
+
+      orders.put({ orderId: 'OFFLINE-1700000000000', status: 'pending', createdAt: '2024-01-15T10:00:00.000Z', total: 150 });
+      orders.put({ orderId: 'ORD-42', status: 'completed', createdAt: 1705312800000, total: 300 });
+    });
+
+    const offline = await indexedDb.getOrderById('OFFLINE-1700000000000');
+    const synced = await indexedDb.getOrderById('ORD-42');
+
+    expect(offline).toEqual(expect.objectContaining({
+      syncStatus: 'local',
+      createdAt: Date.parse('2024-01-15T10:00:00.000Z'),
+      total: 150
+    }));
+    expect(synced).toEqual(expect.objectContaining({ syncStatus: 'synced', createdAt: 1705312800000 }));
+
+    const info = await indexedDb.getSchemaInfo();
+    expect(info.version).toBe(LATEST_VERSION);
+    expect(storeInfo(info, STORES.BARCODES).indexes).toContain('productId');
+    expect(storeInfo(info, STORES.OUTBOX)).toBeDefined();
+  });
+});
+
+describe('recovery', () => {
+  it('rebuilds a database left at a newer version and keeps orders and the outbox', async () => {
+    await createFixture(99, (db) => {
+      db.createObjectStore('orders', { keyPath: 'orderId' }).put({ orderId: 'ORD-7', status: 'completed', createdAt: 1, syncStatus: 'synced' });
+      db.createObjectStore('outbox', { keyPath: 'clientOrderId' }).put({ clientOrderId: 'POS-A', status: 'pending', createdAt: 2, payload: {} });
+      db.createObjectStore('products', { keyPath: 'id' }).put({ id: 1, name: 'Stale' });
+    });
+
+    const info = await indexedDb.getSchemaInfo();
+
+    expect(info.version).toBe(LATEST_VERSION);
+    expect(info.status.status).toBe('recovered');
+    expect(await indexedDb.getOrderById('ORD-7')).toEqual(expect.objectContaining({ status: 'completed' }));
+    expect(await indexedDb.getOutboxOrders()).toEqual([expect.objectContaining({ clientOrderId: 'POS-A' })]);
+    expect(storeInfo(info, STORES.PRODUCTS).count).toBe(0);
+  });
+
+  it('keeps stock movements and till settings but not the catalog watermark', async () => {
+    await createFixture(99, (db) => {
+      db.createObjectStore('stockMovements', { keyPath: 'id' }).put({ id: 'mv-1', inventoryId: 'INV-1', delta: -2 });
+      const meta = db.createObjectStore('meta', { keyPath: 'key' });
+      meta.put({ key: 'discountLimits', value: { cashier: 5 } });
+      meta.put({ key: 'catalogSync', value: { watermark: 1 } });
+    });
+
+    await indexedDb.getSchemaInfo();
+
+    expect(await indexedDb.getMeta('discountLimits')).toEqual({ cashier: 5 });
+    expect(await indexedDb.getMeta('catalogSync')).toBeNull();
+    const db = await indexedDb.openDB();
+    const movements = await new Promise((resolve) => {
+      const req = db.transaction(['stockMovements']).objectStore('stockMovements').getAll();
+      req.onsuccess = () => resolve(req.result);
+    });
+    expect(movements).toEqual([expect.objectContaining({ id: 'mv-1' })]);
+  });
+
+  it('rebuilds on demand', async () => {
+    await indexedDb.putOrder({ orderId: 'ORD-1', status: 'completed' });
+    await indexedDb.rebuildDatabase();
+
+    expect(await indexedDb.getOrderById('ORD-1')).toEqual(expect.objectContaining({ orderId: 'ORD-1' }));
+    const info = await indexedDb.getSchemaInfo();
+    expect(info.version).toBe(LATEST_VERSION);
+  });
+});
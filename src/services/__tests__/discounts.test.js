@@ -0,0 +1,64 @@
+import discounts, { DISCOUNT_KINDS } from '../discounts';
+import { mapCartToReceiptItems } from '../../utils/orderUtils';
+
+const percent = (value, reasonCode = 'LOYAL') => ({ kind: DISCOUNT_KINDS.PERCENT, value, reasonCode });
+const amount = (value, reasonCode = 'DAMAGED') => ({ kind: DISCOUNT_KINDS.AMOUNT, value, reasonCode });
+
+describe('validateDiscount', () => {
+  it('needs a reason and keeps within the role limit', () => {
+    expect(discounts.validateDiscount(percent(10, ''), 1000, 20)).toMatch(/reason/);
+    expect(discounts.validateDiscount({ ...percent(10, 'OTHER'), note: ' ' }, 1000, 20)).toMatch(/Describe/);
+    expect(discounts.validateDiscount(percent(25), 1000, 20)).toMatch(/at most 20%/);
+    // Ksh 300 off 1000 is 30%
+    expect(discounts.validateDiscount(amount(300), 1000, 20)).toMatch(/at most 20%/);
+    expect(discounts.validateDiscount(amount(1200), 1000, 100)).toMatch(/more than the amount/);
+    expect(discounts.validateDiscount(percent(20), 1000, 20)).toBeNull();
+  });
+
+  it('looks up the limit by role, falling back to the default', () => {
+    const limits = discounts.DEFAULT_DISCOUNT_LIMITS;
+    expect(discounts.maxPercentFor(discounts.roleOf({ roles: ['Order_Manager'] }), limits)).toBe(20);
+    expect(discounts.maxPercentFor(discounts.roleOf([{ user: { role: 'Admin' } }]), limits)).toBe(100);
+    expect(discounts.maxPercentFor(discounts.roleOf({ role: 'Cashier' }), limits)).toBe(limits.default);
+  });
+});
+
+describe('line and order discounts', () => {
+  const cart = [
+    { productId: 1, name: 'Sugar 2kg', priceType: 'Retail', price: 300, quantity: 2, discount: percent(10) },
+    { productId: 2, name: 'Milk 500ml', priceType: 'Retail', price: 60, quantity: 4 },
+  ];
+
+  it('takes line discounts off the line and spreads the order discount over all lines', () => {
+    const items = mapCartToReceiptItems(cart, amount(100));
+
+    expect(items[0]).toEqual(expect.objectContaining({ salePrice: 300, grossTotal: 600, lineDiscount: 60, lineTotal: 540 }));
+    expect(items.map((it) => it.orderDiscountShare)).toEqual([69.23, 30.77]);
+    expect(discounts.discountTotals(items)).toEqual({
+      subtotal: 840, lineDiscounts: 60, orderDiscount: 100, discountTotal: 160, total: 680,
+    });
+    expect(items[1].netUnitPrice).toBe(52.31);
+  });
+
+  it('holds line and order discounts together to the role limit on the gross subtotal', () => {
+    // 60 off the sugar, then 10% of the remaining 780 off the order: 138 of 840 is 16.4%
+    expect(discounts.validateCombinedDiscounts(cart, percent(10), 20)).toBeNull();
+    expect(discounts.validateCombinedDiscounts(cart, percent(10), 15)).toMatch(/16.43% .* at most 15%/);
+    // 5% off the sugar and 5% off the rest of the order are each within a 5% limit: 70.5 of 840 is 8.39%
+    const small = [{ ...cart[0], discount: percent(5) }, cart[1]];
+    expect(discounts.validateCombinedDiscounts(small, percent(5), 5)).toMatch(/8.39% .* at most 5%/);
+    expect(discounts.validateCombinedDiscounts([cart[1]], null, 0)).toBeNull();
+  });
+
+  it('summarises who gave which discount for the order payload', () => {
+    const given = discounts.createDiscount(percent(10), { by: 'Amina', role: 'order manager' });
+    const items = mapCartToReceiptItems([{ ...cart[0], discount: given }, cart[1]]);
+
+    const summary = discounts.discountSummary(items, null);
+    expect(summary).toEqual({
+      lines: [expect.objectContaining({ productId: 1, kind: 'percent', value: 10, reason: 'Regular customer', by: 'Amina', amount: 60 })],
+      order: null,
+      total: 60,
+    });
+  });
+});
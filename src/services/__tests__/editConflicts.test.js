@@ -0,0 +1,123 @@
+import {
+  INVENTORY_FIELDS,
+  PRODUCT_FIELDS,
+  versionOf,
+  diffRecords,
+  mergeRecords,
+  guardedUpdate,
+  applyDelta,
+  isEditConflict,
+} from '../editConflicts';
+
+const base = { inventoryId: 'SKU-1', stockQuantity: 10, stockThreshold: 2, stockPrice: 50, updatedAt: '2026-10-01T10:00:00Z' };
+
+const conflictResponse = () => Object.assign(new Error('Precondition failed'), { status: 412 });
+
+describe('versionOf', () => {
+  it('prefers an explicit row version and falls back to updatedAt', () => {
+    expect(versionOf({ rowVersion: 'AAAB', updatedAt: base.updatedAt })).toBe('AAAB');
+    expect(versionOf({ updatedAt: '2026-10-01T10:00:00Z' })).toBe(String(Date.parse('2026-10-01T10:00:00Z')));
+    expect(versionOf({})).toBeNull();
+  });
+});
+
+describe('diffRecords / mergeRecords', () => {
+  it('flags only fields changed on both sides to different values', () => {
+    const local = { ...base, stockQuantity: 15, stockPrice: 55 };
+    const server = { ...base, stockQuantity: 12, stockThreshold: 5, stockPrice: '55' };
+    const diff = diffRecords({ base, local, server, fields: INVENTORY_FIELDS });
+
+    expect(diff.filter((d) => d.conflict).map((d) => d.field)).toEqual(['stockQuantity']);
+    expect(diff.find((d) => d.field === 'stockThreshold')).toEqual(expect.objectContaining({ changedOnServer: true, changedLocally: false }));
+  });
+
+  it('keeps server changes to untouched fields and applies the chosen resolution', () => {
+    const local = { ...base, stockQuantity: 15 };
+    const server = { ...base, stockQuantity: 12, stockThreshold: 5 };
+
+    expect(mergeRecords({ base, local, server, fields: INVENTORY_FIELDS }))
+      .toEqual(expect.objectContaining({ stockQuantity: 15, stockThreshold: 5 }));
+    expect(mergeRecords({ base, local, server, fields: INVENTORY_FIELDS, choices: { stockQuantity: 'theirs' } }).stockQuantity).toBe(12);
+    // +5 locally on top of the server's +2
+    expect(mergeRecords({ base, local, server, fields: INVENTORY_FIELDS, choices: { stockQuantity: 'combine' } }).stockQuantity).toBe(17);
+  });
+
+  it('treats barcode lists and strings, and missing booleans, as equal values', () => {
+    const product = { name: 'Omo 1kg', barcodes: ['123', '456'], showOnline: false };
+    const diff = diffRecords({ base: product, local: { ...product, barcodes: '123,456', showOnline: undefined }, server: product, fields: PRODUCT_FIELDS });
+    expect(diff).toEqual([]);
+  });
+});
+
+describe('guardedUpdate', () => {
+  const fields = INVENTORY_FIELDS;
+
+  it('writes straight through when the server version has not moved', async () => {
+    const write = jest.fn().mockResolvedValue({});
+    const local = { ...base, stockQuantity: 15 };
+    const res = await guardedUpdate({ entity: 'inventory', id: 'SKU-1', base, local, fields, fetchServer: async () => ({ data: base }), write });
+
+    expect(write).toHaveBeenCalledWith(local, versionOf(base));
+    expect(res.merged).toBe(false);
+  });
+
+  it('merges non-overlapping changes and sends the server version', async () => {
+    const server = { ...base, stockThreshold: 5, updatedAt: '2026-10-02T08:00:00Z' };
+    const write = jest.fn().mockResolvedValue({});
+    const res = await guardedUpdate({ entity: 'inventory', id: 'SKU-1', base, local: { ...base, stockPrice: 60 }, fields, fetchServer: async () => server, write });
+
+    expect(write).toHaveBeenCalledWith(expect.objectContaining({ stockPrice: 60, stockThreshold: 5 }), versionOf(server));
+    expect(res.merged).toBe(true);
+  });
+
+  it('refuses to overwrite a field someone else changed', async () => {
+    const server = { ...base, stockQuantity: 12, updatedAt: '2026-10-02T08:00:00Z' };
+    const write = jest.fn();
+    const err = await guardedUpdate({ entity: 'inventory', id: 'SKU-1', base, local: { ...base, stockQuantity: 15 }, fields, fetchServer: async () => server, write })
+      .catch((e) => e);
+
+    expect(write).not.toHaveBeenCalled();
+    expect(isEditConflict(err)).toBe(true);
+    expect(err.conflict.server).toBe(server);
+    expect(err.conflict.diff.find((d) => d.conflict).field).toBe('stockQuantity');
+  });
+
+  it('turns a rejected version into a conflict with the latest server copy', async () => {
+    const latest = { ...base, stockQuantity: 9, updatedAt: '2026-10-02T09:00:00Z' };
+    const fetchServer = jest.fn().mockResolvedValueOnce(base).mockResolvedValueOnce(latest);
+    const err = await guardedUpdate({
+      entity: 'inventory', id: 'SKU-1', base, local: { ...base, stockQuantity: 15 }, fields, fetchServer,
+      write: () => Promise.reject(conflictResponse()),
+    }).catch((e) => e);
+
+    expect(err.conflict.server).toBe(latest);
+  });
+});
+
+describe('applyDelta', () => {
+  it('retries against the fresh version when the server rejects a stale one', async () => {
+    const fetchServer = jest.fn()
+      .mockResolvedValueOnce({ ...base })
+      .mockResolvedValueOnce({ ...base, stockQuantity: 14, rowVersion: 'v2' });
+    const write = jest.fn().mockRejectedValueOnce(conflictResponse()).mockResolvedValueOnce({});
+
+    const server = await applyDelta({ fetchServer, write });
+
+    expect(write).toHaveBeenLastCalledWith('v2', expect.objectContaining({ stockQuantity: 14 }));
+    expect(server.stockQuantity).toBe(14);
+  });
+
+  it('writes nothing and reports a conflict when the server copy cannot be read or has no version', async () => {
+    const write = jest.fn().mockResolvedValue({});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const unread = await applyDelta({ fetchServer: () => Promise.reject(new Error('Network Error')), write }).catch((e) => e);
+    const unversioned = await applyDelta({ fetchServer: async () => ({ stockQuantity: 10 }), write }).catch((e) => e);
+
+    expect(isEditConflict(unread)).toBe(true);
+    expect(unread.message).toMatch(/could not be checked/);
+    expect(isEditConflict(unversioned)).toBe(true);
+    expect(write).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+});
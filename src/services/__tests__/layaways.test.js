@@ -0,0 +1,154 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+
+let indexedDb;
+let layaways;
+let tenders;
+let mockConfirmed = true;
+
+jest.mock('../serverRoutes', () => ({ ...jest.requireActual('../serverRoutes'), isConfirmed: () => mockConfirmed }));
+
+const sale = (extra = {}) => ({
+  id: 'sale_1',
+  name: 'Sale 1',
+  items: [
+    { id: 'P1', name: 'Fridge', priceType: 'Retail', price: 30000, quantity: 1 },
+    { id: 'P2', name: 'Extension cable', priceType: 'Retail', price: 1000, quantity: 2 },
+  ],
+  orderDiscount: null,
+  ...extra,
+});
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  jest.resetModules();
+  mockConfirmed = true;
+  indexedDb = require('../indexedDB').default;
+  layaways = require('../layaways').default;
+  tenders = require('../tenders').default;
+});
+
+afterEach(async () => {
+  await indexedDb.closeDB();
+});
+
+describe('deposits and instalments', () => {
+  it('opens a layaway on the first deposit and tracks the balance over instalments', async () => {
+    const opened = await layaways.takePayment({
+      sale: sale(),
+      payment: { method: 'cash', amount: '5000' },
+      customer: { name: 'Achieng', phone: '0712345678' },
+      cashier: 'Jane',
+    });
+    expect(opened).toEqual(expect.objectContaining({ id: 'sale_1', total: 32000, paid: 5000, balance: 27000, status: layaways.LAYAWAY_STATUS.OPEN }));
+    expect(opened.customer).toEqual({ name: 'Achieng', phone: '0712345678' });
+
+    await layaways.takePayment({ sale: sale(), payment: { method: 'mpesa', amount: 12000, reference: 'qkx12ab' }, cashier: 'Tom' });
+    const paidUp = await layaways.takePayment({ sale: sale(), payment: { method: 'cash', amount: 15000 } });
+
+    expect(paidUp.balance).toBe(0);
+    expect(paidUp.paid).toBe(32000);
+    expect(paidUp.payments.map((p) => [p.method, p.amount, p.reference])).toEqual([
+      ['cash', 5000, null], ['mpesa', 12000, 'QKX12AB'], ['cash', 15000, null],
+    ]);
+  });
+
+  it('keeps the total fixed at the first deposit, with the sale discount', async () => {
+    await layaways.takePayment({ sale: sale({ orderDiscount: { kind: 'amount', value: 2000, reasonCode: 'loyal' } }), payment: { method: 'cash', amount: 1000 } });
+    const next = await layaways.takePayment({ sale: sale(), payment: { method: 'cash', amount: 1000 } });
+    expect(next.total).toBe(30000);
+    expect(next.balance).toBe(28000);
+  });
+
+  it('refuses payments over the balance, M-Pesa without a code or with one already used', async () => {
+    await expect(layaways.takePayment({ sale: sale(), payment: { method: 'cash', amount: 40000 } })).rejects.toThrow(/Only Ksh 32,000 is left/);
+    await expect(layaways.takePayment({ sale: sale(), payment: { method: 'mpesa', amount: 1000 } })).rejects.toThrow(/M-Pesa code/);
+    await expect(layaways.takePayment({ sale: sale(), payment: { method: 'card', amount: 1000 } })).rejects.toThrow(/cash or M-Pesa/);
+    await expect(layaways.takePayment({ sale: { ...sale(), id: null }, payment: { method: 'cash', amount: 1000 } })).rejects.toThrow(/Hold the sale/);
+
+    await layaways.takePayment({ sale: sale(), payment: { method: 'mpesa', amount: 1000, reference: 'QKX1' } });
+    await expect(layaways.takePayment({ sale: sale(), payment: { method: 'mpesa', amount: 1000, reference: 'qkx1' } })).rejects.toThrow(/already recorded/);
+    expect((await layaways.getLayaway('sale_1')).payments).toHaveLength(1);
+  });
+});
+
+describe('finishing and reporting', () => {
+  it('counts open deposits as a liability until the layaway is completed', async () => {
+    await layaways.takePayment({ sale: sale(), payment: { method: 'cash', amount: 5000 } });
+    await layaways.takePayment({ sale: sale({ id: 'sale_2', name: 'Sale 2' }), payment: { method: 'cash', amount: 32000 } });
+
+    expect(layaways.liability(await layaways.getLayaways())).toEqual({ count: 2, deposits: 37000, outstanding: 27000 });
+
+    const done = await layaways.completeLayaway('sale_2', { orderId: 'ORD-9' });
+    expect(done).toEqual(expect.objectContaining({ status: layaways.LAYAWAY_STATUS.COMPLETED, orderId: 'ORD-9' }));
+    expect((await layaways.getLayaways(layaways.LAYAWAY_STATUS.OPEN)).map((l) => l.id)).toEqual(['sale_1']);
+    expect(layaways.liability(await layaways.getLayaways())).toEqual({ count: 1, deposits: 5000, outstanding: 27000 });
+
+    await expect(layaways.takePayment({ sale: sale({ id: 'sale_2' }), payment: { method: 'cash', amount: 1 } })).rejects.toThrow(/already finished/);
+  });
+
+  it('takes a layaway from its deposits through to a completed order paid the way it was received', async () => {
+    await layaways.takePayment({ sale: sale(), payment: { method: 'cash', amount: 5000 } });
+    await layaways.takePayment({ sale: sale(), payment: { method: 'mpesa', amount: 12000, reference: 'QKX12AB' } });
+    const partPaid = await layaways.getLayaway('sale_1');
+    expect(() => layaways.checkoutTenders(partPaid)).toThrow(/Ksh 15,000 is still to be paid/);
+
+    const paidUp = await layaways.takePayment({ sale: sale(), payment: { method: 'cash', amount: 15000 } });
+    const lines = layaways.checkoutTenders(paidUp);
+    expect(lines.map((l) => [l.method, l.amount, l.reference])).toEqual([['cash', '20000', ''], ['mpesa', '12000', 'QKX12AB']]);
+
+    // the checkout the till sends: cash and M-Pesa only, nothing owing, no change
+    const total = layaways.saleTotal(sale());
+    expect(tenders.promptLine(lines)).toBeNull();
+    expect(tenders.validateTenders(lines, total)).toBeNull();
+    expect(tenders.toOrderTenders(lines, total).map((t) => [t.method, t.applied, t.reference]))
+      .toEqual([['cash', 20000, null], ['mpesa', 12000, 'QKX12AB']]);
+
+    const done = await layaways.completeLayaway('sale_1', { orderId: 'ORD-1' });
+    expect(done).toEqual(expect.objectContaining({ status: layaways.LAYAWAY_STATUS.COMPLETED, orderId: 'ORD-1' }));
+    expect(layaways.liability(await layaways.getLayaways())).toEqual({ count: 0, deposits: 0, outstanding: 0 });
+    expect(() => layaways.checkoutTenders(done)).toThrow(/not found/);
+  });
+
+  it('sends each payment once and retries the ones the server missed', async () => {
+    const postLayawayPayment = jest.fn()
+      .mockResolvedValueOnce({ data: {} })
+      .mockRejectedValueOnce(new Error('Network Error'))
+      .mockResolvedValue({ data: {} });
+    const client = { postLayawayPayment };
+
+    const first = await layaways.takePayment({ sale: sale(), payment: { method: 'cash', amount: 1000 }, client });
+    expect(first.syncStatus).toBe('synced');
+
+    const second = await layaways.takePayment({ sale: sale(), payment: { method: 'cash', amount: 2000 }, client });
+    expect(second.syncStatus).toBe('pending');
+    expect(second.syncError).toBe('Network Error');
+
+    expect(await layaways.retryPendingLayaways(client)).toEqual({ pending: 1, synced: 1 });
+    expect(postLayawayPayment).toHaveBeenCalledTimes(3);
+    // the retry only resends the missed instalment, under the same id
+    expect(postLayawayPayment.mock.calls[2][1].id).toBe(second.payments[1].id);
+    expect((await layaways.getLayaway('sale_1')).payments.every((p) => p.syncStatus === 'synced')).toBe(true);
+  });
+});
+
+describe('while the layaway payments route is not confirmed', () => {
+  beforeEach(() => {
+    mockConfirmed = false;
+  });
+
+  it('keeps the payments on this till and sends them once the route is confirmed', async () => {
+    const postLayawayPayment = jest.fn().mockResolvedValue({ data: {} });
+    const client = { postLayawayPayment };
+
+    const kept = await layaways.takePayment({ sale: sale(), payment: { method: 'cash', amount: 1000 }, client });
+    expect(kept.syncStatus).toBe('local');
+    expect(kept.syncError).toBeNull();
+    expect(await layaways.retryPendingLayaways(client)).toEqual({ pending: 0, synced: 0 });
+    expect(postLayawayPayment).not.toHaveBeenCalled();
+
+    mockConfirmed = true;
+    expect(await layaways.retryPendingLayaways(client)).toEqual({ pending: 1, synced: 1 });
+    expect(postLayawayPayment).toHaveBeenCalledWith('sale_1', expect.objectContaining({ id: kept.payments[0].id, amount: 1000 }));
+  });
+});
@@ -0,0 +1,152 @@
+import {
+  normalizeTransaction,
+  comparePhones,
+  expectedPayment,
+  linkTransaction,
+  findPaymentMatch,
+  findPaymentCandidates,
+  watchForPayment,
+  settleDifference,
+  rankTransactions,
+  CLOCK_SKEW_MS,
+} from '../mpesaPayments';
+
+const T0 = new Date(2026, 9, 18, 14, 30, 0).getTime();
+const tx = (overrides = {}) => normalizeTransaction({
+  transactionId: 'QJK3ABCD12',
+  transamount: 1250,
+  msisdn: '254712345678',
+  transTime: '20261018143100',
+  ...overrides,
+});
+
+describe('normalizeTransaction / comparePhones', () => {
+  it('reads Daraja field names and local TransTime', () => {
+    const t = normalizeTransaction({ TransID: 'qjk3abcd12', TransAmount: '1250.00', MSISDN: '254712345678', TransTime: '20261018143000' });
+    expect(t).toEqual(expect.objectContaining({ id: 'QJK3ABCD12', amount: 1250, at: T0 }));
+  });
+
+  it('matches local, international and masked phone numbers', () => {
+    expect(comparePhones('0712345678', '254712345678')).toBe('match');
+    expect(comparePhones('254712***678', '254712345678')).toBe('match');
+    // too few digits left by the mask to tell two customers apart
+    expect(comparePhones('2547*****678', '254712345678')).toBe('unknown');
+    expect(comparePhones('254722000000', '254712345678')).toBe('mismatch');
+    expect(comparePhones('a3f09c…', '254712345678')).toBe('unknown');
+  });
+});
+
+describe('findPaymentMatch', () => {
+  const expected = { phone: '254712345678', amount: 1250, since: T0, until: T0 + 5 * 60 * 1000 };
+
+  it('needs phone, amount and time window to line up', () => {
+    expect(findPaymentMatch([tx()], expected)).toEqual(expect.objectContaining({ id: 'QJK3ABCD12' }));
+    expect(findPaymentMatch([tx({ transamount: 1200 })], expected)).toBeNull();
+    expect(findPaymentMatch([tx({ msisdn: '254722000000' })], expected)).toBeNull();
+    expect(findPaymentMatch([tx({ transTime: '20261018140000' })], expected)).toBeNull();
+  });
+
+  it('skips payments already linked to an order', () => {
+    expect(findPaymentMatch([tx()], expected, new Set(['QJK3ABCD12']))).toBeNull();
+  });
+
+  it('never confirms an unreadable phone and offers it to the cashier instead', () => {
+    const hashed = tx({ msisdn: '9f86d081884c7d65' });
+    const masked = tx({ transactionId: 'QJK3ABCD13', msisdn: '2547*****678' });
+    expect(findPaymentMatch([hashed, masked], expected)).toBeNull();
+    expect(findPaymentCandidates([hashed, masked, tx({ transactionId: 'QJK3ABCD14', msisdn: '254722000000' })], expected)
+      .map((t) => t.id)).toEqual(['QJK3ABCD12', 'QJK3ABCD13']);
+  });
+});
+
+describe('rankTransactions / settleDifference', () => {
+  const minutesAgo = (m) => String(T0 - m * 60000);
+
+  it('puts exact matches first, then the closest and most recent', () => {
+    const ranked = rankTransactions([
+      tx({ transactionId: 'OLD-NEAR', transamount: 1240, transTime: minutesAgo(240) }),
+      tx({ transactionId: 'NEW-NEAR', transamount: 1240, transTime: minutesAgo(2) }),
+      tx({ transactionId: 'EXACT', transamount: 1250, transTime: minutesAgo(90) }),
+      tx({ transactionId: 'FAR', transamount: 300, transTime: minutesAgo(1) }),
+    ], { total: 1250, now: T0 });
+
+    expect(ranked.map((t) => t.id)).toEqual(['EXACT', 'NEW-NEAR', 'OLD-NEAR', 'FAR']);
+    expect(ranked[0].exact).toBe(true);
+  });
+
+  it('hides payments already used by an earlier order', () => {
+    const ranked = rankTransactions([tx(), tx({ transactionId: 'QJK3ABCD13' })], { total: 1250, now: T0, usedIds: new Set(['QJK3ABCD12']) });
+    expect(ranked.map((t) => t.id)).toEqual(['QJK3ABCD13']);
+  });
+
+  it('works out the cash to collect or refund', () => {
+    expect(settleDifference(1000, 1250)).toEqual({ difference: -250, collect: 250, refund: 0 });
+    expect(settleDifference(1300, 1250)).toEqual({ difference: 50, collect: 0, refund: 50 });
+    expect(settleDifference(1250.2, 1250)).toEqual({ difference: 0, collect: 0, refund: 0 });
+  });
+});
+
+describe('expectedPayment / linkTransaction', () => {
+  it('expects the phone-prompted line of a split payment and links the code to it', () => {
+    const pd = { tenders: [{ id: 'a', method: 'cash', amount: '500' }, { id: 'b', method: 'mpesa', amount: '750', phone: '254712345678', reference: '' }] };
+    expect(expectedPayment('split', pd, 1250)).toEqual({ phone: '254712345678', amount: 750, lineId: 'b' });
+    expect(linkTransaction('split', pd, 'qjk3abcd12').tenders[1].reference).toBe('QJK3ABCD12');
+    expect(linkTransaction('mpesa', { mpesaPhone: '254712345678' }, 'QJK3ABCD12').mpesaCode).toBe('QJK3ABCD12');
+  });
+});
+
+describe('watchForPayment', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  const flush = async () => {
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+  };
+
+  it('completes once a matching payment shows up', async () => {
+    const load = jest.fn().mockResolvedValueOnce([]).mockResolvedValue([tx({ transTime: String(Date.now()) })]);
+    const onMatch = jest.fn();
+    watchForPayment({ expected: { phone: '0712345678', amount: 1250, since: Date.now() }, load, onMatch, intervalMs: 1000 });
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(onMatch).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(onMatch).toHaveBeenCalledWith(expect.objectContaining({ id: 'QJK3ABCD12' }));
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  it('passes unreadable-phone payments to the cashier once, without completing', async () => {
+    const hashed = tx({ msisdn: '9f86d081884c7d65', transTime: String(Date.now()) });
+    const load = jest.fn().mockResolvedValue([hashed]);
+    const onMatch = jest.fn();
+    const onCandidates = jest.fn();
+    watchForPayment({ expected: { phone: '0712345678', amount: 1250, since: Date.now() }, load, onMatch, onCandidates, intervalMs: 1000 });
+
+    for (let i = 0; i < 2; i++) {
+      jest.advanceTimersByTime(1000);
+      await flush();
+    }
+    expect(onMatch).not.toHaveBeenCalled();
+    expect(onCandidates).toHaveBeenCalledTimes(1);
+    expect(onCandidates).toHaveBeenCalledWith([expect.objectContaining({ id: 'QJK3ABCD12' })]);
+  });
+
+  it('gives up after the timeout and stops polling', async () => {
+    const load = jest.fn().mockResolvedValue([]);
+    const onTimeout = jest.fn();
+    watchForPayment({ expected: { phone: '0712345678', amount: 1250, since: Date.now() }, load, onMatch: jest.fn(), onTimeout, intervalMs: 1000, timeoutMs: 2500 });
+
+    for (let i = 0; i < 4; i++) {
+      jest.advanceTimersByTime(1000);
+      await flush();
+    }
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    const calls = load.mock.calls.length;
+    jest.advanceTimersByTime(CLOCK_SKEW_MS);
+    await flush();
+    expect(load).toHaveBeenCalledTimes(calls);
+  });
+});
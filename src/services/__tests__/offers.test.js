@@ -0,0 +1,156 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+import { cartTotal } from '../../utils/pricing';
+
+let indexedDb;
+let offers;
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+
+const flashSale = {
+  id: 7,
+  productId: 101,
+  discountValue: 80,
+  startTime: new Date(NOW - HOUR).toISOString(),
+  endTime: new Date(NOW + HOUR).toISOString(),
+  isActive: true,
+};
+
+const line = (extra = {}) => ({ id: '101', productId: '101', name: 'Sugar 1kg', price: 100, wholesalePrice: 90, priceType: 'Retail', quantity: 2, ...extra });
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  jest.resetModules();
+  indexedDb = require('../indexedDB').default;
+  offers = require('../offers').default;
+});
+
+afterEach(async () => {
+  await indexedDb.closeDB();
+});
+
+describe('time windows', () => {
+  it('counts an offer only while it is switched on and inside its window', () => {
+    const [offer] = offers.normalizeFlashSales([flashSale]);
+    expect(offer).toEqual(expect.objectContaining({ id: 'flash-7', productId: '101', price: 80, label: 'Flash sale' }));
+
+    expect(offers.isLive(offer, NOW)).toBe(true);
+    expect(offers.isLive(offer, NOW - 2 * HOUR)).toBe(false);
+    expect(offers.isLive(offer, NOW + HOUR)).toBe(false);
+    expect(offers.isLive({ ...offer, isActive: false }, NOW)).toBe(false);
+  });
+
+  it('gives each product its cheapest live offer, standing offers included', () => {
+    const list = [
+      ...offers.normalizeFlashSales([flashSale, { ...flashSale, id: 8, discountValue: 70, startTime: new Date(NOW + HOUR).toISOString() }]),
+      ...offers.normalizeOfferProducts([{ id: 101, priceAfterDiscount: 85 }, { id: 102, priceAfterDiscount: 40 }, { id: 103, priceAfterDiscount: 0 }]),
+    ];
+    const live = offers.liveOffersByProduct(list, NOW);
+
+    expect(Object.keys(live).sort()).toEqual(['101', '102']);
+    expect(live['101'].id).toBe('flash-7');
+    expect(live['102']).toEqual(expect.objectContaining({ id: 'product-102', price: 40, endTime: null }));
+  });
+
+  it('splits a sale created for several products into one offer each', () => {
+    const list = offers.normalizeFlashSales([{
+      id: 9,
+      items: [{ productId: 1, discountValue: 10 }, { productId: 2, discountValue: 20 }],
+      startTime: flashSale.startTime,
+      endTime: flashSale.endTime,
+    }]);
+    expect(list.map((o) => [o.id, o.productId, o.price])).toEqual([['flash-9-1', '1', 10], ['flash-9-2', '2', 20]]);
+  });
+});
+
+describe('cart', () => {
+  const live = () => offers.liveOffersByProduct(offers.normalizeFlashSales([flashSale]), NOW);
+
+  it('switches the offer on for matching lines and records which offer it is', () => {
+    const cart = [line(), line({ id: '555', productId: '555' })];
+    const next = offers.applyOffersToCart(cart, live());
+
+    expect(next[0]).toEqual(expect.objectContaining({ priceAfterDiscount: 80, applyDiscount: true }));
+    expect(offers.offerUsed(next[0])).toEqual({ id: 'flash-7', kind: 'flash', label: 'Flash sale', price: 80 });
+    expect(next[1]).toBe(cart[1]);
+  });
+
+  it('returns the same cart when nothing changes, and leaves a line the cashier switched off', () => {
+    const applied = offers.applyOffersToCart([line()], live());
+    expect(offers.applyOffersToCart(applied, live())).toBe(applied);
+
+    const switchedOff = [{ ...applied[0], applyDiscount: false }];
+    expect(offers.applyOffersToCart(switchedOff, live())).toBe(switchedOff);
+    expect(offers.offerUsed(switchedOff[0])).toBeNull();
+  });
+
+  it('puts a line back as it was once the offer ends', () => {
+    const applied = offers.applyOffersToCart([line({ priceAfterDiscount: 95 })], live());
+    const ended = offers.applyOffersToCart(applied, offers.liveOffersByProduct(offers.normalizeFlashSales([flashSale]), NOW + 2 * HOUR));
+
+    expect(ended[0]).toEqual(expect.objectContaining({ priceAfterDiscount: 95, applyDiscount: false, offer: null }));
+  });
+
+  it('does not apply an offer that is dearer than the line\'s own price', () => {
+    const wholesale = [line({ priceType: 'Discounted', wholesalePrice: 75 })];
+    expect(offers.applyOffersToCart(wholesale, live())).toBe(wholesale);
+  });
+});
+
+describe('order payload', () => {
+  const live = () => offers.liveOffersByProduct(offers.normalizeFlashSales([flashSale]), NOW);
+  const payloadTotal = (items) => items.reduce((s, it) => s + it.unitPrice * it.quantity, 0);
+
+  it('sends the flash price the till charged and names the offer', () => {
+    const cart = offers.applyOffersToCart([line({ quantity: 3 })], live());
+    const items = offers.orderItemsFor(cart[0]);
+
+    expect(items).toEqual([{ quantity: 3, priceType: 'Retail', applyDiscount: true, unitPrice: 80, offerId: 'flash-7' }]);
+    expect(payloadTotal(items)).toBe(cartTotal(cart));
+  });
+
+  it('matches the till total when a quantity break splits an offer line', () => {
+    const cart = offers.applyOffersToCart([line({ quantity: 14, discountQuantity: 12, wholesalePrice: 70 }), line({ id: '555', productId: '555' })], live());
+    const items = cart.flatMap(offers.orderItemsFor);
+
+    expect(items.map((it) => [it.priceType, it.quantity, it.unitPrice, it.offerId])).toEqual([
+      ['Discounted', 12, 70, undefined],
+      ['Retail', 2, 80, 'flash-7'],
+      ['Retail', 2, 100, undefined],
+    ]);
+    expect(payloadTotal(items)).toBe(cartTotal(cart));
+  });
+});
+
+describe('cache', () => {
+  it('keeps the offers for offline use and the list that failed to refresh', async () => {
+    const client = {
+      getFlashSales: jest.fn().mockResolvedValue({ data: [flashSale] }),
+      getOfferProducts: jest.fn().mockResolvedValue([{ id: 102, priceAfterDiscount: 40 }]),
+    };
+    await offers.refreshOffers(client);
+    expect((await offers.getCachedOffers()).offers.map((o) => o.id)).toEqual(['flash-7', 'product-102']);
+
+    client.getFlashSales.mockResolvedValue({ data: [] });
+    client.getOfferProducts.mockRejectedValue(new Error('Network Error'));
+    const { offers: list } = await offers.refreshOffers(client);
+    expect(list.map((o) => o.id)).toEqual(['product-102']);
+
+    client.getFlashSales.mockRejectedValue(new Error('Network Error'));
+    await expect(offers.refreshOffers(client)).rejects.toThrow('Network Error');
+    expect((await offers.getCachedOffers()).offers.map((o) => o.id)).toEqual(['product-102']);
+  });
+});
+
+describe('reports', () => {
+  it('adds up what each offer sold and what it saved customers', () => {
+    const live = offers.liveOffersByProduct(offers.normalizeFlashSales([flashSale]), NOW);
+    const [sold] = offers.applyOffersToCart([line({ quantity: 3 })], live);
+    const notApplied = { ...sold, applyDiscount: false };
+
+    expect(offers.summarizeOfferSales([sold, sold, notApplied, line()])).toEqual([
+      { id: 'flash-7', label: 'Flash sale', name: 'Sugar 1kg', price: 80, units: 6, sales: 480, saving: 120 },
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+let orderIdempotency;
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.resetModules();
+  orderIdempotency = require('../orderIdempotency').default;
+});
+
+describe('orderIdempotency', () => {
+  it('gives every cart its own key, however alike the sales are', () => {
+    const keys = new Set(Array.from({ length: 50 }, () => orderIdempotency.createKey()));
+    expect(keys.size).toBe(50);
+    expect(orderIdempotency.getCompleted([...keys][0])).toBeNull();
+  });
+
+  it('maps a completed key back to its order, across reloads', () => {
+    orderIdempotency.markCompleted('POS-A', { orderId: 'ORD-77', data: { orderId: 'ORD-77' } });
+
+    jest.resetModules();
+    const reloaded = require('../orderIdempotency').default;
+    expect(reloaded.getCompleted('POS-A')).toEqual(expect.objectContaining({ orderId: 'ORD-77', queued: false }));
+    expect(reloaded.getCompleted('POS-B')).toBeNull();
+  });
+
+  it('keeps the original completion time when a queued order later syncs', () => {
+    orderIdempotency.markCompleted('POS-Q', { orderId: 'POS-Q', queued: true });
+    const { completedAt } = orderIdempotency.getCompleted('POS-Q');
+    orderIdempotency.markCompleted('POS-Q', { orderId: 'ORD-9', data: { serverOrderId: 'ORD-9' } });
+
+    expect(orderIdempotency.getCompleted('POS-Q')).toEqual(expect.objectContaining({ orderId: 'ORD-9', queued: false, completedAt }));
+  });
+
+  it('lets a repeat submission join the request in flight instead of posting again', async () => {
+    let resolve;
+    const post = jest.fn(() => new Promise((r) => { resolve = r; }));
+
+    const first = orderIdempotency.runOnce('POS-A', post);
+    const second = orderIdempotency.runOnce('POS-A', post);
+    await Promise.resolve();
+    resolve({ data: { orderId: 'ORD-1' } });
+
+    await expect(first).resolves.toEqual({ data: { orderId: 'ORD-1' } });
+    await expect(second).resolves.toEqual({ data: { orderId: 'ORD-1' }, duplicate: true });
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(orderIdempotency.isInFlight('POS-A')).toBe(false);
+  });
+
+  it('derives one stable key per held sale', () => {
+    expect(orderIdempotency.keyForHeldSale('sale_123_abc')).toBe('POS-SALE-123-ABC');
+  });
+});
@@ -0,0 +1,94 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+
+// api.js pulls in the store and the browser session; the outbox only needs its post
+jest.mock('../api', () => ({ __esModule: true, default: { post: jest.fn() } }));
+
+let indexedDb;
+let outbox;
+let api;
+
+const httpError = (status, message = 'Request failed') =>
+  Object.assign(new Error(message), { response: { status, data: { message } } });
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  localStorage.clear();
+  jest.resetModules();
+  // the module starts its replay timers on import; keep them from firing during the tests
+  jest.useFakeTimers();
+  indexedDb = require('../indexedDB').default;
+  outbox = require('../orderOutbox').default;
+  api = require('../api').default;
+  jest.useRealTimers();
+  // outbox entries replay by createdAt, so each one gets its own tick
+  let clock = Date.parse('2026-10-19T08:00:00Z');
+  jest.spyOn(Date, 'now').mockImplementation(() => (clock += 1));
+});
+
+afterEach(async () => {
+  outbox.stop();
+  jest.restoreAllMocks();
+  await indexedDb.closeDB();
+});
+
+describe('orderOutbox', () => {
+  it('keeps the payload under its clientOrderId and counts it as pending', async () => {
+    const entry = await outbox.enqueue({ clientOrderId: 'POS-A', payload: { total: 200 }, meta: { cartTotal: 200 } });
+
+    expect(entry).toEqual(expect.objectContaining({ clientOrderId: 'POS-A', status: 'pending', attempts: 0 }));
+    expect(entry.payload).toEqual({ total: 200, clientOrderId: 'POS-A' });
+    expect(outbox.getState()).toEqual(expect.objectContaining({ pending: 1, failed: 0 }));
+  });
+
+  it('replays the oldest order first with its idempotency key and clears the queue', async () => {
+    await indexedDb.putOrder({ orderId: 'POS-A', total: 200, syncStatus: 'queued' });
+    await outbox.enqueue({ clientOrderId: 'POS-A', payload: { total: 200 } });
+    await outbox.enqueue({ clientOrderId: 'POS-B', payload: { total: 50 } });
+    api.post.mockResolvedValueOnce({ data: { orderid: 'ORD-1' } }).mockResolvedValueOnce({ data: { orderid: 'ORD-2' } });
+
+    const state = await outbox.replayNow();
+
+    expect(api.post.mock.calls.map(([url, body, config]) => [url, body.clientOrderId, config.headers['Idempotency-Key']]))
+      .toEqual([['/order', 'POS-A', 'POS-A'], ['/order', 'POS-B', 'POS-B']]);
+    expect(state).toEqual(expect.objectContaining({ pending: 0, failed: 0, lastError: null }));
+    expect(await outbox.getEntries()).toEqual([]);
+    expect(await indexedDb.getOrderById('POS-A')).toEqual(expect.objectContaining({ serverOrderId: 'ORD-1', syncStatus: 'synced' }));
+  });
+
+  it('stops at a server error so later orders do not overtake it', async () => {
+    await outbox.enqueue({ clientOrderId: 'POS-A', payload: { total: 200 } });
+    await outbox.enqueue({ clientOrderId: 'POS-B', payload: { total: 50 } });
+    api.post.mockRejectedValueOnce(httpError(503, 'Service unavailable'));
+
+    const state = await outbox.replayNow();
+
+    expect(api.post).toHaveBeenCalledTimes(1);
+    expect(state).toEqual(expect.objectContaining({ pending: 2, failed: 0, lastError: 'Service unavailable' }));
+    const [first, second] = await outbox.getEntries();
+    expect(first).toEqual(expect.objectContaining({ clientOrderId: 'POS-A', status: 'pending', attempts: 1 }));
+    expect(second).toEqual(expect.objectContaining({ clientOrderId: 'POS-B', attempts: 0 }));
+  });
+
+  it('marks an order the server rejects as failed and carries on with the next', async () => {
+    await outbox.enqueue({ clientOrderId: 'POS-A', payload: { total: 200 } });
+    await outbox.enqueue({ clientOrderId: 'POS-B', payload: { total: 50 } });
+    api.post.mockRejectedValueOnce(httpError(422, 'Product 12 not found')).mockResolvedValueOnce({ data: { orderid: 'ORD-2' } });
+
+    const state = await outbox.replayNow();
+
+    expect(api.post).toHaveBeenCalledTimes(2);
+    expect(state).toEqual(expect.objectContaining({ pending: 0, failed: 1 }));
+    expect(await outbox.getEntries()).toEqual([
+      expect.objectContaining({ clientOrderId: 'POS-A', status: 'failed', attempts: 1, lastError: 'Product 12 not found' }),
+    ]);
+
+    // a failed order waits for the cashier to retry it
+    api.post.mockClear();
+    await outbox.replayNow();
+    expect(api.post).not.toHaveBeenCalled();
+
+    api.post.mockResolvedValueOnce({ data: { orderid: 'ORD-1' } });
+    expect(await outbox.retryFailed()).toEqual(expect.objectContaining({ pending: 0, failed: 0 }));
+  });
+});
@@ -0,0 +1,120 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+
+let indexedDb;
+let quotes;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const cart = () => [
+  { id: 'P1', name: 'Sugar 2kg', priceType: 'Retail', price: 250, wholesalePrice: 230, inventoryId: 'INV1', quantity: 4 },
+  { id: 'P1', name: 'Sugar 2kg', priceType: 'Wholesale', price: 250, wholesalePrice: 230, inventoryId: 'INV1', quantity: 10 },
+  { id: 'P2', name: 'Cooking Oil 1L', priceType: 'Retail', price: 300, inventoryId: 'INV2', quantity: 2,
+    discount: { kind: 'percent', value: 10, reasonCode: 'loyal' } },
+  { id: 'P3', name: 'Rice 5kg', priceType: 'Retail', price: 900, inventoryId: 'INV3', quantity: 1 },
+];
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  jest.resetModules();
+  indexedDb = require('../indexedDB').default;
+  quotes = require('../quotes').default;
+});
+
+afterEach(async () => {
+  await indexedDb.closeDB();
+});
+
+describe('saving quotes', () => {
+  it('numbers quotes in order and prices them like the cart', async () => {
+    const first = await quotes.createQuote({ cart: cart(), customer: { name: 'Kamau Wholesalers', phone: '0712345678' }, validDays: 7, cashier: 'Jane' });
+    const second = await quotes.createQuote({ cart: cart().slice(0, 1) });
+
+    expect(first.quoteNo).toBe('QT-000001');
+    expect(second.quoteNo).toBe('QT-000002');
+    expect(first.status).toBe(quotes.QUOTE_STATUS.OPEN);
+    // 4 × 250 + 10 × 230 + 2 × 300 + 900, less 10% off the oil
+    expect(first.subtotal).toBe(4800);
+    expect(first.discount).toBe(60);
+    expect(first.total).toBe(4740);
+    expect(first.lines.find((l) => l.key === 'P1_Wholesale').unitPrice).toBe(230);
+
+    // valid to the end of the seventh day
+    const until = new Date(first.validUntil);
+    expect(until.getHours()).toBe(23);
+    expect(first.validUntil - first.createdAt).toBeGreaterThan(6 * DAY);
+    expect(first.validUntil - first.createdAt).toBeLessThan(8 * DAY);
+
+    expect((await quotes.getQuotes()).map((q) => q.quoteNo)).toEqual(['QT-000002', 'QT-000001']);
+  });
+
+  it('rejects an empty cart or a quote valid for no days', async () => {
+    await expect(quotes.createQuote({ cart: [] })).rejects.toThrow(/cart is empty/);
+    await expect(quotes.createQuote({ cart: cart(), validDays: 0 })).rejects.toThrow(/at least one day/);
+  });
+
+  it('reads open quotes past their date as expired', () => {
+    const quote = { status: quotes.QUOTE_STATUS.OPEN, validUntil: 1000 };
+    expect(quotes.statusOf(quote, 999)).toBe(quotes.QUOTE_STATUS.OPEN);
+    expect(quotes.statusOf(quote, 1001)).toBe(quotes.QUOTE_STATUS.EXPIRED);
+    expect(quotes.statusOf({ ...quote, status: quotes.QUOTE_STATUS.CONVERTED }, 1001)).toBe(quotes.QUOTE_STATUS.CONVERTED);
+  });
+});
+
+describe('converting to a cart', () => {
+  it('re-prices from the catalog, checks stock per product and reports what changed', async () => {
+    const quote = await quotes.createQuote({ cart: cart() });
+
+    const catalog = {
+      P1: { id: 'P1', price: 250, wholesalePrice: 240, inventoryId: 'INV1' },
+      P2: { id: 'P2', price: 300, inventoryId: 'INV2' },
+    };
+    const validate = jest.fn(async () => ({
+      P1: { status: 'conflict', availableQty: 8 },
+      P2: { status: 'success', availableQty: 50 },
+    }));
+
+    const review = await quotes.prepareConversion(quote, { validate, getProduct: async (id) => catalog[id] || null });
+
+    // retail and wholesale sugar are checked together against one stock count
+    expect(validate).toHaveBeenCalledWith([
+      { productId: 'P1', inventoryId: 'INV1', qty: 14 },
+      { productId: 'P2', inventoryId: 'INV2', qty: 2 },
+    ]);
+
+    const byKind = (kind) => review.changes.filter((c) => c.kind === kind).map((c) => c.key);
+    expect(byKind(quotes.CHANGE_KINDS.PRICE)).toEqual(['P1_Wholesale']);
+    expect(byKind(quotes.CHANGE_KINDS.STOCK)).toEqual(['P1_Wholesale']);
+    expect(byKind(quotes.CHANGE_KINDS.REMOVED)).toEqual(['P3_Retail']);
+
+    // the retail line keeps its 4, the wholesale line gets the 4 left
+    expect(review.items.map((it) => [`${it.id}_${it.priceType}`, it.quantity])).toEqual([
+      ['P1_Retail', 4], ['P1_Wholesale', 4], ['P2_Retail', 2],
+    ]);
+    expect(review.items[1].wholesalePrice).toBe(240);
+    expect(review.quotedTotal).toBe(4740);
+    expect(review.total).toBe(1000 + 960 + 540);
+  });
+
+  it('keeps lines whose stock could not be checked but flags them', async () => {
+    const quote = await quotes.createQuote({ cart: cart().slice(3) });
+    const review = await quotes.prepareConversion(quote, {
+      validate: async () => ({ P3: { status: 'warning', availableQty: null, message: 'Could not determine inventory quantity' } }),
+      getProduct: async () => ({ id: 'P3', price: 900, inventoryId: 'INV3' }),
+    });
+
+    expect(review.items).toHaveLength(1);
+    expect(review.changes).toEqual([expect.objectContaining({ kind: quotes.CHANGE_KINDS.UNVERIFIED, message: 'Could not determine inventory quantity' })]);
+    expect(review.total).toBe(review.quotedTotal);
+  });
+
+  it('marks a quote converted', async () => {
+    const quote = await quotes.createQuote({ cart: cart() });
+    await quotes.markConverted(quote.quoteNo, { by: 'Jane' });
+
+    const stored = await quotes.getQuote(quote.quoteNo);
+    expect(stored.status).toBe(quotes.QUOTE_STATUS.CONVERTED);
+    expect(stored.convertedBy).toBe('Jane');
+    await expect(quotes.markConverted('QT-999999')).rejects.toThrow(/not found/);
+  });
+});
@@ -0,0 +1,171 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+
+// the returns route waits for backend confirmation; most tests run as if it had it
+let mockConfirmed = true;
+jest.mock('../serverRoutes', () => ({
+  ...jest.requireActual('../serverRoutes'),
+  isConfirmed: () => mockConfirmed,
+}));
+
+let indexedDb;
+let stockLedger;
+let returns;
+
+const items = [
+  { productId: 1, inventoryId: 'INV-1', name: 'Sugar 2kg', priceType: 'Retail', quantity: 2, salePrice: 300 },
+  { productId: 2, inventoryId: 'INV-2', name: 'Milk 500ml', priceType: 'Retail', quantity: 4, salePrice: 60 },
+];
+
+const splitOrder = {
+  orderId: 'ORD-1',
+  cartTotal: 840,
+  paymentType: 'split',
+  paymentData: {
+    tenders: [
+      { method: 'mpesa', amount: 500, applied: 500, reference: 'QAB1' },
+      { method: 'cash', amount: 400, applied: 340 },
+    ],
+  },
+  cart: items,
+  status: 'completed',
+};
+
+const client = (fail = () => false, serverReturns = []) => ({
+  getOrderReturns: jest.fn(() => (fail('returns') ? Promise.reject(new Error('offline')) : Promise.resolve({ data: serverReturns }))),
+  postOrderReturn: jest.fn(() => (fail('returns') ? Promise.reject(new Error('offline')) : Promise.resolve({ data: {} }))),
+  getInventoryById: jest.fn((id) => (fail(id) ? Promise.reject(new Error('offline')) : Promise.resolve({ data: { inventoryId: id, stockQuantity: 10, rowVersion: 'v1' } }))),
+  put: jest.fn((url) => (fail(url) ? Promise.reject(new Error('offline')) : Promise.resolve({ data: {} }))),
+});
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  mockConfirmed = true;
+  jest.resetModules();
+  indexedDb = require('../indexedDB').default;
+  stockLedger = require('../stockLedger').default;
+  returns = require('../returns');
+});
+
+afterEach(async () => {
+  await indexedDb.closeDB();
+});
+
+describe('returnableLines / validateReturn', () => {
+  it('takes earlier returns off what can still come back', () => {
+    const lines = returns.returnableLines(returns.orderLines(items), [{ lines: [{ key: '1|Retail', quantity: 1 }] }]);
+
+    expect(lines.map((l) => [l.key, l.returnable])).toEqual([['1|Retail', 1], ['2|Retail', 4]]);
+    expect(returns.validateReturn(lines, { '1|Retail': 2 }, 'Damaged')).toMatch(/only 1 can still be returned/);
+    expect(returns.validateReturn(lines, {}, 'Damaged')).toMatch(/at least one/);
+    expect(returns.validateReturn(lines, { '2|Retail': 1 }, ' ')).toMatch(/reason/);
+    expect(returns.validateReturn(lines, { '2|Retail': 1 }, 'Expired')).toBeNull();
+  });
+});
+
+describe('allocateRefund', () => {
+  const tenders = [
+    { method: 'mpesa', applied: 500, reference: 'QAB1' },
+    { method: 'cash', applied: 340 },
+  ];
+
+  it('refunds the latest tender first, net of earlier refunds', () => {
+    expect(returns.allocateRefund(tenders, 400).map((f) => [f.method, f.amount])).toEqual([['cash', 340], ['mpesa', 60]]);
+
+    const prior = [{ refunds: [{ tenderIndex: 1, amount: 340 }] }];
+    expect(returns.allocateRefund(tenders, 120, prior)).toEqual([expect.objectContaining({ method: 'mpesa', amount: 120, reference: 'QAB1' })]);
+  });
+});
+
+describe('processReturn', () => {
+  it('numbers credit notes, restocks locally and marks the local order', async () => {
+    await indexedDb.putOrder(splitOrder);
+    await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 10 }]);
+
+    const api = client();
+    const first = await returns.processReturn({ order: splitOrder, items, selections: { '1|Retail': 1 }, reason: 'Damaged', client: api });
+    const second = await returns.processReturn({ order: splitOrder, items, selections: { '1|Retail': 1, '2|Retail': 4 }, reason: 'Expired', refundTo: returns.REFUND_TO.STORE_CREDIT });
+
+    expect(first.creditNoteNo).toBe('CN-000001');
+    expect(first.refunds).toEqual([expect.objectContaining({ method: 'cash', amount: 300 })]);
+    expect(first.syncStatus).toBe('synced');
+    expect(first.serverChecked).toBe(true);
+    expect(api.postOrderReturn).toHaveBeenCalledWith('ORD-1', expect.objectContaining({ returnId: first.returnId, creditNoteNo: 'CN-000001', total: 300 }));
+    expect(api.put).toHaveBeenCalledWith(
+      '/inventories/INV-1',
+      expect.objectContaining({ stockQuantity: 11 }),
+      { headers: { 'Idempotency-Key': `${first.returnId}:INV-1`, 'If-Match': 'v1' } }
+    );
+
+    expect(second.creditNoteNo).toBe('CN-000002');
+    expect(second.refunds).toEqual([expect.objectContaining({ method: 'credit', amount: 540, reference: 'CN-000002' })]);
+
+    expect((await stockLedger.getStockLevel('INV-1')).available).toBe(12);
+    const order = await indexedDb.getOrderById('ORD-1');
+    expect(order).toEqual(expect.objectContaining({ status: 'refunded', refundedTotal: 840, creditNotes: ['CN-000001', 'CN-000002'] }));
+  });
+
+  it('sends a return taken offline once the server is back, without checking other tills first', async () => {
+    const record = await returns.processReturn({ order: splitOrder, items, selections: { '1|Retail': 1 }, reason: 'Damaged', client: client((what) => what === 'returns') });
+    expect(record).toEqual(expect.objectContaining({ serverChecked: false, syncStatus: 'pending', postedAt: null }));
+
+    const online = client();
+    expect(await returns.retryPendingReturns(online)).toEqual({ pending: 1, synced: 1 });
+    expect(online.postOrderReturn).toHaveBeenCalledWith('ORD-1', expect.objectContaining({ returnId: record.returnId }));
+    expect(online.put).not.toHaveBeenCalled();
+  });
+
+  it('refuses more than was sold', async () => {
+    await returns.processReturn({ order: splitOrder, items, selections: { '1|Retail': 2 }, reason: 'Damaged' });
+    await expect(returns.processReturn({ order: splitOrder, items, selections: { '1|Retail': 1 }, reason: 'Damaged' }))
+      .rejects.toThrow(/already been returned/);
+  });
+
+  it('counts returns another till sent to the server', async () => {
+    const otherTill = { returnId: 'b7d0', creditNoteNo: 'CN-000001', orderId: 'ORD-1', lines: [{ key: '1|Retail', quantity: 2 }], refunds: [], createdAt: 1 };
+    await expect(returns.processReturn({ order: splitOrder, items, selections: { '1|Retail': 1 }, reason: 'Damaged', client: client(() => false, [otherTill]) }))
+      .rejects.toThrow(/already been returned/);
+
+    const record = await returns.processReturn({ order: splitOrder, items, selections: { '2|Retail': 1 }, reason: 'Damaged', client: client(() => false, [otherTill]) });
+    expect(record.creditNoteNo).toBe('CN-000001');
+    expect(record.returnId).not.toBe(otherTill.returnId);
+  });
+
+  it('keeps failed server adjustments pending and retries only those', async () => {
+    const offline = client((url) => url.includes('INV-2'));
+    const record = await returns.processReturn({ order: splitOrder, items, selections: { '1|Retail': 1, '2|Retail': 1 }, reason: 'Wrong item', client: offline });
+    expect(record.syncStatus).toBe('pending');
+
+    const online = client();
+    expect(await returns.retryPendingReturns(online)).toEqual({ pending: 1, synced: 1 });
+    expect(online.postOrderReturn).not.toHaveBeenCalled();
+    expect(online.put).toHaveBeenCalledTimes(1);
+    expect(online.put).toHaveBeenCalledWith('/inventories/INV-2', expect.objectContaining({ stockQuantity: 11 }), expect.anything());
+    expect(await stockLedger.getPendingMovements()).toEqual(
+      expect.arrayContaining([expect.objectContaining({ ref: record.creditNoteNo, syncedAt: expect.any(Number) })])
+    );
+  });
+});
+
+describe('while the returns route is not confirmed', () => {
+  beforeEach(() => {
+    mockConfirmed = false;
+  });
+
+  it('keeps the return on this till, sends only its stock and sends it once the route is confirmed', async () => {
+    const api = client();
+    const record = await returns.processReturn({ order: splitOrder, items, selections: { '1|Retail': 1 }, reason: 'Damaged', client: api });
+
+    expect(record).toEqual(expect.objectContaining({ syncStatus: 'local', localOnly: true, serverChecked: false, postedAt: null, syncError: null }));
+    expect(api.getOrderReturns).not.toHaveBeenCalled();
+    expect(api.postOrderReturn).not.toHaveBeenCalled();
+    expect(api.put).toHaveBeenCalledWith('/inventories/INV-1', expect.objectContaining({ stockQuantity: 11 }), expect.anything());
+    expect(await returns.retryPendingReturns(api)).toEqual({ pending: 0, synced: 0 });
+
+    mockConfirmed = true;
+    const online = client();
+    expect(await returns.retryPendingReturns(online)).toEqual({ pending: 1, synced: 1 });
+    expect(online.postOrderReturn).toHaveBeenCalledWith('ORD-1', expect.objectContaining({ returnId: record.returnId }));
+    expect(online.put).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+import { createSearchIndex, tokenize } from '../searchIndex';
+
+const products = [
+  { id: 1, name: 'Kabras Sugar 1kg', barcodes: ['6161100100011'], categoryName: 'Groceries' },
+  { id: 2, name: 'Kabras Sugar 2kg', barcodes: ['6161100100028'], categoryName: 'Groceries' },
+  { id: 3, name: 'Omo Washing Powder 1kg', barcode: '6001087340014', categoryName: 'Detergents' },
+  { id: 4, name: 'Omo Washing Powder 500g', barcode: '6001087340021', categoryName: 'Detergents' },
+  { id: 5, name: 'Brown Sugar Loose', sku: 'SUG-BRN', categoryName: 'Groceries' },
+  { id: 6, name: 'Sugarcane Juice 500ml', categoryName: 'Beverages' },
+  { id: 7, name: 'Colgate Toothpaste 100ml', barcodes: ['8718951311124'], categoryName: 'Personal Care' },
+];
+
+const names = (results) => results.map((p) => p.name);
+
+describe('tokenize', () => {
+  it('lowercases, strips punctuation and splits number/unit tokens', () => {
+    expect(tokenize('Omo  1kg, (Blue)')).toEqual(['omo', '1kg', '1', 'kg', 'blue']);
+    expect(tokenize('Crème Brûlée')).toEqual(['creme', 'brulee']);
+  });
+});
+
+describe('createSearchIndex', () => {
+  const index = createSearchIndex(products);
+
+  it('finds products despite a misspelling', () => {
+    expect(names(index.search('sugr'))).toEqual(expect.arrayContaining(['Kabras Sugar 1kg', 'Kabras Sugar 2kg', 'Brown Sugar Loose']));
+    expect(names(index.search('toothpast'))[0]).toBe('Colgate Toothpaste 100ml');
+    expect(names(index.search('tootphaste'))[0]).toBe('Colgate Toothpaste 100ml');
+  });
+
+  it('matches words in any order', () => {
+    expect(names(index.search('omo 1kg'))[0]).toBe('Omo Washing Powder 1kg');
+    expect(names(index.search('1kg omo'))[0]).toBe('Omo Washing Powder 1kg');
+    expect(names(index.search('1 kg omo'))[0]).toBe('Omo Washing Powder 1kg');
+  });
+
+  it('requires every word when some product has them all', () => {
+    expect(names(index.search('sugar 2kg'))).toEqual(['Kabras Sugar 2kg']);
+  });
+
+  it('matches prefixes while typing', () => {
+    expect(names(index.search('kab'))).toEqual(['Kabras Sugar 1kg', 'Kabras Sugar 2kg']);
+  });
+
+  it('ranks whole-word matches above prefix matches', () => {
+    const result = names(index.search('sugar'));
+    expect(result.indexOf('Sugarcane Juice 500ml')).toBe(result.length - 1);
+  });
+
+  it('finds products by barcode, barcode prefix and SKU', () => {
+    expect(names(index.search('6001087340021'))).toEqual(['Omo Washing Powder 500g']);
+    expect(names(index.search('616110010')).sort()).toEqual(['Kabras Sugar 1kg', 'Kabras Sugar 2kg']);
+    expect(names(index.search('SUG-BRN'))[0]).toBe('Brown Sugar Loose');
+  });
+
+  it('searches category names', () => {
+    expect(names(index.search('detergents')).sort()).toEqual(['Omo Washing Powder 1kg', 'Omo Washing Powder 500g']);
+  });
+
+  it('does not treat different numbers as typos', () => {
+    expect(index.search('600g')).toEqual([]);
+  });
+
+  it('falls back to the best partial match when no product has every word', () => {
+    expect(names(index.search('omo 600g'))).toEqual(['Omo Washing Powder 1kg', 'Omo Washing Powder 500g']);
+  });
+
+  it('honours the limit and returns nothing for an empty query', () => {
+    expect(index.search('sugar', { limit: 2 })).toHaveLength(2);
+    expect(index.search('   ')).toEqual([]);
+  });
+
+  it('accepts custom fields', () => {
+    const inventoryIndex = createSearchIndex(
+      [{ inventoryId: 'INV-9', raw: { name: 'Fresha Milk 500ml' } }],
+      { fields: [{ name: 'name', type: 'text', weight: 4, get: (i) => i.raw?.name }, { name: 'id', type: 'code', weight: 6, get: (i) => i.inventoryId }] }
+    );
+    expect(inventoryIndex.search('fresha')).toHaveLength(1);
+    expect(inventoryIndex.search('inv-9')).toHaveLength(1);
+  });
+});
+
+describe('search performance', () => {
+  it('searches 20k products well under 50ms', () => {
+    const words = ['sugar', 'omo', 'milk', 'bread', 'soap', 'rice', 'maize', 'flour', 'salt', 'cooking', 'tea', 'coffee',
+      'juice', 'water', 'soda', 'biscuit', 'chocolate', 'detergent', 'toothpaste', 'tissue', 'kabras', 'brookside',
+      'fresha', 'royco', 'blueband', 'colgate', 'ariel', 'sunlight', 'menengai', 'pembe'];
+    const units = ['1kg', '2kg', '500g', '250ml', '500ml', '1l', '2l', '5kg', '100g', '50g'];
+    const catalog = Array.from({ length: 20000 }, (_, i) => ({
+      id: i + 1,
+      name: `${words[i % 30]} ${words[(i * 7) % 30]} ${units[i % 10]} v${i}`,
+      barcodes: [String(6161100000000 + i)],
+      categoryName: words[(i * 3) % 30],
+    }));
+    const big = createSearchIndex(catalog);
+
+    const queries = ['sugr', 'omo 1kg', 'chocolte', 'br', 'kabras sugar 2kg', '6161100012345', 'tothpaste'];
+    big.search('warm up');
+    const timings = queries.map((q) => {
+      const t = performance.now();
+      big.search(q);
+      return performance.now() - t;
+    });
+    timings.sort((a, b) => a - b);
+    expect(timings[Math.floor(timings.length / 2)]).toBeLessThan(50);
+  });
+});
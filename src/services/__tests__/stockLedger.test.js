@@ -0,0 +1,116 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+
+let indexedDb;
+let stockLedger;
+
+const cart = [
+  { productId: 1, inventoryId: 'INV-1', quantity: 2, priceType: 'Retail' },
+  { productId: 1, inventoryId: 'INV-1', quantity: 1, priceType: 'Wholesale' },
+  { productId: 2, inventoryId: 'INV-2', quantity: 4 },
+];
+
+const available = async (id) => (await stockLedger.getStockLevel(id)).available;
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  jest.resetModules();
+  indexedDb = require('../indexedDB').default;
+  stockLedger = require('../stockLedger').default;
+});
+
+afterEach(async () => {
+  await indexedDb.closeDB();
+});
+
+describe('stockLedger', () => {
+  it('has no figure for an inventory the server has never counted', async () => {
+    const level = await stockLedger.getStockLevel('INV-1');
+    expect(level).toEqual(expect.objectContaining({ known: false, available: null, stale: true }));
+  });
+
+  it('decrements on a sale, summing cart lines for the same inventory', async () => {
+    await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 10 }, { inventoryId: 'INV-2', quantity: 5 }]);
+    await stockLedger.recordSale({ ref: 'POS-A', items: cart, synced: false });
+
+    expect(await available('INV-1')).toBe(7);
+    expect(await available('INV-2')).toBe(1);
+  });
+
+  it('does not count the same sale twice', async () => {
+    await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 10 }]);
+    await stockLedger.recordSale({ ref: 'POS-A', items: cart });
+    await stockLedger.recordSale({ ref: 'POS-A', items: cart });
+
+    expect(await available('INV-1')).toBe(7);
+  });
+
+  it('credits stock back on a return', async () => {
+    await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-2', quantity: 5 }]);
+    await stockLedger.recordSale({ ref: 'POS-A', items: cart });
+    await stockLedger.recordReturn({ ref: 'RET-1', items: [{ inventoryId: 'INV-2', quantity: 3 }] });
+
+    expect(await available('INV-2')).toBe(4);
+  });
+
+  it('reserves held sales and credits them back on release', async () => {
+    await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 10 }]);
+    await stockLedger.reserveHeldSale('sale_1', cart);
+    expect(await available('INV-1')).toBe(7);
+
+    await stockLedger.releaseHeldSale('sale_1');
+    expect(await available('INV-1')).toBe(10);
+  });
+
+  describe('reconciling with server counts', () => {
+    it('drops sales the server had received before the count and keeps the rest', async () => {
+      await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 10 }], { countedAt: 1000 });
+      await stockLedger.recordSale({ ref: 'ONLINE', items: [{ inventoryId: 'INV-1', quantity: 2 }], synced: true });
+      await stockLedger.recordSale({ ref: 'QUEUED', items: [{ inventoryId: 'INV-1', quantity: 3 }], synced: false });
+      await stockLedger.reserveHeldSale('sale_1', [{ inventoryId: 'INV-1', quantity: 1 }]);
+      expect(await available('INV-1')).toBe(4);
+
+      // server count includes the online sale only
+      await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 8 }], { countedAt: Date.now() + 1 });
+
+      const level = await stockLedger.getStockLevel('INV-1');
+      expect(level.serverQty).toBe(8);
+      expect(level.movements.map((m) => m.ref).sort()).toEqual(['QUEUED', 'sale_1']);
+      expect(level.available).toBe(4);
+    });
+
+    it('drops a queued sale once it has been synced and counted', async () => {
+      await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 10 }], { countedAt: 1000 });
+      await stockLedger.recordSale({ ref: 'QUEUED', items: [{ inventoryId: 'INV-1', quantity: 3 }], synced: false });
+      await stockLedger.markSynced('QUEUED');
+      await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 7 }], { countedAt: Date.now() + 1 });
+
+      const level = await stockLedger.getStockLevel('INV-1');
+      expect(level.movements).toHaveLength(0);
+      expect(level.available).toBe(7);
+    });
+
+    it('ignores a count older than the one it already has', async () => {
+      await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 10 }], { countedAt: 2000 });
+      await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 99 }], { countedAt: 1000 });
+
+      expect(await available('INV-1')).toBe(10);
+    });
+
+    it('flags counts older than the stale threshold', async () => {
+      await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 10 }], { countedAt: Date.now() - stockLedger.STALE_AFTER_MS - 1 });
+      await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-2', quantity: 10 }]);
+
+      expect((await stockLedger.getStockLevel('INV-1')).stale).toBe(true);
+      expect((await stockLedger.getStockLevel('INV-2')).stale).toBe(false);
+    });
+  });
+
+  it('gives stock back when a queued sale is discarded', async () => {
+    await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-2', quantity: 5 }]);
+    await stockLedger.recordSale({ ref: 'POS-B', items: cart, synced: false });
+    await stockLedger.cancelSale('POS-B');
+
+    expect(await available('INV-2')).toBe(5);
+  });
+});
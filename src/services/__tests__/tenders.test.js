@@ -0,0 +1,97 @@
+import {
+  TENDER_METHODS,
+  createTenderLine,
+  summarizeTenders,
+  validateTenders,
+  toOrderTenders,
+  normalizePayment,
+  tendersFromOrder,
+  promptLine,
+  roundCash,
+} from '../tenders';
+
+const { CASH, MPESA, STORE_CREDIT } = TENDER_METHODS;
+const line = (method, amount, extra = {}) => createTenderLine(method, { amount: String(amount), ...extra });
+
+describe('summarizeTenders', () => {
+  it('tracks the balance until the total is covered, then the change', () => {
+    expect(summarizeTenders([line(MPESA, 300, { reference: 'QAB1' })], 1000))
+      .toEqual(expect.objectContaining({ paid: 300, balance: 700, change: 0, covered: false }));
+
+    const summary = summarizeTenders([line(MPESA, 300, { reference: 'QAB1' }), line(CASH, 1000)], 1000);
+    expect(summary).toEqual(expect.objectContaining({ paid: 1300, cashPaid: 1000, nonCashPaid: 300, balance: 0, change: 300, covered: true }));
+    expect(summary.byMethod).toEqual({ [MPESA]: 300, [CASH]: 1000 });
+  });
+});
+
+describe('validateTenders', () => {
+  it('accepts several M-Pesa codes alongside cash', () => {
+    const tenders = [
+      line(MPESA, 200, { reference: 'QAB1' }),
+      line(MPESA, 150, { reference: 'QAB2' }),
+      line(MPESA, 100, { phone: '254700000001' }),
+      line(CASH, 550),
+    ];
+    expect(validateTenders(tenders, 1000)).toBeNull();
+  });
+
+  it('requires a code or phone for M-Pesa and refuses methods the order API does not take', () => {
+    expect(validateTenders([line(STORE_CREDIT, 1000, { reference: 'CN-000017' })], 1000)).toMatch(/unsupported payment method/);
+    expect(validateTenders([line('card', 1000, { reference: '004512' })], 1000)).toMatch(/unsupported payment method/);
+    expect(validateTenders([line(MPESA, 1000)], 1000)).toMatch(/M-Pesa code or a phone/);
+  });
+
+  it('rejects duplicate codes, more than one phone prompt, and change from non-cash lines', () => {
+    expect(validateTenders([line(MPESA, 500, { reference: 'qab1' }), line(MPESA, 500, { reference: 'QAB1' })], 1000)).toMatch(/entered twice/);
+    expect(validateTenders([line(MPESA, 500, { phone: '254700000001' }), line(MPESA, 500, { phone: '254700000002' })], 1000)).toMatch(/Only one/);
+    expect(validateTenders([line(MPESA, 1200, { reference: 'QAB9' })], 1000)).toMatch(/only cash can give change/);
+    expect(validateTenders([line(CASH, 900)], 1000)).toMatch(/Balance of Ksh 100 still due/);
+    expect(validateTenders([], 1000)).toMatch(/at least one/);
+  });
+});
+
+describe('cash rounding', () => {
+  it('rounds only what is left to pay in cash and lets the cash lines carry the difference', () => {
+    expect(roundCash(1232.4, 1)).toBe(1232);
+    expect(roundCash(1232.5, 5)).toBe(1235);
+    expect(roundCash(1232.4)).toBe(1232.4);
+
+    const split = [line(MPESA, 500, { reference: 'QAB1' }), line(CASH, 730)];
+    expect(summarizeTenders(split, 1232.4, { roundTo: 10 })).toEqual(expect.objectContaining({ rounding: -2.4, due: 1230, balance: 0, change: 0 }));
+    expect(validateTenders(split, 1232.4)).toMatch(/Balance of Ksh 2.4 still due/);
+    expect(validateTenders(split, 1232.4, { roundTo: 10 })).toBeNull();
+    expect(toOrderTenders(split, 1232.4, { roundTo: 10 }).map(t => t.applied)).toEqual([500, 730]);
+    // no rounding until cash is part of the payment
+    expect(summarizeTenders([line(MPESA, 500, { reference: 'QAB1' })], 1232.4, { roundTo: 10 }).rounding).toBe(0);
+    expect(tendersFromOrder({ paymentType: 'cash', cartTotal: 1232.4, cashRounding: -0.4, paymentData: { cashAmount: '1300' } }))
+      .toEqual([expect.objectContaining({ method: CASH, applied: 1232 })]);
+  });
+});
+
+describe('toOrderTenders', () => {
+  it('takes change off the cash lines only', () => {
+    const out = toOrderTenders([line(CASH, 500), line(MPESA, 300, { reference: 'qab1' }), line(CASH, 500)], 1000);
+
+    expect(out.map((t) => t.applied)).toEqual([500, 300, 200]);
+    expect(out[1]).toEqual(expect.objectContaining({ label: 'M-Pesa', reference: 'QAB1', amount: 300 }));
+  });
+});
+
+describe('legacy hybrid payments', () => {
+  it('turns a held cash + M-Pesa payment into split tender lines', () => {
+    const { paymentType, paymentData } = normalizePayment('both', { cashAmount: '400', mpesaAmount: '600', mpesaPhone: '254700000001', buyerPin: 'P1' });
+
+    expect(paymentType).toBe('split');
+    expect(paymentData.buyerPin).toBe('P1');
+    expect(paymentData.tenders.map((t) => [t.method, t.amount])).toEqual([[CASH, '400'], [MPESA, '600']]);
+    expect(promptLine(paymentData.tenders).phone).toBe('254700000001');
+  });
+
+  it('reads tender lines back from old local orders for reports', () => {
+    expect(tendersFromOrder({ paymentType: 'both', cartTotal: 1000, paymentData: { cashAmount: '500', mpesaAmount: '600' } }).map((t) => [t.method, t.applied]))
+      .toEqual([[CASH, 400], [MPESA, 600]]);
+    expect(tendersFromOrder({ paymentType: 'mpesa', cartTotal: 250 })).toEqual([expect.objectContaining({ method: MPESA, applied: 250 })]);
+    expect(tendersFromOrder({ paymentType: 'cash', cartTotal: 250, paymentData: { cashAmount: '300' } }))
+      .toEqual([expect.objectContaining({ method: CASH, amount: 300, applied: 250 })]);
+  });
+});
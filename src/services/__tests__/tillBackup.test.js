@@ -0,0 +1,96 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+
+let indexedDb;
+let tillBackup;
+
+const product = (id, name) => ({ id, name, price: 100, barcodes: [] });
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  localStorage.clear();
+  jest.resetModules();
+  indexedDb = require('../indexedDB').default;
+  tillBackup = require('../tillBackup').default;
+});
+
+afterEach(async () => {
+  await indexedDb.closeDB();
+});
+
+describe('tillBackup', () => {
+  it('collects every store and only the allowlisted localStorage keys', async () => {
+    await indexedDb.putProducts([product(1, 'Kabras Sugar 1kg')]);
+    await indexedDb.putOrder({ orderId: 'POS-A', total: 200 });
+    localStorage.setItem('pos_held_sales', JSON.stringify([{ id: 'sale_1' }]));
+    localStorage.setItem('capital:2026-10-18', '5000');
+    localStorage.setItem('token', 'secret');
+
+    const snapshot = await tillBackup.collectTillData();
+
+    expect(snapshot.format).toBe(tillBackup.BACKUP_FORMAT);
+    expect(snapshot.stores.products).toHaveLength(1);
+    expect(snapshot.stores.orders).toHaveLength(1);
+    expect(Object.keys(snapshot.localStorage).sort()).toEqual(['capital:2026-10-18', 'pos_held_sales']);
+  });
+
+  it('restores the catalog but keeps orders the target till already has', async () => {
+    await indexedDb.putProducts([product(1, 'Kabras Sugar 1kg')]);
+    await indexedDb.putOrder({ orderId: 'POS-A', total: 200 });
+    localStorage.setItem('pos_held_sales', JSON.stringify([{ id: 'sale_1' }]));
+    const snapshot = await tillBackup.collectTillData();
+
+    // a different till with its own unsynced sale and catalog
+    await indexedDb.closeDB();
+    global.indexedDB = new FDBFactory();
+    localStorage.clear();
+    jest.resetModules();
+    indexedDb = require('../indexedDB').default;
+    tillBackup = require('../tillBackup').default;
+    await indexedDb.putProducts([product(2, 'Omo 1kg')]);
+    await indexedDb.putOrder({ orderId: 'POS-B', total: 50 });
+    localStorage.setItem('pos_held_sales', JSON.stringify([{ id: 'sale_2' }]));
+
+    await tillBackup.restoreTillData(snapshot);
+
+    expect((await indexedDb.getAllProducts()).map((p) => p.id)).toEqual([1]);
+    expect((await indexedDb.getAllOrders()).map((o) => o.orderId).sort()).toEqual(['POS-A', 'POS-B']);
+    expect(JSON.parse(localStorage.getItem('pos_held_sales')).map((s) => s.id).sort()).toEqual(['sale_1', 'sale_2']);
+    expect((await indexedDb.searchProducts('kabras')).map((p) => p.id)).toEqual([1]);
+  });
+
+  it('migrates rows from an older backup and merges meta keys', async () => {
+    await indexedDb.setMeta('discountLimits', { cashier: 5 });
+    await indexedDb.setMeta('drawerSettings', { kickOnCash: true });
+    const snapshot = await tillBackup.collectTillData();
+    const oldSnapshot = {
+      ...snapshot,
+      dbVersion: 7,
+      stores: {
+        ...snapshot.stores,
+        orders: [{ orderId: 'OFFLINE-1', createdAt: '2026-10-18T08:00:00Z', total: 80 }],
+        meta: [{ key: 'discountLimits', value: { cashier: 10 } }],
+      },
+    };
+
+    await tillBackup.restoreTillData(oldSnapshot);
+
+    const [order] = await indexedDb.getAllOrders();
+    expect(order).toEqual(expect.objectContaining({ syncStatus: 'local', createdAt: Date.parse('2026-10-18T08:00:00Z') }));
+    expect(await indexedDb.getMeta('discountLimits')).toEqual({ cashier: 10 });
+    expect(await indexedDb.getMeta('drawerSettings')).toEqual({ kickOnCash: true });
+  });
+
+  it('refuses backups from a newer app before touching local data', async () => {
+    await indexedDb.putProducts([product(1, 'Kabras Sugar 1kg')]);
+    const snapshot = await tillBackup.collectTillData();
+
+    await expect(tillBackup.restoreTillData({ ...snapshot, archiveVersion: tillBackup.ARCHIVE_VERSION + 1 }))
+      .rejects.toThrow(/newer than this app supports/);
+    await expect(tillBackup.restoreTillData({ ...snapshot, dbVersion: snapshot.dbVersion + 1, stores: { products: [] } }))
+      .rejects.toThrow(/database v/);
+    await expect(tillBackup.restoreTillData({ stores: {} })).rejects.toThrow(/does not contain/);
+
+    expect(await indexedDb.getAllProducts()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,134 @@
+import 'fake-indexeddb/auto';
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory';
+import { TextEncoder } from 'util';
+import { webcrypto } from 'crypto';
+
+let indexedDb;
+let stockLedger;
+let voids;
+
+const items = [
+  { productId: 1, inventoryId: 'INV-1', name: 'Sugar 2kg', priceType: 'Retail', quantity: 2, salePrice: 300 },
+];
+
+const sale = (overrides = {}) => ({
+  orderId: 'ORD-1',
+  cart: items,
+  cartTotal: 600,
+  paymentType: 'cash',
+  status: 'completed',
+  syncStatus: 'synced',
+  ...overrides,
+});
+
+beforeAll(() => {
+  global.TextEncoder = global.TextEncoder || TextEncoder;
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+});
+
+beforeEach(() => {
+  global.indexedDB = new FDBFactory();
+  jest.resetModules();
+  indexedDb = require('../indexedDB').default;
+  stockLedger = require('../stockLedger').default;
+  voids = require('../voids').default;
+});
+
+afterEach(async () => {
+  await indexedDb.closeDB();
+});
+
+describe('authorizeVoid', () => {
+  it('needs a reason always and a supervisor PIN only above the threshold', async () => {
+    await voids.saveVoidThresholds({ lineThreshold: 500, postThreshold: 0 });
+    await voids.addSupervisor('Wanjiru', '4821');
+
+    await expect(voids.authorizeVoid({ type: 'line', amount: 200, reason: '' })).rejects.toThrow(/reason/);
+    await expect(voids.authorizeVoid({ type: 'line', amount: 200, reason: 'Scanned in error' })).resolves.toEqual({ approvedBy: null });
+    await expect(voids.authorizeVoid({ type: 'line', amount: 900, reason: 'Scanned in error' })).rejects.toMatchObject({ needsPin: true });
+    await expect(voids.authorizeVoid({ type: 'line', amount: 900, reason: 'Scanned in error', pin: '1111' })).rejects.toThrow(/Wrong supervisor PIN/);
+
+    const { approvedBy } = await voids.authorizeVoid({ type: 'post', amount: 50, reason: 'Duplicate sale', pin: '4821' });
+    expect(approvedBy.name).toBe('Wanjiru');
+  });
+
+  it('keeps PINs hashed and unique per supervisor', async () => {
+    await voids.addSupervisor('Wanjiru', '4821');
+    await expect(voids.addSupervisor('Otieno', '4821')).rejects.toThrow(/already in use/);
+    await expect(voids.addSupervisor('Otieno', '12')).rejects.toThrow(/4-8 digits/);
+
+    const policy = await voids.getVoidPolicy();
+    expect(JSON.stringify(policy)).not.toContain('4821');
+  });
+});
+
+describe('voidLines', () => {
+  it('records who removed which lines and why', async () => {
+    const record = await voids.voidLines({ items: [{ ...items[0], quantity: 1 }], reason: 'Customer changed mind', cashier: 'Amina' });
+
+    expect(record).toEqual(expect.objectContaining({ type: 'line', amount: 300, cashier: 'Amina', approvedBy: null }));
+    await expect(voids.voidLines({ items: [{ ...items[0], quantity: 5 }], reason: 'Other', cashier: 'Amina' }))
+      .rejects.toMatchObject({ needsPin: true });
+    expect(await voids.getVoids()).toHaveLength(1);
+  });
+});
+
+describe('postVoidOrder', () => {
+  beforeEach(async () => {
+    await voids.addSupervisor('Wanjiru', '4821');
+  });
+
+  it('keeps the sale as voided, restocks and cancels it on the server', async () => {
+    await indexedDb.putOrder(sale());
+    await stockLedger.reconcileServerCounts([{ inventoryId: 'INV-1', quantity: 10 }]);
+    const client = { cancelOrder: jest.fn().mockResolvedValue({}) };
+
+    const record = await voids.postVoidOrder({ order: sale(), items, reason: 'Wrong items rung up', pin: '4821', cashier: 'Amina', client });
+
+    expect(client.cancelOrder).toHaveBeenCalledWith('ORD-1');
+    expect(record).toEqual(expect.objectContaining({ syncStatus: 'synced', approvedBy: expect.objectContaining({ name: 'Wanjiru' }) }));
+    expect(await indexedDb.getOrderById('ORD-1')).toEqual(expect.objectContaining({ status: 'voided', voidReason: 'Wrong items rung up', voidApprovedBy: 'Wanjiru' }));
+    expect((await stockLedger.getStockLevel('INV-1')).available).toBe(12);
+  });
+
+  it('discards a sale still waiting in the outbox instead of calling the server', async () => {
+    const queued = sale({ orderId: 'POS-A', clientOrderId: 'POS-A', syncStatus: 'queued' });
+    await indexedDb.putOrder(queued);
+    await indexedDb.enqueueOutboxOrder({ clientOrderId: 'POS-A', payload: {} });
+    const outbox = { discard: jest.fn().mockResolvedValue({}) };
+    const client = { cancelOrder: jest.fn() };
+
+    await voids.postVoidOrder({ order: queued, items, reason: 'Customer cancelled', pin: '4821', client, outbox });
+
+    expect(outbox.discard).toHaveBeenCalledWith('POS-A');
+    expect(client.cancelOrder).not.toHaveBeenCalled();
+  });
+
+  it('cancels on the server a sale the outbox sent after the void was opened', async () => {
+    const opened = sale({ orderId: 'POS-B', clientOrderId: 'POS-B', syncStatus: 'queued' });
+    await indexedDb.putOrder({ ...opened, syncStatus: 'synced', serverOrderId: 'SRV-77' });
+    const outbox = { discard: jest.fn().mockResolvedValue({}) };
+    const client = { cancelOrder: jest.fn().mockResolvedValue({}) };
+
+    const record = await voids.postVoidOrder({ order: opened, items, reason: 'Customer cancelled', pin: '4821', client, outbox });
+
+    expect(outbox.discard).not.toHaveBeenCalled();
+    expect(client.cancelOrder).toHaveBeenCalledWith('SRV-77');
+    expect(record.syncStatus).toBe('synced');
+  });
+
+  it('retries a server cancellation that failed', async () => {
+    await indexedDb.putOrder(sale());
+    const offline = { cancelOrder: jest.fn().mockRejectedValue(new Error('offline')) };
+    const record = await voids.postVoidOrder({ order: sale(), items, reason: 'Duplicate sale', pin: '4821', client: offline });
+    expect(record.syncStatus).toBe('pending');
+
+    const online = { cancelOrder: jest.fn().mockResolvedValue({}) };
+    expect(await voids.retryPendingVoids(online)).toEqual({ pending: 1, synced: 1 });
+  });
+
+  it('will not void a sale twice or one with returns', async () => {
+    await expect(voids.postVoidOrder({ order: sale({ status: 'voided' }), items, reason: 'x', pin: '4821' })).rejects.toThrow(/already voided/);
+    await expect(voids.postVoidOrder({ order: sale({ creditNotes: ['CN-000001'] }), items, reason: 'x', pin: '4821' })).rejects.toThrow(/returned/);
+  });
+});
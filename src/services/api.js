@@ -2,6 +2,9 @@
 import axios from 'axios';
 import { baseUrl, apiTimeout, STORAGE_KEYS } from '../app/constants/index';
 import { store } from '../redux/store/index';
+import { classifyError, endsSession, shouldRetry } from './apiErrors';
+import connectivity from './connectivity';
+import { IDEMPOTENCY_HEADER } from './orderIdempotency';
 
 // Create axios instance with default config
 const apiClient = axios.create({
@@ -12,11 +15,44 @@ const apiClient = axios.create({
   }
 });
 
+const RETRY_BASE_DELAY_MS = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// JWT `exp` is in seconds; tokens that are not JWTs are treated as non-expiring
+const isTokenExpired = (token) => {
+  try {
+    const [, payload] = String(token).split('.');
+    if (!payload) return false;
+    const json = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof json.exp === 'number' && json.exp * 1000 <= Date.now();
+  } catch (e) {
+    return false;
+  }
+};
+
+const dispatchLogout = () => {
+  localStorage.removeItem(STORAGE_KEYS.USER_TOKEN);
+  localStorage.removeItem(STORAGE_KEYS.USER_DATA);
+  try {
+    store.dispatch({ type: 'user/logout' });
+  } catch (err) {
+    console.error('Failed to dispatch logout:', err);
+  }
+};
+
 // Request interceptor to add auth token
 apiClient.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem(STORAGE_KEYS.USER_TOKEN);
     if (token) {
+      if (isTokenExpired(token)) {
+        dispatchLogout();
+        const error = new Error('Session expired');
+        error.isAuthError = true;
+        error.config = config;
+        return Promise.reject(error);
+      }
       config.headers.Authorization = `Bearer ${token}`;
     }
     return config;
@@ -24,27 +60,30 @@ apiClient.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
-const dispatchLogout = () => {
-  localStorage.removeItem(STORAGE_KEYS.USER_TOKEN);
-  localStorage.removeItem(STORAGE_KEYS.USER_DATA);
-  try {
-    store.dispatch({ type: 'user/logout' });
-  } catch (err) {
-    console.error('Failed to dispatch logout:', err);
-  }
-};
-
 // Response interceptor for error handling
 apiClient.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    const status = error.response?.status;
-
-    if (status === 401 || status === 500) {
-      dispatchLogout();
-    } else if (!error.response) {
-      // No response = network failure or CORS block
-      dispatchLogout();
+  (response) => {
+    connectivity.reportSuccess();
+    return response;
+  },
+  async (error) => {
+    const classification = classifyError(error);
+    error.classification = classification;
+
+    // transient failures are retried (shouldRetry); only an auth failure signs the cashier out
+    if (endsSession(classification)) {
+      if (!error.isAuthError) dispatchLogout();
+      return Promise.reject(error);
+    }
+
+    connectivity.reportFailure(classification);
+
+    const { config } = error;
+    if (shouldRetry(config, classification)) {
+      config.__retryCount = (config.__retryCount || 0) + 1;
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (config.__retryCount - 1) + Math.floor(Math.random() * 250);
+      await sleep(delay);
+      return apiClient(config);
     }
 
     return Promise.reject(error);
@@ -90,6 +129,21 @@ export const apiService = {
   createOrder: (orderData) => apiClient.post('/order', orderData),
   updateOrder: (id, orderData) => apiClient.put(`/orders/${id}`, orderData),
   cancelOrder: (id) => apiClient.patch(`/orders/${id}/cancel`),
+  // returns against an order from every till, keyed by return id so a resend is one return
+  // (not confirmed by the backend yet, see serverRoutes)
+  getOrderReturns: (id) => apiClient.get(`/orders/${id}/returns`),
+  postOrderReturn: (id, ret) =>
+    apiClient.post(`/orders/${id}/returns`, ret, { idempotent: true, headers: { [IDEMPOTENCY_HEADER]: ret.returnId } }),
+
+  // Customers and loyalty (not confirmed by the backend yet, see serverRoutes)
+  getCustomer: (phone) => apiClient.get(`/customers/${phone}`),
+  createCustomer: (customer) => apiClient.post('/customers', customer),
+  // `idempotencyKey` is the order the activity belongs to, so a resend is not counted twice
+  postLoyaltyActivity: (phone, activity, idempotencyKey) =>
+    apiClient.post(`/customers/${phone}/loyalty`, activity, { idempotent: true, headers: { [IDEMPOTENCY_HEADER]: idempotencyKey } }),
+  // layaway deposits and instalments, keyed by payment id (not confirmed by the backend yet, see serverRoutes)
+  postLayawayPayment: (layawayId, payment) =>
+    apiClient.post(`/layaways/${encodeURIComponent(layawayId)}/payments`, payment, { idempotent: true, headers: { [IDEMPOTENCY_HEADER]: payment.id } }),
 
   // Cart operations
   validateCart: (cartData) => apiClient.post('/cart/validate', cartData),
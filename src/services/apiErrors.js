@@ -0,0 +1,80 @@
+// src/services/apiErrors.js
+// Classifies request failures from axios and RTK Query into a small set of kinds
+// so callers can decide between retrying, queueing, surfacing or ending the session.
+// The retry and sign-out rules the API clients apply live here too.
+// Kept free of imports so both api.js and rtkApi.js can use it without a cycle.
+
+export const ERROR_KINDS = {
+  AUTH: 'auth',
+  SERVER: 'server',
+  TIMEOUT: 'timeout',
+  OFFLINE: 'offline',
+  CLIENT: 'client',
+};
+
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT']);
+const TIMEOUT_STATUSES = new Set([408, 504]);
+
+const browserOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Map an axios error or an RTK Query error object to a classification.
+ * @param {any} error
+ * @returns {{ kind: string, status: number|null, message: string, retryable: boolean }}
+ */
+export function classifyError(error) {
+  if (!error) return { kind: ERROR_KINDS.CLIENT, status: null, message: 'Unknown error', retryable: false };
+
+  // RTK Query (fetchBaseQuery) errors carry a string status for transport failures
+  const rawStatus = error.response?.status ?? error.status ?? null;
+  const status = typeof rawStatus === 'number' ? rawStatus : (typeof error.originalStatus === 'number' ? error.originalStatus : null);
+  const message = error.response?.data?.message || error.data?.message || error.error || error.message || 'Request failed';
+
+  if (error.isAuthError || status === 401) {
+    return { kind: ERROR_KINDS.AUTH, status, message, retryable: false };
+  }
+
+  if (TIMEOUT_CODES.has(error.code) || rawStatus === 'TIMEOUT_ERROR' || TIMEOUT_STATUSES.has(status) || /timeout/i.test(String(error.message || ''))) {
+    return { kind: ERROR_KINDS.TIMEOUT, status, message, retryable: true };
+  }
+
+  if (status === null && (rawStatus === 'FETCH_ERROR' || !error.response)) {
+    return { kind: ERROR_KINDS.OFFLINE, status: null, message: browserOffline() ? 'No internet connection' : message, retryable: !browserOffline() };
+  }
+
+  if (status >= 500) {
+    return { kind: ERROR_KINDS.SERVER, status, message, retryable: status !== 501 };
+  }
+
+  return { kind: ERROR_KINDS.CLIENT, status, message, retryable: false };
+}
+
+/** True when the request never got an answer from the server. */
+export const isConnectivityError = (error) => {
+  const { kind } = classifyError(error);
+  return kind === ERROR_KINDS.OFFLINE || kind === ERROR_KINDS.TIMEOUT;
+};
+
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options']);
+export const MAX_RETRIES = 3;
+
+/**
+ * A request is retried when it failed for a transient reason and repeating it cannot
+ * create duplicates: GET/HEAD/OPTIONS, or any request the caller marks `idempotent: true`.
+ * Pass `retry: 0` in the request config to opt out.
+ * @param {object} config - axios request config; `__retryCount` counts the retries so far
+ * @param {{ retryable: boolean }} classification - classifyError result
+ */
+export const shouldRetry = (config, classification) => {
+  if (!config || !classification?.retryable) return false;
+  const method = String(config.method || 'get').toLowerCase();
+  if (!IDEMPOTENT_METHODS.has(method) && config.idempotent !== true) return false;
+  const maxRetries = config.retry ?? MAX_RETRIES;
+  return (config.__retryCount || 0) < maxRetries;
+};
+
+/**
+ * Only a real 401 or an expired token ends the session; server errors, timeouts and
+ * dropped connections keep the cashier signed in.
+ */
+export const endsSession = (classification) => classification?.kind === ERROR_KINDS.AUTH;
@@ -1,5 +1,9 @@
 // src/services/cartService.js
+// Stock checks read the local stock ledger first (see stockLedger.js) and only call
+// /inventory/{id} when the ledger has no count for an item, so validation keeps working
+// offline. Counts older than STALE_AFTER_MS are still used but flagged as stale.
 import api from './api';
+import stockLedger from './stockLedger';
 
 // Cache for storing inventory quantities
 const inventoryCache = new Map();
@@ -97,6 +101,7 @@ async function getInventoryQuantity(inventoryId, forceRefresh = false) {
   // Fetch from API - IMPORTANT: URL encode the inventoryId to handle special characters like slashes
   try {
     console.log(`Fetching inventory from API for ${inventoryId}`);
+    const requestedAt = Date.now();
     const encodedInventoryId = encodeURIComponent(inventoryId);
     const response = await api.get(`/inventory/${encodedInventoryId}`);
     const data = response.data || response;
@@ -111,6 +116,13 @@ async function getInventoryQuantity(inventoryId, forceRefresh = false) {
         timestamp: Date.now()
       });
       console.log(`Cached inventory for ${inventoryId}:`, quantity);
+
+      // the count reflects every sale the server had received when we asked
+      try {
+        await stockLedger.reconcileServerCounts([{ inventoryId, quantity }], { countedAt: requestedAt });
+      } catch (e) {
+        console.warn('Failed to reconcile stock ledger:', e);
+      }
     }
     
     return quantity;
@@ -155,6 +167,55 @@ export function getCacheStatus() {
   };
 }
 
+const backgroundRefreshes = new Set();
+
+// Refresh a stale ledger count without holding up the cashier
+function refreshInBackground(inventoryId) {
+  const key = String(inventoryId);
+  if (backgroundRefreshes.has(key)) return;
+  backgroundRefreshes.add(key);
+  getInventoryQuantity(inventoryId, true)
+    .catch(() => {})
+    .finally(() => backgroundRefreshes.delete(key));
+}
+
+/**
+ * Available quantity for an inventory: local ledger first, then the API.
+ * The ledger figure already includes sales not yet synced and held-sale reservations.
+ * @returns {Promise<{ availableQty: number|null, source: 'ledger'|'server'|null, stale: boolean, countedAt: number|null }>}
+ */
+export async function getAvailableStock(inventoryId, { forceRefresh = false } = {}) {
+  const level = await stockLedger.getStockLevel(inventoryId).catch(() => null);
+
+  if (level?.known && !forceRefresh) {
+    if (level.stale) refreshInBackground(inventoryId);
+    return { availableQty: level.available, source: 'ledger', stale: level.stale, countedAt: level.countedAt };
+  }
+
+  try {
+    const serverQty = await getInventoryQuantity(inventoryId, forceRefresh);
+    if (serverQty == null) {
+      if (level?.known) return { availableQty: level.available, source: 'ledger', stale: true, countedAt: level.countedAt };
+      return { availableQty: null, source: null, stale: true, countedAt: null };
+    }
+    // re-read so unsynced local sales and reservations are subtracted from the fresh count
+    const fresh = await stockLedger.getStockLevel(inventoryId).catch(() => null);
+    if (fresh?.known) return { availableQty: fresh.available, source: 'server', stale: false, countedAt: fresh.countedAt };
+    return { availableQty: serverQty, source: 'server', stale: false, countedAt: Date.now() };
+  } catch (err) {
+    // API down: an old local count is better than refusing the sale
+    if (level?.known) return { availableQty: level.available, source: 'ledger', stale: true, countedAt: level.countedAt };
+    throw err;
+  }
+}
+
+function describeCount(stock) {
+  if (!stock.stale) return '';
+  return stock.countedAt
+    ? ` (local count from ${new Date(stock.countedAt).toLocaleString()}, not verified)`
+    : ' (local count, not verified)';
+}
+
 /**
  * Validate inventory availability using inventoryId.
  *
@@ -163,7 +224,9 @@ export function getCacheStatus() {
  * @param {string|number} opts.inventoryId - inventory identifier (required)
  * @param {number} [opts.qty=1]          - requested quantity to add
  * @param {number} [opts.currentCartQty=0] - current quantity in cart for this product
- * @param {boolean} [opts.forceRefresh=false] - force API call even if cache exists
+ * @param {boolean} [opts.forceRefresh=false] - skip the ledger and ask the API
+ * @returns {Promise<Object>} `{ status, availableQty, message, fromCache, stale, countedAt, source }`;
+ *   `stale` is true when the figure comes from a local count that could not be verified recently
  */
 export async function validateAndAddToCart({
   productId,
@@ -180,14 +243,21 @@ export async function validateAndAddToCart({
     throw new Error('validateAndAddToCart: inventoryId is required');
   }
 
-  const requestedQty = Number(qty) || 1;
+  // qty 0 only re-checks what the cart already holds (validateCartItems)
+  const requestedQty = Number.isFinite(Number(qty)) ? Number(qty) : 1;
   const totalRequiredQty = currentCartQty + requestedQty;
 
   console.log('[cartService] validating', { productId, inventoryId, requestedQty, currentCartQty, totalRequiredQty });
 
   try {
-    // Get inventory quantity (from cache or API)
-    const availableQty = await getInventoryQuantity(inventoryId, forceRefresh);
+    const stock = await getAvailableStock(inventoryId, { forceRefresh });
+    const { availableQty } = stock;
+    const meta = {
+      fromCache: stock.source === 'ledger',
+      source: stock.source,
+      stale: stock.stale,
+      countedAt: stock.countedAt
+    };
 
     if (availableQty != null) {
       if (availableQty < totalRequiredQty) {
@@ -196,10 +266,10 @@ export async function validateAndAddToCart({
           status: 'conflict', 
           availableQty,
           maxCanAdd: Math.max(0, availableQty - currentCartQty),
-          message: currentCartQty > 0 
+          message: (currentCartQty > 0 
             ? `Only ${availableQty} items available in stock. You already have ${currentCartQty} in cart.`
-            : `Only ${availableQty} items available in stock.`,
-          fromCache: !forceRefresh && inventoryCache.has(String(inventoryId))
+            : `Only ${availableQty} items available in stock.`) + describeCount(stock),
+          ...meta
         };
       }
       
@@ -207,15 +277,15 @@ export async function validateAndAddToCart({
       return {
         status: 'success',
         availableQty,
-        message: 'Stock available',
-        fromCache: !forceRefresh && inventoryCache.has(String(inventoryId))
+        message: stock.stale ? `Stock available${describeCount(stock)}` : 'Stock available',
+        ...meta
       };
     } else {
       return {
         status: 'warning',
         availableQty: null,
         message: 'Could not determine inventory quantity',
-        fromCache: false
+        ...meta
       };
     }
   } catch (err) {
@@ -224,7 +294,9 @@ export async function validateAndAddToCart({
       status: 'error',
       message: 'Failed to check inventory availability',
       error: err.message,
-      fromCache: false
+      fromCache: false,
+      stale: true,
+      countedAt: null
     };
   }
 }
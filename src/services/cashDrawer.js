@@ -0,0 +1,254 @@
+// src/services/cashDrawer.js
+// Cash rounding settings and the till's cash drawer for the shift.
+//
+// Coins below 1 Ksh are not in use, so cash totals are rounded to the nearest 1, 5 or 10
+// Ksh (tenders.roundCash). The drawer is opened with a counted float, note by note, and
+// each cash sale adds the notes taken in and takes out the change given, so the till can
+// suggest change it can actually hand over. The notes a customer hands in are not keyed
+// in; they are taken to be the fewest that make up the amount tendered. A recount puts
+// the drawer right whenever that guess, a refund or a payout has drifted from the till.
+import indexedDb from './indexedDB';
+import { roundCash } from './tenders';
+
+const SETTINGS_KEY = 'cashSettings';
+const DRAWER_KEY = 'cashDrawer';
+
+// Kenyan notes and coins in use, largest first
+export const DENOMINATIONS = [1000, 500, 200, 100, 50, 20, 10, 5, 1];
+
+export const ROUNDING_STEPS = [1, 5, 10];
+
+export const DEFAULT_CASH_SETTINGS = {
+  roundTo: 1,
+};
+
+// search budget for change out of a limited drawer before settling for what greedy finds
+const MAX_CHANGE_STEPS = 20000;
+
+function cashError(message) {
+  const err = new Error(message);
+  err.isValidationError = true;
+  return err;
+}
+
+/* ----------------------------
+   Rounding settings
+   ---------------------------- */
+
+export async function getCashSettings() {
+  const stored = await indexedDb.getMeta(SETTINGS_KEY).catch(() => null);
+  return { ...DEFAULT_CASH_SETTINGS, ...(stored || {}) };
+}
+
+export async function saveCashSettings({ roundTo }) {
+  const step = Number(roundTo);
+  if (!ROUNDING_STEPS.includes(step)) throw cashError(`Cash rounding must be to the nearest ${ROUNDING_STEPS.join(', ')} Ksh`);
+  const next = { ...(await getCashSettings()), roundTo: step };
+  await indexedDb.setMeta(SETTINGS_KEY, next);
+  return next;
+}
+
+/**
+ * What a cash-only sale asks for and the rounding on it.
+ * @returns {{ due: number, rounding: number }} `rounding` is positive when the customer pays more
+ */
+export function cashDue(total, roundTo = DEFAULT_CASH_SETTINGS.roundTo) {
+  const exact = Number(total) || 0;
+  const due = roundCash(exact, roundTo);
+  return { due, rounding: Math.round((due - exact) * 100) / 100 };
+}
+
+/* ----------------------------
+   Notes and coins
+   ---------------------------- */
+
+/** Count of every denomination, all zero. */
+export const emptyCounts = () => Object.fromEntries(DENOMINATIONS.map((d) => [d, 0]));
+
+function cleanCounts(counts = {}) {
+  return Object.fromEntries(DENOMINATIONS.map((d) => [d, Math.max(0, Math.floor(Number(counts?.[d]) || 0))]));
+}
+
+export const countsTotal = (counts = {}) =>
+  DENOMINATIONS.reduce((s, d) => s + d * (Number(counts?.[d]) || 0), 0);
+
+function addCounts(a, b, sign = 1) {
+  return Object.fromEntries(DENOMINATIONS.map((d) => [d, Math.max(0, (Number(a?.[d]) || 0) + sign * (Number(b?.[d]) || 0))]));
+}
+
+const piecesToCounts = (pieces) => Object.fromEntries(pieces.map((p) => [p.value, p.count]));
+
+/** Fewest notes and coins making up an amount, with no limit on any of them. */
+export function notesFor(amount) {
+  let left = Math.max(0, Math.round(Number(amount) || 0));
+  const pieces = [];
+  for (const value of DENOMINATIONS) {
+    const count = Math.floor(left / value);
+    if (count > 0) {
+      pieces.push({ value, count });
+      left -= count * value;
+    }
+  }
+  return pieces;
+}
+
+// Largest notes first, backing off one at a time when the smaller ones cannot make up
+// the rest (e.g. 60 from one 50 and three 20s). Null when the drawer cannot make it.
+function exactChange(amount, available) {
+  const denoms = DENOMINATIONS.filter((d) => available[d] > 0 && d <= amount);
+  const capacity = denoms.map((_, i) => denoms.slice(i).reduce((s, d) => s + d * available[d], 0));
+  let steps = 0;
+
+  const search = (i, left) => {
+    if (left === 0) return [];
+    if (i >= denoms.length || capacity[i] < left || ++steps > MAX_CHANGE_STEPS) return null;
+    const value = denoms[i];
+    for (let count = Math.min(available[value], Math.floor(left / value)); count >= 0; count--) {
+      const rest = search(i + 1, left - count * value);
+      if (rest) return count > 0 ? [{ value, count }, ...rest] : rest;
+    }
+    return null;
+  };
+  return search(0, amount);
+}
+
+/**
+ * Notes and coins to hand back as change.
+ * @param {number} change
+ * @param {{ counts?: object|null, tendered?: number }} [drawer] - what is in the drawer and the
+ *   cash just taken in (which goes in before the change comes out); without counts any
+ *   note is assumed to be there
+ * @returns {{ pieces: {value: number, count: number}[], short: number }} `short` is the change
+ *   the drawer cannot make up
+ */
+export function suggestChange(change, { counts = null, tendered = 0 } = {}) {
+  const amount = Math.max(0, Math.round(Number(change) || 0));
+  if (!counts) return { pieces: notesFor(amount), short: 0 };
+
+  const available = addCounts(cleanCounts(counts), piecesToCounts(notesFor(tendered)));
+  const exact = exactChange(amount, available);
+  if (exact) return { pieces: exact, short: 0 };
+
+  // hand over what the drawer has, largest first, and say what is missing
+  let left = amount;
+  const pieces = [];
+  for (const value of DENOMINATIONS) {
+    const count = Math.min(available[value], Math.floor(left / value));
+    if (count > 0) {
+      pieces.push({ value, count });
+      left -= count * value;
+    }
+  }
+  return { pieces, short: left };
+}
+
+export const describePieces = (pieces = []) =>
+  pieces.map((p) => `${p.count} × ${p.value.toLocaleString()}`).join(', ');
+
+/* ----------------------------
+   Drawer for the shift
+   ---------------------------- */
+
+/** The open drawer, or null when no float has been counted in. */
+export async function getDrawer() {
+  return (await indexedDb.getMeta(DRAWER_KEY).catch(() => null)) || null;
+}
+
+/** Starts the shift with a counted float. */
+export async function openDrawer({ counts, by = '' }) {
+  if (await getDrawer()) throw cashError('The drawer is already open - close it before counting a new float');
+  const float = cleanCounts(counts);
+  const drawer = {
+    openedAt: Date.now(),
+    openedBy: by,
+    float,
+    floatTotal: countsTotal(float),
+    counts: float,
+    cashIn: 0,
+    changeOut: 0,
+    sales: 0,
+    countedAt: Date.now(),
+  };
+  await indexedDb.setMeta(DRAWER_KEY, drawer);
+  return drawer;
+}
+
+/** Replaces the tracked notes with a fresh count; the shift's takings are kept. */
+export async function recountDrawer(counts) {
+  const drawer = await getDrawer();
+  if (!drawer) throw cashError('Open the drawer with a float first');
+  const next = { ...drawer, counts: cleanCounts(counts), countedAt: Date.now() };
+  await indexedDb.setMeta(DRAWER_KEY, next);
+  return next;
+}
+
+/**
+ * Adds a cash sale to the drawer: the cash taken in goes in, the suggested change comes out.
+ * Does nothing when no drawer is open.
+ * @returns {Promise<{ drawer: object|null, pieces: object[], short: number }>}
+ */
+export async function recordCashSale({ tendered, change = 0 }) {
+  const drawer = await getDrawer();
+  const cashTaken = Math.max(0, Number(tendered) || 0);
+  const given = Math.max(0, Number(change) || 0);
+  const suggestion = suggestChange(given, drawer ? { counts: drawer.counts, tendered: cashTaken } : {});
+  if (!drawer) return { drawer: null, ...suggestion };
+
+  const counts = addCounts(addCounts(drawer.counts, piecesToCounts(notesFor(cashTaken))), piecesToCounts(suggestion.pieces), -1);
+  const next = {
+    ...drawer,
+    counts,
+    cashIn: Math.round((drawer.cashIn + cashTaken) * 100) / 100,
+    changeOut: Math.round((drawer.changeOut + given) * 100) / 100,
+    sales: drawer.sales + 1,
+  };
+  await indexedDb.setMeta(DRAWER_KEY, next);
+  return { drawer: next, ...suggestion };
+}
+
+/** Cash the drawer should hold: the float plus cash taken less change given. */
+export const expectedCash = (drawer) =>
+  (drawer ? Math.round((drawer.floatTotal + drawer.cashIn - drawer.changeOut) * 100) / 100 : 0);
+
+/**
+ * Ends the shift with a final count.
+ * @returns {Promise<object>} the closed drawer with `expected`, `counted` and `variance`
+ *   (negative when cash is missing)
+ */
+export async function closeDrawer({ counts, by = '' }) {
+  const drawer = await getDrawer();
+  if (!drawer) throw cashError('The drawer is not open');
+  const final = cleanCounts(counts);
+  const expected = expectedCash(drawer);
+  const counted = countsTotal(final);
+  await indexedDb.setMeta(DRAWER_KEY, null);
+  return {
+    ...drawer,
+    counts: final,
+    closedAt: Date.now(),
+    closedBy: by,
+    expected,
+    counted,
+    variance: Math.round((counted - expected) * 100) / 100,
+  };
+}
+
+export default {
+  DENOMINATIONS,
+  ROUNDING_STEPS,
+  DEFAULT_CASH_SETTINGS,
+  getCashSettings,
+  saveCashSettings,
+  cashDue,
+  emptyCounts,
+  countsTotal,
+  notesFor,
+  suggestChange,
+  describePieces,
+  getDrawer,
+  openDrawer,
+  recountDrawer,
+  recordCashSale,
+  expectedCash,
+  closeDrawer,
+};
@@ -0,0 +1,86 @@
+// src/services/catalogNormalize.js
+// Pure catalog normalisation shared by the catalog sync worker and the main thread.
+// Must stay free of DOM, Redux and network imports so it can run inside a Web Worker.
+
+import { extractId } from '../redux/slices/productsSlice-helpers';
+
+const getKey = (p) => extractId(p);
+
+export const toTime = (v) => {
+  if (v === undefined || v === null || v === '') return 0;
+  const t = typeof v === 'number' ? v : Date.parse(v);
+  return Number.isFinite(t) ? t : 0;
+};
+
+// Deleted products come back from a delta query flagged instead of omitted
+export const isTombstone = (it) => !!(it && (it.isDeleted || it.deleted || it.deletedAt));
+
+export function mergeProductsById(existing = [], incoming = []) {
+  const map = {};
+  existing.forEach(p => {
+    const k = getKey(p);
+    if (k) map[k] = { ...p, id: k };
+  });
+
+  incoming.forEach(p => {
+    const k = getKey(p);
+    if (!k) return;
+    const prev = map[k] || { id: k, inventoryHistory: [] };
+    const merged = {
+      ...prev,
+      ...p,
+      id: k,
+      name: (p.name || prev.name || p.productName || '') ,
+      name_lower: (p.name || prev.name || p.productName || '').toLowerCase(),
+      stockPrice: p.stockPrice !== undefined ? Number(p.stockPrice) : prev.stockPrice ?? null,
+      stockQuantity: p.stockQuantity !== undefined ? Number(p.stockQuantity) : prev.stockQuantity ?? null,
+      stockThreshold: p.stockThreshold !== undefined ? Number(p.stockThreshold) : prev.stockThreshold ?? null,
+      inventoryHistory: Array.isArray(prev.inventoryHistory) ? prev.inventoryHistory.slice() : []
+    };
+
+    // Append inventory snapshot if inventory fields present on incoming
+    if (p.stockPrice !== undefined || p.stockQuantity !== undefined || p.stockThreshold !== undefined) {
+      const snapshot = {
+        inventoryId: p.inventoryId || null,
+        productId: k,
+        stockPrice: merged.stockPrice,
+        stockQuantity: merged.stockQuantity,
+        stockThreshold: merged.stockThreshold,
+        createdAt: p.createdAt || new Date().toISOString(),
+        updatedAt: p.updatedAt || new Date().toISOString(),
+        raw: p
+      };
+      const last = merged.inventoryHistory[0];
+      const isDup = last && last.inventoryId === snapshot.inventoryId && last.updatedAt === snapshot.updatedAt;
+      if (!isDup) {
+        merged.inventoryHistory.unshift(snapshot);
+        if (merged.inventoryHistory.length > 50) merged.inventoryHistory.length = 50;
+      }
+    }
+
+    map[k] = merged;
+  });
+
+  return Object.values(map);
+}
+
+export function buildInventoriesFromItems(items = []) {
+  return items
+    .map(it => {
+      const productId = it.productId || it.inventoryId || it.id;
+      if (!productId) return null;
+      const hasInventory = it.inventoryId || (it.stockPrice !== undefined) || (it.stockQuantity !== undefined);
+      if (!hasInventory) return null;
+      return {
+        inventoryId: it.inventoryId || null,
+        productId,
+        stockPrice: it.stockPrice !== undefined ? Number(it.stockPrice) : undefined,
+        stockQuantity: it.stockQuantity !== undefined ? Number(it.stockQuantity) : undefined,
+        stockThreshold: it.stockThreshold !== undefined ? Number(it.stockThreshold) : undefined,
+        createdAt: it.createdAt || null,
+        updatedAt: it.updatedAt || null,
+        raw: it
+      };
+    })
+    .filter(Boolean);
+}
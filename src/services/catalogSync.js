@@ -0,0 +1,221 @@
+// src/services/catalogSync.js
+// The catalog sync the worker runs (workers/catalogSync.worker.js): pages
+// /pos-paged-products, normalises and dedupes the records, then applies them to IndexedDB
+// in one transaction and reconciles the local stock ledger against the server's stock
+// counts. Progress, completion and errors are posted back to the page; pause/resume/stop
+// messages are honoured between pages.
+//
+// The worker cannot reach the Redux store, so it is handed the session token at start.
+// A page answered with 401 asks the page for its current token ('token-needed') and is
+// fetched once more when the cashier has signed in again since; otherwise the sync fails
+// with the 401, which the page classifies like any other API error (apiErrors).
+//
+// Messages in:  { type: 'start', baseUrl, token, pageSize, startPage, force }
+//               { type: 'pause' } | { type: 'resume' } | { type: 'stop' }
+//               { type: 'token', token } - answer to 'token-needed'
+// Messages out: { type: 'progress', currentPage, totalFetched }
+//               { type: 'paused' } | { type: 'resumed' } | { type: 'stopped' }
+//               { type: 'token-needed' }
+//               { type: 'done', record } | { type: 'error', record, status }
+//
+// Pure IndexedDB and fetch, so it runs inside the worker.
+
+import indexedDb from './indexedDB';
+import { reconcileServerCounts } from './stockLedger';
+import {
+  mergeProductsById,
+  buildInventoriesFromItems,
+  isTombstone,
+  toTime,
+} from './catalogNormalize';
+
+export const CATALOG_SYNC_KEY = 'catalogSync';
+
+/**
+ * One sync session per worker.
+ * @param {{ post: (msg: object) => void, fetchImpl?: typeof fetch }} deps - `post` sends a
+ *   message to the page
+ * @returns {{ handleMessage: (msg: object) => Promise<void> }}
+ */
+export function createCatalogSync({ post, fetchImpl = (...args) => fetch(...args) }) {
+  let running = false;
+  let paused = false;
+  let stopped = false;
+  let resumeWaiter = null;
+  let tokenWaiter = null;
+
+  const waitWhilePaused = () => {
+    if (!paused) return Promise.resolve();
+    return new Promise((resolve) => { resumeWaiter = resolve; });
+  };
+
+  const requestToken = () => new Promise((resolve) => {
+    tokenWaiter = resolve;
+    post({ type: 'token-needed' });
+  });
+
+  async function fetchPage({ baseUrl, token, pageNumber, pageSize, updatedSince }) {
+    const qs = `pageNumber=${pageNumber}&pageSize=${pageSize}${updatedSince ? `&updatedSince=${encodeURIComponent(updatedSince)}` : ''}`;
+    const res = await fetchImpl(`${baseUrl}/pos-paged-products?${qs}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    if (!res.ok) {
+      const error = new Error(`HTTP ${res.status}`);
+      error.status = res.status;
+      throw error;
+    }
+    const data = await res.json();
+    return {
+      items: Array.isArray(data) ? data : (data?.items || []),
+      deletedProductIds: Array.isArray(data?.deletedProductIds) ? data.deletedProductIds : [],
+      deletedBarcodes: Array.isArray(data?.deletedBarcodes) ? data.deletedBarcodes : [],
+    };
+  }
+
+  async function runSync({ baseUrl, token: initialToken, pageSize = 200, startPage = 1, force = false }) {
+    const previous = await indexedDb.getMeta(CATALOG_SYNC_KEY).catch(() => null);
+    const full = force || !previous?.watermark;
+    const updatedSince = full ? null : new Date(previous.watermark).toISOString();
+    const startedAt = Date.now();
+    let token = initialToken;
+
+    try {
+      const received = [];
+      const deletedProductIds = [];
+      const deletedBarcodes = [];
+
+      let page = startPage;
+      while (true) {
+        await waitWhilePaused();
+        if (stopped) {
+          post({ type: 'stopped' });
+          return;
+        }
+
+        let result;
+        try {
+          result = await fetchPage({ baseUrl, token, pageNumber: page, pageSize, updatedSince });
+        } catch (err) {
+          if (err?.status !== 401) throw err;
+          const fresh = await requestToken();
+          if (!fresh || fresh === token) throw err;
+          token = fresh;
+          result = await fetchPage({ baseUrl, token, pageNumber: page, pageSize, updatedSince });
+        }
+        received.push(...result.items);
+        deletedProductIds.push(...result.deletedProductIds);
+        deletedBarcodes.push(...result.deletedBarcodes);
+        post({ type: 'progress', currentPage: page, totalFetched: received.length });
+
+        if (result.items.length === 0 || result.items.length < pageSize) break;
+        page += 1;
+      }
+
+      if (stopped) {
+        post({ type: 'stopped' });
+        return;
+      }
+
+      const live = [];
+      for (const it of received) {
+        if (isTombstone(it)) deletedProductIds.push(it.productId ?? it.id);
+        else live.push(it);
+        if (Array.isArray(it.deletedBarcodes)) deletedBarcodes.push(...it.deletedBarcodes);
+      }
+
+      const products = mergeProductsById([], live);
+      const inventories = buildInventoriesFromItems(products);
+
+      await indexedDb.applyCatalogDelta({
+        products,
+        inventories,
+        deletedProductIds,
+        deletedBarcodes,
+        replace: full,
+      });
+
+      // server stock counts as of the start of this sync feed the local stock ledger
+      try {
+        await reconcileServerCounts(
+          inventories
+            .filter((inv) => inv.inventoryId && inv.stockQuantity !== undefined)
+            .map((inv) => ({ inventoryId: inv.inventoryId, productId: inv.productId, quantity: inv.stockQuantity })),
+          { countedAt: startedAt }
+        );
+      } catch (e) {
+        console.warn('[catalogSync] stock ledger reconcile failed', e);
+      }
+
+      const watermark = received.reduce(
+        (max, it) => Math.max(max, toTime(it.updatedAt ?? it.updated_at)),
+        full ? 0 : toTime(previous?.watermark)
+      ) || startedAt;
+
+      const record = {
+        watermark,
+        lastSyncAt: Date.now(),
+        outcome: 'success',
+        mode: full ? 'full' : 'delta',
+        changed: products.length,
+        deleted: deletedProductIds.length,
+        durationMs: Date.now() - startedAt,
+        error: null,
+      };
+      await indexedDb.setMeta(CATALOG_SYNC_KEY, record);
+      post({ type: 'done', record });
+    } catch (err) {
+      const record = {
+        ...(previous || {}),
+        lastSyncAt: Date.now(),
+        outcome: 'failed',
+        mode: full ? 'full' : 'delta',
+        error: err?.message || String(err),
+      };
+      await indexedDb.setMeta(CATALOG_SYNC_KEY, record).catch(() => {});
+      post({ type: 'error', record, status: err?.status ?? null });
+    }
+  }
+
+  async function handleMessage(msg = {}) {
+    switch (msg.type) {
+      case 'start':
+        if (running) return;
+        running = true;
+        paused = false;
+        stopped = false;
+        try {
+          await runSync(msg);
+        } finally {
+          running = false;
+        }
+        break;
+      case 'pause':
+        if (!running || paused) return;
+        paused = true;
+        post({ type: 'paused' });
+        break;
+      case 'resume':
+        if (!paused) return;
+        paused = false;
+        if (resumeWaiter) { resumeWaiter(); resumeWaiter = null; }
+        post({ type: 'resumed' });
+        break;
+      case 'stop':
+        stopped = true;
+        if (paused) {
+          paused = false;
+          if (resumeWaiter) { resumeWaiter(); resumeWaiter = null; }
+        }
+        break;
+      case 'token':
+        if (tokenWaiter) { tokenWaiter(msg.token || null); tokenWaiter = null; }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { handleMessage };
+}
+
+export default { CATALOG_SYNC_KEY, createCatalogSync };
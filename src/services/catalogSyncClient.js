@@ -0,0 +1,65 @@
+// src/services/catalogSyncClient.js
+// Main-thread handle on the catalog sync worker. One worker is created lazily and reused;
+// a sync requested while another is running joins the in-flight one.
+
+let worker = null;
+let inFlight = null;
+let messageHandler = null;
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/catalogSync.worker.js', import.meta.url));
+    worker.onmessage = (ev) => {
+      if (typeof messageHandler === 'function') messageHandler(ev.data || {});
+    };
+  }
+  return worker;
+}
+
+/**
+ * Start a sync in the worker.
+ * @param {{ baseUrl: string, token?: string, pageSize?: number, startPage?: number, force?: boolean }} options
+ * @param {(msg: object) => void} onMessage - receives progress/paused/resumed messages, and
+ *   'token-needed' when the server turned the token down (answer with provideCatalogSyncToken)
+ * @returns {Promise<{ record?: object, stopped?: boolean }>} rejects with `{ record, status }` on failure
+ */
+export function runCatalogSync(options, onMessage) {
+  if (inFlight) return inFlight;
+
+  inFlight = new Promise((resolve, reject) => {
+    messageHandler = (msg) => {
+      if (msg.type === 'done') {
+        inFlight = null;
+        resolve({ record: msg.record });
+      } else if (msg.type === 'stopped') {
+        inFlight = null;
+        resolve({ stopped: true });
+      } else if (msg.type === 'error') {
+        inFlight = null;
+        reject(msg);
+      } else if (typeof onMessage === 'function') {
+        onMessage(msg);
+      }
+    };
+
+    try {
+      getWorker().postMessage({ type: 'start', ...options });
+    } catch (err) {
+      inFlight = null;
+      reject({ record: { outcome: 'failed', error: err?.message || String(err) }, status: null });
+    }
+  });
+
+  return inFlight;
+}
+
+export const isCatalogSyncRunning = () => !!inFlight;
+
+export const pauseCatalogSync = () => { if (worker && inFlight) worker.postMessage({ type: 'pause' }); };
+
+export const resumeCatalogSync = () => { if (worker && inFlight) worker.postMessage({ type: 'resume' }); };
+
+export const stopCatalogSync = () => { if (worker && inFlight) worker.postMessage({ type: 'stop' }); };
+
+/** Hands the worker the current session token after it asked for one ('token-needed'). */
+export const provideCatalogSyncToken = (token) => { if (worker && inFlight) worker.postMessage({ type: 'token', token: token || null }); };
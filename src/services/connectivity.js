@@ -0,0 +1,92 @@
+// src/services/connectivity.js
+// Global connectivity / API health status. The axios and RTK Query clients report every
+// outcome here; UI components subscribe to show whether the till can reach the server.
+
+import { ERROR_KINDS } from './apiErrors';
+
+export const HEALTH = {
+  ONLINE: 'online',
+  DEGRADED: 'degraded',
+  OFFLINE: 'offline',
+};
+
+const listeners = new Set();
+let status = typeof navigator !== 'undefined' && navigator.onLine === false ? HEALTH.OFFLINE : HEALTH.ONLINE;
+let lastErrorKind = null;
+let lastError = null;
+let lastErrorAt = null;
+let lastSuccessAt = null;
+let consecutiveFailures = 0;
+
+const getState = () => ({ status, lastErrorKind, lastError, lastErrorAt, lastSuccessAt, consecutiveFailures });
+
+function notifyListeners() {
+  const snapshot = getState();
+  for (const l of listeners) {
+    try { l(snapshot); } catch (e) { console.error('Connectivity listener error:', e); }
+  }
+}
+
+function setStatus(next) {
+  if (status === next) return;
+  status = next;
+  notifyListeners();
+}
+
+const reportSuccess = () => {
+  lastSuccessAt = Date.now();
+  const changed = consecutiveFailures > 0;
+  consecutiveFailures = 0;
+  if (status !== HEALTH.ONLINE) setStatus(HEALTH.ONLINE);
+  else if (changed) notifyListeners();
+};
+
+/**
+ * Record a failed request. Auth and client errors say nothing about connectivity.
+ * @param {{ kind: string, message?: string }} classification
+ */
+const reportFailure = ({ kind, message } = {}) => {
+  if (kind !== ERROR_KINDS.OFFLINE && kind !== ERROR_KINDS.TIMEOUT && kind !== ERROR_KINDS.SERVER) return;
+  consecutiveFailures += 1;
+  lastErrorKind = kind;
+  lastError = message || null;
+  lastErrorAt = Date.now();
+  const offline = kind === ERROR_KINDS.OFFLINE || (typeof navigator !== 'undefined' && navigator.onLine === false);
+  if (offline) setStatus(HEALTH.OFFLINE);
+  else if (status !== HEALTH.DEGRADED) setStatus(HEALTH.DEGRADED);
+  else notifyListeners();
+};
+
+const subscribe = (listener) => {
+  if (typeof listener !== 'function') return () => {};
+  listeners.add(listener);
+  try { listener(getState()); } catch (e) { console.error('Subscribe listener error:', e); }
+  return () => { listeners.delete(listener); };
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('offline', () => {
+    lastErrorKind = ERROR_KINDS.OFFLINE;
+    lastError = 'No internet connection';
+    lastErrorAt = Date.now();
+    setStatus(HEALTH.OFFLINE);
+  });
+  // the browser being online does not prove the API is reachable; the next request confirms it
+  window.addEventListener('online', () => {
+    if (status === HEALTH.OFFLINE) setStatus(HEALTH.DEGRADED);
+  });
+}
+
+export {
+  subscribe,
+  getState,
+  reportSuccess,
+  reportFailure,
+};
+
+export default {
+  subscribe,
+  getState,
+  reportSuccess,
+  reportFailure,
+};
@@ -0,0 +1,264 @@
+// src/services/customers.js
+// Customer accounts looked up by phone at the till, and the loyalty points they earn.
+//
+// The server holds the customer record; every lookup that reaches it refreshes a copy in
+// the `customers` store, so a customer seen on this till can still be found offline.
+// Each sale adds a loyalty activity (spend and points earned) to the cached record
+// straight away and keeps it as pending until the server has acknowledged it, so
+// balances shown offline already include this till's own sales.
+//
+// The customer and loyalty routes are not confirmed by the backend yet (serverRoutes).
+// Until they are, customers are signed up and earn points on this till only: lookups read
+// the local store and nothing is sent.
+import indexedDb, { reqToPromise, txDone } from './indexedDB';
+import { STORES } from './dbMigrations';
+import { classifyError } from './apiErrors';
+import { SERVER_ROUTES, isConfirmed } from './serverRoutes';
+
+const STORE_CUSTOMERS = STORES.CUSTOMERS;
+const SETTINGS_KEY = 'loyaltySettings';
+
+// points earned per Ksh spent
+export const DEFAULT_LOYALTY_SETTINGS = {
+  pointsPerShilling: 0.01,
+};
+
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  PENDING: 'pending',
+  // created on this till and not yet on the server
+  LOCAL: 'local',
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function customerError(message) {
+  const err = new Error(message);
+  err.isValidationError = true;
+  return err;
+}
+
+/** Kenyan mobile number as 2547XXXXXXXX / 2541XXXXXXXX, or '' when it is not one. */
+export function normalizePhone(raw) {
+  const digits = String(raw || '').replace(/\D/g, '');
+  let local = '';
+  if (/^254[17]\d{8}$/.test(digits)) local = digits.slice(3);
+  else if (/^0[17]\d{8}$/.test(digits)) local = digits.slice(1);
+  else if (/^[17]\d{8}$/.test(digits)) local = digits;
+  return local ? `254${local}` : '';
+}
+
+/* ----------------------------
+   Loyalty settings
+   ---------------------------- */
+
+export async function getLoyaltySettings() {
+  const stored = await indexedDb.getMeta(SETTINGS_KEY).catch(() => null);
+  return { ...DEFAULT_LOYALTY_SETTINGS, ...(stored || {}) };
+}
+
+export async function saveLoyaltySettings({ pointsPerShilling }) {
+  const values = { pointsPerShilling: Number(pointsPerShilling) };
+  if (!(Number.isFinite(values.pointsPerShilling) && values.pointsPerShilling >= 0)) {
+    throw customerError('The loyalty rate must be zero or more');
+  }
+  const next = { ...(await getLoyaltySettings()), ...values };
+  await indexedDb.setMeta(SETTINGS_KEY, next);
+  return next;
+}
+
+/** Whole points earned on a spend of `amount` Ksh. */
+export const pointsEarned = (amount, settings = DEFAULT_LOYALTY_SETTINGS) =>
+  Math.floor(Math.max(0, Number(amount) || 0) * (Number(settings.pointsPerShilling) || 0) + 1e-9);
+
+/* ----------------------------
+   Local cache
+   ---------------------------- */
+
+export async function getCachedCustomer(phone) {
+  const key = normalizePhone(phone);
+  if (!key) return null;
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_CUSTOMERS], 'readonly');
+  return (await reqToPromise(tx.objectStore(STORE_CUSTOMERS).get(key))) || null;
+}
+
+async function putCustomer(record) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_CUSTOMERS], 'readwrite');
+  const saved = { ...record, updatedAt: Date.now() };
+  tx.objectStore(STORE_CUSTOMERS).put(saved);
+  await txDone(tx, 'Customer was not saved');
+  return saved;
+}
+
+// The server's copy plus this till's activity it has not seen yet
+function fromServer(data, phone, pending = []) {
+  const base = {
+    phone,
+    name: String(data?.name || data?.fullName || [data?.firstName, data?.lastName].filter(Boolean).join(' ') || '').trim(),
+    visits: Number(data?.visits ?? data?.visitCount) || 0,
+    lifetimeSpend: round2(Number(data?.lifetimeSpend ?? data?.totalSpent) || 0),
+    points: Number(data?.points ?? data?.pointsBalance) || 0,
+  };
+  return pending.reduce(applyActivity, { ...base, pending, syncStatus: pending.length ? SYNC_STATUS.PENDING : SYNC_STATUS.SYNCED });
+}
+
+function applyActivity(customer, activity) {
+  return {
+    ...customer,
+    visits: customer.visits + 1,
+    lifetimeSpend: round2(customer.lifetimeSpend + activity.spend),
+    points: customer.points + activity.pointsEarned,
+  };
+}
+
+/* ----------------------------
+   Lookup and sign-up
+   ---------------------------- */
+
+/**
+ * Finds a customer by phone, from the server when it answers and from the local cache
+ * when it does not.
+ * @param {string} phone
+ * @param {{ getCustomer: Function }|null} client - api client
+ * @returns {Promise<{ customer: object|null, source: 'server'|'cache'|'local' }>} `customer`
+ *   is null when there is no account for the number; `source` is 'local' while customers
+ *   are kept on this till only
+ */
+export async function lookupCustomer(phone, client = null) {
+  const key = normalizePhone(phone);
+  if (!key) throw customerError('Enter a valid phone number, e.g. 0712 345 678');
+  const cached = await getCachedCustomer(key).catch(() => null);
+  if (!isConfirmed(SERVER_ROUTES.CUSTOMERS)) return { customer: cached, source: 'local' };
+  if (!client) return { customer: cached, source: 'cache' };
+
+  try {
+    const res = await client.getCustomer(key);
+    const data = res?.data?.data ?? res?.data;
+    if (!data) return { customer: cached, source: 'server' };
+    // a local sign-up the server now knows about is no longer waiting to be sent
+    const customer = await putCustomer(fromServer(data, key, cached?.pending || []));
+    return { customer, source: 'server' };
+  } catch (e) {
+    const { status } = classifyError(e);
+    // unknown to the server: a customer signed up on this till while offline is still valid
+    if (status === 404) return { customer: cached, source: 'server' };
+    return { customer: cached, source: 'cache' };
+  }
+}
+
+/**
+ * Opens an account for a walk-in. Saved locally first; sent to the server now if it can
+ * be reached, otherwise with the next sync.
+ */
+export async function createCustomer({ phone, name }, client = null) {
+  const key = normalizePhone(phone);
+  if (!key) throw customerError('Enter a valid phone number, e.g. 0712 345 678');
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw customerError('Enter the customer name');
+  if (await getCachedCustomer(key)) throw customerError('A customer with this phone number already exists');
+
+  const record = await putCustomer({
+    phone: key,
+    name: trimmed,
+    visits: 0,
+    lifetimeSpend: 0,
+    points: 0,
+    pending: [],
+    syncStatus: SYNC_STATUS.LOCAL,
+    createdAt: Date.now(),
+  });
+  return client ? syncCustomer(record, client) : record;
+}
+
+/* ----------------------------
+   Sales and sync
+   ---------------------------- */
+
+/**
+ * Records a sale against the customer: one visit, the spend and the points earned on it.
+ * @param {{ phone: string, orderId: string, spend: number, settings?: object, client?: object }} input
+ * @returns {Promise<{ customer: object, pointsEarned: number }>}
+ */
+export async function recordSale({ phone, orderId, spend, settings = null, client = null }) {
+  const cached = await getCachedCustomer(phone);
+  if (!cached) throw customerError('Look the customer up before recording the sale');
+  const ref = String(orderId || '');
+  const already = (cached.pending || []).find((a) => a.orderId === ref);
+  if (already) return { customer: cached, pointsEarned: already.pointsEarned };
+
+  const activity = {
+    orderId: ref,
+    spend: round2(Math.max(0, Number(spend) || 0)),
+    pointsEarned: pointsEarned(spend, settings || await getLoyaltySettings()),
+    at: Date.now(),
+  };
+  let customer = await putCustomer({
+    ...applyActivity(cached, activity),
+    pending: [...(cached.pending || []), activity],
+    syncStatus: cached.syncStatus === SYNC_STATUS.LOCAL ? SYNC_STATUS.LOCAL : SYNC_STATUS.PENDING,
+    lastVisitAt: activity.at,
+  });
+  if (client) customer = await syncCustomer(customer, client).catch(() => customer);
+  return { customer, pointsEarned: activity.pointsEarned };
+}
+
+/**
+ * Sends a local sign-up and any loyalty activity the server has not acknowledged. Each
+ * activity is keyed by its order, so a resend after a lost response is not counted twice.
+ * Only routes the backend has confirmed are used; the rest waits on this till.
+ */
+export async function syncCustomer(record, client) {
+  if (!isConfirmed(SERVER_ROUTES.CUSTOMERS)) return record;
+  let next = { ...record, pending: [...(record.pending || [])] };
+  try {
+    if (next.syncStatus === SYNC_STATUS.LOCAL) {
+      await client.createCustomer({ phone: next.phone, name: next.name });
+      next.syncStatus = SYNC_STATUS.PENDING;
+    }
+    while (next.pending.length && isConfirmed(SERVER_ROUTES.LOYALTY)) {
+      const [activity] = next.pending;
+      await client.postLoyaltyActivity(next.phone, activity, `${activity.orderId}:loyalty`);
+      next.pending = next.pending.slice(1);
+    }
+    next = { ...next, syncStatus: SYNC_STATUS.SYNCED, syncError: null };
+  } catch (e) {
+    next = { ...next, syncError: String(e?.message || e) };
+  }
+  if (next.syncStatus !== SYNC_STATUS.LOCAL && next.pending.length) next.syncStatus = SYNC_STATUS.PENDING;
+  return putCustomer(next);
+}
+
+/** Retries sign-ups and loyalty activity that have not reached the server yet. */
+export async function retryPendingCustomers(client) {
+  if (!isConfirmed(SERVER_ROUTES.CUSTOMERS)) return { pending: 0, synced: 0 };
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_CUSTOMERS], 'readonly');
+  const index = tx.objectStore(STORE_CUSTOMERS).index('syncStatus');
+  const [local, pending] = await Promise.all([
+    reqToPromise(index.getAll(SYNC_STATUS.LOCAL)).catch(() => []),
+    reqToPromise(index.getAll(SYNC_STATUS.PENDING)).catch(() => []),
+  ]);
+  let synced = 0;
+  for (const record of [...local, ...pending]) {
+    const next = await syncCustomer(record, client).catch(() => record);
+    if (next.syncStatus === SYNC_STATUS.SYNCED) synced += 1;
+  }
+  return { pending: local.length + pending.length, synced };
+}
+
+export default {
+  DEFAULT_LOYALTY_SETTINGS,
+  SYNC_STATUS,
+  normalizePhone,
+  getLoyaltySettings,
+  saveLoyaltySettings,
+  pointsEarned,
+  getCachedCustomer,
+  lookupCustomer,
+  createCustomer,
+  recordSale,
+  syncCustomer,
+  retryPendingCustomers,
+};
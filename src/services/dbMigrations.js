@@ -0,0 +1,241 @@
+// src/services/dbMigrations.js
+// Ordered schema/data migrations for ArpellaProductsDB.
+//
+// Every entry upgrades the database from the previous version to `version` inside the
+// versionchange transaction. An entry that rewrites records also lists its row
+// transforms under `rows` (store name -> fn), so rows restored from an older backup
+// go through the same change (see migrateRows). Entries run in order for every version above the one
+// on disk, so a till that skipped releases still passes through each step. To change
+// the schema append a new entry — never edit one that has shipped.
+//
+// Versions 1-4 predate the registry; the v5 baseline brings any of them up to date.
+
+export const DB_NAME = 'ArpellaProductsDB';
+
+export const STORES = {
+  PRODUCTS: 'products',
+  BARCODES: 'barcodes',
+  ORDERS: 'orders',
+  INVENTORIES: 'inventories',
+  OUTBOX: 'outbox',
+  META: 'meta',
+  STOCK_LEDGER: 'stockLedger',
+  STOCK_MOVEMENTS: 'stockMovements',
+  RETURNS: 'returns',
+  VOIDS: 'voids',
+  CUSTOMERS: 'customers',
+  // no longer written since charge-to-account was withdrawn; kept (and backed up) for tills that have entries
+  ACCOUNT_ENTRIES: 'accountEntries',
+  QUOTES: 'quotes',
+  LAYAWAYS: 'layaways',
+};
+
+function ensureStore(db, tx, name, options) {
+  if (db.objectStoreNames.contains(name)) return tx.objectStore(name);
+  return db.createObjectStore(name, options);
+}
+
+function ensureIndex(store, name, keyPath, options = { unique: false }) {
+  if (!store.indexNames.contains(name)) store.createIndex(name, keyPath, options);
+}
+
+// Visit every record of a store within the upgrade transaction; `fn` returns the
+// replacement record, or undefined to leave it as is.
+function transformRecords(store, fn) {
+  const req = store.openCursor();
+  req.onsuccess = (ev) => {
+    const cur = ev.target.result;
+    if (!cur) return;
+    const next = fn(cur.value);
+    if (next !== undefined) cur.update(next);
+    cur.continue();
+  };
+}
+
+// Version 8 row transform; returns undefined when the order needs no change
+function backfillOrder(order) {
+  let changed = false;
+  const next = { ...order };
+  if (!next.syncStatus) {
+    // OFFLINE-* ids were generated locally by putOrder and never reached the server
+    next.syncStatus = String(next.orderId).startsWith('OFFLINE-') ? 'local' : 'synced';
+    changed = true;
+  }
+  if (typeof next.createdAt !== 'number') {
+    const t = Date.parse(next.createdAt);
+    next.createdAt = Number.isFinite(t) ? t : Date.now();
+    changed = true;
+  }
+  return changed ? next : undefined;
+}
+
+export const MIGRATIONS = [
+  {
+    version: 5,
+    description: 'Baseline: products, barcodes, orders and inventories stores',
+    upgrade({ db, tx }) {
+      const products = ensureStore(db, tx, STORES.PRODUCTS, { keyPath: 'id' });
+      ensureIndex(products, 'name_lower', 'name_lower');
+      ensureIndex(products, 'inventoryId', 'inventoryId');
+
+      ensureStore(db, tx, STORES.BARCODES, { keyPath: 'code' });
+
+      const orders = ensureStore(db, tx, STORES.ORDERS, { keyPath: 'orderId' });
+      ensureIndex(orders, 'createdAt', 'createdAt');
+      ensureIndex(orders, 'status', 'status');
+
+      const inventories = ensureStore(db, tx, STORES.INVENTORIES, { keyPath: 'inventoryId' });
+      ensureIndex(inventories, 'productId', 'productId');
+      ensureIndex(inventories, 'createdAt', 'createdAt');
+    },
+  },
+  {
+    version: 6,
+    description: 'Order outbox for sales taken while offline',
+    upgrade({ db, tx }) {
+      const outbox = ensureStore(db, tx, STORES.OUTBOX, { keyPath: 'clientOrderId' });
+      ensureIndex(outbox, 'createdAt', 'createdAt');
+      ensureIndex(outbox, 'status', 'status');
+    },
+  },
+  {
+    version: 7,
+    description: 'Meta store for the catalog sync watermark; barcodes indexed by product',
+    upgrade({ db, tx }) {
+      ensureStore(db, tx, STORES.META, { keyPath: 'key' });
+      ensureIndex(tx.objectStore(STORES.BARCODES), 'productId', 'productId');
+    },
+  },
+  {
+    version: 8,
+    description: 'Backfill order sync status and numeric createdAt',
+    upgrade({ tx }) {
+      transformRecords(tx.objectStore(STORES.ORDERS), backfillOrder);
+    },
+    rows: { [STORES.ORDERS]: backfillOrder },
+  },
+  {
+    version: 9,
+    description: 'Local stock ledger: last server count per inventory and unreconciled movements',
+    upgrade({ db, tx }) {
+      ensureStore(db, tx, STORES.STOCK_LEDGER, { keyPath: 'inventoryId' });
+      const movements = ensureStore(db, tx, STORES.STOCK_MOVEMENTS, { keyPath: 'id' });
+      ensureIndex(movements, 'inventoryId', 'inventoryId');
+      ensureIndex(movements, 'ref', 'ref');
+    },
+  },
+  {
+    version: 10,
+    description: 'Returns and their credit notes, keyed by credit note number',
+    upgrade({ db, tx }) {
+      const returns = ensureStore(db, tx, STORES.RETURNS, { keyPath: 'creditNoteNo' });
+      ensureIndex(returns, 'orderId', 'orderId');
+      ensureIndex(returns, 'createdAt', 'createdAt');
+      ensureIndex(returns, 'syncStatus', 'syncStatus');
+    },
+  },
+  {
+    version: 11,
+    description: 'Audit trail of line voids and post-voided sales',
+    upgrade({ db, tx }) {
+      const voids = ensureStore(db, tx, STORES.VOIDS, { keyPath: 'id' });
+      ensureIndex(voids, 'createdAt', 'createdAt');
+      ensureIndex(voids, 'orderId', 'orderId');
+      ensureIndex(voids, 'syncStatus', 'syncStatus');
+    },
+  },
+  {
+    version: 12,
+    description: 'Cached customer accounts and loyalty balances, keyed by phone',
+    upgrade({ db, tx }) {
+      const customers = ensureStore(db, tx, STORES.CUSTOMERS, { keyPath: 'phone' });
+      ensureIndex(customers, 'syncStatus', 'syncStatus');
+      ensureIndex(customers, 'updatedAt', 'updatedAt');
+    },
+  },
+  {
+    version: 13,
+    description: 'Customer account ledger: sales charged to account and payments against the tab',
+    upgrade({ db, tx }) {
+      const entries = ensureStore(db, tx, STORES.ACCOUNT_ENTRIES, { keyPath: 'id' });
+      ensureIndex(entries, 'phone', 'phone');
+      ensureIndex(entries, 'createdAt', 'createdAt');
+      ensureIndex(entries, 'syncStatus', 'syncStatus');
+    },
+  },
+  {
+    version: 14,
+    description: 'Proforma quotes, keyed by quote number',
+    upgrade({ db, tx }) {
+      const quotes = ensureStore(db, tx, STORES.QUOTES, { keyPath: 'quoteNo' });
+      ensureIndex(quotes, 'createdAt', 'createdAt');
+      ensureIndex(quotes, 'status', 'status');
+    },
+  },
+  {
+    version: 15,
+    description: 'Layaway deposits and instalments on held sales, keyed by held sale id',
+    upgrade({ db, tx }) {
+      const layaways = ensureStore(db, tx, STORES.LAYAWAYS, { keyPath: 'id' });
+      ensureIndex(layaways, 'status', 'status');
+      ensureIndex(layaways, 'createdAt', 'createdAt');
+      ensureIndex(layaways, 'syncStatus', 'syncStatus');
+    },
+  },
+];
+
+/**
+ * Throws when the registry is malformed: versions must be strictly increasing
+ * integers and every entry needs an upgrade function.
+ */
+export function validateMigrations(migrations = MIGRATIONS) {
+  let previous = 0;
+  for (const m of migrations) {
+    if (!Number.isInteger(m.version) || m.version <= previous) {
+      throw new Error(`Migration versions must be increasing integers (got ${m.version} after ${previous})`);
+    }
+    if (typeof m.upgrade !== 'function') throw new Error(`Migration ${m.version} has no upgrade function`);
+    for (const [store, fn] of Object.entries(m.rows || {})) {
+      if (typeof fn !== 'function') throw new Error(`Migration ${m.version} has a row transform for ${store} that is not a function`);
+    }
+    previous = m.version;
+  }
+  return true;
+}
+
+validateMigrations();
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run the migrations between oldVersion (exclusive) and newVersion (inclusive).
+ * Must be called from `onupgradeneeded` with the versionchange transaction.
+ * @returns {number[]} the versions applied
+ */
+export function runMigrations({ db, tx, oldVersion = 0, newVersion = LATEST_VERSION, migrations = MIGRATIONS }) {
+  const pending = migrations.filter((m) => m.version > oldVersion && m.version <= newVersion);
+  for (const m of pending) {
+    m.upgrade({ db, tx, oldVersion });
+  }
+  return pending.map((m) => m.version);
+}
+
+/**
+ * Bring rows saved under an older schema up to `newVersion` by running the row
+ * transforms of every migration above `fromVersion`. Used when restoring a backup,
+ * whose rows never went through the upgrade transaction.
+ * @param {string} storeName
+ * @param {object[]} rows
+ * @param {number} fromVersion - database version the rows were read from
+ * @returns {object[]} the migrated rows (unchanged rows are the same objects)
+ */
+export function migrateRows(storeName, rows, fromVersion = 0, { newVersion = LATEST_VERSION, migrations = MIGRATIONS } = {}) {
+  const transforms = migrations
+    .filter((m) => m.version > fromVersion && m.version <= newVersion && m.rows?.[storeName])
+    .map((m) => m.rows[storeName]);
+  if (!transforms.length) return rows;
+  return rows.map((row) => transforms.reduce((cur, fn) => {
+    const next = fn(cur);
+    return next === undefined ? cur : next;
+  }, row));
+}
@@ -0,0 +1,177 @@
+// src/services/discounts.js
+// Manual discounts keyed in at the till, on a cart line or on the whole order.
+//
+// A discount is a percentage or a fixed Ksh amount with a reason code. How deep a cashier
+// may go depends on their role: each role has a maximum, as a percentage of what the
+// discount applies to, kept in the meta store so Settings can change it. The same maximum
+// caps all of a cart's manual discounts together, measured on its gross subtotal. The product's
+// own `priceAfterDiscount` offer is separate and applied before any manual discount.
+// The discount arithmetic itself lives with the rest of the pricing (utils/pricing).
+import indexedDb from './indexedDB';
+import { DISCOUNT_KINDS, discountAmount, priceCart, totalsOf } from '../utils/pricing';
+
+export { DISCOUNT_KINDS, discountAmount };
+
+const LIMITS_KEY = 'discountLimits';
+
+export const DISCOUNT_REASONS = [
+  { code: 'DAMAGED', label: 'Damaged / near expiry' },
+  { code: 'PRICE_MATCH', label: 'Price match' },
+  { code: 'LOYAL', label: 'Regular customer' },
+  { code: 'BULK', label: 'Bulk purchase' },
+  { code: 'STAFF', label: 'Staff purchase' },
+  { code: 'SERVICE', label: 'Service recovery' },
+  { code: 'OTHER', label: 'Other' },
+];
+
+// Maximum discount per role, as a percentage; `default` covers roles not listed
+export const DEFAULT_DISCOUNT_LIMITS = {
+  admin: 100,
+  'order manager': 20,
+  accountant: 10,
+  default: 5,
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export const reasonLabel = (code) => DISCOUNT_REASONS.find((r) => r.code === code)?.label || String(code || '');
+
+/** Role of the signed-in user, lower-cased ("Order_Manager" and "Order Manager" match). */
+export function roleOf(user) {
+  const base = Array.isArray(user) ? user[0] : user;
+  const actual = base?.user || base;
+  return String(actual?.roles?.[0] || actual?.role || '').trim().toLowerCase().replace(/_/g, ' ');
+}
+
+export async function getDiscountLimits() {
+  const stored = await indexedDb.getMeta(LIMITS_KEY).catch(() => null);
+  return { ...DEFAULT_DISCOUNT_LIMITS, ...(stored || {}) };
+}
+
+export async function saveDiscountLimits(limits = {}) {
+  const values = {};
+  for (const [role, value] of Object.entries(limits)) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > 100) {
+      const err = new Error('Discount limits must be between 0 and 100%');
+      err.isValidationError = true;
+      throw err;
+    }
+    values[role] = n;
+  }
+  const next = { ...(await getDiscountLimits()), ...values };
+  await indexedDb.setMeta(LIMITS_KEY, next);
+  return next;
+}
+
+export const maxPercentFor = (role, limits = DEFAULT_DISCOUNT_LIMITS) =>
+  Number(limits[role] ?? limits.default ?? 0) || 0;
+
+/**
+ * Checks a discount before it is applied.
+ * @param {{ kind: string, value: number|string, reasonCode: string, note?: string }} discount
+ * @param {number} base - Ksh the discount applies to
+ * @param {number} maxPercent - the cashier's limit
+ * @returns {string|null} the first problem, worded for the dialog, or null when valid
+ */
+export function validateDiscount(discount, base, maxPercent) {
+  const value = Number(discount?.value);
+  if (!Number.isFinite(value) || value <= 0) return 'Enter a discount above zero';
+  if (discount.kind === DISCOUNT_KINDS.PERCENT && value > 100) return 'A percentage discount cannot exceed 100%';
+  if (discount.kind === DISCOUNT_KINDS.AMOUNT && value > (Number(base) || 0)) return 'The discount is more than the amount it applies to';
+  if (!discount.reasonCode) return 'Choose a reason for the discount';
+  if (discount.reasonCode === 'OTHER' && !String(discount.note || '').trim()) return 'Describe the reason for the discount';
+  const b = Number(base) || 0;
+  const percent = discount.kind === DISCOUNT_KINDS.PERCENT ? value : (b > 0 ? (value / b) * 100 : 100);
+  if (percent > maxPercent + 1e-9) return `Your role can give at most ${maxPercent}% off`;
+  return null;
+}
+
+/**
+ * Checks the cart's manual discounts together against the role limit: the line discounts
+ * plus the order discount, as a percentage of the gross subtotal. Each can be within the
+ * limit on its own base and still go past it combined.
+ * @param {object[]} items - cart lines, carrying the line discount being checked
+ * @param {object|null} orderDiscount - the order discount, including one being checked
+ * @param {number} maxPercent - the cashier's limit
+ * @returns {string|null} the problem, worded for the dialog, or null when valid
+ */
+export function validateCombinedDiscounts(items, orderDiscount, maxPercent) {
+  const { subtotal, discountTotal } = priceCart(items, { orderDiscount });
+  if (!(discountTotal > 0)) return null;
+  const percent = subtotal > 0 ? (discountTotal / subtotal) * 100 : 100;
+  if (percent > maxPercent + 1e-9) {
+    return `Discounts on this sale would come to ${round2(percent)}% of it; your role can give at most ${maxPercent}% off in total`;
+  }
+  return null;
+}
+
+/** The discount as stored on a cart line or order: definition plus who gave it. */
+export function createDiscount({ kind, value, reasonCode, note = '' }, { by = '', role = '' } = {}) {
+  return {
+    kind,
+    value: round2(Number(value) || 0),
+    reasonCode,
+    reason: reasonCode === 'OTHER' ? String(note).trim() : [reasonLabel(reasonCode), String(note).trim()].filter(Boolean).join(' - '),
+    by,
+    role,
+    at: Date.now(),
+  };
+}
+
+/** Short form for the cart and receipt, e.g. "10% Price match" or "Ksh 50 Damaged". */
+export const describeDiscount = (discount) => {
+  if (!discount) return '';
+  const size = discount.kind === DISCOUNT_KINDS.PERCENT ? `${discount.value}%` : `Ksh ${Number(discount.value).toLocaleString()}`;
+  return `${size} ${discount.reason || reasonLabel(discount.reasonCode)}`.trim();
+};
+
+/**
+ * Totals of receipt-shaped items (see mapCartToReceiptItems), whose `lineTotal` is already
+ * net of the line discount and whose `orderDiscountShare` carries the order discount.
+ * @returns {{ subtotal: number, lineDiscounts: number, orderDiscount: number, discountTotal: number, total: number }}
+ */
+export function discountTotals(items = []) {
+  const { subtotal, lineDiscounts, orderDiscount, discountTotal, total } = totalsOf(items);
+  return { subtotal, lineDiscounts, orderDiscount, discountTotal, total };
+}
+
+/**
+ * Discounts in the shape sent with the order and kept on the local record.
+ * @param {object[]} items - receipt-shaped items
+ * @param {object|null} orderDiscount - the order-level discount, if any
+ */
+export function discountSummary(items = [], orderDiscount = null) {
+  const totals = discountTotals(items);
+  return {
+    lines: (items || [])
+      .filter((it) => it.discount && it.lineDiscount > 0)
+      .map((it) => ({
+        productId: it.productId,
+        priceType: it.priceType,
+        name: it.name,
+        ...it.discount,
+        amount: it.lineDiscount,
+      })),
+    order: orderDiscount && totals.orderDiscount > 0 ? { ...orderDiscount, amount: totals.orderDiscount } : null,
+    total: totals.discountTotal,
+  };
+}
+
+export default {
+  DISCOUNT_KINDS,
+  DISCOUNT_REASONS,
+  DEFAULT_DISCOUNT_LIMITS,
+  reasonLabel,
+  roleOf,
+  getDiscountLimits,
+  saveDiscountLimits,
+  maxPercentFor,
+  discountAmount,
+  validateDiscount,
+  validateCombinedDiscounts,
+  createDiscount,
+  describeDiscount,
+  discountTotals,
+  discountSummary,
+};
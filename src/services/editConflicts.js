@@ -0,0 +1,226 @@
+// src/services/editConflicts.js
+// Optimistic concurrency for back-office product and inventory edits.
+//
+// Every edit remembers the record it started from (`base`). Before writing, the current
+// server record is fetched and compared: if nobody else changed it the edit is written
+// as-is; if someone changed other fields their changes are kept (three-way merge); if
+// someone changed the same fields the write stops with a conflict error that carries
+// base, local and server values so the UI can let the user choose.
+//
+// Writes also send the version they were based on (If-Match), so a server that checks
+// it can reject races that happen between the fetch and the write (409/412).
+
+const CONFLICT_STATUSES = new Set([409, 412]);
+
+export const INVENTORY_FIELDS = [
+  { name: 'stockQuantity', label: 'Quantity', numeric: true, additive: true },
+  { name: 'stockThreshold', label: 'Threshold', numeric: true },
+  { name: 'stockPrice', label: 'Buying price', numeric: true },
+  { name: 'invoiceNumber', label: 'Invoice number' },
+  { name: 'supplierId', label: 'Supplier' },
+];
+
+export const PRODUCT_FIELDS = [
+  { name: 'name', label: 'Name' },
+  { name: 'price', label: 'Price', numeric: true },
+  { name: 'wholesalePrice', label: 'Wholesale price', numeric: true },
+  { name: 'priceAfterDiscount', label: 'Price after discount', numeric: true },
+  { name: 'discountQuantity', label: 'Discount quantity', numeric: true },
+  { name: 'purchaseCap', label: 'Purchase cap', numeric: true },
+  { name: 'category', label: 'Category', numeric: true },
+  { name: 'subcategory', label: 'Subcategory', numeric: true },
+  { name: 'barcodes', label: 'Barcodes' },
+  { name: 'showOnline', label: 'Show online', boolean: true },
+];
+
+/** Unwrap `{ data: {...} }` / single-item array responses into the record itself. */
+export function unwrapRecord(resp) {
+  if (!resp) return null;
+  const r = Array.isArray(resp) ? resp[0] : resp;
+  if (r && typeof r === 'object' && r.data && typeof r.data === 'object' && !Array.isArray(r.data)) return r.data;
+  return r || null;
+}
+
+/**
+ * Version token of a record: an explicit row version when the API provides one,
+ * otherwise its updatedAt timestamp (normalized to ms). Null when unknown.
+ */
+export function versionOf(record) {
+  if (!record) return null;
+  const explicit = record.rowVersion ?? record.version ?? record.concurrencyStamp;
+  if (explicit !== undefined && explicit !== null && explicit !== '') return String(explicit);
+  if (!record.updatedAt) return null;
+  const ms = typeof record.updatedAt === 'number' ? record.updatedAt : Date.parse(record.updatedAt);
+  return Number.isFinite(ms) ? String(ms) : String(record.updatedAt);
+}
+
+function normalize(value, field) {
+  if (field.boolean) return !!value;
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).join(',');
+  if (field.numeric) {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : String(value).trim();
+  }
+  return String(value).trim();
+}
+
+const has = (record, name) => !!record && record[name] !== undefined;
+
+/**
+ * Field-by-field comparison of the edit against the server.
+ * @returns {{ field: string, label: string, additive: boolean, base: any, local: any, server: any,
+ *   changedLocally: boolean, changedOnServer: boolean, conflict: boolean }[]}
+ *   only fields that changed on at least one side
+ */
+export function diffRecords({ base, local, server, fields }) {
+  const rows = [];
+  for (const f of fields) {
+    if (!has(local, f.name)) continue;
+    const b = normalize(base?.[f.name], f);
+    const l = normalize(local[f.name], f);
+    const s = has(server, f.name) ? normalize(server[f.name], f) : b;
+    const changedLocally = l !== b;
+    const changedOnServer = s !== b;
+    if (!changedLocally && !changedOnServer) continue;
+    rows.push({
+      field: f.name,
+      label: f.label || f.name,
+      additive: !!f.additive,
+      base: base?.[f.name],
+      local: local[f.name],
+      server: server?.[f.name],
+      changedLocally,
+      changedOnServer,
+      conflict: changedLocally && changedOnServer && l !== s,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Build the payload to write. By default each field takes whichever side changed it
+ * (the local edit wins where it touched a field). `choices` overrides conflicting
+ * fields: 'mine', 'theirs', or 'combine' for additive fields, which applies the local
+ * change on top of the server value (server + (local - base)).
+ */
+export function mergeRecords({ base, local, server, fields, choices = {} }) {
+  const out = { ...local };
+  for (const row of diffRecords({ base, local, server, fields })) {
+    const choice = choices[row.field] || (row.changedLocally ? 'mine' : 'theirs');
+    if (choice === 'theirs') {
+      out[row.field] = row.server;
+    } else if (choice === 'combine' && row.additive) {
+      out[row.field] = Number(row.server || 0) + (Number(row.local || 0) - Number(row.base || 0));
+    }
+  }
+  return out;
+}
+
+/** Copy only the tracked fields the server record actually has. */
+export function pickFields(record, fields) {
+  const out = {};
+  for (const f of fields) {
+    if (has(record, f.name)) out[f.name] = record[f.name];
+  }
+  return out;
+}
+
+function createConflictError({ entity, id, base, local, server, fields }) {
+  const diff = diffRecords({ base, local, server, fields });
+  const labels = diff.filter((d) => d.conflict).map((d) => d.label);
+  const error = new Error(`This ${entity} was changed by someone else${labels.length ? ` (${labels.join(', ')})` : ''}`);
+  error.isEditConflict = true;
+  error.conflict = { entity, id, base, local, server, fields, diff };
+  return error;
+}
+
+/** True for conflict errors from `guardedUpdate` and for 409/412 responses. */
+export function isEditConflict(error) {
+  if (!error) return false;
+  if (error.isEditConflict) return true;
+  const status = error.response?.status ?? error.status ?? error.originalStatus;
+  return CONFLICT_STATUSES.has(status);
+}
+
+async function fetchQuietly(fetchServer) {
+  try {
+    return unwrapRecord(await fetchServer());
+  } catch (err) {
+    // writes still carry If-Match, so a failed pre-check only loses the early warning
+    console.warn('[editConflicts] could not load the server copy:', err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Version-checked update.
+ * @param {{ entity: string, id: string|number, base: object, local: object, fields: object[],
+ *   fetchServer: () => Promise<any>, write: (payload: object, expectedVersion: string|null) => Promise<any> }} options
+ * @returns {Promise<{ payload: object, server: object|null, merged: boolean }>} what was written
+ * @throws {Error} with `isEditConflict` and `conflict` when the same fields changed on the server
+ */
+export async function guardedUpdate({ entity, id, base, local, fields, fetchServer, write }) {
+  const server = await fetchQuietly(fetchServer);
+  let payload = local;
+  let merged = false;
+
+  const baseVersion = versionOf(base);
+  if (server && (baseVersion === null || baseVersion !== versionOf(server))) {
+    const diff = diffRecords({ base, local, server, fields });
+    if (diff.some((d) => d.conflict)) {
+      throw createConflictError({ entity, id, base, local, server, fields });
+    }
+    payload = mergeRecords({ base, local, server, fields });
+    merged = diff.some((d) => d.changedOnServer);
+  }
+
+  try {
+    await write(payload, versionOf(server) ?? baseVersion);
+  } catch (err) {
+    if (!isEditConflict(err)) throw err;
+    const latest = (await fetchQuietly(fetchServer)) || server;
+    throw createConflictError({ entity, id, base, local, server: latest, fields });
+  }
+  return { payload, server, merged };
+}
+
+/**
+ * Apply a relative change (e.g. a restock quantity). Deltas do not depend on the value
+ * they were computed from, so a version rejection is simply retried against the
+ * fresh record. `write(expectedVersion, server)` gets that record too, so an endpoint
+ * that only takes absolute values can be sent the fresh value plus the delta. Such a
+ * write is only safe against the record it was added to, so nothing is written when the
+ * fresh record cannot be read or carries no version; that fails as a conflict.
+ * @returns {Promise<object>} the server record the delta was applied to
+ * @throws {Error} with `isEditConflict` when the server copy could not be checked
+ */
+export async function applyDelta({ fetchServer, write, attempts = 3 }) {
+  for (let attempt = 1; ; attempt++) {
+    const server = await fetchQuietly(fetchServer);
+    if (versionOf(server) === null) {
+      const error = new Error('The current server copy could not be checked, so nothing was written');
+      error.isEditConflict = true;
+      throw error;
+    }
+    try {
+      await write(versionOf(server), server);
+      return server;
+    } catch (err) {
+      if (!isEditConflict(err) || attempt >= attempts) throw err;
+    }
+  }
+}
+
+export default {
+  INVENTORY_FIELDS,
+  PRODUCT_FIELDS,
+  unwrapRecord,
+  versionOf,
+  diffRecords,
+  mergeRecords,
+  pickFields,
+  isEditConflict,
+  guardedUpdate,
+  applyDelta,
+};
@@ -21,9 +21,11 @@ export const getAllHeldSales = () => {
  * @param {string} name - Name/identifier for the sale
  * @param {Array} items - Cart items
  * @param {Object} paymentData - Payment information (optional)
+ * @param {Object} orderDiscount - Manual discount on the whole order (optional)
+ * @param {Object} customer - Customer attached to the cart, { name, phone } (optional)
  * @returns {Object} The saved sale object
  */
-export const holdSale = (name, items, paymentData = null) => {
+export const holdSale = (name, items, paymentData = null, orderDiscount = null, customer = null) => {
   try {
     const sales = getAllHeldSales();
     
@@ -32,6 +34,8 @@ export const holdSale = (name, items, paymentData = null) => {
       name,
       items: JSON.parse(JSON.stringify(items)), // Deep clone
       paymentData: paymentData ? JSON.parse(JSON.stringify(paymentData)) : null,
+      orderDiscount: orderDiscount ? JSON.parse(JSON.stringify(orderDiscount)) : null,
+      customer: customer ? { name: customer.name || '', phone: customer.phone || '' } : null,
       timestamp: new Date().toISOString(),
     };
     
@@ -2,66 +2,236 @@
 // Revised: products store no longer uses top-level stockPrice as source-of-truth.
 // Inventories are stored in a dedicated store. Profit calculation uses latest inventory record.
 
-const DB_NAME = 'ArpellaProductsDB';
-const DB_VERSION = 5; // bump to ensure indices
-const STORE_PRODUCTS = 'products';
-const STORE_BARCODES = 'barcodes';
-const STORE_ORDERS = 'orders';
-const STORE_INVENTORIES = 'inventories';
+import { DB_NAME, STORES, LATEST_VERSION, MIGRATIONS, runMigrations } from './dbMigrations';
+import { createSearchIndex } from './searchIndex';
+import { cartTotal, soldUnitPrice } from '../utils/pricing';
+
+const DB_VERSION = LATEST_VERSION; // schema changes go through dbMigrations.js
+const STORE_PRODUCTS = STORES.PRODUCTS;
+const STORE_BARCODES = STORES.BARCODES;
+const STORE_ORDERS = STORES.ORDERS;
+const STORE_INVENTORIES = STORES.INVENTORIES;
+const STORE_OUTBOX = STORES.OUTBOX;
+const STORE_META = STORES.META;
+const STORE_STOCK_MOVEMENTS = STORES.STOCK_MOVEMENTS;
+const STORE_RETURNS = STORES.RETURNS;
+const STORE_VOIDS = STORES.VOIDS;
+const STORE_CUSTOMERS = STORES.CUSTOMERS;
+const STORE_ACCOUNT_ENTRIES = STORES.ACCOUNT_ENTRIES;
+const STORE_QUOTES = STORES.QUOTES;
+const STORE_LAYAWAYS = STORES.LAYAWAYS;
+
+const RECOVERY_KEY = 'arpella:dbRecovery';
+// errors that deleting and rebuilding the database can fix (downgrade, corruption, failed migration)
+const RECOVERABLE_ERRORS = new Set(['VersionError', 'UnknownError', 'InvalidStateError', 'AbortError', 'DataError', 'NotFoundError']);
+// unsynced sales, stock movements, returns, the void trail, loyalty activity, account tabs,
+// quotes, layaway deposits and the till's settings only exist locally, so they are carried
+// across a rebuild
+const SALVAGE_STORES = [STORE_ORDERS, STORE_OUTBOX, STORE_META, STORE_STOCK_MOVEMENTS, STORE_RETURNS, STORE_VOIDS, STORE_CUSTOMERS, STORE_ACCOUNT_ENTRIES, STORE_QUOTES, STORE_LAYAWAYS];
+
+// meta keys describing the catalog: the sync worker's watermark and the search index revision
+const CATALOG_META_KEYS = ['catalogSync', 'catalogRevision'];
+
+let dbPromise = null;
+let recoveryAttempted = false;
+let dbStatus = { status: 'closed', error: null, at: null };
+const statusListeners = new Set();
+
+function setDbStatus(status, error = null) {
+  dbStatus = { status, error: error ? `${error.name || 'Error'}: ${error.message || error}` : null, at: Date.now() };
+  for (const l of statusListeners) {
+    try { l(dbStatus); } catch (e) { console.error('DB status listener error:', e); }
+  }
+}
 
-function openDB() {
+function subscribeDatabaseStatus(listener) {
+  if (typeof listener !== 'function') return () => {};
+  statusListeners.add(listener);
+  try { listener(dbStatus); } catch (e) { }
+  return () => { statusListeners.delete(listener); };
+}
+
+function openWithMigrations() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
     req.onupgradeneeded = (ev) => {
-      const db = ev.target.result;
-      const tx = ev.target.transaction;
-
-      if (!db.objectStoreNames.contains(STORE_PRODUCTS)) {
-        const pStore = db.createObjectStore(STORE_PRODUCTS, { keyPath: 'id' });
-        pStore.createIndex('name_lower', 'name_lower', { unique: false });
-        pStore.createIndex('inventoryId', 'inventoryId', { unique: false });
-      } else {
-        // ensure indexes
-        try { const pStore = tx.objectStore(STORE_PRODUCTS); if (!pStore.indexNames.contains('inventoryId')) pStore.createIndex('inventoryId', 'inventoryId', { unique: false }); } catch (e) { }
-        try { const pStore = tx.objectStore(STORE_PRODUCTS); if (!pStore.indexNames.contains('name_lower')) pStore.createIndex('name_lower', 'name_lower', { unique: false }); } catch (e) { }
-      }
-
-      if (!db.objectStoreNames.contains(STORE_BARCODES)) {
-        db.createObjectStore(STORE_BARCODES, { keyPath: 'code' });
-      }
+      runMigrations({ db: req.result, tx: req.transaction, oldVersion: ev.oldVersion, newVersion: ev.newVersion });
+    };
+    // another connection (tab, window or the sync worker) still holds an older version open
+    req.onblocked = () => setDbStatus('blocked', new Error('Database upgrade is waiting for another window to close'));
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      db.onclose = () => { dbPromise = null; };
+      setDbStatus('open');
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
 
-      if (!db.objectStoreNames.contains(STORE_ORDERS)) {
-        const oStore = db.createObjectStore(STORE_ORDERS, { keyPath: 'orderId' });
-        oStore.createIndex('createdAt', 'createdAt', { unique: false });
-        oStore.createIndex('status', 'status', { unique: false });
-      }
+function readStores(db, names) {
+  const present = names.filter((n) => db.objectStoreNames.contains(n));
+  if (!present.length) return Promise.resolve({});
+  const tx = db.transaction(present, 'readonly');
+  return Promise.all(present.map((n) => reqToPromise(tx.objectStore(n).getAll()).then((rows) => [n, rows])))
+    .then((pairs) => Object.fromEntries(pairs));
+}
 
-      // new inventories store: keyPath inventoryId (or fallback to generated id)
-      if (!db.objectStoreNames.contains(STORE_INVENTORIES)) {
-        const invStore = db.createObjectStore(STORE_INVENTORIES, { keyPath: 'inventoryId' });
-        invStore.createIndex('productId', 'productId', { unique: false });
-        invStore.createIndex('createdAt', 'createdAt', { unique: false });
-      } else {
-        // ensure indexes exist for inventories
-        try {
-          const invStore = tx.objectStore(STORE_INVENTORIES);
-          if (!invStore.indexNames.contains('productId')) invStore.createIndex('productId', 'productId', { unique: false });
-          if (!invStore.indexNames.contains('createdAt')) invStore.createIndex('createdAt', 'createdAt', { unique: false });
-        } catch (e) { console.error("Error creating inventory indexes", e); }
-      }
+// Open whatever version is on disk, without upgrading, and copy out the stores we must keep
+function salvageRecords(names) {
+  return new Promise((resolve) => {
+    let req;
+    try { req = indexedDB.open(DB_NAME); } catch (e) { return resolve({}); }
+    req.onupgradeneeded = () => { try { req.transaction.abort(); } catch (e) { } };
+    req.onsuccess = async () => {
+      const db = req.result;
+      try { resolve(await readStores(db, names)); } catch (e) { resolve({}); } finally { db.close(); }
     };
-    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve({});
+  });
+}
+
+function deleteDatabaseFile() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(DB_NAME);
+    req.onsuccess = () => resolve(true);
     req.onerror = () => reject(req.error);
+    req.onblocked = () => setDbStatus('blocked', new Error('Database reset is waiting for another window to close'));
+  });
+}
+
+async function restoreRecords(db, salvaged = {}) {
+  const names = Object.keys(salvaged).filter((n) => db.objectStoreNames.contains(n) && salvaged[n].length);
+  if (!names.length) return;
+  const tx = db.transaction(names, 'readwrite');
+  for (const n of names) {
+    const store = tx.objectStore(n);
+    for (const rec of salvaged[n]) {
+      try { store.put(rec); } catch (e) { }
+    }
+  }
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function readLastRecovery() {
+  try { return JSON.parse(localStorage.getItem(RECOVERY_KEY) || 'null'); } catch (e) { return null; }
+}
+
+/**
+ * Rebuild the database from the migrations, keeping the stores that only exist locally.
+ * The catalog is left empty and refills on the next sync.
+ */
+async function recoverDatabase(cause) {
+  setDbStatus('recovering', cause);
+  const salvaged = await salvageRecords(SALVAGE_STORES);
+  // the catalog starts empty, so its sync watermark must not survive or the next sync
+  // would only fetch changes
+  if (salvaged[STORE_META]) salvaged[STORE_META] = salvaged[STORE_META].filter((r) => !CATALOG_META_KEYS.includes(r.key));
+  await deleteDatabaseFile();
+  const db = await openWithMigrations();
+  await restoreRecords(db, salvaged);
+
+  const report = {
+    at: Date.now(),
+    reason: cause ? `${cause.name || 'Error'}: ${cause.message || cause}` : 'manual rebuild',
+    salvaged: Object.fromEntries(Object.entries(salvaged).map(([n, rows]) => [n, rows.length]))
+  };
+  try { localStorage.setItem(RECOVERY_KEY, JSON.stringify(report)); } catch (e) { }
+  console.warn('[indexedDB] database rebuilt', report);
+  setDbStatus('recovered', cause);
+  return db;
+}
+
+/**
+ * Shared connection. A failed open that looks like corruption, a downgrade or a broken
+ * migration triggers one automatic rebuild per session before giving up.
+ */
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = openWithMigrations()
+      .catch((err) => {
+        if (recoveryAttempted || !RECOVERABLE_ERRORS.has(err?.name)) throw err;
+        recoveryAttempted = true;
+        return recoverDatabase(err);
+      })
+      .catch((err) => {
+        dbPromise = null;
+        setDbStatus('failed', err);
+        throw err;
+      });
+  }
+  return dbPromise;
+}
+
+async function closeDB() {
+  if (!dbPromise) return;
+  const pending = dbPromise;
+  dbPromise = null;
+  try { (await pending).close(); } catch (e) { }
+  setDbStatus('closed');
+}
+
+/** Manual rebuild from the debug view. */
+async function rebuildDatabase() {
+  await closeDB();
+  dbPromise = recoverDatabase(null).catch((err) => {
+    dbPromise = null;
+    setDbStatus('failed', err);
+    throw err;
   });
+  return dbPromise;
+}
+
+/**
+ * Schema snapshot for the debug view: on-disk version, stores, indexes and row counts.
+ */
+async function getSchemaInfo() {
+  const db = await openDB();
+  const names = Array.from(db.objectStoreNames);
+  const stores = [];
+  if (names.length) {
+    const tx = db.transaction(names, 'readonly');
+    for (const name of names) {
+      const store = tx.objectStore(name);
+      const count = await reqToPromise(store.count()).catch(() => null);
+      stores.push({ name, keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes: Array.from(store.indexNames), count });
+    }
+  }
+  return {
+    name: db.name,
+    version: db.version,
+    expectedVersion: DB_VERSION,
+    migrations: MIGRATIONS.map(({ version, description }) => ({ version, description, applied: version <= db.version })),
+    stores,
+    status: dbStatus,
+    lastRecovery: readLastRecovery()
+  };
 }
 
-function reqToPromise(req) {
+// Request and transaction helpers, shared with the services that keep their own stores
+export function reqToPromise(req) {
   return new Promise((resolve, reject) => {
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
   });
 }
 
+/** Settles when the transaction commits; rejects with `abortMessage` when it aborts without an error. */
+export function txDone(tx, abortMessage = 'Transaction aborted') {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error(abortMessage));
+  });
+}
+
 function looksLikeInteger(v) {
   if (v === undefined || v === null) return false;
   return /^[0-9]+$/.test(String(v));
@@ -86,30 +256,43 @@ function toNumber(v, fallback = 0) {
    Products / Barcodes
    ---------------------------- */
 
+function normalizeProductRecord(raw) {
+  const id = normalizeId(raw);
+  if (!id) return null;
+
+  const inventoryId = raw.inventoryId ?? raw.inventory_id ?? raw.inventory ?? null;
+
+  return {
+    ...raw,
+    id,
+    inventoryId: inventoryId ?? undefined,
+    name: raw.name ?? raw.productName ?? raw.title ?? null,
+    name_lower: (raw.name ?? raw.productName ?? raw.title ?? '').toString().toLowerCase(),
+    price: raw.price !== undefined ? toNumber(raw.price) : (raw.salePrice !== undefined ? toNumber(raw.salePrice) : undefined),
+    priceAfterDiscount: raw.priceAfterDiscount !== undefined ? toNumber(raw.priceAfterDiscount) : undefined,
+    // NOTE: do NOT write authoritative stockPrice here anymore — inventories store is source-of-truth
+    updatedAt: raw.updatedAt ?? raw.updated_at ?? Date.now()
+  };
+}
+
+function extractBarcodes(raw) {
+  const barcodes = Array.isArray(raw.barcodes) ? raw.barcodes.slice() : (raw.barcodes ? [raw.barcodes] : []);
+  if (raw.barcode) barcodes.push(raw.barcode);
+  return [...new Set(barcodes.filter(Boolean).map((code) => String(code).trim()).filter(Boolean))];
+}
+
 async function putProducts(products = []) {
   if (!Array.isArray(products) || products.length === 0) return;
   const db = await openDB();
-  const tx = db.transaction([STORE_PRODUCTS, STORE_BARCODES], 'readwrite');
+  const tx = db.transaction([STORE_PRODUCTS, STORE_BARCODES, STORE_META], 'readwrite');
   const pStore = tx.objectStore(STORE_PRODUCTS);
   const bStore = tx.objectStore(STORE_BARCODES);
+  bumpCatalogRevision(tx);
 
   for (const raw of products) {
-    const id = normalizeId(raw);
-    if (!id) continue;
-
-    const inventoryId = raw.inventoryId ?? raw.inventory_id ?? raw.inventory ?? null;
-
-    const product = {
-      ...raw,
-      id,
-      inventoryId: inventoryId ?? undefined,
-      name: raw.name ?? raw.productName ?? raw.title ?? null,
-      name_lower: (raw.name ?? raw.productName ?? raw.title ?? '').toString().toLowerCase(),
-      price: raw.price !== undefined ? toNumber(raw.price) : (raw.salePrice !== undefined ? toNumber(raw.salePrice) : undefined),
-      priceAfterDiscount: raw.priceAfterDiscount !== undefined ? toNumber(raw.priceAfterDiscount) : undefined,
-      // NOTE: do NOT write authoritative stockPrice here anymore — inventories store is source-of-truth
-      updatedAt: raw.updatedAt ?? raw.updated_at ?? Date.now()
-    };
+    const product = normalizeProductRecord(raw);
+    if (!product) continue;
+    const { id } = product;
 
     try {
       // attempt to merge with existing if inventoryId collides
@@ -139,11 +322,8 @@ async function putProducts(products = []) {
       try { pStore.put(product); } catch (err) { }
     }
 
-    const barcodes = Array.isArray(raw.barcodes) ? raw.barcodes : (raw.barcodes ? [raw.barcodes] : []);
-    if (raw.barcode) barcodes.push(raw.barcode);
-    for (const code of barcodes) {
-      if (!code) continue;
-      try { bStore.put({ code: String(code).trim(), productId: id }); } catch (e) { }
+    for (const code of extractBarcodes(raw)) {
+      try { bStore.put({ code, productId: id }); } catch (e) { }
     }
   }
 
@@ -155,7 +335,8 @@ async function putProducts(products = []) {
 
 async function clearAll() {
   const db = await openDB();
-  const tx = db.transaction([STORE_PRODUCTS, STORE_BARCODES, STORE_INVENTORIES], 'readwrite');
+  const tx = db.transaction([STORE_PRODUCTS, STORE_BARCODES, STORE_INVENTORIES, STORE_META], 'readwrite');
+  bumpCatalogRevision(tx);
   tx.objectStore(STORE_PRODUCTS).clear();
   tx.objectStore(STORE_BARCODES).clear();
   tx.objectStore(STORE_INVENTORIES).clear();
@@ -253,39 +434,84 @@ async function getProductByBarcode(code) {
   });
 }
 
+/* ----------------------------
+   Product search index
+   ---------------------------- */
+
+// Every catalog write stamps this meta key in the same transaction, so an index built
+// in this window notices changes made by the sync worker or another window.
+const CATALOG_REVISION_KEY = 'catalogRevision';
+
+let searchIndex = null;
+let searchIndexRevision = null;
+let searchIndexBuild = null;
+
+function bumpCatalogRevision(tx) {
+  tx.objectStore(STORE_META).put({ key: CATALOG_REVISION_KEY, value: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, updatedAt: Date.now() });
+  searchIndex = null;
+}
+
 /**
- * Simple substring search across name_lower (client-side scan).
+ * Current search index, rebuilt from the products store when the catalog revision
+ * has moved since it was built. Concurrent callers share one build.
  */
-async function searchByName(term, limit = 50) {
-  if (!term || term.trim().length < 1) return [];
-  term = term.toLowerCase().trim();
-  const db = await openDB();
-  const tx = db.transaction(STORE_PRODUCTS, 'readonly');
-  const store = tx.objectStore(STORE_PRODUCTS);
-  const results = [];
-  return new Promise((resolve, reject) => {
-    const req = store.openCursor();
-    req.onsuccess = (ev) => {
-      const cur = ev.target.result;
-      if (!cur) {
-        resolve(results.slice(0, limit));
-        return;
-      }
-      const rec = cur.value;
-      if (rec.name_lower && rec.name_lower.includes(term)) {
-        results.push(rec);
-        if (results.length >= limit) return resolve(results.slice(0, limit));
+async function getSearchIndex() {
+  const revision = await getMeta(CATALOG_REVISION_KEY).catch(() => null);
+  if (searchIndex && searchIndexRevision === revision) return searchIndex;
+  if (!searchIndexBuild) {
+    searchIndexBuild = (async () => {
+      try {
+        const products = await getAllProducts();
+        searchIndex = createSearchIndex(products);
+        searchIndexRevision = revision;
+        return searchIndex;
+      } finally {
+        searchIndexBuild = null;
       }
-      cur.continue();
-    };
-    req.onerror = () => reject(req.error);
-  });
+    })();
+  }
+  return searchIndexBuild;
+}
+
+/**
+ * Ranked product search over name, barcode, SKU and category, tolerant of typos
+ * and word order ("sugr", "omo 1kg").
+ * @param {string} term
+ * @param {{ limit?: number }} [options]
+ */
+async function searchProducts(term, { limit = 50 } = {}) {
+  if (!term || term.trim().length < 1) return [];
+  const index = await getSearchIndex();
+  return index.search(term, { limit });
+}
+
+/** Kept for existing callers; now backed by the search index. */
+async function searchByName(term, limit = 50) {
+  return searchProducts(term, { limit });
 }
 
 /* ----------------------------
    Inventories store (new)
    ---------------------------- */
 
+function normalizeInventoryRecord(raw) {
+  // canonicalize inventoryId: prefer inventoryId field, otherwise productId-based key
+  const invId = raw.inventoryId ?? raw.inventory_id ?? (raw.inventoryId === undefined ? null : raw.inventoryId) ?? String(raw.inventoryId ?? Date.now() + Math.random().toString(36).slice(2, 8));
+  return {
+    ...raw,
+    inventoryId: invId,
+    productId: raw.productId ?? raw.product_id ?? null,
+    stockQuantity: toNumber(raw.stockQuantity ?? raw.stockQuantity ?? raw.quantity ?? 0),
+    stockThreshold: toNumber(raw.stockThreshold ?? 0),
+    stockPrice: toNumber(raw.stockPrice ?? raw.price ?? 0),
+    createdAt: raw.createdAt ?? raw.created_at ?? Date.now(),
+    updatedAt: raw.updatedAt ?? raw.updated_at ?? Date.now(),
+    supplierId: raw.supplierId ?? raw.supplier_id ?? null,
+    invoiceNumber: raw.invoiceNumber ?? raw.invoice_number ?? null,
+    raw: raw
+  };
+}
+
 async function putInventories(inventories = []) {
   if (!Array.isArray(inventories) || inventories.length === 0) return;
   const db = await openDB();
@@ -294,21 +520,7 @@ async function putInventories(inventories = []) {
   const pStore = tx.objectStore(STORE_PRODUCTS);
 
   for (const raw of inventories) {
-    // canonicalize inventoryId: prefer inventoryId field, otherwise productId-based key
-    const invId = raw.inventoryId ?? raw.inventory_id ?? (raw.inventoryId === undefined ? null : raw.inventoryId) ?? String(raw.inventoryId ?? Date.now() + Math.random().toString(36).slice(2, 8));
-    const record = {
-      ...raw,
-      inventoryId: invId,
-      productId: raw.productId ?? raw.product_id ?? null,
-      stockQuantity: toNumber(raw.stockQuantity ?? raw.stockQuantity ?? raw.quantity ?? 0),
-      stockThreshold: toNumber(raw.stockThreshold ?? 0),
-      stockPrice: toNumber(raw.stockPrice ?? raw.price ?? 0),
-      createdAt: raw.createdAt ?? raw.created_at ?? Date.now(),
-      updatedAt: raw.updatedAt ?? raw.updated_at ?? Date.now(),
-      supplierId: raw.supplierId ?? raw.supplier_id ?? null,
-      invoiceNumber: raw.invoiceNumber ?? raw.invoice_number ?? null,
-      raw: raw
-    };
+    const record = normalizeInventoryRecord(raw);
 
     invStore.put(record);
 
@@ -389,6 +601,112 @@ async function getLatestInventoryForProduct(productId) {
   return Array.isArray(list) && list.length ? list[0] : null;
 }
 
+/* ----------------------------
+   Catalog sync (atomic delta apply)
+   ---------------------------- */
+
+function idVariants(id) {
+  const variants = [id, String(id)];
+  if (looksLikeInteger(id)) variants.push(Number(id));
+  return [...new Set(variants)];
+}
+
+function deleteByIndex(store, indexName, key) {
+  return new Promise((resolve) => {
+    let req;
+    try { req = store.index(indexName).openKeyCursor(IDBKeyRange.only(key)); } catch (e) { return resolve(); }
+    req.onsuccess = (ev) => {
+      const cur = ev.target.result;
+      if (!cur) return resolve();
+      store.delete(cur.primaryKey);
+      cur.continue();
+    };
+    req.onerror = () => resolve();
+  });
+}
+
+/**
+ * Apply a catalog change set to products, barcodes and inventories in ONE transaction,
+ * so readers see either the old catalog or the new one, never a half-written mix.
+ * With `replace` the three stores are cleared first (full resync); otherwise changed
+ * products are merged over their existing records and their barcodes rewritten.
+ */
+async function applyCatalogDelta({ products = [], inventories = [], deletedProductIds = [], deletedBarcodes = [], replace = false } = {}) {
+  const db = await openDB();
+  const tx = db.transaction([STORE_PRODUCTS, STORE_BARCODES, STORE_INVENTORIES, STORE_META], 'readwrite');
+  const done = txDone(tx, 'Catalog update aborted');
+  const pStore = tx.objectStore(STORE_PRODUCTS);
+  const bStore = tx.objectStore(STORE_BARCODES);
+  const invStore = tx.objectStore(STORE_INVENTORIES);
+  bumpCatalogRevision(tx);
+
+  try {
+    if (replace) {
+      pStore.clear();
+      bStore.clear();
+      invStore.clear();
+    }
+
+    // tombstones
+    for (const rawId of deletedProductIds) {
+      if (rawId === undefined || rawId === null) continue;
+      for (const key of idVariants(rawId)) {
+        pStore.delete(key);
+        await deleteByIndex(bStore, 'productId', key);
+        await deleteByIndex(invStore, 'productId', key);
+      }
+    }
+    for (const code of deletedBarcodes) {
+      if (code) bStore.delete(String(code).trim());
+    }
+
+    for (const raw of products) {
+      const product = normalizeProductRecord(raw);
+      if (!product) continue;
+      let record = product;
+      if (!replace) {
+        const existing = await reqToPromise(pStore.get(product.id)).catch(() => null);
+        if (existing) record = { ...existing, ...product };
+        await deleteByIndex(bStore, 'productId', product.id);
+      }
+      pStore.put(record);
+      for (const code of extractBarcodes(raw)) bStore.put({ code, productId: product.id });
+    }
+
+    for (const raw of inventories) {
+      const record = normalizeInventoryRecord(raw);
+      if (record.inventoryId === undefined || record.inventoryId === null) continue;
+      invStore.put(record);
+    }
+  } catch (err) {
+    try { tx.abort(); } catch (e) { }
+    throw err;
+  }
+
+  return done;
+}
+
+/* ----------------------------
+   Meta (key/value)
+   ---------------------------- */
+
+async function getMeta(key) {
+  const db = await openDB();
+  const tx = db.transaction([STORE_META], 'readonly');
+  const rec = await reqToPromise(tx.objectStore(STORE_META).get(key)).catch(() => null);
+  return rec ? rec.value : null;
+}
+
+async function setMeta(key, value) {
+  const db = await openDB();
+  const tx = db.transaction([STORE_META], 'readwrite');
+  tx.objectStore(STORE_META).put({ key, value, updatedAt: Date.now() });
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve(value);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 /* ----------------------------
    Orders + helpers
    ---------------------------- */
@@ -422,7 +740,7 @@ async function putOrder(orderObj) {
     createdAt: orderObj.createdAt ?? now,
     updatedAt: orderObj.updatedAt ?? now,
     status: orderObj.status ?? (orderObj.paymentType === 'cash' ? (Number(orderObj.cashAmount ?? 0) >= Number(orderObj.cartTotal ?? 0) ? 'paid' : 'pending') : 'pending'),
-    cartTotal: orderObj.cartTotal ?? computeCartTotal(orderObj.cart ?? []),
+    cartTotal: orderObj.cartTotal ?? computeCartTotal(orderObj.cart ?? [], orderObj.orderDiscount ?? null),
     ...orderObj
   };
   store.put(toStore);
@@ -500,19 +818,78 @@ async function clearOrders() {
   });
 }
 
+/* ----------------------------
+   Order outbox
+   ---------------------------- */
+
+async function enqueueOutboxOrder(entry) {
+  if (!entry || !entry.clientOrderId) throw new Error('clientOrderId is required');
+  const db = await openDB();
+  const tx = db.transaction([STORE_OUTBOX], 'readwrite');
+  const store = tx.objectStore(STORE_OUTBOX);
+  const now = Date.now();
+  const toStore = {
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    ...entry
+  };
+  store.put(toStore);
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve(toStore);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * All queued orders, oldest first so replay preserves checkout order.
+ */
+async function getOutboxOrders() {
+  const db = await openDB();
+  const tx = db.transaction([STORE_OUTBOX], 'readonly');
+  const index = tx.objectStore(STORE_OUTBOX).index('createdAt');
+  return reqToPromise(index.getAll());
+}
+
+async function updateOutboxOrder(clientOrderId, patch = {}) {
+  if (!clientOrderId) throw new Error('clientOrderId required');
+  const db = await openDB();
+  const tx = db.transaction([STORE_OUTBOX], 'readwrite');
+  const store = tx.objectStore(STORE_OUTBOX);
+  const getReq = store.get(clientOrderId);
+  return new Promise((resolve, reject) => {
+    getReq.onsuccess = () => {
+      const existing = getReq.result;
+      if (!existing) return reject(new Error('outbox entry not found'));
+      const updated = { ...existing, ...patch, updatedAt: Date.now() };
+      store.put(updated);
+      tx.oncomplete = () => resolve(updated);
+      tx.onerror = () => reject(tx.error);
+    };
+    getReq.onerror = () => reject(getReq.error);
+  });
+}
+
+async function removeOutboxOrder(clientOrderId) {
+  if (!clientOrderId) throw new Error('clientOrderId required');
+  const db = await openDB();
+  const tx = db.transaction([STORE_OUTBOX], 'readwrite');
+  tx.objectStore(STORE_OUTBOX).delete(clientOrderId);
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 /* ----------------------------
    Helpers
    ---------------------------- */
 
-function computeCartTotal(cart = []) {
+function computeCartTotal(cart = [], orderDiscount = null) {
   if (!Array.isArray(cart)) return 0;
-  return cart.reduce((s, it) => {
-    const price = it.priceType === 'Retail'
-      ? (Number(it.price ?? 0))
-      : (Number(it.wholesalePrice) || Number(it.priceAfterDiscount) || Number(it.price ?? 0));
-    const qty = Number(it.quantity ?? it.qty ?? 1);
-    return s + (price * qty);
-  }, 0);
+  return cartTotal(cart, { orderDiscount });
 }
 
 /**
@@ -562,17 +939,7 @@ async function calculateOrderProfit(order = {}) {
 
     const cost = toNumber(inv?.stockPrice ?? 0, 0);
     
-    const pType = String(it.priceType || 'Retail').toLowerCase();
-    const isWholesale = pType.includes('wholesale') || pType.includes('discount');
-
-    let salePrice = 0;
-    if (toNumber(it.sellingPrice) > 0) {
-      salePrice = toNumber(it.sellingPrice);
-    } else if (isWholesale) {
-      salePrice = toNumber(it.wholesalePrice) || toNumber(it.priceAfterDiscount) || toNumber(it.price);
-    } else {
-      salePrice = toNumber(it.salePrice ?? it.price ?? it.unitPrice ?? 0, 0);
-    }
+    const salePrice = soldUnitPrice(it);
 
     const qty = toNumber(it.quantity ?? it.qty ?? 1, 1);
     profit += (salePrice - cost) * qty;
@@ -585,18 +952,29 @@ async function calculateOrderProfit(order = {}) {
    ---------------------------- */
 export default {
   openDB,
+  closeDB,
+  // schema / recovery
+  getSchemaInfo,
+  rebuildDatabase,
+  subscribeDatabaseStatus,
   // products and barcodes
   putProducts,
   getAllProducts,
   getProductById,
   getProductByBarcode,
   searchByName,
+  searchProducts,
+  getSearchIndex,
   clearAll,
   // inventories
   putInventories,
   getAllInventories,
   getInventoriesByProductId,
   getLatestInventoryForProduct,
+  // catalog sync
+  applyCatalogDelta,
+  getMeta,
+  setMeta,
   // orders
   putOrder,
   updateOrder,
@@ -604,6 +982,11 @@ export default {
   getOrderById,
   deleteOrder,
   clearOrders,
+  // order outbox
+  enqueueOutboxOrder,
+  getOutboxOrders,
+  updateOutboxOrder,
+  removeOutboxOrder,
   // utilities
   broadcastOrderMessage,
   // profit helper
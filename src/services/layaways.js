@@ -0,0 +1,263 @@
+// src/services/layaways.js
+// Layaway: a held sale the customer pays off in instalments before taking the goods.
+//
+// The cart stays in heldSalesService and its items stay reserved in the stock ledger like
+// any held sale; this store keeps the money. A layaway is keyed by the held sale's id and
+// opened by the first deposit; its total is fixed then. Every instalment is cash or M-Pesa
+// received there and then. Until the sale is finished the deposits belong to the customer,
+// so the reports carry them as a liability. Once nothing is left to pay the sale is checked
+// out as an ordinary order paid with those same instalments (checkoutTenders), which the
+// order API takes as cash and M-Pesa, and the layaway is closed.
+//
+// The layaway payments route (/layaways/{id}/payments) is not confirmed by the backend yet
+// (serverRoutes), so until it is the instalments are kept on this till only (syncStatus
+// 'local'); the server first hears of them in the finished order. Once it is, each payment
+// is sent on its own under its id, so a resend is not counted twice.
+import indexedDb, { reqToPromise, txDone } from './indexedDB';
+import { STORES } from './dbMigrations';
+import { discountTotals } from './discounts';
+import { SERVER_ROUTES, LOCAL_ONLY, isConfirmed } from './serverRoutes';
+import { TENDER_METHODS, labelFor, createTenderLine } from './tenders';
+import { mapCartToReceiptItems } from '../utils/orderUtils';
+
+const STORE_LAYAWAYS = STORES.LAYAWAYS;
+
+export const LAYAWAY_STATUS = {
+  OPEN: 'open',
+  COMPLETED: 'completed',
+};
+
+// Methods a deposit or instalment can be paid with
+export const PAYMENT_METHODS = [TENDER_METHODS.CASH, TENDER_METHODS.MPESA];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`.toUpperCase();
+
+function layawayError(message) {
+  const err = new Error(message);
+  err.isValidationError = true;
+  return err;
+}
+
+/** What a held sale comes to, priced as checkout will price it. */
+export const saleTotal = (sale) =>
+  discountTotals(mapCartToReceiptItems(Array.isArray(sale?.items) ? sale.items : [], sale?.orderDiscount || null)).total;
+
+const paidOf = (payments = []) => round2((payments || []).reduce((s, p) => s + (Number(p.amount) || 0), 0));
+
+/**
+ * Checks a deposit or instalment before it is taken.
+ * @param {{ method: string, amount: number|string, reference?: string }} payment
+ * @param {object|null} layaway - null for the opening deposit
+ * @param {number} balance - what is left to pay
+ * @returns {string|null} the first problem, worded for a toast, or null when valid
+ */
+export function validatePayment({ method, amount, reference = '' } = {}, layaway, balance) {
+  const value = Number(amount);
+  if (!PAYMENT_METHODS.includes(method)) return 'Deposits are taken in cash or M-Pesa';
+  if (!(value > 0)) return 'Enter the amount paid';
+  if (value - balance > 0.005) return `Only Ksh ${round2(balance).toLocaleString()} is left to pay`;
+  if (method === TENDER_METHODS.MPESA) {
+    const code = String(reference || '').trim().toUpperCase();
+    if (!code) return 'Enter the M-Pesa code';
+    if ((layaway?.payments || []).some((p) => p.reference === code)) return `M-Pesa code ${code} is already recorded on this layaway`;
+  }
+  return null;
+}
+
+/* ----------------------------
+   Storage
+   ---------------------------- */
+
+async function putLayaway(record) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_LAYAWAYS], 'readwrite');
+  const next = { ...record, updatedAt: Date.now() };
+  tx.objectStore(STORE_LAYAWAYS).put(next);
+  await txDone(tx, 'Layaway was not saved');
+  return next;
+}
+
+export async function getLayaway(id) {
+  if (!id) return null;
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_LAYAWAYS], 'readonly');
+  return (await reqToPromise(tx.objectStore(STORE_LAYAWAYS).get(String(id)))) || null;
+}
+
+/** Layaways, oldest first; all of them without a status. */
+export async function getLayaways(status = null) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_LAYAWAYS], 'readonly');
+  const store = tx.objectStore(STORE_LAYAWAYS);
+  const rows = await reqToPromise(status ? store.index('status').getAll(status) : store.getAll());
+  return rows.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/* ----------------------------
+   Deposits and instalments
+   ---------------------------- */
+
+function withPayment(record, { method, amount, reference = '' }, cashier) {
+  const payments = [...(record.payments || []), {
+    id: newId('LAY'),
+    method,
+    label: labelFor(method),
+    amount: round2(Number(amount)),
+    reference: method === TENDER_METHODS.MPESA ? String(reference).trim().toUpperCase() : null,
+    cashier,
+    createdAt: Date.now(),
+    syncStatus: 'pending',
+  }];
+  const paid = paidOf(payments);
+  return { ...record, payments, paid, balance: round2(Math.max(0, record.total - paid)), syncStatus: 'pending' };
+}
+
+/**
+ * Sends the layaway's payments the server has not acknowledged yet. Each payment goes
+ * under its own id, so a retry after a lost response does not count it twice. While the
+ * route is not confirmed nothing is sent and the layaway is kept on this till only.
+ * @param {object} record
+ * @param {{ postLayawayPayment: Function }} client - api client
+ */
+export async function syncLayaway(record, client) {
+  if (!client || (record.syncStatus !== 'pending' && record.syncStatus !== LOCAL_ONLY)) return record;
+  if (!isConfirmed(SERVER_ROUTES.LAYAWAY_PAYMENTS)) {
+    return record.syncStatus === LOCAL_ONLY ? record : putLayaway({ ...record, syncStatus: LOCAL_ONLY, syncError: null });
+  }
+  let lastError = null;
+  const payments = [];
+  for (const payment of record.payments || []) {
+    if (payment.syncStatus === 'synced') {
+      payments.push(payment);
+      continue;
+    }
+    try {
+      await client.postLayawayPayment(record.id, { ...payment, layawayName: record.name, customer: record.customer, total: record.total });
+      payments.push({ ...payment, syncStatus: 'synced', syncedAt: Date.now() });
+    } catch (e) {
+      lastError = e;
+      payments.push(payment);
+    }
+  }
+  return putLayaway({
+    ...record,
+    payments,
+    syncStatus: payments.every((p) => p.syncStatus === 'synced') ? 'synced' : 'pending',
+    syncError: lastError ? String(lastError.message || lastError) : null,
+  });
+}
+
+/**
+ * Retries payments for every layaway still pending, and once the route is confirmed those
+ * of open layaways kept locally; a finished layaway's instalments reached the server in its order.
+ */
+export async function retryPendingLayaways(client) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_LAYAWAYS], 'readonly');
+  const index = tx.objectStore(STORE_LAYAWAYS).index('syncStatus');
+  const pending = await reqToPromise(index.getAll('pending')).catch(() => []);
+  if (isConfirmed(SERVER_ROUTES.LAYAWAY_PAYMENTS)) {
+    const local = await reqToPromise(index.getAll(LOCAL_ONLY)).catch(() => []);
+    pending.push(...local.filter((l) => l.status === LAYAWAY_STATUS.OPEN));
+  }
+  let synced = 0;
+  for (const record of pending) {
+    const next = await syncLayaway(record, client).catch(() => record);
+    if (next.syncStatus === 'synced') synced += 1;
+  }
+  return { pending: pending.length, synced };
+}
+
+/**
+ * Takes a deposit on a held sale, opening its layaway, or another instalment on one
+ * already open. The payment is kept locally first and sent to the server when it can
+ * be reached and the route is confirmed.
+ * @param {{ sale: object, payment: { method: string, amount: number|string, reference?: string },
+ *   customer?: object|null, cashier?: string, client?: object }} input - `sale` is the held sale
+ * @returns {Promise<object>} the layaway after the payment
+ */
+export async function takePayment({ sale, payment, customer = null, cashier = '', client = null }) {
+  if (!sale?.id) throw layawayError('Hold the sale before taking a deposit');
+  const existing = await getLayaway(sale.id);
+  if (existing && existing.status !== LAYAWAY_STATUS.OPEN) throw layawayError('This layaway is already finished');
+
+  const now = Date.now();
+  const record = existing || {
+    id: String(sale.id),
+    name: sale.name || 'Layaway',
+    customer: customer ? { name: String(customer.name || ''), phone: String(customer.phone || '') } : null,
+    total: round2(saleTotal(sale)),
+    payments: [],
+    paid: 0,
+    status: LAYAWAY_STATUS.OPEN,
+    createdAt: now,
+  };
+  if (!(record.total > 0)) throw layawayError('The held sale has nothing to pay for');
+
+  const balance = round2(record.total - paidOf(record.payments));
+  const problem = validatePayment(payment, existing, balance);
+  if (problem) throw layawayError(problem);
+
+  const saved = await putLayaway(withPayment(record, payment, cashier));
+  return client ? syncLayaway(saved, client) : saved;
+}
+
+/**
+ * Tender lines a fully paid layaway is checked out with: its cash instalments as one cash
+ * line and each M-Pesa instalment under its own code, so the order carries the money as
+ * it was actually received. The cash is already in the drawer.
+ * @param {object} record - the layaway
+ * @returns {object[]} split tender lines (services/tenders)
+ */
+export function checkoutTenders(record) {
+  if (!record || record.status !== LAYAWAY_STATUS.OPEN) throw layawayError('Layaway not found');
+  const balance = round2(record.total - paidOf(record.payments));
+  if (balance > 0) throw layawayError(`Ksh ${balance.toLocaleString()} is still to be paid`);
+
+  const payments = record.payments || [];
+  const cash = paidOf(payments.filter((p) => p.method === TENDER_METHODS.CASH));
+  return [
+    ...(cash > 0 ? [createTenderLine(TENDER_METHODS.CASH, { amount: String(cash) })] : []),
+    ...payments
+      .filter((p) => p.method === TENDER_METHODS.MPESA)
+      .map((p) => createTenderLine(TENDER_METHODS.MPESA, { amount: String(p.amount), reference: p.reference })),
+  ];
+}
+
+/** Closes a fully paid layaway once its sale has gone through. */
+export async function completeLayaway(id, { orderId = null } = {}) {
+  const record = await getLayaway(id);
+  if (!record) throw layawayError('Layaway not found');
+  if (record.status === LAYAWAY_STATUS.COMPLETED) return record;
+  return putLayaway({ ...record, status: LAYAWAY_STATUS.COMPLETED, orderId: orderId ? String(orderId) : null, completedAt: Date.now() });
+}
+
+/**
+ * Deposits the shop holds for goods not yet handed over, and what customers still owe on them.
+ * @returns {{ count: number, deposits: number, outstanding: number }}
+ */
+export function liability(layaways = []) {
+  const open = (layaways || []).filter((l) => l.status === LAYAWAY_STATUS.OPEN);
+  return {
+    count: open.length,
+    deposits: round2(open.reduce((s, l) => s + (Number(l.paid) || 0), 0)),
+    outstanding: round2(open.reduce((s, l) => s + (Number(l.balance) || 0), 0)),
+  };
+}
+
+export default {
+  LAYAWAY_STATUS,
+  PAYMENT_METHODS,
+  saleTotal,
+  validatePayment,
+  getLayaway,
+  getLayaways,
+  syncLayaway,
+  retryPendingLayaways,
+  takePayment,
+  checkoutTenders,
+  completeLayaway,
+  liability,
+};
@@ -0,0 +1,274 @@
+// src/services/mpesaPayments.js
+// Matching incoming M-Pesa payments (the `/payments` feed) to POS orders.
+//
+// After an STK-push order is created the POS polls the feed for a payment from the same
+// phone, for the same amount, inside the order's time window, and completes the sale
+// itself when one turns up. Only a phone that can actually be compared confirms a sale;
+// payments of the right amount whose phone cannot be read are offered to the cashier to
+// pick from. Payments already linked to an earlier local order are skipped.
+import indexedDb from './indexedDB';
+import { TENDER_METHODS, promptLine } from './tenders';
+
+export const POLL_INTERVAL_MS = 5000;
+export const CONFIRM_TIMEOUT_MS = 3 * 60 * 1000;
+// Till and M-Pesa clocks drift; accept payments stamped a little before the order
+export const CLOCK_SKEW_MS = 2 * 60 * 1000;
+const AMOUNT_TOLERANCE = 0.5;
+// Digits two numbers must share, masked ones included, before they count as the same phone
+const MIN_PHONE_DIGITS = 6;
+// Recency score halves every this many minutes
+const RECENCY_HALF_LIFE_MIN = 30;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Daraja TransTime is local time as YYYYMMDDHHmmss
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const s = String(value);
+  const m = s.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (m) return new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]).getTime();
+  if (/^\d{10,13}$/.test(s)) return s.length === 10 ? Number(s) * 1000 : Number(s);
+  const parsed = Date.parse(s);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/** One shape for the field-name variants the payments feed has used. */
+export function normalizeTransaction(tx = {}) {
+  return {
+    id: String(tx.transactionId || tx.TransID || tx.transaction_id || '').trim().toUpperCase() || null,
+    amount: Number(tx.transamount ?? tx.TransAmount ?? tx.amount ?? 0) || 0,
+    phone: String(tx.msisdn ?? tx.MSISDN ?? tx.phoneNumber ?? tx.phone ?? '').trim(),
+    name: String(tx.name || tx.Name || tx.customerName || '').trim(),
+    at: parseTime(tx.transTime ?? tx.TransTime ?? tx.createdAt ?? tx.created_at ?? tx.timestamp),
+    status: tx.status || tx.Status || '',
+    raw: tx,
+  };
+}
+
+// Last nine characters of a Kenyan MSISDN (7XXXXXXXX), keeping '*' from masked numbers.
+// Newer Daraja callbacks send a hashed MSISDN, which cannot be compared.
+const phoneTail = (phone) => {
+  if (/[a-z]/i.test(String(phone || ''))) return null;
+  const s = String(phone || '').replace(/[^\d*]/g, '');
+  return s.length >= 9 ? s.slice(-9) : null;
+};
+
+/**
+ * Compares two phone numbers, allowing for 07.., 2547.. and masked forms (254712***678).
+ * @returns {'match'|'mismatch'|'unknown'} unknown when either side has too few digits to tell
+ */
+export function comparePhones(a, b) {
+  const x = phoneTail(a);
+  const y = phoneTail(b);
+  if (!x || !y) return 'unknown';
+  let compared = 0;
+  for (let i = 0; i < 9; i++) {
+    if (x[i] === '*' || y[i] === '*') continue;
+    if (x[i] !== y[i]) return 'mismatch';
+    compared += 1;
+  }
+  return compared >= MIN_PHONE_DIGITS ? 'match' : 'unknown';
+}
+
+/**
+ * What the POS expects to receive by STK push for a pending order, or null when the
+ * payment has no phone-prompted M-Pesa part.
+ * @returns {{ phone: string, amount: number, lineId?: string }|null}
+ */
+export function expectedPayment(paymentType, paymentData = {}, total = 0) {
+  const pd = paymentData || {};
+  if (paymentType === 'mpesa' && pd.mpesaPhone) {
+    return { phone: pd.mpesaPhone, amount: Number(pd.mpesaAmount) || Number(total) || 0 };
+  }
+  if (paymentType === 'split') {
+    const line = promptLine(pd.tenders);
+    if (line) return { phone: line.phone, amount: Number(line.amount) || 0, lineId: line.id };
+  }
+  return null;
+}
+
+/** Records the confirming M-Pesa code on the payment data the order was created with. */
+export function linkTransaction(paymentType, paymentData = {}, transactionId) {
+  const code = String(transactionId || '').trim().toUpperCase();
+  if (paymentType === 'split') {
+    const line = promptLine(paymentData.tenders);
+    return {
+      ...paymentData,
+      tenders: (paymentData.tenders || []).map((t) => (line && t.id === line.id ? { ...t, reference: code } : t)),
+    };
+  }
+  return { ...paymentData, mpesaCode: code };
+}
+
+// Unused payments of the expected amount inside the time window, with how their phone compares
+function windowMatches(transactions, expected, usedIds) {
+  const until = expected.until ?? Date.now() + CLOCK_SKEW_MS;
+  return (transactions || [])
+    .filter((t) =>
+      t.id &&
+      !usedIds.has(t.id) &&
+      Math.abs(t.amount - expected.amount) <= AMOUNT_TOLERANCE &&
+      t.at !== null &&
+      t.at >= expected.since - CLOCK_SKEW_MS &&
+      t.at <= until)
+    .map((t) => ({ t, phone: comparePhones(t.phone, expected.phone) }));
+}
+
+/**
+ * The payment that confirms `expected`, if any: only one whose phone matches.
+ * @param {object[]} transactions - normalized transactions
+ * @param {{ phone: string, amount: number, since: number, until?: number }} expected
+ * @param {Set<string>} [usedIds] - transaction ids already linked to other orders
+ */
+export function findPaymentMatch(transactions = [], expected, usedIds = new Set()) {
+  if (!expected) return null;
+  const matched = windowMatches(transactions, expected, usedIds).filter((c) => c.phone === 'match').map((c) => c.t);
+  return matched.length ? matched.sort((a, b) => a.at - b.at)[0] : null;
+}
+
+/**
+ * Payments that fit the amount and time window but whose phone cannot be compared
+ * (hashed, missing or masked down to a few digits), oldest first. They are never used
+ * automatically; the cashier picks one after checking the customer's SMS.
+ */
+export function findPaymentCandidates(transactions = [], expected, usedIds = new Set()) {
+  if (!expected) return [];
+  return windowMatches(transactions, expected, usedIds)
+    .filter((c) => c.phone === 'unknown')
+    .map((c) => c.t)
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * How a payment of `amount` settles an order of `total`: cash still to collect when the
+ * customer paid too little, cash to hand back when they paid too much.
+ */
+export function settleDifference(amount, total) {
+  const difference = round2((Number(amount) || 0) - (Number(total) || 0));
+  if (Math.abs(difference) <= AMOUNT_TOLERANCE) return { difference: 0, collect: 0, refund: 0 };
+  return { difference, collect: difference < 0 ? -difference : 0, refund: difference > 0 ? difference : 0 };
+}
+
+/**
+ * Orders payments for the cashier to pick from: closeness to the cart total first, then
+ * recency. Exact matches always outrank near misses of similar age. Payments already
+ * linked to an order are left out.
+ * @returns {object[]} normalized transactions plus { score, exact, difference, collect, refund }
+ */
+export function rankTransactions(transactions = [], { total = 0, now = Date.now(), usedIds = new Set() } = {}) {
+  return (transactions || [])
+    .filter((t) => !t.id || !usedIds.has(t.id))
+    .map((t) => {
+      const settle = settleDifference(t.amount, total);
+      const exact = total > 0 && settle.difference === 0;
+      const closeness = total > 0 ? Math.max(0, 1 - Math.abs(settle.difference) / total) : 0;
+      const ageMin = t.at !== null ? Math.max(0, (now - t.at) / 60000) : null;
+      const recency = ageMin === null ? 0 : 0.5 ** (ageMin / RECENCY_HALF_LIFE_MIN);
+      const score = (exact ? 1 : 0.6 * closeness) * 0.75 + recency * 0.25;
+      return { ...t, ...settle, exact, score };
+    })
+    .sort((a, b) => b.score - a.score || (b.at || 0) - (a.at || 0));
+}
+
+/** Fetches and normalizes the payments feed. */
+export async function fetchTransactions(client) {
+  const res = await client.get('/payments');
+  const data = res?.data;
+  const list = Array.isArray(data) ? data : Array.isArray(data?.data) ? data.data : [];
+  return list.map(normalizeTransaction);
+}
+
+/** M-Pesa codes already recorded against local orders. */
+export async function usedTransactionIds({ limit = 300 } = {}) {
+  const ids = new Set();
+  const add = (v) => { if (v) ids.add(String(v).trim().toUpperCase()); };
+  try {
+    const orders = await indexedDb.getAllOrders({ limit });
+    (orders || []).forEach((o) => {
+      const pd = o.paymentData || {};
+      add(pd.mpesaCode);
+      add(o.orderData?.transactionId);
+      (pd.tenders || []).forEach((t) => { if (t.method === TENDER_METHODS.MPESA) add(t.reference); });
+    });
+  } catch (e) {
+    console.warn('[mpesaPayments] could not read local orders', e);
+  }
+  return ids;
+}
+
+/**
+ * Polls for the payment that confirms a pending order. Until one does, `onCandidates`
+ * hears about payments the cashier could pick (findPaymentCandidates) whenever they change.
+ * @param {{ expected: object, load: () => Promise<object[]>, getUsedIds?: () => Promise<Set<string>>,
+ *   onMatch: (tx: object) => void, onCandidates?: (txs: object[]) => void, onTimeout?: () => void,
+ *   onError?: (e: Error) => void, intervalMs?: number, timeoutMs?: number }} opts
+ * @returns {() => void} stops the watch
+ */
+export function watchForPayment({
+  expected,
+  load,
+  getUsedIds = async () => new Set(),
+  onMatch,
+  onCandidates = () => {},
+  onTimeout = () => {},
+  onError = () => {},
+  intervalMs = POLL_INTERVAL_MS,
+  timeoutMs = CONFIRM_TIMEOUT_MS,
+}) {
+  let stopped = false;
+  let timer = null;
+  let lastCandidates = '';
+  const deadline = Date.now() + timeoutMs;
+  const matchWindow = { ...expected, until: expected.until ?? deadline + CLOCK_SKEW_MS };
+
+  const tick = async () => {
+    if (stopped) return;
+    try {
+      const [list, used] = await Promise.all([load(), getUsedIds()]);
+      if (stopped) return;
+      const match = findPaymentMatch(list, matchWindow, used);
+      if (match) {
+        stopped = true;
+        onMatch(match);
+        return;
+      }
+      const candidates = findPaymentCandidates(list, matchWindow, used);
+      const ids = candidates.map((t) => t.id).join(',');
+      if (ids !== lastCandidates) {
+        lastCandidates = ids;
+        onCandidates(candidates);
+      }
+    } catch (e) {
+      onError(e);
+    }
+    if (stopped) return;
+    if (Date.now() >= deadline) {
+      stopped = true;
+      onTimeout();
+      return;
+    }
+    timer = setTimeout(tick, intervalMs);
+  };
+
+  timer = setTimeout(tick, intervalMs);
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+export default {
+  POLL_INTERVAL_MS,
+  CONFIRM_TIMEOUT_MS,
+  normalizeTransaction,
+  comparePhones,
+  expectedPayment,
+  linkTransaction,
+  findPaymentMatch,
+  findPaymentCandidates,
+  settleDifference,
+  rankTransactions,
+  fetchTransactions,
+  usedTransactionIds,
+  watchForPayment,
+};
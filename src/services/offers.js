@@ -0,0 +1,271 @@
+// src/services/offers.js
+// Offers the till applies on its own: flash sales (created in stock management with a
+// start and end time) and the standing "other offers" (a product's `priceAfterDiscount`).
+//
+// Both lists are fetched from the server and kept in the meta store, so the till still
+// knows what is on promotion while offline. A cart line picks up the cheapest offer live
+// for its product and switches it on (`applyDiscount`); the offer's price goes in the
+// line's `priceAfterDiscount`, so utils/pricing prices it like any other offer. The line
+// keeps a copy of the offer (`line.offer`) so the sale records which one it used. Once
+// the offer's window closes the line goes back to the price it had before.
+//
+// The server only knows a product's standing offer price, so an order line sold under
+// an offer carries the price the till charged (`unitPrice`) as well as the offer's id.
+import indexedDb from './indexedDB';
+import { linePortions, listPrice, offerPrice, priceLine, PRICE_TYPES } from '../utils/pricing';
+
+const CACHE_KEY = 'offers';
+
+export const OFFER_KINDS = {
+  FLASH_SALE: 'flash',
+  PRODUCT: 'product',
+};
+
+const KIND_LABELS = {
+  [OFFER_KINDS.FLASH_SALE]: 'Flash sale',
+  [OFFER_KINDS.PRODUCT]: 'Offer',
+};
+
+const num = (v) => Number(v) || 0;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const listOf = (res) => (Array.isArray(res?.data) ? res.data : (Array.isArray(res) ? res : []));
+
+const timeOf = (v) => {
+  if (v === null || v === undefined || v === '') return null;
+  const t = typeof v === 'number' ? v : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+};
+
+/* ----------------------------
+   Normalizing
+   ---------------------------- */
+
+/**
+ * Flash sales as the server lists them, one offer per product. A sale created for several
+ * products at once may come back with its `items`; each gets the sale's window.
+ */
+export function normalizeFlashSales(rows = []) {
+  const offers = [];
+  for (const fs of rows || []) {
+    if (!fs) continue;
+    const saleId = fs.id ?? fs.flashSaleId ?? fs.offerId ?? fs.storeId;
+    const items = Array.isArray(fs.items) && fs.items.length ? fs.items : [fs];
+    for (const it of items) {
+      const productId = it.productId ?? fs.productId;
+      const price = num(it.priceAfterDiscount || it.discountValue);
+      if (productId === undefined || productId === null || !(price > 0)) continue;
+      offers.push({
+        id: `${OFFER_KINDS.FLASH_SALE}-${saleId ?? productId}${items.length > 1 ? `-${productId}` : ''}`,
+        kind: OFFER_KINDS.FLASH_SALE,
+        label: KIND_LABELS[OFFER_KINDS.FLASH_SALE],
+        productId: String(productId),
+        name: String(it.name || it.productName || fs.name || ''),
+        price: round2(price),
+        startTime: timeOf(fs.startTime),
+        endTime: timeOf(fs.endTime),
+        isActive: fs.isActive !== false && it.isActive !== false,
+      });
+    }
+  }
+  return offers;
+}
+
+/** Standing offers: products listed with an offer price and no time window. */
+export function normalizeOfferProducts(rows = []) {
+  return (rows || [])
+    .filter((p) => p && num(p.priceAfterDiscount) > 0)
+    .map((p) => {
+      const productId = String(p.productId ?? p.id ?? p._id);
+      return {
+        id: `${OFFER_KINDS.PRODUCT}-${productId}`,
+        kind: OFFER_KINDS.PRODUCT,
+        label: KIND_LABELS[OFFER_KINDS.PRODUCT],
+        productId,
+        name: String(p.name || p.productName || ''),
+        price: round2(num(p.priceAfterDiscount)),
+        startTime: null,
+        endTime: null,
+        isActive: p.isActive !== false,
+      };
+    });
+}
+
+/* ----------------------------
+   Cache
+   ---------------------------- */
+
+/** Offers as last fetched: { offers, fetchedAt }. */
+export async function getCachedOffers() {
+  const cached = await indexedDb.getMeta(CACHE_KEY).catch(() => null);
+  return { offers: Array.isArray(cached?.offers) ? cached.offers : [], fetchedAt: cached?.fetchedAt || null };
+}
+
+/**
+ * Fetches flash sales and standing offers and caches them. A list the server does not
+ * return keeps its cached copy; when neither comes back the error is thrown and the
+ * cache is left as it was.
+ * @param {{ getFlashSales: Function, getOfferProducts: Function }} client - api client
+ * @returns {Promise<{ offers: object[], fetchedAt: number }>}
+ */
+export async function refreshOffers(client) {
+  const [flash, standing] = await Promise.allSettled([client.getFlashSales(), client.getOfferProducts()]);
+  if (flash.status === 'rejected' && standing.status === 'rejected') throw flash.reason;
+
+  const { offers: cached } = await getCachedOffers();
+  const keep = (kind) => cached.filter((o) => o.kind === kind);
+  const offers = [
+    ...(flash.status === 'fulfilled' ? normalizeFlashSales(listOf(flash.value)) : keep(OFFER_KINDS.FLASH_SALE)),
+    ...(standing.status === 'fulfilled' ? normalizeOfferProducts(listOf(standing.value)) : keep(OFFER_KINDS.PRODUCT)),
+  ];
+  const next = { offers, fetchedAt: Date.now() };
+  await indexedDb.setMeta(CACHE_KEY, next);
+  return next;
+}
+
+/* ----------------------------
+   Time windows
+   ---------------------------- */
+
+/** Whether the offer is switched on and `now` falls inside its window. */
+export function isLive(offer, now = Date.now()) {
+  if (!offer || offer.isActive === false) return false;
+  if (offer.startTime && now < offer.startTime) return false;
+  if (offer.endTime && now >= offer.endTime) return false;
+  return true;
+}
+
+/**
+ * The cheapest live offer for each product.
+ * @returns {Object<string, object>} keyed by product id
+ */
+export function liveOffersByProduct(offers = [], now = Date.now()) {
+  const byProduct = {};
+  for (const offer of offers || []) {
+    if (!isLive(offer, now)) continue;
+    const current = byProduct[offer.productId];
+    if (!current || offer.price < current.price) byProduct[offer.productId] = offer;
+  }
+  return byProduct;
+}
+
+/* ----------------------------
+   Cart
+   ---------------------------- */
+
+const productIdOf = (item) => String(item?.productId ?? item?.id ?? item?._id ?? '');
+
+/**
+ * Applies live offers to cart lines. A line takes its product's offer when the offer
+ * beats the line's own price; a line already carrying that offer is left alone, so a
+ * cashier who switched it off keeps it off. A line whose offer has ended goes back to
+ * the offer price and setting it had before.
+ * @param {object[]} items - cart lines
+ * @param {Object<string, object>} byProduct - liveOffersByProduct
+ * @returns {object[]} the same array when nothing changed
+ */
+export function applyOffersToCart(items = [], byProduct = {}) {
+  let changed = false;
+  const next = (items || []).map((item) => {
+    const offer = byProduct[productIdOf(item)];
+    const current = item.offer || null;
+    if (offer && offer.price < listPrice(item)) {
+      if (current?.id === offer.id && current.price === offer.price) return item;
+      changed = true;
+      const before = current
+        ? current.before
+        : { priceAfterDiscount: item.priceAfterDiscount ?? null, applyDiscount: !!item.applyDiscount };
+      return {
+        ...item,
+        priceAfterDiscount: offer.price,
+        applyDiscount: true,
+        offer: {
+          id: offer.id,
+          kind: offer.kind,
+          label: offer.label,
+          price: offer.price,
+          endTime: offer.endTime,
+          before,
+        },
+      };
+    }
+    if (!current) return item;
+    changed = true;
+    return {
+      ...item,
+      priceAfterDiscount: current.before?.priceAfterDiscount ?? item.priceAfterDiscount,
+      applyDiscount: !!current.before?.applyDiscount,
+      offer: null,
+    };
+  });
+  return changed ? next : items;
+}
+
+/** The offer a line was sold under: the one it carries, when its offer price was used. */
+export function offerUsed(item) {
+  if (!item?.offer || offerPrice(item) === null) return null;
+  const { id, kind, label, price } = item.offer;
+  return { id, kind, label, price };
+}
+
+/**
+ * A cart line as order items: one per linePortions portion, with the unit price the till
+ * charged and, for the part sold at an offer price, the offer's id. The caller adds the
+ * product id.
+ * @returns {{ quantity: number, priceType: string, applyDiscount: boolean, unitPrice: number, offerId?: string }[]}
+ */
+export function orderItemsFor(item) {
+  const offer = offerUsed(item);
+  return linePortions(item).map((portion) => {
+    const applyDiscount = !!item.applyDiscount && portion.applyDiscount;
+    return {
+      quantity: portion.quantity,
+      priceType: portion.priceType === PRICE_TYPES.DISCOUNTED || portion.priceType === PRICE_TYPES.WHOLESALE ? PRICE_TYPES.DISCOUNTED : PRICE_TYPES.RETAIL,
+      applyDiscount,
+      unitPrice: portion.unitPrice,
+      ...(applyDiscount && offer ? { offerId: offer.id } : {}),
+    };
+  });
+}
+
+/* ----------------------------
+   Reports
+   ---------------------------- */
+
+/**
+ * What each offer sold: units, takings at the offer price and what customers saved
+ * against the line's own price. Units a quantity break priced lower are not counted.
+ * @param {object[]} lines - cart lines as sold (the cart kept with each local order)
+ * @returns {{ id: string, label: string, name: string, price: number, units: number, sales: number, saving: number }[]}
+ *   biggest sales first
+ */
+export function summarizeOfferSales(lines = []) {
+  const map = new Map();
+  for (const line of lines || []) {
+    const offer = offerUsed(line);
+    if (!offer) continue;
+    const { tier, quantity } = priceLine(line);
+    const units = tier ? tier.remainder : quantity;
+    if (!(units > 0)) continue;
+    const cur = map.get(offer.id) || { id: offer.id, label: offer.label || 'Offer', name: String(line.name || line.productName || ''), price: offer.price, units: 0, sales: 0, saving: 0 };
+    cur.units += units;
+    cur.sales = round2(cur.sales + offer.price * units);
+    cur.saving = round2(cur.saving + Math.max(0, listPrice(line) - offer.price) * units);
+    map.set(offer.id, cur);
+  }
+  return [...map.values()].sort((a, b) => b.sales - a.sales);
+}
+
+export default {
+  OFFER_KINDS,
+  normalizeFlashSales,
+  normalizeOfferProducts,
+  getCachedOffers,
+  refreshOffers,
+  isLive,
+  liveOffersByProduct,
+  applyOffersToCart,
+  offerUsed,
+  orderItemsFor,
+  summarizeOfferSales,
+};
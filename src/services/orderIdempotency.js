@@ -0,0 +1,97 @@
+// src/services/orderIdempotency.js
+// Client idempotency keys for order submission.
+//
+// Every cart gets a checkout key when it is first submitted (kept with the cart in the
+// products slice and dropped by clearCart). It is the order's clientOrderId and is sent
+// as the Idempotency-Key header. The same cart submitted again - a double Enter, a retry
+// after a timeout, another try after an M-Pesa prompt failed - reuses the key, and:
+//   - while the first request is still in flight, the repeat joins it instead of posting;
+//   - once the sale has settled (paid, or queued offline), the repeat is answered from the
+//     local record and mapped back to the original order id instead of being recorded as
+//     a new sale.
+// A new cart never inherits a finished key, however alike the two sales look.
+// Completed keys are kept in localStorage for a week.
+
+const STORAGE_KEY = 'arpella:completedOrderKeys';
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 500;
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const inFlight = new Map();
+
+export const createKey = () =>
+  `POS-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`.toUpperCase();
+
+/** Stable key for a held sale, so checking the same held sale out twice is one order. */
+export const keyForHeldSale = (saleId) => `POS-${String(saleId).replace(/[^a-z0-9]+/gi, '-')}`.toUpperCase();
+
+function readStore() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function writeStore(store) {
+  const cutoff = Date.now() - RETENTION_MS;
+  const kept = Object.entries(store)
+    .filter(([, v]) => v && v.completedAt >= cutoff)
+    .sort((a, b) => b[1].completedAt - a[1].completedAt)
+    .slice(0, MAX_ENTRIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(kept)));
+  } catch (e) {
+    console.warn('[orderIdempotency] could not persist completed keys', e);
+  }
+}
+
+/** @returns {{ orderId: string, queued: boolean, data: object, completedAt: number }|null} */
+export function getCompleted(key) {
+  if (!key) return null;
+  return readStore()[key] || null;
+}
+
+/**
+ * Remember that a key produced a settled sale. `data` is the minimal order response the POS
+ * needs to map a repeat back to it (orderId, clientOrderId, buyerPin).
+ */
+export function markCompleted(key, { orderId = null, queued = false, data = {} } = {}) {
+  if (!key) return;
+  const store = readStore();
+  const prev = store[key] || {};
+  store[key] = {
+    ...prev,
+    orderId: orderId ?? prev.orderId ?? key,
+    queued,
+    data: { ...(prev.data || {}), ...data },
+    completedAt: prev.completedAt || Date.now(),
+  };
+  writeStore(store);
+}
+
+/**
+ * Run `fn` once per key at a time. A caller arriving while the key is in flight gets
+ * the same result marked `duplicate: true` and must not complete the sale again.
+ */
+export function runOnce(key, fn) {
+  const existing = inFlight.get(key);
+  if (existing) return existing.then((res) => ({ ...res, duplicate: true }));
+  const p = Promise.resolve().then(fn).finally(() => inFlight.delete(key));
+  inFlight.set(key, p);
+  return p;
+}
+
+export const isInFlight = (key) => inFlight.has(key);
+
+export default {
+  IDEMPOTENCY_HEADER,
+  createKey,
+  keyForHeldSale,
+  getCompleted,
+  markCompleted,
+  runOnce,
+  isInFlight,
+};
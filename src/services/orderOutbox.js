@@ -0,0 +1,197 @@
+// src/services/orderOutbox.js
+// Offline order outbox. Orders that could not reach the API are persisted in the
+// IndexedDB `outbox` store with their full payload and a stable clientOrderId,
+// then replayed oldest-first once connectivity returns.
+
+import api from './api';
+import indexedDb from './indexedDB';
+import { isConnectivityError } from './apiErrors';
+import stockLedger from './stockLedger';
+import orderIdempotency, { IDEMPOTENCY_HEADER } from './orderIdempotency';
+
+const REPLAY_INTERVAL_MS = 30_000;
+
+const listeners = new Set();
+let pendingCount = 0;
+let failedCount = 0;
+let replaying = false;
+let lastError = null;
+let lastReplayAt = null;
+let intervalId = null;
+let running = false;
+
+const createClientOrderId = () => orderIdempotency.createKey();
+
+// Offline and timed-out requests are worth queueing; auth and validation errors are not.
+const isNetworkError = (err) => !!err && isConnectivityError(err);
+
+function notifyListeners(payload) {
+  for (const l of listeners) {
+    try { l(payload); } catch (e) { console.error('Outbox listener error:', e); }
+  }
+}
+
+const getState = () => ({ pending: pendingCount, failed: failedCount, replaying, lastError, lastReplayAt, running });
+
+async function refreshCounts() {
+  try {
+    const entries = await indexedDb.getOutboxOrders();
+    pendingCount = entries.filter((e) => e.status !== 'failed').length;
+    failedCount = entries.filter((e) => e.status === 'failed').length;
+  } catch (err) {
+    console.error('Outbox count failed:', err);
+  }
+  notifyListeners({ type: 'state', ...getState() });
+  return getState();
+}
+
+/**
+ * Persist an order payload for later submission.
+ * The clientOrderId is written into the payload so replays carry the same id.
+ */
+async function enqueue({ clientOrderId, payload, meta = {} }) {
+  const id = clientOrderId || payload?.clientOrderId || createClientOrderId();
+  const entry = await indexedDb.enqueueOutboxOrder({
+    clientOrderId: id,
+    payload: { ...payload, clientOrderId: id },
+    meta,
+  });
+  await refreshCounts();
+  return entry;
+}
+
+async function submitEntry(entry) {
+  // the same key as the original attempt, so a replay of an order the server did get is not a second sale
+  const res = await api.post('/order', entry.payload, {
+    headers: { 'Content-Type': 'application/json', [IDEMPOTENCY_HEADER]: entry.clientOrderId },
+  });
+  const data = res?.data || {};
+  const serverOrderId = data.orderid || data.orderId || data.id || data.order_id || null;
+  orderIdempotency.markCompleted(entry.clientOrderId, { orderId: serverOrderId, data: { serverOrderId } });
+
+  await indexedDb.removeOutboxOrder(entry.clientOrderId);
+  try {
+    await indexedDb.updateOrder(entry.clientOrderId, { serverOrderId, syncStatus: 'synced', syncedAt: Date.now() });
+  } catch (e) {
+    // the sale may have been recorded under a different id; the outbox entry is still done
+  }
+  // the server now has this sale, so the next stock count will include it
+  await stockLedger.markSynced(entry.clientOrderId).catch(() => {});
+  notifyListeners({ type: 'synced', clientOrderId: entry.clientOrderId, serverOrderId });
+}
+
+/**
+ * Replay queued orders in the order they were taken. Stops at the first network
+ * failure so later orders never overtake earlier ones; orders the server rejects
+ * are marked failed and skipped until retried.
+ */
+async function replay() {
+  if (replaying) return getState();
+  replaying = true;
+  notifyListeners({ type: 'state', ...getState() });
+
+  try {
+    const entries = await indexedDb.getOutboxOrders();
+    for (const entry of entries) {
+      if (entry.status === 'failed') continue;
+      try {
+        await submitEntry(entry);
+        lastError = null;
+      } catch (err) {
+        const message = err?.response?.data?.message || err?.message || 'Order sync failed';
+        lastError = message;
+        const status = err?.response?.status;
+        if (isNetworkError(err) || status >= 500) {
+          await indexedDb.updateOutboxOrder(entry.clientOrderId, { attempts: (entry.attempts || 0) + 1, lastError: message }).catch(() => {});
+          break;
+        }
+        await indexedDb.updateOutboxOrder(entry.clientOrderId, { status: 'failed', attempts: (entry.attempts || 0) + 1, lastError: message }).catch(() => {});
+        notifyListeners({ type: 'failed', clientOrderId: entry.clientOrderId, error: message });
+      }
+    }
+  } catch (err) {
+    console.error('Outbox replay error:', err);
+    lastError = err?.message || 'Outbox replay failed';
+  } finally {
+    replaying = false;
+    lastReplayAt = Date.now();
+  }
+
+  return refreshCounts();
+}
+
+const replayNow = async () => replay();
+
+/** Move failed entries back to pending and replay them. */
+const retryFailed = async () => {
+  const entries = await indexedDb.getOutboxOrders().catch(() => []);
+  for (const entry of entries.filter((e) => e.status === 'failed')) {
+    await indexedDb.updateOutboxOrder(entry.clientOrderId, { status: 'pending' }).catch(() => {});
+  }
+  return replay();
+};
+
+const discard = async (clientOrderId) => {
+  await indexedDb.removeOutboxOrder(clientOrderId);
+  // a discarded order never reaches the server; give its stock back
+  await stockLedger.cancelSale(clientOrderId).catch(() => {});
+  return refreshCounts();
+};
+
+const getEntries = async () => indexedDb.getOutboxOrders();
+
+const subscribe = (listener) => {
+  if (typeof listener !== 'function') return () => {};
+  listeners.add(listener);
+  try { listener({ type: 'state', ...getState() }); } catch (e) { console.error('Subscribe listener error:', e); }
+  return () => { listeners.delete(listener); };
+};
+
+const handleOnline = () => { replay().catch(() => {}); };
+
+const start = () => {
+  if (running) return;
+  running = true;
+  if (typeof window !== 'undefined') window.addEventListener('online', handleOnline);
+  setTimeout(() => { refreshCounts().then(() => (pendingCount > 0 ? replay() : null)).catch(() => {}); }, 2000);
+  intervalId = setInterval(() => {
+    if (pendingCount > 0) replay().catch(() => {});
+  }, REPLAY_INTERVAL_MS);
+};
+
+const stop = () => {
+  if (intervalId) { clearInterval(intervalId); intervalId = null; }
+  if (typeof window !== 'undefined') window.removeEventListener('online', handleOnline);
+  running = false;
+};
+
+// auto-start
+start();
+
+export {
+  createClientOrderId,
+  isNetworkError,
+  enqueue,
+  replayNow,
+  retryFailed,
+  discard,
+  getEntries,
+  subscribe,
+  getState,
+  start,
+  stop,
+};
+
+export default {
+  createClientOrderId,
+  isNetworkError,
+  enqueue,
+  replayNow,
+  retryFailed,
+  discard,
+  getEntries,
+  subscribe,
+  getState,
+  start,
+  stop,
+};
@@ -0,0 +1,315 @@
+// src/services/quotes.js
+// Proforma quotes: the POS cart saved under a quote number with a validity date.
+//
+// A quote keeps the cart items as they were (so it can be turned back into a cart) and the
+// priced lines that were printed on it. Prices and stock are not held for the customer:
+// converting re-reads each product from the local catalog and re-checks stock through
+// cartService.validateCartItems, and the cashier is shown what changed since the quote
+// was made before the cart is filled.
+import indexedDb, { reqToPromise, txDone } from './indexedDB';
+import { STORES } from './dbMigrations';
+import { mapCartToReceiptItems } from '../utils/orderUtils';
+import { extractId } from '../redux/slices/productsSlice-helpers';
+
+const STORE_QUOTES = STORES.QUOTES;
+const STORE_META = STORES.META;
+const SEQUENCE_KEY = 'quoteSeq';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const QUOTE_PREFIX = 'QT-';
+
+export const DEFAULT_VALID_DAYS = 14;
+
+export const QUOTE_STATUS = {
+  OPEN: 'open',
+  CONVERTED: 'converted',
+  EXPIRED: 'expired',
+};
+
+// What converting found for a line
+export const CHANGE_KINDS = {
+  PRICE: 'price',
+  STOCK: 'stock',
+  REMOVED: 'removed',
+  UNVERIFIED: 'unverified',
+};
+
+// Catalog fields that set what a line sells for
+const PRICE_FIELDS = ['price', 'wholesalePrice', 'priceAfterDiscount'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function quoteError(message) {
+  const err = new Error(message);
+  err.isValidationError = true;
+  return err;
+}
+
+export const formatQuoteNumber = (n) => `${QUOTE_PREFIX}${String(n).padStart(6, '0')}`;
+
+const lineKey = (item) => `${extractId(item)}_${item.priceType || 'Retail'}`;
+
+/** End of the last day the quote's prices are offered for. */
+export function validUntilFor(createdAt, validDays = DEFAULT_VALID_DAYS) {
+  const end = new Date(createdAt + Math.max(0, Number(validDays) || 0) * DAY_MS);
+  end.setHours(23, 59, 59, 999);
+  return end.getTime();
+}
+
+/** Open quotes past their validity date read as expired. */
+export function statusOf(quote, now = Date.now()) {
+  if (!quote) return null;
+  if (quote.status === QUOTE_STATUS.OPEN && now > quote.validUntil) return QUOTE_STATUS.EXPIRED;
+  return quote.status;
+}
+
+/**
+ * Priced lines and totals for a set of cart items, as the POS cart works them out.
+ * @returns {{ lines: object[], subtotal: number, discount: number, total: number }}
+ */
+export function priceItems(items = [], orderDiscount = null) {
+  const mapped = mapCartToReceiptItems(items, orderDiscount);
+  const lines = mapped.map((it, idx) => ({
+    key: lineKey(items[idx]),
+    productId: it.productId,
+    inventoryId: it.inventoryId ?? null,
+    name: it.name,
+    priceType: it.priceType || 'Retail',
+    quantity: it.quantity,
+    unitPrice: it.salePrice,
+    lineDiscount: round2(it.lineDiscount + it.orderDiscountShare),
+    lineTotal: round2(it.lineTotal - it.orderDiscountShare),
+  }));
+  const subtotal = round2(mapped.reduce((s, it) => s + it.grossTotal, 0));
+  const total = round2(lines.reduce((s, l) => s + l.lineTotal, 0));
+  return { lines, subtotal, discount: round2(subtotal - total), total };
+}
+
+/**
+ * Quote record, not yet numbered.
+ * @param {{ cart: object[], orderDiscount?: object|null, customer?: object|null, validDays?: number,
+ *   notes?: string, cashier?: string }} input
+ */
+export function buildQuote({ cart, orderDiscount = null, customer = null, validDays = DEFAULT_VALID_DAYS, notes = '', cashier = '' }) {
+  const items = (Array.isArray(cart) ? cart : []).filter((it) => extractId(it) && Number(it.quantity) > 0);
+  if (!items.length) throw quoteError('The cart is empty - add items before making a quote');
+  const days = Number(validDays);
+  if (!Number.isInteger(days) || days < 1) throw quoteError('A quote must be valid for at least one day');
+
+  return {
+    customer: customer ? { name: String(customer.name || ''), phone: String(customer.phone || '') } : null,
+    items: JSON.parse(JSON.stringify(items)),
+    orderDiscount: orderDiscount ? { ...orderDiscount } : null,
+    ...priceItems(items, orderDiscount),
+    validDays: days,
+    notes: String(notes || '').trim(),
+    cashier,
+  };
+}
+
+/* ----------------------------
+   Storage
+   ---------------------------- */
+
+/**
+ * Numbers and stores a quote in one transaction. Numbers already taken (e.g. after a
+ * backup restore rewound the counter) are skipped.
+ */
+export async function saveQuote(draft) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_QUOTES, STORE_META], 'readwrite');
+  const done = txDone(tx, 'Quote was not saved');
+  const quotes = tx.objectStore(STORE_QUOTES);
+  const meta = tx.objectStore(STORE_META);
+
+  const seqRec = await reqToPromise(meta.get(SEQUENCE_KEY));
+  let seq = Number(seqRec?.value) || 0;
+  let quoteNo;
+  do {
+    seq += 1;
+    quoteNo = formatQuoteNumber(seq);
+  } while (await reqToPromise(quotes.get(quoteNo)));
+
+  const now = Date.now();
+  const record = {
+    ...draft,
+    quoteNo,
+    status: QUOTE_STATUS.OPEN,
+    validUntil: validUntilFor(now, draft.validDays),
+    createdAt: now,
+    updatedAt: now,
+  };
+  quotes.put(record);
+  meta.put({ key: SEQUENCE_KEY, value: seq, updatedAt: now });
+  await done;
+  return record;
+}
+
+/** Builds, numbers and saves a quote for the cart. */
+export async function createQuote(input) {
+  return saveQuote(buildQuote(input));
+}
+
+export async function getQuote(quoteNo) {
+  if (!quoteNo) return null;
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_QUOTES], 'readonly');
+  return reqToPromise(tx.objectStore(STORE_QUOTES).get(String(quoteNo).trim().toUpperCase())).catch(() => null);
+}
+
+/** Every quote, newest first. */
+export async function getQuotes() {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_QUOTES], 'readonly');
+  const rows = await reqToPromise(tx.objectStore(STORE_QUOTES).getAll());
+  return rows.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function deleteQuote(quoteNo) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_QUOTES], 'readwrite');
+  tx.objectStore(STORE_QUOTES).delete(String(quoteNo));
+  await txDone(tx, 'Quote was not saved');
+  return true;
+}
+
+/** Records that a quote was turned into a cart, so it is not converted twice by mistake. */
+export async function markConverted(quoteNo, { by = '' } = {}) {
+  const quote = await getQuote(quoteNo);
+  if (!quote) throw quoteError(`Quote ${quoteNo} was not found`);
+  const now = Date.now();
+  const next = { ...quote, status: QUOTE_STATUS.CONVERTED, convertedAt: now, convertedBy: by, updatedAt: now };
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_QUOTES], 'readwrite');
+  tx.objectStore(STORE_QUOTES).put(next);
+  await txDone(tx, 'Quote was not saved');
+  return next;
+}
+
+/* ----------------------------
+   Converting back to a cart
+   ---------------------------- */
+
+/**
+ * Compares a quote with the catalog and stock as they are now.
+ * @param {object} quote
+ * @param {{ products: Object<string, object|null>, stock: Object<string, object> }} current -
+ *   catalog product per product id (null when it is gone) and validateCartItems results
+ * @returns {{ items: object[], changes: object[], quotedTotal: number, total: number }} the cart
+ *   items to load at today's prices and quantities, and one change per line that differs
+ *   ({ key, name, kind, from, to, message })
+ */
+export function reviewQuote(quote, { products = {}, stock = {} } = {}) {
+  const items = [];
+  const changes = [];
+  const allocated = {};
+  const quotedPrice = Object.fromEntries((quote?.lines || []).map((l) => [l.key, l.unitPrice]));
+
+  for (const item of quote?.items || []) {
+    const id = String(extractId(item));
+    const key = lineKey(item);
+    const name = item.name || item.productName || 'Item';
+    const product = products[id];
+
+    if (!product) {
+      changes.push({ key, name, kind: CHANGE_KINDS.REMOVED, from: item.quantity, to: 0, message: 'No longer in the catalog - left out' });
+      continue;
+    }
+
+    const refreshed = { ...item, inventoryId: product.inventoryId ?? item.inventoryId };
+    PRICE_FIELDS.forEach((f) => {
+      if (product[f] !== undefined) refreshed[f] = product[f];
+    });
+    // a flash sale the quote was priced under is dropped here; the till puts back any still live
+    if (item.offer) {
+      refreshed.applyDiscount = !!item.offer.before?.applyDiscount;
+      refreshed.offer = null;
+    }
+
+    const was = quotedPrice[key] ?? priceItems([item]).lines[0].unitPrice;
+    const now = priceItems([refreshed]).lines[0].unitPrice;
+    if (now !== was) {
+      changes.push({ key, name, kind: CHANGE_KINDS.PRICE, from: was, to: now, message: `Price ${now > was ? 'up' : 'down'} from Ksh ${was.toLocaleString()} to Ksh ${now.toLocaleString()}` });
+    }
+
+    // retail and wholesale lines of one product share its stock, earlier lines first
+    const check = stock[id];
+    const quantity = Number(item.quantity) || 0;
+    if (check?.status === 'conflict' && check.availableQty != null) {
+      const left = Math.max(0, check.availableQty - (allocated[id] || 0));
+      const take = Math.min(quantity, left);
+      allocated[id] = (allocated[id] || 0) + take;
+      if (take < quantity) {
+        changes.push({
+          key,
+          name,
+          kind: take > 0 ? CHANGE_KINDS.STOCK : CHANGE_KINDS.REMOVED,
+          from: quantity,
+          to: take,
+          message: take > 0 ? `Only ${take} in stock - quantity cut from ${quantity}` : 'Out of stock - left out',
+        });
+      }
+      if (take > 0) items.push({ ...refreshed, quantity: take });
+      continue;
+    }
+
+    allocated[id] = (allocated[id] || 0) + quantity;
+    if (!check || check.status === 'warning' || check.status === 'error' || check.stale) {
+      changes.push({ key, name, kind: CHANGE_KINDS.UNVERIFIED, from: quantity, to: quantity, message: check?.message || 'Stock could not be checked' });
+    }
+    items.push(refreshed);
+  }
+
+  const { total } = priceItems(items, quote?.orderDiscount || null);
+  return { items, changes, quotedTotal: Number(quote?.total) || 0, total };
+}
+
+/**
+ * Loads today's catalog prices and stock for a quote and reviews it (see reviewQuote).
+ * @param {object} quote
+ * @param {{ validate: Function, getProduct?: Function }} deps - `validate` is
+ *   cartService.validateCartItems; `getProduct` defaults to the local catalog
+ */
+export async function prepareConversion(quote, { validate, getProduct = indexedDb.getProductById } = {}) {
+  if (!quote) throw quoteError('Quote not found');
+  const ids = [...new Set((quote.items || []).map((it) => String(extractId(it))))];
+
+  const products = {};
+  for (const id of ids) {
+    products[id] = await getProduct(id).catch(() => null);
+  }
+
+  // one check per product for everything the quote wants of it
+  const wanted = {};
+  for (const item of quote.items || []) {
+    const id = String(extractId(item));
+    const product = products[id];
+    if (!product) continue;
+    const inventoryId = product.inventoryId ?? item.inventoryId;
+    wanted[id] = { productId: id, inventoryId, qty: (wanted[id]?.qty || 0) + (Number(item.quantity) || 0) };
+  }
+  const stock = validate ? await validate(Object.values(wanted)).catch(() => ({})) : {};
+
+  return reviewQuote(quote, { products, stock });
+}
+
+export default {
+  QUOTE_PREFIX,
+  DEFAULT_VALID_DAYS,
+  QUOTE_STATUS,
+  CHANGE_KINDS,
+  formatQuoteNumber,
+  validUntilFor,
+  statusOf,
+  priceItems,
+  buildQuote,
+  saveQuote,
+  createQuote,
+  getQuote,
+  getQuotes,
+  deleteQuote,
+  markConverted,
+  reviewQuote,
+  prepareConversion,
+};
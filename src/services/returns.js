@@ -0,0 +1,433 @@
+// src/services/returns.js
+// Returns against completed sales, each recorded under its own credit note number.
+//
+// A return refunds either to the order's original tenders (latest line first, never more
+// than a line paid net of earlier refunds) or to store credit, in which case the credit
+// note number is the voucher reference. The till cannot take store credit as a tender
+// yet (services/tenders), so such a voucher is settled outside it. Returned items go back
+// into the local stock ledger straight away, and server stock is updated per inventory;
+// anything not sent stays pending on the return record and is retried later.
+//
+// The returns route (/orders/{id}/returns) is not confirmed by the backend yet
+// (serverRoutes), so until it is a return is kept on this till only (syncStatus 'local')
+// and returns taken on other tills are not counted. Once it is, the return is sent and
+// the server's returns for the order are read back before another is taken, so a refund
+// made on one till counts on the others. Credit note numbers are per till, so the server
+// knows each return by its own id (`returnId`).
+import indexedDb, { reqToPromise, txDone } from './indexedDB';
+import { STORES } from './dbMigrations';
+import stockLedger from './stockLedger';
+import { applyDelta } from './editConflicts';
+import { SERVER_ROUTES, LOCAL_ONLY, isConfirmed } from './serverRoutes';
+import { IDEMPOTENCY_HEADER, createKey } from './orderIdempotency';
+import { TENDER_METHODS, labelFor, tendersFromOrder } from './tenders';
+import { ORDER_STATUS } from '../app/constants';
+
+const STORE_RETURNS = STORES.RETURNS;
+const STORE_META = STORES.META;
+const SEQUENCE_KEY = 'creditNoteSeq';
+
+export const CREDIT_NOTE_PREFIX = 'CN-';
+
+export const REFUND_TO = {
+  ORIGINAL: 'original',
+  STORE_CREDIT: 'credit',
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const newReturnId = () => (window.crypto?.randomUUID ? window.crypto.randomUUID() : createKey());
+
+// returns saved before they carried an id fall back to their credit note number
+const returnIdOf = (record = {}) => String(record.returnId || record.creditNoteNo || '');
+
+export const formatCreditNoteNumber = (n) => `${CREDIT_NOTE_PREFIX}${String(n).padStart(6, '0')}`;
+
+export const orderIdOf = (order = {}) => String(order.orderId ?? order.orderid ?? order.orderNumber ?? order.id ?? '').trim();
+
+const lineKey = (productId, priceType) => `${productId}|${priceType || 'Retail'}`;
+
+/**
+ * Returnable lines of an order, one per product and price type.
+ * @param {object[]} items - receipt-shaped items ({ productId, inventoryId, name, priceType, quantity, salePrice,
+ *   netUnitPrice })
+ * @returns {{ key: string, productId: *, inventoryId: *, name: string, priceType: string,
+ *   quantity: number, unitPrice: number }[]}
+ */
+export function orderLines(items = []) {
+  const map = new Map();
+  for (const it of Array.isArray(items) ? items : []) {
+    const productId = it.productId ?? it.id ?? null;
+    if (productId === null) continue;
+    const priceType = it.priceType || 'Retail';
+    const key = lineKey(productId, priceType);
+    const quantity = Number(it.quantity ?? it.qty) || 0;
+    const prev = map.get(key);
+    if (prev) {
+      prev.quantity += quantity;
+      continue;
+    }
+    map.set(key, {
+      key,
+      productId,
+      inventoryId: it.inventoryId ?? null,
+      name: String(it.name || it.productName || 'Item'),
+      priceType,
+      quantity,
+      // what a unit actually cost after manual discounts, when the sale had any
+      unitPrice: Number(it.netUnitPrice ?? it.salePrice ?? it.price) || 0,
+    });
+  }
+  return [...map.values()];
+}
+
+/** Order lines with what earlier returns already took back and what is left. */
+export function returnableLines(lines = [], priorReturns = []) {
+  const returned = {};
+  (priorReturns || []).forEach((r) => (r.lines || []).forEach((l) => {
+    returned[l.key] = (returned[l.key] || 0) + (Number(l.quantity) || 0);
+  }));
+  return (lines || []).map((l) => ({
+    ...l,
+    returned: returned[l.key] || 0,
+    returnable: Math.max(0, l.quantity - (returned[l.key] || 0)),
+  }));
+}
+
+/**
+ * Checks a return before it is saved.
+ * @param {object[]} lines - output of returnableLines
+ * @param {Object<string, number>} selections - quantity to return per line key
+ * @returns {string|null} the first problem, worded for a toast, or null when valid
+ */
+export function validateReturn(lines = [], selections = {}, reason = '') {
+  const picked = (lines || []).filter((l) => Number(selections[l.key]) > 0);
+  if (!picked.length) return 'Pick at least one item to return';
+  for (const l of picked) {
+    const qty = Number(selections[l.key]);
+    if (!Number.isInteger(qty)) return `${l.name}: return whole units`;
+    if (qty > l.returnable) {
+      return l.returnable > 0
+        ? `${l.name}: only ${l.returnable} can still be returned`
+        : `${l.name} has already been returned`;
+    }
+  }
+  if (!String(reason || '').trim()) return 'Enter a reason for the return';
+  return null;
+}
+
+/**
+ * Splits a refund over the order's tenders, latest line first. Each line gives back at
+ * most what it paid less what earlier returns already refunded to it; anything left over
+ * (an order with no usable tender record) is refunded in cash.
+ * @returns {{ method: string, label: string, amount: number, reference: string|null, tenderIndex: number|null }[]}
+ */
+export function allocateRefund(tenders = [], amount = 0, priorReturns = []) {
+  const refunded = {};
+  (priorReturns || []).forEach((r) => (r.refunds || []).forEach((f) => {
+    if (f.tenderIndex !== null && f.tenderIndex !== undefined) {
+      refunded[f.tenderIndex] = (refunded[f.tenderIndex] || 0) + (Number(f.amount) || 0);
+    }
+  }));
+
+  const out = [];
+  let left = round2(amount);
+  for (let i = (tenders || []).length - 1; i >= 0 && left > 0; i--) {
+    const t = tenders[i];
+    const room = round2((Number(t.applied ?? t.amount) || 0) - (refunded[i] || 0));
+    if (room <= 0) continue;
+    const take = Math.min(room, left);
+    out.push({ method: t.method, label: t.label || labelFor(t.method), amount: round2(take), reference: t.reference || null, tenderIndex: i });
+    left = round2(left - take);
+  }
+  if (left > 0) {
+    out.push({ method: TENDER_METHODS.CASH, label: labelFor(TENDER_METHODS.CASH), amount: left, reference: null, tenderIndex: null });
+  }
+  return out;
+}
+
+/**
+ * Return record, not yet numbered. Call validateReturn first.
+ * @param {{ order: object, lines: object[], selections: Object<string, number>, reason: string,
+ *   refundTo?: string, priorReturns?: object[], cashier?: string }} input
+ */
+export function buildReturn({ order, lines, selections, reason, refundTo = REFUND_TO.ORIGINAL, priorReturns = [], cashier = '' }) {
+  const returned = (lines || [])
+    .filter((l) => Number(selections[l.key]) > 0)
+    .map((l) => {
+      const quantity = Number(selections[l.key]);
+      return {
+        key: l.key,
+        productId: l.productId,
+        inventoryId: l.inventoryId,
+        name: l.name,
+        priceType: l.priceType,
+        quantity,
+        unitPrice: l.unitPrice,
+        lineTotal: round2(quantity * l.unitPrice),
+      };
+    });
+  const total = round2(returned.reduce((s, l) => s + l.lineTotal, 0));
+  const refunds = refundTo === REFUND_TO.STORE_CREDIT
+    ? [{ method: TENDER_METHODS.STORE_CREDIT, label: labelFor(TENDER_METHODS.STORE_CREDIT), amount: total, reference: null, tenderIndex: null }]
+    : allocateRefund(tendersFromOrder(order), total, priorReturns);
+
+  return {
+    orderId: orderIdOf(order),
+    reason: String(reason || '').trim(),
+    refundTo,
+    lines: returned,
+    total,
+    refunds,
+    cashier,
+    stockSync: Object.fromEntries(returned.filter((l) => l.inventoryId !== null && l.inventoryId !== undefined).map((l) => [String(l.inventoryId), null])),
+  };
+}
+
+/* ----------------------------
+   Storage
+   ---------------------------- */
+
+/**
+ * Numbers and stores a return in one transaction. The counter lives in meta; numbers
+ * already taken (e.g. after a backup restore rewound the counter) are skipped.
+ */
+export async function saveReturn(draft) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_RETURNS, STORE_META], 'readwrite');
+  const done = txDone(tx, 'Return was not saved');
+  const returns = tx.objectStore(STORE_RETURNS);
+  const meta = tx.objectStore(STORE_META);
+
+  const seqRec = await reqToPromise(meta.get(SEQUENCE_KEY));
+  let seq = Number(seqRec?.value) || 0;
+  let creditNoteNo;
+  do {
+    seq += 1;
+    creditNoteNo = formatCreditNoteNumber(seq);
+  } while (await reqToPromise(returns.get(creditNoteNo)));
+
+  const now = Date.now();
+  const record = {
+    ...draft,
+    returnId: draft.returnId || newReturnId(),
+    creditNoteNo,
+    refunds: (draft.refunds || []).map((f) => (f.method === TENDER_METHODS.STORE_CREDIT ? { ...f, reference: creditNoteNo } : f)),
+    postedAt: null,
+    syncStatus: 'pending',
+    createdAt: now,
+    updatedAt: now,
+  };
+  returns.put(record);
+  meta.put({ key: SEQUENCE_KEY, value: seq, updatedAt: now });
+  await done;
+  return record;
+}
+
+async function putReturn(record) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_RETURNS], 'readwrite');
+  const next = { ...record, updatedAt: Date.now() };
+  tx.objectStore(STORE_RETURNS).put(next);
+  await txDone(tx, 'Return was not saved');
+  return next;
+}
+
+export async function getReturnsForOrder(orderId) {
+  if (!orderId) return [];
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_RETURNS], 'readonly');
+  const rows = await reqToPromise(tx.objectStore(STORE_RETURNS).index('orderId').getAll(String(orderId)));
+  return rows.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function getReturn(creditNoteNo) {
+  if (!creditNoteNo) return null;
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_RETURNS], 'readonly');
+  return reqToPromise(tx.objectStore(STORE_RETURNS).get(String(creditNoteNo).trim().toUpperCase())).catch(() => null);
+}
+
+// returns kept locally are sent too once the returns route is confirmed
+async function getPendingReturns() {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_RETURNS], 'readonly');
+  const index = tx.objectStore(STORE_RETURNS).index('syncStatus');
+  const pending = await reqToPromise(index.getAll('pending'));
+  if (!isConfirmed(SERVER_ROUTES.ORDER_RETURNS)) return pending;
+  return [...pending, ...(await reqToPromise(index.getAll(LOCAL_ONLY)))];
+}
+
+/**
+ * Local returns for an order plus those the server holds from other tills.
+ * @param {string} orderId
+ * @param {{ getOrderReturns: Function }} [client] - api client
+ * @returns {Promise<{ returns: object[], serverChecked: boolean }>} serverChecked is false
+ *   when the server could not be asked, so returns from other tills may be missing
+ */
+export async function loadReturnsForOrder(orderId, client = null) {
+  const local = await getReturnsForOrder(orderId);
+  if (!client?.getOrderReturns || !isConfirmed(SERVER_ROUTES.ORDER_RETURNS)) return { returns: local, serverChecked: false };
+  let remote;
+  try {
+    const res = await client.getOrderReturns(orderId);
+    remote = Array.isArray(res?.data) ? res.data : (Array.isArray(res) ? res : []);
+  } catch (e) {
+    console.warn('[returns] could not load server returns', e?.message || e);
+    return { returns: local, serverChecked: false };
+  }
+  const seen = new Set(local.map(returnIdOf));
+  const others = remote.filter((r) => r && Array.isArray(r.lines) && !seen.has(returnIdOf(r)));
+  return { returns: [...local, ...others].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)), serverChecked: true };
+}
+
+/* ----------------------------
+   Server
+   ---------------------------- */
+
+const serverCopy = ({ returnId, creditNoteNo, orderId, reason, refundTo, lines, total, refunds, cashier, createdAt }) =>
+  ({ returnId, creditNoteNo, orderId, reason, refundTo, lines, total, refunds, cashier, createdAt });
+
+/**
+ * Puts one inventory's returned units back on the server. The inventory endpoint takes
+ * an absolute count, so the units are added to the count fetched just before the write
+ * and sent with its version; a version rejection is retried on the fresh count, and no
+ * versioned count means no write (editConflicts.applyDelta).
+ */
+function restockServer(client, inventoryId, quantity, key) {
+  return applyDelta({
+    fetchServer: () => client.getInventoryById(inventoryId),
+    write: (expectedVersion, fresh) => client.put(`/inventories/${encodeURIComponent(inventoryId)}`, {
+      ...fresh,
+      stockQuantity: (Number(fresh.stockQuantity) || 0) + quantity,
+    }, { headers: { [IDEMPOTENCY_HEADER]: key, 'If-Match': String(expectedVersion) } }),
+  });
+}
+
+/**
+ * Sends what the server has not acknowledged yet: the return itself (once, keyed by its
+ * return id) and its stock, once per inventory (keyed by return id and inventory), so a
+ * retry after a lost response does not count anything twice. While the returns route is
+ * not confirmed only the stock is sent, and a return whose stock is done stays 'local'.
+ * @param {object} record - saved return
+ * @param {{ postOrderReturn: Function, getInventoryById: Function, put: Function }} client - api client
+ * @returns {Promise<object>} the updated record
+ */
+export async function syncReturn(record, client) {
+  const stockSync = { ...(record.stockSync || {}) };
+  let postedAt = record.postedAt || null;
+  let lastError = null;
+
+  const sendReturn = isConfirmed(SERVER_ROUTES.ORDER_RETURNS);
+  if (!postedAt && sendReturn) {
+    try {
+      await client.postOrderReturn(record.orderId, serverCopy(record));
+      postedAt = Date.now();
+    } catch (e) {
+      lastError = e;
+    }
+  }
+
+  for (const inventoryId of Object.keys(stockSync).filter((id) => !stockSync[id])) {
+    const quantity = record.lines
+      .filter((l) => String(l.inventoryId) === inventoryId)
+      .reduce((s, l) => s + l.quantity, 0);
+    try {
+      await restockServer(client, inventoryId, quantity, `${returnIdOf(record)}:${inventoryId}`);
+      stockSync[inventoryId] = Date.now();
+    } catch (e) {
+      lastError = e;
+    }
+  }
+
+  const stockSynced = Object.values(stockSync).every(Boolean);
+  if (stockSynced) await stockLedger.markSynced(record.creditNoteNo).catch(() => {});
+  let syncStatus = 'pending';
+  if (stockSynced && postedAt) syncStatus = 'synced';
+  else if (stockSynced && !sendReturn) syncStatus = LOCAL_ONLY;
+  return putReturn({
+    ...record,
+    postedAt,
+    stockSync,
+    syncStatus,
+    syncError: lastError ? String(lastError.message || lastError) : null,
+  });
+}
+
+/** Retries every return the server has not fully acknowledged. */
+export async function retryPendingReturns(client) {
+  const pending = await getPendingReturns().catch(() => []);
+  let synced = 0;
+  for (const record of pending) {
+    const next = await syncReturn(record, client).catch(() => record);
+    if (next.syncStatus === 'synced') synced += 1;
+  }
+  return { pending: pending.length, synced };
+}
+
+/**
+ * Validates, numbers and records a return: local stock comes back at once, the local
+ * order (if this till has it) is marked refunded, and the return goes to the server when
+ * it can be reached and its route is confirmed. Returns the server already holds for the
+ * order count against what can still be returned; `serverChecked` on the result says
+ * whether it was asked, and `localOnly` that the return is kept on this till only.
+ * @param {{ order: object, items: object[], selections: Object<string, number>, reason: string,
+ *   refundTo?: string, cashier?: string, client?: object }} input
+ * @returns {Promise<object>} the saved return
+ */
+export async function processReturn({ order, items, selections, reason, refundTo = REFUND_TO.ORIGINAL, cashier = '', client = null }) {
+  const orderId = orderIdOf(order);
+  if (!orderId) throw new Error('The order has no id');
+  const { returns: priorReturns, serverChecked } = await loadReturnsForOrder(orderId, client);
+  const lines = returnableLines(orderLines(items), priorReturns);
+  const problem = validateReturn(lines, selections, reason);
+  if (problem) {
+    const err = new Error(problem);
+    err.isValidationError = true;
+    throw err;
+  }
+
+  let record = await saveReturn(buildReturn({ order, lines, selections, reason, refundTo, priorReturns, cashier }));
+
+  try {
+    await stockLedger.recordReturn({ ref: record.creditNoteNo, items: record.lines, synced: false });
+  } catch (e) {
+    console.warn('[returns] failed to update stock ledger', e);
+  }
+
+  const fullyReturned = returnableLines(orderLines(items), [...priorReturns, record]).every((l) => l.returnable === 0);
+  try {
+    const local = await indexedDb.getOrderById(orderId);
+    if (local) {
+      await indexedDb.updateOrder(orderId, {
+        status: fullyReturned ? ORDER_STATUS.REFUNDED : ORDER_STATUS.PARTIALLY_REFUNDED,
+        refundedTotal: round2((Number(local.refundedTotal) || 0) + record.total),
+        creditNotes: [...(local.creditNotes || []), record.creditNoteNo],
+      });
+    }
+  } catch (e) {
+    console.warn('[returns] failed to mark local order', e);
+  }
+
+  if (client) record = await syncReturn(record, client).catch(() => record);
+  return { ...record, serverChecked, localOnly: !isConfirmed(SERVER_ROUTES.ORDER_RETURNS) };
+}
+
+export default {
+  CREDIT_NOTE_PREFIX,
+  REFUND_TO,
+  formatCreditNoteNumber,
+  orderIdOf,
+  orderLines,
+  returnableLines,
+  validateReturn,
+  allocateRefund,
+  buildReturn,
+  saveReturn,
+  getReturnsForOrder,
+  getReturn,
+  loadReturnsForOrder,
+  syncReturn,
+  retryPendingReturns,
+  processReturn,
+};
@@ -1,5 +1,7 @@
 import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';
 import { baseUrl } from '../app/constants';
+import { classifyError, endsSession } from './apiErrors';
+import connectivity from './connectivity';
 
 const baseQuery = fetchBaseQuery({
   baseUrl,
@@ -17,14 +19,23 @@ const baseQuery = fetchBaseQuery({
 
 const baseQueryWithLogout = async (args, api, extraOptions) => {
   let result = await baseQuery(args, api, extraOptions);
+  const isLogin = (typeof args === 'string' && args.includes('login')) || !!(args.url && args.url.includes('login'));
   
-  if (result.error && result.error.status === 401 && !(typeof args === 'string' && args.includes('login')) && !(args.url && args.url.includes('login'))) {
+  if (result.error && endsSession(classifyError(result.error)) && !isLogin) {
     api.dispatch({ type: 'user/logout' });
+  } else if (result.error) {
+    connectivity.reportFailure(classifyError(result.error));
+  } else {
+    connectivity.reportSuccess();
   }
   
   return result;
 };
 
+// Version the edit was based on; lets the server reject a write that would overwrite a newer one
+const ifMatch = (expectedVersion) =>
+  expectedVersion === undefined || expectedVersion === null ? {} : { headers: { 'If-Match': String(expectedVersion) } };
+
 export const rtkApi = createApi({
   reducerPath: 'rtkApi',
   baseQuery: baseQueryWithLogout,
@@ -92,7 +103,8 @@ export const rtkApi = createApi({
       }),
     }),
     getPagedProducts: build.query({
-      query: ({ pageNumber, pageSize }) => `/pos-paged-products?pageNumber=${pageNumber}&pageSize=${pageSize}`,
+      query: ({ pageNumber, pageSize, updatedSince }) =>
+        `/pos-paged-products?pageNumber=${pageNumber}&pageSize=${pageSize}${updatedSince ? `&updatedSince=${encodeURIComponent(updatedSince)}` : ''}`,
       providesTags: ['Product'],
     }),
     getPagedInventories: build.query({
@@ -159,8 +171,12 @@ export const rtkApi = createApi({
       query: (data) => ({ url: '/inventory', method: 'POST', body: data }),
       invalidatesTags: ['Inventory'],
     }),
+    getInventoryById: build.query({
+      query: (id) => `/inventory/${encodeURIComponent(id)}`,
+      providesTags: (result, error, id) => [{ type: 'Inventory', id }],
+    }),
     updateInventory: build.mutation({
-      query: ({ id, ...data }) => ({ url: `/inventory/${id}`, method: 'PUT', body: data }),
+      query: ({ id, expectedVersion, ...data }) => ({ url: `/inventory/${id}`, method: 'PUT', body: data, ...ifMatch(expectedVersion) }),
       invalidatesTags: ['Inventory'],
     }),
     deleteInventory: build.mutation({
@@ -182,7 +198,7 @@ export const rtkApi = createApi({
       invalidatesTags: ['Product'],
     }),
     updateProduct: build.mutation({
-      query: ({ id, ...data }) => ({ url: `/product/${id}`, method: 'PUT', body: data }),
+      query: ({ id, expectedVersion, ...data }) => ({ url: `/product/${id}`, method: 'PUT', body: data, ...ifMatch(expectedVersion) }),
       invalidatesTags: ['Product'],
     }),
     deleteProduct: build.mutation({
@@ -274,6 +290,8 @@ export const {
   useDeleteSupplierMutation,
   // Inventory CRUD
   useCreateInventoryMutation,
+  useGetInventoryByIdQuery,
+  useLazyGetInventoryByIdQuery,
   useUpdateInventoryMutation,
   useDeleteInventoryMutation,
   useUploadInventoryExcelMutation,
@@ -0,0 +1,302 @@
+// src/services/searchIndex.js
+// In-memory product search index: tokenised names with prefix and typo matching,
+// exact/prefix matching on codes (barcodes, SKU, ids), and relevance ranking.
+// Pure module — no IndexedDB, DOM or Redux — so it can be built from any array of records.
+
+/**
+ * Field definitions. `get` returns a string or an array of strings for a record.
+ * Text fields are tokenised and allow typos; code fields are matched whole or by prefix.
+ */
+export const PRODUCT_FIELDS = [
+  {
+    name: 'name',
+    type: 'text',
+    weight: 4,
+    get: (p) => p.name ?? p.productName ?? p.title,
+  },
+  {
+    name: 'category',
+    type: 'text',
+    weight: 1.5,
+    get: (p) => [
+      p.categoryName,
+      p.subcategoryName ?? p.subCategoryName,
+      // `category` is usually an id; only index it when it is a name
+      typeof p.category === 'string' && !/^\d+$/.test(p.category) ? p.category : null,
+    ],
+  },
+  {
+    name: 'barcode',
+    type: 'code',
+    weight: 10,
+    get: (p) => [].concat(p.barcodes ?? [], p.barcode ?? []),
+  },
+  {
+    name: 'sku',
+    type: 'code',
+    weight: 6,
+    get: (p) => [p.sku, p.productCode, p.id, p.inventoryId],
+  },
+];
+
+const EXACT = 1;
+const PREFIX = 0.75;
+const TYPO_1 = 0.45;
+const TYPO_2 = 0.3;
+const MIN_CODE_PREFIX = 3;
+const MIN_TYPO_LENGTH = 3;
+
+export function normalizeText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into tokens. With `parts`, mixed tokens like "1kg" or "500ml" also
+ * yield their number and unit so an indexed "1kg" is found by "1 kg" as well.
+ */
+export function tokenize(value, { parts = true } = {}) {
+  const text = normalizeText(value);
+  if (!text) return [];
+  const out = new Set();
+  for (const tok of text.split(' ')) {
+    out.add(tok);
+    const split = parts ? tok.match(/\d+|[a-z]+/g) : null;
+    if (split && split.length > 1) split.forEach((p) => out.add(p));
+  }
+  return [...out];
+}
+
+const toList = (v) => (Array.isArray(v) ? v : [v]).filter((x) => x !== undefined && x !== null && x !== '');
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    const cur = new Array(b.length + 1);
+    cur[0] = i;
+    let rowMin = cur[0];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur[j] = v;
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Cheap rejection before the edit distance: within one edit the first two
+// characters must still line up somewhere; within two, they must share one.
+function couldBeTypo(a, b, max) {
+  if (max === 1) return a[0] === b[0] || a[0] === b[1] || a[1] === b[0] || a[1] === b[1];
+  return a[0] === b[0] || a[0] === b[1] || a[0] === b[2] || a[1] === b[0] || a[1] === b[1] || a[2] === b[0];
+}
+
+// Postings for one vocabulary: token -> { docs: number[], weights: number[] }
+function createVocabulary() {
+  return { postings: new Map(), sorted: [], byLength: new Map() };
+}
+
+function addPosting(vocab, token, doc, weight) {
+  let entry = vocab.postings.get(token);
+  if (!entry) {
+    entry = { docs: [], weights: [] };
+    vocab.postings.set(token, entry);
+  }
+  const last = entry.docs.length - 1;
+  // docs are added in order, so a repeat for the same record is always the last entry
+  if (last >= 0 && entry.docs[last] === doc) {
+    if (weight > entry.weights[last]) entry.weights[last] = weight;
+    return;
+  }
+  entry.docs.push(doc);
+  entry.weights.push(weight);
+}
+
+function finaliseVocabulary(vocab) {
+  vocab.sorted = [...vocab.postings.keys()].sort();
+  for (const tok of vocab.sorted) {
+    // only alphabetic tokens are candidates for typo matching
+    if (!/^[a-z]+$/.test(tok)) continue;
+    const list = vocab.byLength.get(tok.length);
+    if (list) list.push(tok);
+    else vocab.byLength.set(tok.length, [tok]);
+  }
+}
+
+// Index of the first token >= prefix
+function lowerBound(sorted, prefix) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Build a search index over `records`.
+ * @param {object[]} records
+ * @param {{ fields?: object[] }} [options] - field definitions, defaults to PRODUCT_FIELDS
+ * @returns {{ size: number, search: (query: string, opts?: { limit?: number }) => object[] }}
+ */
+export function createSearchIndex(records = [], { fields = PRODUCT_FIELDS } = {}) {
+  const docs = Array.isArray(records) ? records.filter(Boolean) : [];
+  const text = createVocabulary();
+  const codes = createVocabulary();
+  const names = new Array(docs.length);
+  const nameField = fields.find((f) => f.name === 'name') || fields[0];
+
+  docs.forEach((rec, i) => {
+    names[i] = normalizeText(toList(nameField?.get(rec))[0]);
+    for (const field of fields) {
+      for (const value of toList(field.get(rec))) {
+        if (field.type === 'code') {
+          const code = String(value).trim().toLowerCase();
+          if (code) addPosting(codes, code, i, field.weight);
+        } else {
+          for (const tok of tokenize(value)) addPosting(text, tok, i, field.weight);
+        }
+      }
+    }
+  });
+  finaliseVocabulary(text);
+  finaliseVocabulary(codes);
+
+  // Per-search scratch space, sized to the index and reused between searches
+  const n = docs.length;
+  const totals = new Float64Array(n);
+  const counts = new Uint8Array(n);
+  const tokenBest = new Float64Array(n);
+  const tokenStamp = new Uint32Array(n);
+  let stamp = 0;
+
+  /**
+   * Ranked search. Every query token must match (in any order); if no record
+   * matches them all, records matching the most tokens are returned instead.
+   */
+  function search(query, { limit = 50 } = {}) {
+    const phrase = normalizeText(query);
+    const qTokens = tokenize(query, { parts: false });
+    if (!qTokens.length || !n) return [];
+
+    const touched = [];
+    let tokenTouched = [];
+
+    // keep the best score per record for the current query token
+    const collect = (entry, factor) => {
+      const { docs: ids, weights } = entry;
+      for (let i = 0; i < ids.length; i++) {
+        const d = ids[i];
+        const s = weights[i] * factor;
+        if (tokenStamp[d] !== stamp) {
+          tokenStamp[d] = stamp;
+          tokenBest[d] = s;
+          tokenTouched.push(d);
+        } else if (s > tokenBest[d]) {
+          tokenBest[d] = s;
+        }
+      }
+    };
+
+    const commit = () => {
+      for (const d of tokenTouched) {
+        if (counts[d] === 0) touched.push(d);
+        counts[d] += 1;
+        totals[d] += tokenBest[d];
+      }
+      tokenTouched = [];
+    };
+
+    for (const qt of qTokens) {
+      stamp += 1;
+
+      const exactCode = codes.postings.get(qt);
+      if (exactCode) collect(exactCode, EXACT);
+      if (qt.length >= MIN_CODE_PREFIX) {
+        for (let i = lowerBound(codes.sorted, qt); i < codes.sorted.length && codes.sorted[i].startsWith(qt); i++) {
+          if (codes.sorted[i] !== qt) collect(codes.postings.get(codes.sorted[i]), PREFIX * 0.5);
+        }
+      }
+
+      const exact = text.postings.get(qt);
+      if (exact) collect(exact, EXACT);
+      // a lone digit is a quantity ("1 kg"), not the start of a number
+      const prefixFrom = qt.length === 1 && /\d/.test(qt) ? text.sorted.length : lowerBound(text.sorted, qt);
+      for (let i = prefixFrom; i < text.sorted.length && text.sorted[i].startsWith(qt); i++) {
+        const tok = text.sorted[i];
+        if (tok !== qt) collect(text.postings.get(tok), PREFIX * (0.6 + 0.4 * (qt.length / tok.length)));
+      }
+
+      // typos only between alphabetic tokens; "500" must not match "600"
+      if (qt.length >= MIN_TYPO_LENGTH && /^[a-z]+$/.test(qt)) {
+        const max = qt.length >= 7 ? 2 : 1;
+        for (let len = qt.length - max; len <= qt.length + max; len++) {
+          for (const tok of text.byLength.get(len) || []) {
+            if (tok === qt || !couldBeTypo(qt, tok, max)) continue;
+            const dist = editDistance(qt, tok, max);
+            if (dist <= max) collect(text.postings.get(tok), dist === 1 ? TYPO_1 : TYPO_2);
+          }
+        }
+      }
+      commit();
+    }
+
+    // the whole query as one code, e.g. a barcode or SKU containing spaces or dashes
+    const codeHit = codes.postings.get(String(query).trim().toLowerCase());
+    if (codeHit) {
+      codeHit.docs.forEach((d, i) => {
+        if (counts[d] === 0) touched.push(d);
+        counts[d] = qTokens.length;
+        totals[d] += codeHit.weights[i] * 2;
+      });
+    }
+
+    let best = 0;
+    for (const d of touched) if (counts[d] > best) best = counts[d];
+
+    const results = [];
+    for (const d of touched) {
+      if (counts[d] === best) {
+        let score = totals[d];
+        const name = names[d];
+        if (name && name.startsWith(phrase)) score += 3;
+        else if (name && name.includes(phrase)) score += 1.5;
+        results.push({ d, score });
+      }
+      counts[d] = 0;
+      totals[d] = 0;
+    }
+
+    results.sort((a, b) =>
+      b.score - a.score ||
+      names[a.d].length - names[b.d].length ||
+      (names[a.d] < names[b.d] ? -1 : names[a.d] > names[b.d] ? 1 : 0)
+    );
+
+    const take = Number.isFinite(limit) && limit > 0 ? Math.min(limit, results.length) : results.length;
+    const out = new Array(take);
+    for (let i = 0; i < take; i++) out[i] = docs[results[i].d];
+    return out;
+  }
+
+  return { size: n, search };
+}
+
+export default { createSearchIndex, tokenize, normalizeText, PRODUCT_FIELDS };
@@ -0,0 +1,40 @@
+// src/services/serverRoutes.js
+// Server routes the till writes to that the backend has not confirmed yet.
+//
+// A record bound for a route that is not confirmed is kept on this till only: it is saved
+// and used locally as usual, marked syncStatus 'local', and never sent, so it does not
+// fail on every retry. Screens say so instead of showing a sync error. Once the backend
+// agrees a route's path and payload, switch it on here and the records still kept
+// locally are sent with the next retry.
+
+export const SERVER_ROUTES = {
+  // GET/POST /orders/{id}/returns
+  ORDER_RETURNS: 'orderReturns',
+  // GET/POST/PUT /customers/{phone}
+  CUSTOMERS: 'customers',
+  // POST /customers/{phone}/loyalty
+  LOYALTY: 'loyalty',
+  // POST /layaways/{id}/payments
+  LAYAWAY_PAYMENTS: 'layawayPayments',
+};
+
+const CONFIRMED = {
+  [SERVER_ROUTES.ORDER_RETURNS]: false,
+  [SERVER_ROUTES.CUSTOMERS]: false,
+  [SERVER_ROUTES.LOYALTY]: false,
+  [SERVER_ROUTES.LAYAWAY_PAYMENTS]: false,
+};
+
+export const LOCAL_ONLY = 'local';
+
+export const isConfirmed = (route) => CONFIRMED[route] === true;
+
+/** Notice for a record kept on this till only, worded for a toast or a badge tooltip. */
+export const localOnlyNotice = (what) => `${what} is kept on this till only until the server accepts it.`;
+
+export default {
+  SERVER_ROUTES,
+  LOCAL_ONLY,
+  isConfirmed,
+  localOnlyNotice,
+};
@@ -0,0 +1,241 @@
+// src/services/stockLedger.js
+// Local stock ledger so availability can be checked without the API.
+//
+// For each inventory we keep the last count the server gave us (`serverQty`, `countedAt`)
+// plus the local movements since then: sales, returns and held-sale reservations.
+// Available stock = serverQty + sum of movement quantities.
+//
+// Movements are dropped once the server has seen them: a sale or return that reached the
+// server before a count was taken is already inside that count. Held-sale reservations
+// never reach the server; they stay until the held sale is released.
+//
+// Pure IndexedDB — also used from the catalog sync worker.
+
+import indexedDb, { reqToPromise, txDone } from './indexedDB';
+import { STORES } from './dbMigrations';
+
+const STORE_LEDGER = STORES.STOCK_LEDGER;
+const STORE_MOVEMENTS = STORES.STOCK_MOVEMENTS;
+
+// A count older than this is shown as unverified
+export const STALE_AFTER_MS = 30 * 60 * 1000;
+
+export const MOVEMENT_TYPES = {
+  SALE: 'sale',
+  RETURN: 'return',
+  HOLD: 'hold',
+};
+
+const keyOf = (inventoryId) => (inventoryId === undefined || inventoryId === null || inventoryId === '' ? null : String(inventoryId));
+
+function inventoryIdOf(item) {
+  return keyOf(
+    item?.inventoryId ??
+    item?.inventory?.id ??
+    item?.inventory?._id ??
+    item?.inventory_id ??
+    item?.invId ??
+    null
+  );
+}
+
+// Sum quantities per inventory; the same product can sit on several cart lines (price types)
+function groupByInventory(items = []) {
+  const map = new Map();
+  for (const it of Array.isArray(items) ? items : []) {
+    const inventoryId = inventoryIdOf(it);
+    const qty = Number(it?.quantity ?? it?.qty) || 0;
+    if (!inventoryId || qty <= 0) continue;
+    const prev = map.get(inventoryId) || { inventoryId, productId: it.productId ?? it.id ?? null, quantity: 0 };
+    prev.quantity += qty;
+    map.set(inventoryId, prev);
+  }
+  return [...map.values()];
+}
+
+async function writeMovements(type, ref, items, { sign, synced }) {
+  if (!ref) throw new Error(`stockLedger: a reference is required to record a ${type}`);
+  const lines = groupByInventory(items);
+  if (!lines.length) return [];
+
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_MOVEMENTS], 'readwrite');
+  const store = tx.objectStore(STORE_MOVEMENTS);
+  const now = Date.now();
+  const written = lines.map((line) => {
+    // deterministic id: recording the same sale twice does not count it twice
+    const movement = {
+      id: `${type}:${ref}:${line.inventoryId}`,
+      type,
+      ref: String(ref),
+      inventoryId: line.inventoryId,
+      productId: line.productId,
+      qty: sign * line.quantity,
+      createdAt: now,
+      syncedAt: synced ? now : null,
+    };
+    store.put(movement);
+    return movement;
+  });
+  await txDone(tx, 'Stock ledger update aborted');
+  return written;
+}
+
+/**
+ * Decrement stock for a completed sale.
+ * @param {{ ref: string, items: object[], synced?: boolean }} sale - `ref` is the order's
+ *   clientOrderId (or orderId); `synced` is false while the order waits in the outbox
+ */
+export function recordSale({ ref, items, synced = true }) {
+  return writeMovements(MOVEMENT_TYPES.SALE, ref, items, { sign: -1, synced });
+}
+
+/** Credit stock back for returned items. */
+export function recordReturn({ ref, items, synced = true }) {
+  return writeMovements(MOVEMENT_TYPES.RETURN, ref, items, { sign: 1, synced });
+}
+
+/** Reserve the items of a held sale so another cart cannot sell them. */
+export function reserveHeldSale(saleId, items) {
+  return writeMovements(MOVEMENT_TYPES.HOLD, saleId, items, { sign: -1, synced: false });
+}
+
+async function deleteMovements(ref, predicate) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_MOVEMENTS], 'readwrite');
+  const store = tx.objectStore(STORE_MOVEMENTS);
+  const rows = await reqToPromise(store.index('ref').getAll(String(ref)));
+  let removed = 0;
+  for (const m of rows) {
+    if (!predicate || predicate(m)) {
+      store.delete(m.id);
+      removed += 1;
+    }
+  }
+  await txDone(tx, 'Stock ledger update aborted');
+  return removed;
+}
+
+/** Credit back a held sale's reservation (retrieved, checked out or deleted). */
+export function releaseHeldSale(saleId) {
+  if (!saleId) return Promise.resolve(0);
+  return deleteMovements(saleId, (m) => m.type === MOVEMENT_TYPES.HOLD);
+}
+
+/** Undo a sale that never completed (e.g. a queued order that was discarded). */
+export function cancelSale(ref) {
+  if (!ref) return Promise.resolve(0);
+  return deleteMovements(ref, (m) => m.type === MOVEMENT_TYPES.SALE && !m.syncedAt);
+}
+
+/** Mark a queued order's movements as received by the server. */
+export async function markSynced(ref) {
+  if (!ref) return 0;
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_MOVEMENTS], 'readwrite');
+  const store = tx.objectStore(STORE_MOVEMENTS);
+  const rows = await reqToPromise(store.index('ref').getAll(String(ref)));
+  const now = Date.now();
+  let updated = 0;
+  for (const m of rows) {
+    if (m.type !== MOVEMENT_TYPES.HOLD && !m.syncedAt) {
+      store.put({ ...m, syncedAt: now });
+      updated += 1;
+    }
+  }
+  await txDone(tx, 'Stock ledger update aborted');
+  return updated;
+}
+
+/**
+ * Replace local counts with server counts taken at `countedAt`. Movements the server
+ * had already received by then are dropped, since the count includes them.
+ * @param {{ inventoryId: string|number, productId?: string|number, quantity: number }[]} counts
+ * @param {{ countedAt?: number }} [options]
+ * @returns {Promise<number>} number of inventories reconciled
+ */
+export async function reconcileServerCounts(counts = [], { countedAt = Date.now() } = {}) {
+  const valid = (Array.isArray(counts) ? counts : [])
+    .map((c) => ({ ...c, inventoryId: keyOf(c?.inventoryId), quantity: Number(c?.quantity) }))
+    .filter((c) => c.inventoryId && Number.isFinite(c.quantity));
+  if (!valid.length) return 0;
+
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_LEDGER, STORE_MOVEMENTS], 'readwrite');
+  const done = txDone(tx, 'Stock ledger update aborted');
+  const ledger = tx.objectStore(STORE_LEDGER);
+  const movements = tx.objectStore(STORE_MOVEMENTS);
+  const byInventory = movements.index('inventoryId');
+
+  for (const c of valid) {
+    const existing = await reqToPromise(ledger.get(c.inventoryId)).catch(() => null);
+    // an older count (e.g. a slow API response) must not overwrite a newer one
+    if (existing && existing.countedAt > countedAt) continue;
+    ledger.put({
+      inventoryId: c.inventoryId,
+      productId: c.productId ?? existing?.productId ?? null,
+      serverQty: c.quantity,
+      countedAt,
+      updatedAt: Date.now(),
+    });
+    const rows = await reqToPromise(byInventory.getAll(c.inventoryId));
+    for (const m of rows) {
+      if (m.syncedAt && m.syncedAt <= countedAt) movements.delete(m.id);
+    }
+  }
+
+  await done;
+  return valid.length;
+}
+
+/**
+ * Ledger view of one inventory.
+ * @returns {Promise<{ inventoryId: string, known: boolean, serverQty: number|null, pending: number,
+ *   available: number|null, countedAt: number|null, stale: boolean, movements: object[] }>}
+ */
+export async function getStockLevel(inventoryId) {
+  const key = keyOf(inventoryId);
+  if (!key) return null;
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_LEDGER, STORE_MOVEMENTS], 'readonly');
+  const [entry, movements] = await Promise.all([
+    reqToPromise(tx.objectStore(STORE_LEDGER).get(key)),
+    reqToPromise(tx.objectStore(STORE_MOVEMENTS).index('inventoryId').getAll(key)),
+  ]);
+  const pending = movements.reduce((s, m) => s + (Number(m.qty) || 0), 0);
+  const known = !!entry;
+  const countedAt = entry?.countedAt ?? null;
+  return {
+    inventoryId: key,
+    productId: entry?.productId ?? null,
+    known,
+    serverQty: known ? entry.serverQty : null,
+    pending,
+    available: known ? entry.serverQty + pending : null,
+    countedAt,
+    stale: !known || Date.now() - countedAt > STALE_AFTER_MS,
+    movements,
+  };
+}
+
+/** Movements the server has not seen yet, oldest first (for the debug view and tests). */
+export async function getPendingMovements() {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_MOVEMENTS], 'readonly');
+  const rows = await reqToPromise(tx.objectStore(STORE_MOVEMENTS).getAll());
+  return rows.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export default {
+  STALE_AFTER_MS,
+  MOVEMENT_TYPES,
+  recordSale,
+  recordReturn,
+  reserveHeldSale,
+  releaseHeldSale,
+  cancelSale,
+  markSynced,
+  reconcileServerCounts,
+  getStockLevel,
+  getPendingMovements,
+};
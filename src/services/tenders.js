@@ -0,0 +1,224 @@
+// src/services/tenders.js
+// Split-tender helpers shared by the payment form, checkout, receipts and reports.
+//
+// A split payment is a list of tender lines, each one method + amount (+ reference): cash
+// and any number of M-Pesa lines, the methods the order API takes. A split goes up as
+// Hybrid with `total` the cash kept; no payment type has been agreed for other methods.
+// Only cash gives change, so non-cash lines together may not exceed the order total;
+// any excess cash tendered is change and is taken off the cash lines' applied amount.
+// With cash rounding on, what is left to pay in cash is rounded to the nearest 1, 5 or 10
+// Ksh; the difference is the order's rounding and is paid (or given up) by the cash lines.
+import { PAYMENT_METHODS } from '../app/constants';
+
+export const TENDER_METHODS = {
+  CASH: PAYMENT_METHODS.CASH,
+  MPESA: 'mpesa',
+  // refunds to a credit note (services/returns); not taken as a tender at the till
+  STORE_CREDIT: 'credit',
+};
+
+export const TENDER_LABELS = {
+  [TENDER_METHODS.CASH]: 'Cash',
+  [TENDER_METHODS.MPESA]: 'M-Pesa',
+  [TENDER_METHODS.STORE_CREDIT]: 'Store credit',
+};
+
+// Cents tolerance so 0.1 + 0.2 style sums do not leave a phantom balance
+const EPSILON = 0.005;
+
+const amountOf = (line) => {
+  const n = Number(line?.amount);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export const labelFor = (method) => TENDER_LABELS[method] || String(method || 'Other');
+
+/** Cash amount rounded to the nearest `roundTo` Ksh; unchanged when rounding is off. */
+export function roundCash(amount, roundTo = null) {
+  const n = Number(amount) || 0;
+  const step = Number(roundTo) || 0;
+  if (step <= 0) return round2(n);
+  return round2(Math.round(n / step + 1e-9) * step);
+}
+
+let lineSeq = 0;
+
+/** New editable tender line. Amount is kept as the raw input string. */
+export function createTenderLine(method = TENDER_METHODS.CASH, fields = {}) {
+  lineSeq += 1;
+  return { id: `t${Date.now().toString(36)}${lineSeq}`, method, amount: '', reference: '', phone: '', ...fields };
+}
+
+/** M-Pesa line with a phone and no code: paid by STK push, confirmed after the order is created. */
+export const isPromptLine = (line) =>
+  line?.method === TENDER_METHODS.MPESA && !String(line.reference || '').trim() && !!String(line.phone || '').trim();
+
+export const promptLine = (tenders = []) => (tenders || []).find(isPromptLine) || null;
+
+/**
+ * Running totals for a tender list against the order total.
+ * @param {object[]} tenders
+ * @param {number} total
+ * @param {{ roundTo?: number|null }} [options] - cash rounding step in Ksh; applies once a
+ *   cash line is entered
+ * @returns {{ paid: number, cashPaid: number, nonCashPaid: number, rounding: number, due: number,
+ *   balance: number, change: number, covered: boolean, byMethod: Object<string, number> }}
+ */
+export function summarizeTenders(tenders = [], total = 0, { roundTo = null } = {}) {
+  const byMethod = {};
+  let paid = 0;
+  let cashPaid = 0;
+  (tenders || []).forEach((line) => {
+    const amt = Math.max(0, amountOf(line));
+    paid += amt;
+    if (line.method === TENDER_METHODS.CASH) cashPaid += amt;
+    byMethod[line.method] = (byMethod[line.method] || 0) + amt;
+  });
+  const left = (Number(total) || 0) - (paid - cashPaid);
+  const rounding = cashPaid > 0 && left > 0 ? round2(roundCash(left, roundTo) - left) : 0;
+  const due = (Number(total) || 0) + rounding;
+  const over = paid - due;
+  return {
+    paid: round2(paid),
+    cashPaid: round2(cashPaid),
+    nonCashPaid: round2(paid - cashPaid),
+    rounding,
+    due: round2(due),
+    balance: over < -EPSILON ? round2(-over) : 0,
+    change: over > EPSILON ? round2(Math.min(cashPaid, over)) : 0,
+    covered: over >= -EPSILON,
+    byMethod,
+  };
+}
+
+/**
+ * Checks a tender list before checkout.
+ * @param {object[]} tenders
+ * @param {number} total
+ * @param {{ roundTo?: number|null }} [options] - cash rounding step in Ksh
+ * @returns {string|null} the first problem, worded for a toast, or null when the list is valid
+ */
+export function validateTenders(tenders = [], total = 0, { roundTo = null } = {}) {
+  const lines = Array.isArray(tenders) ? tenders : [];
+  if (lines.length === 0) return 'Add at least one payment line';
+
+  const codes = new Set();
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const name = `${labelFor(line.method)} line ${i + 1}`;
+    const ref = String(line.reference || '').trim().toUpperCase();
+
+    if (!(amountOf(line) > 0)) return `${name}: enter an amount`;
+
+    if (line.method === TENDER_METHODS.MPESA) {
+      if (!ref && !String(line.phone || '').trim()) return `${name}: enter the M-Pesa code or a phone number to prompt`;
+      if (ref) {
+        if (codes.has(ref)) return `M-Pesa code ${ref} is entered twice`;
+        codes.add(ref);
+      }
+    } else if (line.method !== TENDER_METHODS.CASH) {
+      return `${name}: unsupported payment method`;
+    }
+  }
+
+  if (lines.filter(isPromptLine).length > 1) return 'Only one M-Pesa line can prompt a phone - enter codes for the others';
+
+  const summary = summarizeTenders(lines, total, { roundTo });
+  if (summary.nonCashPaid - (Number(total) || 0) > EPSILON) {
+    return 'Non-cash payments exceed the total - only cash can give change';
+  }
+  if (!summary.covered) return `Balance of Ksh ${summary.balance.toLocaleString()} still due`;
+  return null;
+}
+
+/**
+ * Tender lines as sent with the order and kept on the local record. `applied` is what
+ * the line actually paid towards the order: cash lines give up the change, last first.
+ * With cash rounding the applied amounts add up to the total plus the rounding.
+ */
+export function toOrderTenders(tenders = [], total = 0, { roundTo = null } = {}) {
+  let change = summarizeTenders(tenders, total, { roundTo }).change;
+  const out = (tenders || []).map((line) => ({
+    method: line.method,
+    label: labelFor(line.method),
+    amount: round2(amountOf(line)),
+    applied: round2(amountOf(line)),
+    reference: String(line.reference || '').trim().toUpperCase() || null,
+    phone: String(line.phone || '').trim() || null,
+  }));
+  for (let i = out.length - 1; i >= 0 && change > 0; i--) {
+    if (out[i].method !== TENDER_METHODS.CASH) continue;
+    const take = Math.min(out[i].applied, change);
+    out[i].applied = round2(out[i].applied - take);
+    change = round2(change - take);
+  }
+  return out;
+}
+
+/** Converts a legacy hybrid (`both`) payment into split tender lines. */
+export function normalizePayment(paymentType, paymentData = {}) {
+  const pd = paymentData || {};
+  if (paymentType !== 'both') return { paymentType, paymentData: pd };
+  const tenders = [];
+  if (Number(pd.cashAmount) > 0) tenders.push(createTenderLine(TENDER_METHODS.CASH, { amount: String(pd.cashAmount) }));
+  tenders.push(createTenderLine(TENDER_METHODS.MPESA, {
+    amount: String(pd.mpesaAmount || ''),
+    phone: pd.mpesaPhone || '',
+    reference: pd.mpesaCode || '',
+  }));
+  return { paymentType: 'split', paymentData: { tenders, buyerPin: pd.buyerPin || '' } };
+}
+
+/**
+ * Tender lines for any stored order, for receipts and reports. Orders recorded before
+ * split tenders are mapped from their single method or cash/M-Pesa hybrid amounts.
+ * @param {object} order - local order record ({ paymentType, paymentData, cartTotal }) or API order
+ */
+export function tendersFromOrder(order = {}) {
+  const pd = order.paymentData || order.orderData?.paymentData || {};
+  const stored = Array.isArray(order.tenders) && order.tenders.length ? order.tenders : pd.tenders;
+  if (Array.isArray(stored) && stored.length) {
+    return stored.map((t) => ({
+      ...t,
+      label: t.label || labelFor(t.method),
+      amount: Number(t.amount) || 0,
+      applied: Number(t.applied ?? t.amount) || 0,
+    }));
+  }
+
+  const total = Number(order.cartTotal ?? order.total) || 0;
+  const type = String(order.paymentType ?? order.orderPaymentType ?? order.payment ?? 'cash').toLowerCase();
+  const line = (method, amount, applied, extra = {}) => ({ method, label: labelFor(method), amount, applied, reference: null, phone: null, ...extra });
+
+  if (type.includes('hybrid') || type === 'both') {
+    const cash = Number(pd.cashAmount ?? pd.cash) || 0;
+    const mpesa = Number(pd.mpesaAmount ?? pd.mpesa) || 0;
+    const cashApplied = Math.max(0, Math.min(cash, total - mpesa));
+    return [
+      line(TENDER_METHODS.CASH, cash, cashApplied),
+      line(TENDER_METHODS.MPESA, mpesa, mpesa, { reference: pd.mpesaCode || null, phone: pd.mpesaPhone || null }),
+    ].filter((t) => t.amount > 0);
+  }
+  if (type.includes('mpesa')) {
+    return [line(TENDER_METHODS.MPESA, total, total, { reference: pd.mpesaCode || order.transactionId || null, phone: pd.mpesaPhone || null })];
+  }
+  // cash rounding is paid in (or given up) by the cash
+  return [line(TENDER_METHODS.CASH, Number(pd.cashAmount) || total, round2(total + (Number(order.cashRounding ?? pd.rounding) || 0)))];
+}
+
+export default {
+  TENDER_METHODS,
+  TENDER_LABELS,
+  labelFor,
+  roundCash,
+  createTenderLine,
+  isPromptLine,
+  promptLine,
+  summarizeTenders,
+  validateTenders,
+  toOrderTenders,
+  normalizePayment,
+  tendersFromOrder,
+};
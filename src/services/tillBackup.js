@@ -0,0 +1,197 @@
+// src/services/tillBackup.js
+// Snapshot and restore of everything a till keeps locally: every IndexedDB store plus
+// the localStorage keys for held sales, daily capital, printer settings and the order
+// poller. The Electron main process compresses/encrypts the snapshot and writes it to
+// disk ('backup-export' / 'backup-import'); this module builds and applies it.
+//
+// Auth tokens and the persisted Redux user are deliberately left out: a restored till
+// signs in again.
+
+import indexedDb, { reqToPromise, txDone } from './indexedDB';
+import { STORES, LATEST_VERSION, migrateRows } from './dbMigrations';
+
+const isElectron = !!(typeof window !== 'undefined' && window.require && window.require('electron'));
+const ipcRenderer = isElectron ? window.require('electron').ipcRenderer : null;
+
+export const BACKUP_FORMAT = 'arpella-till-backup';
+// Bump when the snapshot layout changes; restore refuses anything newer
+export const ARCHIVE_VERSION = 1;
+
+const HELD_SALES_KEY = 'pos_held_sales';
+const LOCAL_STORAGE_KEYS = [
+  HELD_SALES_KEY,
+  'thermalPrinterStoreSettings',
+  'thermalPrinterPreference',
+  'arpella:lastServerOrderTs',
+  'arpella:hasNewServerOrders',
+  'arpella:newOrdersCount',
+  'arpella:completedOrderKeys',
+];
+const LOCAL_STORAGE_PREFIXES = ['capital:'];
+
+// Sales data is merged into whatever the target till already has; everything else
+// (catalog, ledger counts) is replaced by the backup's copy. Meta is merged by key:
+// the backup's settings and watermarks win, keys only this till has are kept.
+const MERGE_STORES = [STORES.META, STORES.ORDERS, STORES.OUTBOX, STORES.STOCK_MOVEMENTS, STORES.RETURNS, STORES.VOIDS, STORES.CUSTOMERS, STORES.ACCOUNT_ENTRIES, STORES.QUOTES, STORES.LAYAWAYS];
+
+export const isBackupAvailable = () => !!ipcRenderer;
+
+function collectLocalStorage() {
+  const out = {};
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (LOCAL_STORAGE_KEYS.includes(key) || LOCAL_STORAGE_PREFIXES.some((p) => key.startsWith(p))) {
+        out[key] = localStorage.getItem(key);
+      }
+    }
+  } catch (e) {
+    console.warn('[tillBackup] localStorage not readable', e);
+  }
+  return out;
+}
+
+/**
+ * Snapshot of the till's local data.
+ * @returns {Promise<object>} `{ format, archiveVersion, dbVersion, createdAt, stores, localStorage, counts }`
+ */
+export async function collectTillData() {
+  const db = await indexedDb.openDB();
+  const names = Object.values(STORES).filter((n) => db.objectStoreNames.contains(n));
+  const tx = db.transaction(names, 'readonly');
+  const stores = {};
+  for (const name of names) {
+    stores[name] = await reqToPromise(tx.objectStore(name).getAll());
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    archiveVersion: ARCHIVE_VERSION,
+    dbVersion: db.version,
+    createdAt: Date.now(),
+    stores,
+    localStorage: collectLocalStorage(),
+    counts: Object.fromEntries(Object.entries(stores).map(([n, rows]) => [n, rows.length])),
+  };
+}
+
+/**
+ * Throws if the snapshot cannot be restored by this version of the app.
+ * Checked before anything local is touched.
+ */
+export function validateSnapshot(snapshot) {
+  if (!snapshot || snapshot.format !== BACKUP_FORMAT) {
+    throw new Error('This file does not contain Arpella till data');
+  }
+  if (!Number.isInteger(snapshot.archiveVersion) || snapshot.archiveVersion > ARCHIVE_VERSION) {
+    throw new Error(`Backup version ${snapshot.archiveVersion} is newer than this app supports (${ARCHIVE_VERSION}). Update Arpella POS first.`);
+  }
+  if (Number(snapshot.dbVersion) > LATEST_VERSION) {
+    throw new Error(`Backup was made with database v${snapshot.dbVersion}; this app only knows up to v${LATEST_VERSION}. Update Arpella POS first.`);
+  }
+  if (!snapshot.stores || typeof snapshot.stores !== 'object') {
+    throw new Error('Backup has no store data');
+  }
+  return true;
+}
+
+function mergeHeldSales(current, incoming) {
+  try {
+    const mine = JSON.parse(current || '[]');
+    const theirs = JSON.parse(incoming || '[]');
+    const byId = new Map([...mine, ...theirs].map((s) => [s.id, s]));
+    return JSON.stringify([...byId.values()]);
+  } catch (e) {
+    return incoming;
+  }
+}
+
+function restoreLocalStorage(values = {}) {
+  try {
+    for (const [key, value] of Object.entries(values)) {
+      if (!(LOCAL_STORAGE_KEYS.includes(key) || LOCAL_STORAGE_PREFIXES.some((p) => key.startsWith(p)))) continue;
+      if (value === null || value === undefined) continue;
+      localStorage.setItem(key, key === HELD_SALES_KEY ? mergeHeldSales(localStorage.getItem(key), value) : value);
+    }
+  } catch (e) {
+    console.warn('[tillBackup] localStorage not writable', e);
+  }
+}
+
+/**
+ * Write a snapshot into this till. Rows from an older database version are migrated
+ * to the current schema first. All stores are written in one transaction, so a
+ * failure leaves the local data as it was.
+ * @returns {Promise<{ restored: Record<string, number> }>}
+ */
+export async function restoreTillData(snapshot) {
+  validateSnapshot(snapshot);
+  const fromVersion = Number(snapshot.dbVersion) || 0;
+
+  const db = await indexedDb.openDB();
+  const names = Object.values(STORES).filter((n) => db.objectStoreNames.contains(n));
+  const tx = db.transaction(names, 'readwrite');
+  const done = txDone(tx, 'Restore aborted');
+
+  const restored = {};
+  try {
+    for (const name of names) {
+      if (!Array.isArray(snapshot.stores[name])) continue;
+      const rows = migrateRows(name, snapshot.stores[name], fromVersion);
+      const store = tx.objectStore(name);
+      if (!MERGE_STORES.includes(name)) store.clear();
+      for (const row of rows) store.put(row);
+      restored[name] = rows.length;
+    }
+    // force search indexes in every window to rebuild from the restored catalog
+    if (names.includes(STORES.META)) {
+      tx.objectStore(STORES.META).put({ key: 'catalogRevision', value: `restore-${Date.now()}`, updatedAt: Date.now() });
+    }
+  } catch (err) {
+    try { tx.abort(); } catch (e) { }
+    throw err;
+  }
+  await done;
+
+  restoreLocalStorage(snapshot.localStorage);
+  return { restored };
+}
+
+/**
+ * Collect the till data and save it through the main process.
+ * @param {{ password?: string }} [options]
+ */
+export async function exportBackup({ password } = {}) {
+  if (!ipcRenderer) throw new Error('Backups are only available in the desktop app');
+  const data = await collectTillData();
+  const res = await ipcRenderer.invoke('backup-export', { data, password: password || null });
+  return { ...res, counts: data.counts };
+}
+
+/**
+ * Read a backup through the main process. Returns the main process response; when it
+ * has `needsPassword`, call again with its `filePath` and the password.
+ */
+export async function readBackup({ filePath, password } = {}) {
+  if (!ipcRenderer) throw new Error('Backups are only available in the desktop app');
+  const res = await ipcRenderer.invoke('backup-import', { filePath, password: password || null });
+  if (res?.success) {
+    try {
+      validateSnapshot(res.data);
+    } catch (err) {
+      return { success: false, filePath: res.filePath, message: err.message };
+    }
+  }
+  return res;
+}
+
+export default {
+  BACKUP_FORMAT,
+  ARCHIVE_VERSION,
+  isBackupAvailable,
+  collectTillData,
+  validateSnapshot,
+  restoreTillData,
+  exportBackup,
+  readBackup,
+};
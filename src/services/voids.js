@@ -0,0 +1,301 @@
+// src/services/voids.js
+// Line voids (cart lines removed before checkout) and post-voids (completed sales undone).
+//
+// Every void needs a reason and is written to the `voids` store with the cashier and, when
+// the amount is above the till's threshold, the supervisor whose PIN approved it. A
+// post-voided sale keeps its order record with status `voided` so the day's reports still
+// show it. Supervisor PINs are kept as salted SHA-256 hashes in the meta store.
+import indexedDb, { reqToPromise, txDone } from './indexedDB';
+import { STORES } from './dbMigrations';
+import stockLedger from './stockLedger';
+import { ORDER_STATUS } from '../app/constants';
+
+const STORE_VOIDS = STORES.VOIDS;
+const POLICY_KEY = 'voidPolicy';
+
+export const VOID_TYPES = {
+  LINE: 'line',
+  POST: 'post',
+};
+
+// Thresholds in Ksh; a void worth more than its threshold needs a supervisor PIN
+export const DEFAULT_VOID_POLICY = {
+  lineThreshold: 500,
+  postThreshold: 0,
+  supervisors: [],
+};
+
+const PIN_FORMAT = /^\d{4,8}$/;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`.toUpperCase();
+
+function voidError(message, extra = {}) {
+  const err = new Error(message);
+  err.isValidationError = true;
+  Object.assign(err, extra);
+  return err;
+}
+
+/* ----------------------------
+   Policy and supervisor PINs
+   ---------------------------- */
+
+export async function getVoidPolicy() {
+  const stored = await indexedDb.getMeta(POLICY_KEY).catch(() => null);
+  return { ...DEFAULT_VOID_POLICY, ...(stored || {}) };
+}
+
+async function savePolicy(policy) {
+  await indexedDb.setMeta(POLICY_KEY, policy);
+  return policy;
+}
+
+/** Updates the thresholds; supervisors are managed with addSupervisor / removeSupervisor. */
+export async function saveVoidThresholds({ lineThreshold, postThreshold }) {
+  const values = { lineThreshold: Number(lineThreshold), postThreshold: Number(postThreshold) };
+  if (!Object.values(values).every((v) => Number.isFinite(v) && v >= 0)) {
+    throw voidError('Thresholds must be zero or more');
+  }
+  return savePolicy({ ...(await getVoidPolicy()), ...values });
+}
+
+async function hashPin(pin, salt) {
+  const subtle = window.crypto?.subtle;
+  if (!subtle) throw new Error('PIN hashing is not available on this device');
+  const bytes = new TextEncoder().encode(`${salt}:${pin}`);
+  const digest = await subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+const newSalt = () => {
+  const bytes = new Uint8Array(16);
+  window.crypto.getRandomValues(bytes);
+  return Array.from(bytes).map((b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+/** Supervisor whose PIN this is, or null. */
+export async function findSupervisorByPin(pin, policy) {
+  const p = policy || await getVoidPolicy();
+  for (const s of p.supervisors || []) {
+    if (await hashPin(String(pin), s.salt) === s.pinHash) return { id: s.id, name: s.name };
+  }
+  return null;
+}
+
+export async function addSupervisor(name, pin) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw voidError('Enter the supervisor name');
+  if (!PIN_FORMAT.test(String(pin || ''))) throw voidError('PIN must be 4-8 digits');
+  const policy = await getVoidPolicy();
+  // each PIN has to identify exactly one supervisor in the audit trail
+  if (await findSupervisorByPin(pin, policy)) throw voidError('That PIN is already in use - choose another');
+  const salt = newSalt();
+  const supervisor = { id: newId('SUP'), name: trimmed, salt, pinHash: await hashPin(String(pin), salt), createdAt: Date.now() };
+  await savePolicy({ ...policy, supervisors: [...(policy.supervisors || []), supervisor] });
+  return { id: supervisor.id, name: supervisor.name };
+}
+
+export async function removeSupervisor(id) {
+  const policy = await getVoidPolicy();
+  return savePolicy({ ...policy, supervisors: (policy.supervisors || []).filter((s) => s.id !== id) });
+}
+
+/** Whether a void of `amount` needs a supervisor PIN under `policy`. */
+export function needsApproval(type, amount, policy = DEFAULT_VOID_POLICY) {
+  const threshold = type === VOID_TYPES.POST ? policy.postThreshold : policy.lineThreshold;
+  return (Number(amount) || 0) > (Number(threshold) || 0);
+}
+
+/**
+ * Checks the reason and, above the threshold, the supervisor PIN.
+ * @returns {Promise<{ approvedBy: { id: string, name: string }|null }>}
+ * @throws {Error} with `isValidationError`, and `needsPin` when a PIN is missing or wrong
+ */
+export async function authorizeVoid({ type, amount, reason, pin }) {
+  if (!String(reason || '').trim()) throw voidError('Enter a reason for the void');
+  const policy = await getVoidPolicy();
+  if (!needsApproval(type, amount, policy)) return { approvedBy: null };
+  if (!(policy.supervisors || []).length) {
+    throw voidError('A supervisor PIN is required, but none is set up - add one under Settings', { needsPin: true });
+  }
+  if (!String(pin || '').trim()) throw voidError('Supervisor PIN required', { needsPin: true });
+  const approvedBy = await findSupervisorByPin(String(pin).trim(), policy);
+  if (!approvedBy) throw voidError('Wrong supervisor PIN', { needsPin: true });
+  return { approvedBy };
+}
+
+/* ----------------------------
+   Audit trail
+   ---------------------------- */
+
+const itemSummary = (it) => {
+  const quantity = Number(it.quantity ?? it.qty) || 0;
+  const unitPrice = Number(it.salePrice ?? it.price) || 0;
+  return {
+    productId: it.productId ?? it.id ?? null,
+    inventoryId: it.inventoryId ?? null,
+    name: String(it.name || it.productName || 'Item'),
+    priceType: it.priceType || 'Retail',
+    quantity,
+    unitPrice,
+    lineTotal: round2(Number(it.lineTotal) || quantity * unitPrice),
+  };
+};
+
+async function putVoid(record) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_VOIDS], 'readwrite');
+  tx.objectStore(STORE_VOIDS).put(record);
+  await txDone(tx, 'Void was not recorded');
+  return record;
+}
+
+/** Voids between two timestamps, oldest first. */
+export async function getVoids({ from = 0, to = Date.now() } = {}) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_VOIDS], 'readonly');
+  return reqToPromise(tx.objectStore(STORE_VOIDS).index('createdAt').getAll(IDBKeyRange.bound(from, to)));
+}
+
+/**
+ * Records cart lines removed before checkout.
+ * @param {{ items: object[], reason: string, pin?: string, cashier?: string }} input -
+ *   receipt-shaped items (salePrice / lineTotal already resolved)
+ */
+export async function voidLines({ items, reason, pin, cashier = '' }) {
+  const lines = (items || []).map(itemSummary);
+  const amount = round2(lines.reduce((s, l) => s + l.lineTotal, 0));
+  const { approvedBy } = await authorizeVoid({ type: VOID_TYPES.LINE, amount, reason, pin });
+  return putVoid({
+    id: newId('VOID'),
+    type: VOID_TYPES.LINE,
+    orderId: null,
+    items: lines,
+    amount,
+    reason: String(reason).trim(),
+    cashier,
+    approvedBy,
+    syncStatus: 'synced',
+    createdAt: Date.now(),
+  });
+}
+
+// Server id of a local order, once the server has it
+const serverOrderIdOf = (order) => order?.serverOrderId || (order?.syncStatus === 'synced' ? order.orderId : null);
+
+async function outboxHas(clientOrderId) {
+  if (!clientOrderId) return false;
+  const entries = await indexedDb.getOutboxOrders().catch(() => []);
+  return entries.some((e) => e.clientOrderId === clientOrderId);
+}
+
+/**
+ * Voids a completed sale. The order stays in the local records as `voided` and its stock
+ * comes back: a sale still waiting in the outbox is simply discarded, a synced one is
+ * cancelled on the server (retried later if that fails). The order and its outbox entry
+ * are read again here, since the outbox may have sent the sale after `order` was loaded.
+ * @param {{ order: object, items: object[], reason: string, pin?: string, cashier?: string,
+ *   client?: { cancelOrder: Function }, outbox?: { discard: Function } }} input
+ */
+export async function postVoidOrder({ order, items, reason, pin, cashier = '', client = null, outbox = null }) {
+  const orderId = order?.orderId;
+  if (!orderId) throw voidError('Only sales recorded on this till can be voided');
+  const current = (await indexedDb.getOrderById(orderId).catch(() => null)) || order;
+  if (current.status === ORDER_STATUS.VOIDED) throw voidError('This sale is already voided');
+  if ((current.creditNotes || []).length) {
+    throw voidError('Items from this sale have been returned - return the rest instead of voiding it');
+  }
+
+  const amount = round2(Number(current.cartTotal) || 0);
+  const { approvedBy } = await authorizeVoid({ type: VOID_TYPES.POST, amount, reason, pin });
+
+  // a sale no longer in the outbox has been sent (or is being sent) and is cancelled instead
+  const queued = !!outbox && current.syncStatus !== 'synced' && await outboxHas(current.clientOrderId);
+  const record = {
+    id: newId('VOID'),
+    type: VOID_TYPES.POST,
+    orderId,
+    serverOrderId: serverOrderIdOf(current),
+    items: (items || []).map(itemSummary),
+    amount,
+    reason: String(reason).trim(),
+    cashier,
+    approvedBy,
+    syncStatus: queued ? 'synced' : 'pending',
+    createdAt: Date.now(),
+  };
+  await putVoid(record);
+
+  await indexedDb.updateOrder(orderId, {
+    status: ORDER_STATUS.VOIDED,
+    voidId: record.id,
+    voidedAt: record.createdAt,
+    voidReason: record.reason,
+    voidedBy: cashier,
+    voidApprovedBy: approvedBy?.name || null,
+  });
+
+  if (queued) {
+    // never reached the server: dropping it from the outbox also gives its stock back
+    await outbox.discard(current.clientOrderId).catch((e) => console.warn('[voids] failed to discard queued sale', e));
+    return record;
+  }
+
+  await stockLedger.recordReturn({ ref: record.id, items: record.items, synced: false })
+    .catch((e) => console.warn('[voids] failed to update stock ledger', e));
+  return client ? syncVoid(record, client) : record;
+}
+
+/**
+ * Cancels a post-voided sale on the server. A void taken while the outbox was sending
+ * the sale picks up the server id once the send has been recorded.
+ */
+export async function syncVoid(record, client) {
+  if (record.syncStatus !== 'pending') return record;
+  const order = record.serverOrderId ? null : await indexedDb.getOrderById(record.orderId).catch(() => null);
+  const serverOrderId = record.serverOrderId || serverOrderIdOf(order);
+  if (!serverOrderId) {
+    // still queued means the outbox is mid-send; the server id will be recorded shortly
+    if (order?.syncStatus === 'queued') return putVoid({ ...record, syncError: 'Waiting for the sale to reach the server' });
+    return putVoid({ ...record, syncStatus: 'local' });
+  }
+  try {
+    await client.cancelOrder(serverOrderId);
+    await stockLedger.markSynced(record.id).catch(() => {});
+    return putVoid({ ...record, serverOrderId, syncStatus: 'synced', syncedAt: Date.now(), syncError: null });
+  } catch (e) {
+    return putVoid({ ...record, serverOrderId, syncError: String(e?.message || e) });
+  }
+}
+
+/** Retries the server cancellation of post-voids that have not gone through yet. */
+export async function retryPendingVoids(client) {
+  const db = await indexedDb.openDB();
+  const tx = db.transaction([STORE_VOIDS], 'readonly');
+  const pending = await reqToPromise(tx.objectStore(STORE_VOIDS).index('syncStatus').getAll('pending')).catch(() => []);
+  let synced = 0;
+  for (const record of pending) {
+    const next = await syncVoid(record, client);
+    if (next.syncStatus === 'synced') synced += 1;
+  }
+  return { pending: pending.length, synced };
+}
+
+export default {
+  VOID_TYPES,
+  DEFAULT_VOID_POLICY,
+  getVoidPolicy,
+  saveVoidThresholds,
+  addSupervisor,
+  removeSupervisor,
+  findSupervisorByPin,
+  needsApproval,
+  authorizeVoid,
+  getVoids,
+  voidLines,
+  postVoidOrder,
+  syncVoid,
+  retryPendingVoids,
+};
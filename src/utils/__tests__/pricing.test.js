@@ -0,0 +1,183 @@
+import {
+    isRetail,
+    listPrice,
+    unitPrice,
+    soldUnitPrice,
+    priceLine,
+    priceLines,
+    priceCart,
+    totalsOf,
+    discountAmount,
+    quantityBreak,
+    linePortions,
+} from '../pricing';
+
+// one product with every price it can carry: retail 100, wholesale 90, offer 80
+const product = { id: 'P1', price: 100, wholesalePrice: 90, priceAfterDiscount: 80 };
+
+const PRICE_TYPES = [
+    ['Retail', 100],
+    ['Wholesale', 90],
+    ['Discounted', 90],
+];
+const OFFERS = [
+    ['no flash sale', false],
+    ['flash sale on', true],
+];
+const DISCOUNTS = [
+    ['no discount', null, 0],
+    ['10% line discount', { kind: 'percent', value: 10, reasonCode: 'LOYAL' }, 0.1],
+    ['Ksh 25 line discount', { kind: 'amount', value: 25, reasonCode: 'DAMAGED' }, null],
+];
+const TAX_RATES = [0, 0.16];
+
+const matrix = [];
+PRICE_TYPES.forEach(([priceType, list]) => {
+    OFFERS.forEach(([offerLabel, applyDiscount]) => {
+        DISCOUNTS.forEach(([discountLabel, discount, percent]) => {
+            TAX_RATES.forEach((taxRate) => {
+                matrix.push([priceType, offerLabel, discountLabel, taxRate, { priceType, applyDiscount, discount, list, percent }]);
+            });
+        });
+    });
+});
+
+describe('price type × discount × flash sale × tax', () => {
+    it.each(matrix)('%s, %s, %s, tax %s', (priceType, _offer, _discount, taxRate, c) => {
+        const quantity = 3;
+        const item = { ...product, priceType: c.priceType, applyDiscount: c.applyDiscount, discount: c.discount, quantity };
+
+        const unit = c.applyDiscount ? 80 : c.list;
+        const gross = unit * quantity;
+        const off = c.discount ? (c.percent ? gross * c.percent : 25) : 0;
+        const net = gross - off;
+
+        const line = priceLine(item);
+        expect(line.listPrice).toBe(c.list);
+        expect(line.unitPrice).toBe(unit);
+        expect(line.offerApplied).toBe(c.applyDiscount);
+        expect(line.offerSaving).toBe((c.list - unit) * quantity);
+        expect(line.grossTotal).toBe(gross);
+        expect(line.lineDiscount).toBe(off);
+        expect(line.lineTotal).toBe(net);
+
+        const cart = priceCart([item], { taxRate });
+        expect(cart.subtotal).toBe(gross);
+        expect(cart.discountTotal).toBe(off);
+        expect(cart.net).toBe(net);
+        expect(cart.tax).toBe(Math.round(net * taxRate * 100) / 100);
+        expect(cart.total).toBe(Math.round(net * (1 + taxRate) * 100) / 100);
+    });
+});
+
+describe('unit prices', () => {
+    it('treats a line without a price type, in any case, as Retail', () => {
+        expect(isRetail(undefined)).toBe(true);
+        expect(isRetail('retail')).toBe(true);
+        expect(isRetail('Wholesale')).toBe(false);
+        expect(listPrice({ price: 100, wholesalePrice: 90 })).toBe(100);
+    });
+
+    it('falls back from the wholesale price to the offer price, then the retail price', () => {
+        expect(listPrice({ priceType: 'Discounted', price: 100, priceAfterDiscount: 80 })).toBe(80);
+        expect(listPrice({ priceType: 'Discounted', price: 100 })).toBe(100);
+        expect(listPrice({ priceType: 'Wholesale', price: 100, wholesalePrice: 0, priceAfterDiscount: 0 })).toBe(100);
+    });
+
+    it('applies the offer only when switched on and priced, including the API\'s 1 for true', () => {
+        expect(unitPrice({ ...product, priceType: 'Retail', applyDiscount: 1 })).toBe(80);
+        expect(unitPrice({ ...product, priceType: 'Retail', applyDiscount: 0 })).toBe(100);
+        expect(unitPrice({ price: 100, priceType: 'Retail', applyDiscount: true })).toBe(100);
+    });
+
+    it('keeps the price an old order was sold at', () => {
+        expect(soldUnitPrice({ ...product, priceType: 'Retail', sellingPrice: 95 })).toBe(95);
+        expect(soldUnitPrice({ ...product, priceType: 'Retail', salePrice: 97 })).toBe(97);
+        expect(soldUnitPrice({ ...product, priceType: 'Wholesale' })).toBe(90);
+    });
+});
+
+describe('quantity breaks', () => {
+    // retail 100, wholesale 90 from 12 units up
+    const carton = { ...product, discountQuantity: 12, priceType: 'Retail' };
+
+    it('leaves a line below the break at its own price', () => {
+        const line = priceLine({ ...carton, quantity: 11 });
+        expect(line.tier).toBeNull();
+        expect(line.grossTotal).toBe(1100);
+        expect(linePortions({ ...carton, quantity: 11 })).toEqual([{ priceType: 'Retail', applyDiscount: false, unitPrice: 100, quantity: 11 }]);
+    });
+
+    it('prices every full multiple of the break at the tier price and the rest at retail', () => {
+        const line = priceLine({ ...carton, quantity: 30 });
+        expect(line.tier).toEqual({ threshold: 12, quantity: 24, unitPrice: 90, remainder: 6, remainderPrice: 100, saving: 240 });
+        expect(line.tierSaving).toBe(240);
+        expect(line.grossTotal).toBe(24 * 90 + 6 * 100);
+        expect(line.averageUnitPrice * 30).toBeCloseTo(2760, 6);
+        expect(linePortions({ ...carton, quantity: 30 })).toEqual([
+            { priceType: 'Discounted', applyDiscount: false, unitPrice: 90, quantity: 24 },
+            { priceType: 'Retail', applyDiscount: false, unitPrice: 100, quantity: 6 },
+        ]);
+    });
+
+    it('sends an exact multiple as the tier portion alone', () => {
+        expect(linePortions({ ...carton, quantity: 24 })).toEqual([{ priceType: 'Discounted', applyDiscount: false, unitPrice: 90, quantity: 24 }]);
+        expect(priceLine({ ...carton, quantity: 24 }).tier.remainder).toBe(0);
+    });
+
+    it('takes manual discounts off the tiered total', () => {
+        const line = priceLine({ ...carton, quantity: 12, discount: { kind: 'percent', value: 10 } });
+        expect(line.grossTotal).toBe(1080);
+        expect(line.lineTotal).toBe(972);
+    });
+
+    it('applies only when the tier price beats the line\'s price', () => {
+        // the flash-sale price of 80 already beats the tier's 90
+        expect(quantityBreak({ ...carton, quantity: 12, applyDiscount: true })).toBeNull();
+        expect(quantityBreak({ ...carton, wholesalePrice: 100, priceAfterDiscount: 0, quantity: 12 })).toBeNull();
+        // wholesale lines are already at the lower price
+        expect(quantityBreak({ ...carton, priceType: 'Discounted', quantity: 12 })).toBeNull();
+    });
+
+    it('ignores a missing break or a break of one unit', () => {
+        expect(quantityBreak({ ...product, priceType: 'Retail', quantity: 50 })).toBeNull();
+        expect(quantityBreak({ ...carton, discountQuantity: 1, quantity: 50 })).toBeNull();
+        expect(quantityBreak({ ...carton, discountQuantity: '12', quantity: 12 }).unitPrice).toBe(90);
+    });
+});
+
+describe('order discount and totals', () => {
+    it('spreads the order discount over the lines and lets the last take the remainder', () => {
+        const lines = priceLines([
+            { price: 100, quantity: 1 },
+            { price: 100, quantity: 1 },
+            { price: 100, quantity: 1 },
+        ], { orderDiscount: { kind: 'amount', value: 10 } });
+
+        expect(lines.map((l) => l.orderDiscountShare)).toEqual([3.33, 3.33, 3.34]);
+        expect(lines[2].netUnitPrice).toBe(96.66);
+        expect(totalsOf(lines)).toEqual({ subtotal: 300, lineDiscounts: 0, orderDiscount: 10, discountTotal: 10, net: 290, tax: 0, total: 290 });
+    });
+
+    it('taxes what is left after every discount', () => {
+        const cart = priceCart(
+            [{ price: 500, quantity: 2, discount: { kind: 'amount', value: 100 } }],
+            { orderDiscount: { kind: 'percent', value: 10 }, taxRate: 0.16 }
+        );
+        // 1000 - 100 line - 90 order = 810, + 16%
+        expect(cart.net).toBe(810);
+        expect(cart.tax).toBe(129.6);
+        expect(cart.total).toBe(939.6);
+    });
+
+    it('never discounts more than the amount it applies to', () => {
+        expect(discountAmount(50, { kind: 'amount', value: 80 })).toBe(50);
+        expect(discountAmount(50, { kind: 'percent', value: 0 })).toBe(0);
+        expect(discountAmount(0, { kind: 'percent', value: 10 })).toBe(0);
+    });
+
+    it('prices nothing for an empty or missing cart', () => {
+        expect(priceCart(undefined).total).toBe(0);
+        expect(priceLines(null)).toEqual([]);
+    });
+});
@@ -1,29 +1,24 @@
+import { priceLines } from './pricing';
+
 /**
  * Maps cart items to receipt items structure, ensuring critical ID and cost fields are preserved.
  * This is essential for profit calculations which rely on inventoryId, productId, and cost mappings.
+ *
+ * Prices come from utils/pricing. Manual discounts: `lineTotal` is net of the line's own
+ * discount, and an order-level discount is spread over the lines in proportion to their
+ * totals (`orderDiscountShare`), so `netUnitPrice` is what one unit actually cost the customer.
  * 
  * @param {Array} cartItems - The source cart items
+ * @param {Object|null} orderDiscount - Discount on the whole order, if any
  * @returns {Array} - The mapped items for receipt/storage
  */
-export const mapCartToReceiptItems = (cartItems) => {
+export const mapCartToReceiptItems = (cartItems, orderDiscount = null) => {
     if (!Array.isArray(cartItems)) return [];
 
-    return cartItems.map(ci => {
-        let sellingPrice = 0;
-        if (ci.priceType === 'Retail') {
-            sellingPrice = Number(ci.price) || 0;
-        } else {
-            // For 'Wholesale', 'Discounted', or any other non-Retail type, use wholesalePrice.
-            sellingPrice = Number(ci.wholesalePrice) || Number(ci.price) || 0;
-        }
-        
-        if (ci.applyDiscount && ci.priceAfterDiscount && Number(ci.priceAfterDiscount) > 0) {
-            sellingPrice = Number(ci.priceAfterDiscount);
-        }
-
-        const quantity = Number(ci.quantity) || 1;
-        const lineTotal = sellingPrice * quantity;
+    const priced = priceLines(cartItems, { orderDiscount });
 
+    return cartItems.map((ci, idx) => {
+        const line = priced[idx];
         return {
             // Identity fields - Critical for cost lookup
             id: ci.id || ci._id || ci.productId,
@@ -43,13 +38,26 @@ export const mapCartToReceiptItems = (cartItems) => {
             productName: ci.name || ci.productName || 'Item',
 
             // Transaction fields
-            salePrice: sellingPrice,
-            sellingPrice,
-            price: sellingPrice,
-            quantity,
-            qty: quantity,
-            lineTotal,
-            total: lineTotal,
+            salePrice: line.averageUnitPrice,
+            sellingPrice: line.averageUnitPrice,
+            price: line.averageUnitPrice,
+            listPrice: line.listPrice,
+            offerApplied: line.offerApplied,
+            // the flash sale or offer the line was sold under (services/offers)
+            offer: line.offerApplied && ci.offer
+                ? { id: ci.offer.id, kind: ci.offer.kind, label: ci.offer.label, price: ci.offer.price }
+                : null,
+            tier: line.tier,
+            tierSaving: line.tierSaving,
+            quantity: line.quantity,
+            qty: line.quantity,
+            grossTotal: line.grossTotal,
+            lineDiscount: line.lineDiscount,
+            discount: ci.discount || null,
+            lineTotal: line.lineTotal,
+            total: line.lineTotal,
+            orderDiscountShare: line.orderDiscountShare,
+            netUnitPrice: line.netUnitPrice,
 
             // Meta
             priceType: ci.priceType,
@@ -0,0 +1,219 @@
+// src/utils/pricing.js
+// How a line is priced, in one place: the cart, held sales, quotes, receipts, the Reports
+// page and profit figures all go through here so they cannot disagree.
+//
+// A unit's price is, first match wins:
+//   1. the product's offer price (`priceAfterDiscount`) when the line has its offer switched
+//      on (`applyDiscount`) - the flash-sale price;
+//   2. on a Retail line, `price`;
+//   3. on any other price type (Wholesale, Discounted), `wholesalePrice`, else
+//      `priceAfterDiscount`, else `price`.
+// A line without a price type is Retail. A Retail line that reaches the product's quantity
+// break (`discountQuantity`) gets the Discounted price for every full multiple of the break;
+// the units left over stay at the line's own price (see quantityBreak).
+// Manual discounts (services/discounts) then come off:
+// the line's own, then the order's, spread over the lines in proportion to their totals.
+// Tax, where the store charges it, is added on top of what is left.
+// Nothing here reads storage, so it is safe to use from anywhere, including the services.
+
+export const PRICE_TYPES = {
+  RETAIL: 'Retail',
+  WHOLESALE: 'Wholesale',
+  DISCOUNTED: 'Discounted',
+};
+
+export const DISCOUNT_KINDS = {
+  PERCENT: 'percent',
+  AMOUNT: 'amount',
+};
+
+const num = (v) => Number(v) || 0;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Retail unless the line says otherwise; any case ("retail" on old orders). */
+export const isRetail = (priceType) => !priceType || String(priceType).toLowerCase() === 'retail';
+
+/**
+ * Ksh a percentage or fixed discount takes off `base`, never more than the base itself.
+ * @param {number} base
+ * @param {{ kind: string, value: number|string }|null} discount
+ */
+export function discountAmount(base, discount) {
+  const b = Math.max(0, Number(base) || 0);
+  const value = Number(discount?.value) || 0;
+  if (!discount || value <= 0 || b === 0) return 0;
+  const off = discount.kind === DISCOUNT_KINDS.PERCENT ? (b * value) / 100 : value;
+  return round2(Math.min(b, off));
+}
+
+/** Whether the product has an offer price the line could switch on. */
+export const hasOffer = (item) => num(item?.priceAfterDiscount) > 0;
+
+/** The offer price when the line has it switched on, otherwise null. */
+export function offerPrice(item) {
+  const on = item?.applyDiscount === true || item?.applyDiscount === 1;
+  return on && hasOffer(item) ? num(item.priceAfterDiscount) : null;
+}
+
+/** The price for the line's price type, before any offer. */
+export function listPrice(item) {
+  if (isRetail(item?.priceType)) return num(item?.price);
+  return num(item?.wholesalePrice) || num(item?.priceAfterDiscount) || num(item?.price);
+}
+
+/** What one unit sells for. */
+export function unitPrice(item) {
+  const offer = offerPrice(item);
+  return offer !== null ? offer : listPrice(item);
+}
+
+/**
+ * What one unit was sold for: the price recorded on the sale when there is one, so old
+ * orders keep their price after the catalog changes.
+ */
+export function soldUnitPrice(item) {
+  return num(item?.sellingPrice) || num(item?.salePrice) || unitPrice(item);
+}
+
+/**
+ * The quantity break a Retail line has reached, if any. The break applies when the line
+ * holds at least `discountQuantity` units and the Discounted price beats what the line
+ * sells at; it covers the largest multiple of the break (30 units on a break of 12: 24
+ * at the tier price, 6 at the line's price). A break of 1 would turn every sale into a
+ * wholesale one, so it is ignored.
+ * @param {object} item - cart line
+ * @returns {{ threshold: number, quantity: number, unitPrice: number, remainder: number,
+ *   remainderPrice: number, saving: number }|null}
+ */
+export function quantityBreak(item) {
+  if (!isRetail(item?.priceType)) return null;
+  const threshold = Math.floor(num(item?.discountQuantity));
+  const quantity = num(item?.quantity) || 1;
+  if (threshold < 2 || quantity < threshold) return null;
+  const tierPrice = listPrice({ ...item, priceType: PRICE_TYPES.DISCOUNTED });
+  const unit = unitPrice(item);
+  if (!(tierPrice > 0 && tierPrice < unit)) return null;
+  const tierQuantity = Math.floor(quantity / threshold) * threshold;
+  return {
+    threshold,
+    quantity: tierQuantity,
+    unitPrice: tierPrice,
+    remainder: quantity - tierQuantity,
+    remainderPrice: unit,
+    saving: round2((unit - tierPrice) * tierQuantity),
+  };
+}
+
+/**
+ * The line as the server prices it: a line past its quantity break goes as a Discounted
+ * portion for the tier and, when units are left over, a portion at the line's own terms.
+ * Each portion carries the unit price the till charged for it, so the order can say what
+ * a flash-sale unit sold for.
+ * @returns {{ priceType: string, quantity: number, applyDiscount: boolean, unitPrice: number }[]}
+ */
+export function linePortions(item) {
+  const quantity = num(item?.quantity) || 1;
+  const own = { priceType: item?.priceType || PRICE_TYPES.RETAIL, applyDiscount: offerPrice(item) !== null, unitPrice: unitPrice(item) };
+  const tier = quantityBreak(item);
+  if (!tier) return [{ ...own, quantity }];
+  const portions = [{ priceType: PRICE_TYPES.DISCOUNTED, applyDiscount: false, unitPrice: tier.unitPrice, quantity: tier.quantity }];
+  if (tier.remainder > 0) portions.push({ ...own, quantity: tier.remainder });
+  return portions;
+}
+
+/**
+ * Prices one line before any order-level discount.
+ * @param {object} item - cart line: product price fields, priceType, quantity, applyDiscount, discount
+ * @returns {{ unitPrice: number, listPrice: number, offerApplied: boolean, offerSaving: number,
+ *   tier: ReturnType<typeof quantityBreak>, tierSaving: number, averageUnitPrice: number,
+ *   quantity: number, grossTotal: number, lineDiscount: number, lineTotal: number }}
+ *   `unitPrice` is the line's own price; `averageUnitPrice` is what a unit came to once the
+ *   quantity break is counted.
+ */
+export function priceLine(item) {
+  const list = listPrice(item);
+  const unit = unitPrice(item);
+  const quantity = num(item?.quantity) || 1;
+  const tier = quantityBreak(item);
+  const grossTotal = tier
+    ? round2(tier.quantity * tier.unitPrice + tier.remainder * unit)
+    : round2(unit * quantity);
+  const lineDiscount = discountAmount(grossTotal, item?.discount);
+  return {
+    unitPrice: unit,
+    listPrice: list,
+    offerApplied: offerPrice(item) !== null,
+    offerSaving: round2(Math.max(0, list - unit) * quantity),
+    tier,
+    tierSaving: tier ? tier.saving : 0,
+    averageUnitPrice: tier ? grossTotal / quantity : unit,
+    quantity,
+    grossTotal,
+    lineDiscount,
+    lineTotal: round2(grossTotal - lineDiscount),
+  };
+}
+
+/**
+ * Prices every line and spreads the order discount over them. The last line takes the
+ * rounding remainder so the shares add up to the discount exactly.
+ * @returns {object[]} priceLine results plus `orderDiscountShare` and `netUnitPrice`
+ *   (what one unit finally cost the customer), in the items' order
+ */
+export function priceLines(items = [], { orderDiscount = null } = {}) {
+  const lines = (Array.isArray(items) ? items : []).map(priceLine);
+  const net = lines.reduce((s, l) => s + l.lineTotal, 0);
+  const orderOff = discountAmount(net, orderDiscount);
+  let allocated = 0;
+  return lines.map((l, idx) => {
+    const share = idx === lines.length - 1
+      ? round2(orderOff - allocated)
+      : round2(net > 0 ? (orderOff * l.lineTotal) / net : 0);
+    allocated += share;
+    return { ...l, orderDiscountShare: share, netUnitPrice: round2((l.lineTotal - share) / l.quantity) };
+  });
+}
+
+/**
+ * Adds up priced lines (priceLines, or receipt items built from them).
+ * @param {object[]} lines
+ * @param {{ taxRate?: number }} [options] - tax as a fraction (0.16), added on the net
+ * @returns {{ subtotal: number, lineDiscounts: number, orderDiscount: number,
+ *   discountTotal: number, net: number, tax: number, total: number }}
+ */
+export function totalsOf(lines = [], { taxRate = 0 } = {}) {
+  let subtotal = 0;
+  let lineDiscounts = 0;
+  let orderDiscount = 0;
+  for (const l of lines || []) {
+    subtotal += num(l.grossTotal ?? l.lineTotal);
+    lineDiscounts += num(l.lineDiscount);
+    orderDiscount += num(l.orderDiscountShare);
+  }
+  const discountTotal = round2(lineDiscounts + orderDiscount);
+  const net = round2(subtotal - discountTotal);
+  const tax = round2(Math.max(0, net) * Math.max(0, num(taxRate)));
+  return {
+    subtotal: round2(subtotal),
+    lineDiscounts: round2(lineDiscounts),
+    orderDiscount: round2(orderDiscount),
+    discountTotal,
+    net,
+    tax,
+    total: round2(net + tax),
+  };
+}
+
+/**
+ * Prices a whole cart.
+ * @param {object[]} items
+ * @param {{ orderDiscount?: object|null, taxRate?: number }} [options]
+ * @returns {{ lines: object[] } & ReturnType<typeof totalsOf>}
+ */
+export function priceCart(items = [], { orderDiscount = null, taxRate = 0 } = {}) {
+  const lines = priceLines(items, { orderDiscount });
+  return { lines, ...totalsOf(lines, { taxRate }) };
+}
+
+/** What the customer pays for the cart. */
+export const cartTotal = (items = [], options = {}) => priceCart(items, options).total;
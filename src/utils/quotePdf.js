@@ -0,0 +1,114 @@
+// src/utils/quotePdf.js
+// A4 PDF of a proforma quote (services/quotes), for customers who want it emailed or printed
+// on an office printer rather than the till's thermal roll.
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+
+const DEFAULT_STORE = {
+  storeName: 'ARPELLA STORE LIMITED',
+  storeAddress: 'Ngong, Matasia',
+  storePhone: '+254 7xx xxx xxx',
+  pin: 'P052336649L',
+};
+
+const money = (n) => Number(n || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const dateOf = (ts) => new Date(ts).toLocaleDateString('en-GB');
+
+/**
+ * Lays the quote out on an A4 page.
+ * @returns {jsPDF}
+ */
+export function buildQuotePdf(quote, storeSettings = {}) {
+  const store = { ...DEFAULT_STORE, ...storeSettings };
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const margin = 15;
+  const right = pageWidth - margin;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(store.storeName.toUpperCase(), margin, 20);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text([store.storeAddress, `Tel: ${store.storePhone}`, `PIN: ${store.pin}`], margin, 26);
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.text('QUOTATION', right, 20, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text([
+    `Quote No: ${quote.quoteNo}`,
+    `Date: ${dateOf(quote.createdAt)}`,
+    `Valid until: ${dateOf(quote.validUntil)}`,
+  ], right, 27, { align: 'right' });
+
+  let y = 46;
+  if (quote.customer?.name || quote.customer?.phone) {
+    doc.setFont('helvetica', 'bold');
+    doc.text('Prepared for', margin, y);
+    doc.setFont('helvetica', 'normal');
+    doc.text([quote.customer.name, quote.customer.phone].filter(Boolean), margin, y + 5);
+    y += 16;
+  }
+
+  autoTable(doc, {
+    startY: y,
+    margin: { left: margin, right: margin },
+    head: [['#', 'Item', 'Type', 'Qty', 'Unit price', 'Discount', 'Amount']],
+    body: (quote.lines || []).map((l, i) => [
+      i + 1,
+      l.name,
+      l.priceType,
+      l.quantity,
+      money(l.unitPrice),
+      Number(l.lineDiscount) > 0 ? `-${money(l.lineDiscount)}` : '',
+      money(l.lineTotal),
+    ]),
+    headStyles: { fillColor: [33, 37, 41] },
+    styles: { fontSize: 9 },
+    columnStyles: {
+      0: { cellWidth: 8 },
+      3: { halign: 'right' },
+      4: { halign: 'right' },
+      5: { halign: 'right' },
+      6: { halign: 'right' },
+    },
+  });
+
+  y = doc.lastAutoTable.finalY + 8;
+  const totals = [['Subtotal', money(quote.subtotal)]];
+  if (Number(quote.discount) > 0) totals.push(['Discount', `-${money(quote.discount)}`]);
+  doc.setFontSize(10);
+  totals.forEach(([label, value]) => {
+    doc.text(label, right - 60, y);
+    doc.text(`KES ${value}`, right, y, { align: 'right' });
+    y += 6;
+  });
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(12);
+  doc.text('Quote total', right - 60, y);
+  doc.text(`KES ${money(quote.total)}`, right, y, { align: 'right' });
+
+  y += 14;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  if (quote.notes) {
+    const notes = doc.splitTextToSize(quote.notes, right - margin);
+    doc.text(notes, margin, y);
+    y += notes.length * 4.5 + 4;
+  }
+  doc.text([
+    `Prices are valid until ${dateOf(quote.validUntil)} and subject to stock at the time of purchase.`,
+    'This quotation is not a tax invoice.',
+    `Prepared by ${quote.cashier || 'Staff'}`,
+  ], margin, y);
+
+  return doc;
+}
+
+/** Saves the quote as `<quote number>.pdf` through the browser's download. */
+export function exportQuotePdf(quote, storeSettings = {}) {
+  const doc = buildQuotePdf(quote, storeSettings);
+  doc.save(`${quote.quoteNo || 'quote'}.pdf`);
+}
@@ -0,0 +1,12 @@
+// src/workers/catalogSync.worker.js
+// Catalog sync off the main thread. The sync itself, and the messages it takes and
+// posts, live in services/catalogSync; this file only connects it to the worker.
+
+import { createCatalogSync } from '../services/catalogSync';
+
+// eslint-disable-next-line no-restricted-globals
+const ctx = self;
+
+const session = createCatalogSync({ post: (msg) => ctx.postMessage(msg) });
+
+ctx.onmessage = (ev) => session.handleMessage(ev.data || {});